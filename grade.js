@@ -0,0 +1,378 @@
+/**
+ * Headless batch grader for BlockPy.
+ *
+ * Runs the same pipeline as the Run button (verify, parse, analyze, run the
+ * student code, run the instructor code, present feedback) over a whole
+ * directory of student submissions, and writes a report of the results.
+ *
+ * Usage:
+ *   node grade.js <assignment.json> <submissions/> [--output report.json]
+ *                 [--format json|csv]
+ *
+ * The assignment bundle is a JSON file with the following fields:
+ *   give_feedback - The instructor's on_run code.
+ *   on_change     - The instructor's on_change code (optional).
+ *   answer        - The reference solution, for random_test (optional).
+ *   __main__      - Starting code, used when a submission is empty (optional).
+ *   files         - Either a list of filenames (relative to the bundle) or a
+ *                   mapping of filenames to their contents (optional).
+ *   analyzer_issues - Changes to the analyzer's issues, as in the assignment
+ *                   settings (optional).
+ *   parsons       - Whether this is a Parsons problem, in which case __main__
+ *                   holds the lines (with any distractors marked) (optional).
+ *   parsons_indentation, parsons_ordered - The Parsons problem's settings,
+ *                   as in the assignment settings (optional).
+ *   test_cases    - The table of tests to run on each submission, as in the
+ *                   assignment settings (optional).
+ *
+ * Every `*.py` file in the submissions directory is graded; the submission's
+ * name is the filename without its extension.
+ *
+ * You'll need to have run `python merge.py` first, so that
+ * `dist/blockpy_node.js` is available.
+ */
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+var ProgressBar = require('progress');
+var loadJsonFile = require('load-json-file');
+
+// The engine expects a browser-like environment for opening files.
+global.document = new JSDOM('').window.document;
+Blockly = {};
+Blockly.WorkspaceSvg = new function() {};
+Blockly.WorkspaceSvg.prototype = {};
+skulpt = require('./skulpt/dist/skulpt.min.js');
+skulpt_libs = require('./skulpt/dist/skulpt-stdlib.js');
+d3 = require('d3-3');
+blockpy = require('./dist/blockpy_node.js');
+
+/**
+ * A tiny stand-in for a KnockoutJS observable: call it with no arguments
+ * to read the value, or with one argument to write it.
+ *
+ * @param {Anything} value - The initial value.
+ * @returns {Function} The observable.
+ */
+function observable(value) {
+    var box = function(newValue) {
+        if (arguments.length) {
+            value = newValue;
+        }
+        return value;
+    };
+    return box;
+}
+
+/**
+ * A tiny stand-in for a KnockoutJS observableArray.
+ *
+ * @returns {Function} The observable array.
+ */
+function observableArray() {
+    var box = observable([]);
+    box.push = function(value) { box().push(value); };
+    box.removeAll = function() { box([]); };
+    return box;
+}
+
+/**
+ * A stand-in for a jQuery tag in the feedback panel, which simply
+ * remembers the last HTML that was written into it.
+ *
+ * @constructor
+ */
+function RecordingTag() {
+    this.content = '';
+}
+RecordingTag.prototype.html = function(content) {
+    if (content === undefined) {
+        return this.content;
+    }
+    this.content = content;
+    return this;
+};
+RecordingTag.prototype.show = function() { return this; };
+RecordingTag.prototype.hide = function() { return this; };
+RecordingTag.prototype.addClass = function() { return this; };
+RecordingTag.prototype.removeClass = function() { return this; };
+RecordingTag.prototype.empty = function() { return this.html(''); };
+
+/**
+ * Builds a headless BlockPy instance: the real engine and feedback logic,
+ * with the on-screen components replaced by recorders.
+ *
+ * @returns {Object} A fake BlockPy instance.
+ */
+function createHeadlessMain() {
+    var main = {};
+    main.model = {
+        'execution': {
+            'reports': {},
+            'suppressions': {},
+            'status': observable('waiting'),
+            'trace': observableArray(),
+            'step': observable(0),
+            'last_step': observable(0),
+            'line_number': observable(0),
+            'show_trace': observable(false),
+            'output': observableArray()
+        },
+        'programs': {
+            '__main__': observable(''),
+            'starting_code': observable(''),
+            'give_feedback': observable(''),
+            'on_change': observable(''),
+            'answer': observable('')
+        },
+        'settings': {
+            'disable_timeout': observable(false),
+            'mute_printer': observable(true),
+            'use_worker': observable(false),
+            'preventD3': true,
+            'completedCallback': undefined
+        },
+        'debugger': {
+            'active': observable(false)
+        },
+        'status': {
+            'error': observable('none')
+        },
+        'assignment': {
+            'files': observableArray(),
+            'analyzer_issues': observableArray(),
+            'parsons': observable(false),
+            'parsons_indentation': observable(true),
+            'parsons_ordered': observable(false),
+            'parsons_lines': observable(false),
+            'explain_line': observable(0),
+            'test_cases': observableArray()
+        }
+    };
+    var printHtml = function(html, value) { main.model.execution.output.push(value); };
+    main.components = {
+        'printer': {
+            'print': function(text) {
+                if (text !== "\n") {
+                    main.model.execution.output.push(text.slice(0, -1));
+                }
+            },
+            'printHtml': printHtml,
+            'resetPrinter': function() { main.model.execution.output.removeAll(); },
+            'getConfiguration': function() {
+                var printerSettings = blockpy.BlockPyPrinter.getDisabledConfiguration();
+                printerSettings['printHtml'] = printHtml;
+                return printerSettings;
+            }
+        },
+        'editor': {
+            'triggerOnChange': 0,
+            'highlightError': function(line) {},
+            'showBlockError': function(line, column, message) {},
+            'unhighlightLines': function() {}
+        },
+        'server': {
+            'logEvent': function() {},
+            'markSuccess': function(score) { main.lastScore = score; },
+            // Every submission is graded as if it were the first attempt
+            'loadHintLevels': function() { return {}; },
+            'saveHintLevel': function() {},
+            'loadFile': function(filename, type, callback, errorCallback) {
+                errorCallback("No file server available.");
+            }
+        },
+        'toolbar': {
+            'notifyFeedbackUpdate': function() {}
+        }
+    };
+    var feedback = Object.create(blockpy.BlockPyFeedback.prototype);
+    feedback.main = main;
+    feedback.tag = new RecordingTag();
+    feedback.status = new RecordingTag();
+    feedback.title = new RecordingTag();
+    feedback.body = new RecordingTag();
+    feedback.original = new RecordingTag();
+    feedback.shownMessages = [];
+    feedback.hints = new RecordingTag();
+    feedback.others = new RecordingTag();
+    feedback.isFeedbackVisible = function() { return true; };
+    // Only the primary message is reported, so there's nothing else to draw
+    feedback.presentHints = function() {};
+    feedback.presentOtherMessages = function() {};
+    main.components.feedback = feedback;
+    var parsons = Object.create(blockpy.BlockPyParsons.prototype);
+    parsons.main = main;
+    main.components.parsons = parsons;
+    main.components.engine = new blockpy.BlockPyEngine(main);
+    return main;
+}
+
+/**
+ * Loads the files named in the assignment bundle into the engine, so that
+ * student code can `open` them.
+ *
+ * @param {Object} engine - The BlockPyEngine to load the files into.
+ * @param {Object|Array} files - The `files` field of the bundle.
+ * @param {String} root - The directory that holds the bundle.
+ */
+function loadAssignmentFiles(engine, files, root) {
+    if (files === undefined) {
+        return;
+    }
+    if (Array.isArray(files)) {
+        files.forEach(function(name) {
+            engine.openedFiles[name] = fs.readFileSync(path.join(root, name), 'utf8');
+        });
+    } else {
+        for (var name in files) {
+            engine.openedFiles[name] = files[name];
+        }
+    }
+}
+
+/**
+ * Grade a single submission, calling `callback` with its result row.
+ *
+ * @param {Object} main - The headless BlockPy instance.
+ * @param {String} name - The name of the submission.
+ * @param {String} code - The student's code.
+ * @param {Function} callback - Called with the result row.
+ */
+function gradeSubmission(main, name, code, callback) {
+    var engine = main.components.engine;
+    var feedback = main.components.feedback;
+    main.model.programs['__main__'](code);
+    main.lastScore = 0;
+    var started = Date.now();
+    engine.on_run(function(category) {
+        callback({
+            'submission': name,
+            'category': category,
+            'title': feedback.title.html(),
+            'message': feedback.body.html(),
+            'score': main.lastScore,
+            'runtime': Date.now() - started
+        });
+    });
+}
+
+var REPORT_COLUMNS = ['submission', 'category', 'title', 'message', 'score', 'runtime'];
+
+/**
+ * Quotes a value for a CSV cell.
+ *
+ * @param {Anything} value - The value to quote.
+ * @returns {String} The quoted cell.
+ */
+function csvCell(value) {
+    value = (value === undefined || value === null) ? '' : String(value);
+    return '"' + value.replace(/"/g, '""') + '"';
+}
+
+/**
+ * Serializes the report rows in the given format.
+ *
+ * @param {Array.<Object>} rows - The result rows.
+ * @param {String} format - Either "json" or "csv".
+ * @returns {String} The serialized report.
+ */
+function formatReport(rows, format) {
+    if (format == 'csv') {
+        var lines = [REPORT_COLUMNS.join(',')];
+        rows.forEach(function(row) {
+            lines.push(REPORT_COLUMNS.map(function(column) {
+                return csvCell(row[column]);
+            }).join(','));
+        });
+        return lines.join('\n') + '\n';
+    } else {
+        return JSON.stringify(rows, null, 2);
+    }
+}
+
+/**
+ * Parses the command line arguments.
+ *
+ * @param {Array.<String>} argv - The arguments, without `node grade.js`.
+ * @returns {Object} The parsed options.
+ */
+function parseArguments(argv) {
+    var options = {'positional': [], 'output': null, 'format': null};
+    for (var i = 0; i < argv.length; i++) {
+        if (argv[i] == '--output' || argv[i] == '-o') {
+            options.output = argv[++i];
+        } else if (argv[i] == '--format' || argv[i] == '-f') {
+            options.format = argv[++i];
+        } else {
+            options.positional.push(argv[i]);
+        }
+    }
+    if (options.positional.length != 2) {
+        console.error("Usage: node grade.js <assignment.json> <submissions/> [--output report.json] [--format json|csv]");
+        process.exit(1);
+    }
+    if (options.format === null) {
+        options.format = (options.output && path.extname(options.output) == '.csv') ? 'csv' : 'json';
+    }
+    if (options.format != 'csv' && options.format != 'json') {
+        console.error("Unknown format: " + options.format);
+        process.exit(1);
+    }
+    return options;
+}
+
+var options = parseArguments(process.argv.slice(2));
+var bundlePath = options.positional[0],
+    submissionsPath = options.positional[1];
+
+loadJsonFile(bundlePath).then(function(bundle) {
+    var main = createHeadlessMain();
+    var engine = main.components.engine;
+    Sk.afterSingleExecution = engine.step.bind(engine);
+    main.model.programs['give_feedback'](bundle.give_feedback || '');
+    main.model.programs['on_change'](bundle.on_change || '');
+    main.model.programs['answer'](bundle.answer || '');
+    main.model.programs['starting_code'](bundle.__main__ || '');
+    main.model.assignment['analyzer_issues'](bundle.analyzer_issues || []);
+    main.model.assignment['parsons'](!!bundle.parsons);
+    if (bundle.parsons_indentation !== undefined) {
+        main.model.assignment['parsons_indentation'](bundle.parsons_indentation);
+    }
+    main.model.assignment['parsons_ordered'](!!bundle.parsons_ordered);
+    main.model.assignment['test_cases'](bundle.test_cases || []);
+    loadAssignmentFiles(engine, bundle.files, path.dirname(bundlePath));
+
+    var names = fs.readdirSync(submissionsPath).filter(function(filename) {
+        return path.extname(filename) == '.py';
+    }).sort();
+    var bar = new ProgressBar('Grading [:bar] :current/:total', {
+        'total': Math.max(1, names.length),
+        'stream': process.stderr
+    });
+    var results = [];
+    var next = function(index) {
+        if (index >= names.length) {
+            var report = formatReport(results, options.format);
+            if (options.output) {
+                fs.writeFileSync(options.output, report);
+            } else {
+                process.stdout.write(report);
+            }
+            return;
+        }
+        var filename = names[index];
+        var code = fs.readFileSync(path.join(submissionsPath, filename), 'utf8');
+        if (!code.trim()) {
+            code = main.model.programs['starting_code']();
+        }
+        gradeSubmission(main, path.basename(filename, '.py'), code, function(row) {
+            results.push(row);
+            bar.tick();
+            next(index + 1);
+        });
+    };
+    next(0);
+}).catch(function(error) {
+    console.error(error);
+    process.exit(1);
+});
@@ -26,13 +26,13 @@ def set_success():
     by throwing a GracefulExit exception.
     '''
 
-def explain(message, priority="medium", line=None):
+def explain(message, priority="medium", line=None, hints=None):
     '''
     Gives student the message as corrective feedback (and higlights line 
-    number). If this function is called multiple times, the student is given the
-    first feedback of the highest priority found. By default, this overrides
-    the analyzer and runtime errors that are given - if you want to avoid overriding
-    those, then use `gently`.
+    number). If this function is called multiple times, the student is shown the
+    feedback of the highest priority first, with the rest listed underneath (see
+    `set_feedback_limit`). By default, this comes before the analyzer and runtime
+    errors that are given - if you want to come after those, then use `gently`.
     
     Args:
         message (str): The HTML string to display to the user in the Feedback
@@ -41,16 +41,75 @@ def explain(message, priority="medium", line=None):
                         ordering of the feedback if multiple occur. Also "student"
                         is an option to put it after the analyzer and runtime
                         errors, and "verifier" will put it before syntax errors.
-		line (int): The specific line number to highlight for the user.
+		line (int): The specific line number to highlight for the user. A
+                    (start, end) tuple can be given for a range of lines.
+        hints (list of str): HTML hints that the student can reveal one at
+                             a time.
     '''
 
-def gently(message):
+def gently(message, line=None, hints=None):
     '''
     Gives students the message as corrective feedback, at a priority level
     below the analyzer and runtime errors - that way, it can be used to
     more "gently" guide the student.
     '''
 
+def hint_sequence(hints, issue=None, priority="medium", line=None):
+    '''
+    Gives student corrective feedback like `explain`, but each time the student
+    runs into the same issue again, the next (more specific) hint is shown
+    instead. How far each student has gotten is remembered for each assignment.
+    
+    Args:
+        hints (list of str): The HTML hints, from most general to most specific.
+        issue (str): A name for the issue, used to keep track of which hint
+                     to show. Defaults to the first hint.
+        priority (str): As in `explain`; use "student" to be as gentle as
+                        `gently`.
+        line (int): As in `explain`.
+    '''
+
+def set_feedback_limit(count):
+    '''
+    Sets how many feedback messages the student sees at once. The first is
+    shown in full, and the rest are collapsed underneath it. By default, up to
+    3 messages are shown.
+    
+    Args:
+        count (int): The number of messages; 1 shows only the most important.
+    '''
+
+def register_issue(id, message, title=None, priority="medium", enabled=True):
+    '''
+    Adds a new kind of issue to the analyzer. Like the built-in issues (e.g.,
+    "Undefined variables"), it can be turned off, reordered, or reworded in the
+    assignment's settings. Occurrences are reported with `report_issue`. The
+    issue only lasts for this run of the instructor code, so it has to be
+    registered again each time.
+    
+    Args:
+        id (str): The name of the issue. Registering the same name again
+                  replaces it.
+        message (str): The HTML message for the student. Details of the
+                       occurrence can be filled in with "{line}" and "{name}".
+        title (str): The title of the message. Defaults to the id.
+        priority (str): Either "low", "medium", or "high"; issues are shown
+                        most important first, unless the assignment reorders them.
+        enabled (bool): Whether the issue is shown by default.
+    '''
+
+def report_issue(id, line=None, name=None):
+    '''
+    Reports an occurrence of an analyzer issue, as if the analyzer had found it.
+    The first occurrence of each issue is shown alongside the analyzer's other
+    issues.
+    
+    Args:
+        id (str): The name of the issue, from `register_issue` or built-in.
+        line (int): The line the issue is on, used for "{line}".
+        name (str): A name related to the issue, used for "{name}".
+    '''
+
 def suppress(type, subtype):
     '''
     Suppresses feedback of the given "type".  When also given a subtype, it
@@ -93,6 +152,196 @@ def run_student():
                            value is returned.
     '''
 
+class SandboxResult():
+    '''
+    What happened when the students' code was run in a sandbox (see
+    run_student_module and run_student_function).
+
+    Attributes:
+        value: The value returned by the function (None for a whole module).
+        output (list of str): Everything printed, one print per entry, as in
+                              get_output(). Output printed while the module
+                              was loaded for a function call isn't included.
+        exception (Exception or None): The exception raised, if any.
+        steps (int): How many statements were run.
+        success (bool): Whether no exception was raised.
+        plots (list): The data of each plot that was shown, as in
+                      get_output().
+        loaded (bool): Whether the students' program itself ran without an
+                       exception. When it's False, the function was never
+                       called, and the exception came from the program.
+    '''
+
+def run_student_module(inputs=None, steps=None, timeout=None):
+    '''
+    Runs the students' whole program again, in a fresh module. Nothing is
+    shared with the students' first run or with any other sandboxed run:
+    not the variables, the imported modules, the output, or the input.
+    The instructor modules can't be imported from the sandbox.
+
+    Args:
+        inputs (list of str): What `input` returns, in order; once they run
+                              out, it returns a blank string.
+        steps (int): The most statements that can run before the code is
+                     stopped with a TimeLimitError.
+        timeout (float): The most seconds that the code can run before it is
+                         stopped with a TimeLimitError; by default, the same
+                         limit as the students' own runs.
+    Returns:
+        SandboxResult: The output, the exception (if any), and steps taken.
+    '''
+
+def run_student_function(name, args=None, inputs=None, steps=None, timeout=None):
+    '''
+    Calls one of the students' functions in a sandbox. The students' program
+    is run in a fresh module first (as in run_student_module), so each call
+    starts from the same state, and one test case can't change another's.
+    While the program is loaded, `input` returns what the students typed in
+    their own run. The inputs and limits only apply to the call itself.
+
+    Args:
+        name (str): The name of the function.
+        args (list or tuple): The arguments to call it with.
+        inputs (list of str): As in run_student_module.
+        steps (int): As in run_student_module.
+        timeout (float): As in run_student_module.
+    Returns:
+        SandboxResult: The returned value, the output, the exception (if
+                       any), and the steps taken.
+    '''
+
+def run_test_cases(cases=None):
+    '''
+    Runs a table of test cases against the students' code, each in its own
+    sandbox, and shows the student a matrix of which tests passed. By default,
+    this is the assignment's table of test cases, which BlockPy already runs
+    before give_feedback.
+
+    Args:
+        cases (list of dict): The test cases. Each has any of these keys:
+            "function" (str): The function to call; without it, the whole
+                              program is run.
+            "args" (list): The arguments to call the function with.
+            "inputs" (list of str): As in run_student_module.
+            "returns": The value that the function should return.
+            "output" (str or list of str): What should be printed.
+            "tolerance" (float): How close numbers have to be (0.001 by
+                                 default).
+            "hint" (str): HTML shown to the student when the test fails.
+    Returns:
+        list of bool: Whether each test passed.
+    '''
+
+def random_int(low=-100, high=100):
+    '''
+    Makes a Generator of random integers, for random_test.
+
+    Args:
+        low (int): The smallest integer.
+        high (int): The largest integer.
+    Returns:
+        Generator: Makes integers from low to high (inclusive), which shrink
+                   towards 0.
+    '''
+
+def random_float(low=-100, high=100):
+    '''
+    Makes a Generator of random floats, for random_test.
+
+    Args:
+        low (float): The smallest float.
+        high (float): The largest float.
+    Returns:
+        Generator: Makes floats from low to high, which shrink towards 0.
+    '''
+
+def random_string(max_length=10, alphabet="abcdefghijklmnopqrstuvwxyz"):
+    '''
+    Makes a Generator of random strings, for random_test.
+
+    Args:
+        max_length (int): The most characters in a string.
+        alphabet (str): The characters that can be used.
+    Returns:
+        Generator: Makes strings, which shrink towards fewer characters and
+                   the first character of the alphabet.
+    '''
+
+def random_list(element, max_length=10):
+    '''
+    Makes a Generator of random lists, for random_test.
+
+    Args:
+        element (Generator): Makes each element of the lists.
+        max_length (int): The most elements in a list.
+    Returns:
+        Generator: Makes lists, which shrink towards fewer and smaller
+                   elements.
+    '''
+
+def random_test(name, generators, count=100, seed=None, reference=None, tolerance=0.001, timeout=10):
+    '''
+    Compares one of the students' functions against a reference solution,
+    by calling both (each in a sandbox) with randomly generated arguments.
+    When they return different values, print different output, or only the
+    students' function raises an exception, the arguments are shrunk to the
+    smallest ones that still show the difference. Arguments that make the
+    reference raise an exception are skipped. Shrinking stops as soon as a
+    run takes too long, and once the timeout for the whole call runs out, no
+    more arguments are tried.
+
+    Args:
+        name (str): The name of the function.
+        generators (list of Generator): Makes each argument of the function.
+        count (int): How many sets of arguments to try.
+        seed (int): Makes the same arguments every time; by default, a new
+                    seed is picked each time (and is returned with a failure).
+        reference (function): The reference solution; by default, the
+                              function with the same name in the answer
+                              program.
+        tolerance (float): How close numbers have to be.
+        timeout (float): The most seconds that all of the runs together can
+                         take.
+    Returns:
+        dict: None if the functions always agreed. Otherwise, the smallest
+              counterexample, with the keys "args", "expected", "actual",
+              "expected_output", "output", "error" (or None), "seed", and
+              "tests" (how many tests ran before one failed).
+    '''
+
+def output_matches_answer():
+    '''
+    Checks whether the students' code printed the same lines as the answer
+    program. The answer program is run once (in a sandbox), with the same
+    input that the student typed in. If they differ, the feedback shows the
+    two outputs side by side.
+
+    Returns:
+        bool: Whether the printed lines are the same. False if the students'
+              code raised an error.
+    '''
+
+def plots_match_answer():
+    '''
+    Checks whether the students' code made the same plots as the answer
+    program, as in output_matches_answer.
+
+    Returns:
+        bool: Whether the data of the plots is the same.
+    '''
+
+def variable_matches_answer(name, tolerance=0.001):
+    '''
+    Checks whether one of the students' variables ended up with the same value
+    as in the answer program, as in output_matches_answer.
+
+    Args:
+        name (str): The name of the variable.
+        tolerance (float): How close numbers have to be.
+    Returns:
+        bool: Whether the values are the same.
+    '''
+
 def get_output():
     '''
     Returns a List containing the students' output from the last run. Note that
@@ -240,7 +489,21 @@ def get_program():
     Returns:
         String: The string representation of the student code.
     '''
-    
+
+def explain_line(line, code=None):
+    '''
+    Explains a line of code in English, the same way as the English button.
+    Useful for checking the answer to an "explain this line" question, or for
+    giving feedback about a line.
+
+    Args:
+        line (int): The line to explain.
+        code (str): The code to explain; by default, the student code.
+    Returns:
+        str: The explanation, or None if no statement starts on that line or
+             the code can't be parsed.
+    '''
+
 
 def def_use_error(node):
     '''
@@ -279,6 +542,18 @@ class AstNode():
         next_tree
             For the AST node to which this node belongs, returns the next node in that AST that is NOT
             in this node's subtree.
+        parent (AstNode): The node that this node is in, or None for the
+                          whole program.
+        ancestors (list of AstNode): The parent, its parent, and so on, up to
+                                     the whole program.
+        children (list of AstNode): The nodes directly in this one, in order.
+        siblings (list of AstNode): The other nodes in the same list as this
+                                    one (e.g., the other statements in the
+                                    body of a loop).
+        previous_sibling, next_sibling (AstNode): The node before or after
+                                    this one in the same list, or None.
+        line (int): The line that this node starts on (for nodes without a
+                    line of their own, like arguments, its parent's line).
     '''
     def __init__(self, id):
         '''
@@ -330,6 +605,52 @@ class AstNode():
         Returns:
             list of AstNode: The AstNodes descended from this one.
         '''
+
+    def select(self, query, first_line=None, last_line=None):
+        '''
+        Returns all AstNodes in this node's subtrees that match a selector,
+        which works like a CSS selector. Each part of the selector is an ast
+        name (or * for any), followed by any number of conditions on its
+        attributes in square brackets:
+            [attr]          The attribute is not empty.
+            [attr=value]    The attribute is the value ("=" can also be "!="
+                            for not equal, "^=" for starts with, "$=" for
+                            ends with, or "*=" for contains). Values can be
+                            quoted.
+        An attribute can be a path through other nodes, like func.attr; a
+        path through a list, like targets.id, matches any of its elements.
+        Nodes and operators are compared by their ast name (e.g.,
+        "Compare[ops=Gt]"). The parts are separated by how the nodes are
+        related: a space (anywhere inside), ">" (directly inside), "+" (the
+        next node in the same list), or "~" (a later node in the same list).
+        Commas separate alternatives. For example:
+            ast.select('For > If Call[func.attr=append]')
+            ast.select('FunctionDef[name=average] Return')
+
+        Args:
+            query (str): The selector.
+            first_line (int): Only nodes that start on this line or later.
+            last_line (int): Only nodes that start on this line or earlier.
+        Returns:
+            list of AstNode: The matching nodes, in the order of the code.
+        '''
+
+    def select_one(self, query):
+        '''
+        Like select, but returns the first matching node, or None.
+        '''
+
+    def matches(self, query):
+        '''
+        Returns whether this node matches a selector (see select).
+        '''
+
+    def ancestor(self, query):
+        '''
+        Returns the nearest ancestor of this node that matches a selector
+        (see select), e.g. node.ancestor("For") for the loop it is in, or
+        None if there isn't one.
+        '''
     def numeric_logic_check(self, mag, expr):
         '''
         Returns whether the numerical logical expression represented by the AST self likely
@@ -5,11 +5,14 @@ nodejs_in = [
          "src/ast_node_visitor.js",
          "src/abstract_interpreter.js",
          "src/pytifa.js",
+         "src/tifa_issues.js",
          "src/abstract_interpreter_definitions.js",
+         "src/python_to_english.js",
          "src/treeMatching.js",
          "src/sk_mod_instructor_extended.js",
          "src/sk_mod_instructor.js",
          "src/feedback.js",
+         "src/parsons.js",
          "src/printer.js",
          "src/engine.js",
             ]
@@ -20,8 +23,11 @@ js_in = ["src/front.js",
          "src/ast_node_visitor.js",
          "src/abstract_interpreter.js",
          "src/pytifa.js",
+         "src/tifa_issues.js",
          "src/abstract_interpreter_definitions.js",
          "src/python_to_blockly.js",
+         "src/round_trip.js",
+         "src/python_to_english.js",
          "src/treeMatching.js",
          "src/sk_mod_instructor_extended.js",
          "src/sk_mod_instructor.js",
@@ -30,6 +36,7 @@ js_in = ["src/front.js",
          "src/blockly_blocks/comment.js",
          "src/blockly_blocks/comprehensions.js",
          "src/blockly_blocks/dict.js",
+         "src/blockly_blocks/exceptions.js",
          "src/blockly_blocks/if.js",
          "src/blockly_blocks/io.js",
          "src/blockly_blocks/lists.js",
@@ -40,19 +47,26 @@ js_in = ["src/front.js",
          "src/blockly_blocks/turtles.js",
          "src/blockly_blocks/text.js",
          "src/blockly_blocks/plots.js",
+         "src/block_specs.js",
          "src/dialog.js",
          "src/storage.js",
+         "src/server_backends.js",
          "src/printer.js",
+         "src/heap.js",
          "src/interface.js",
          "src/server.js",
          "src/presentation.js",
          "src/editor.js",
+         "src/parsons.js",
+         "src/toolbox_designer.js",
          "src/corgis.js",
          "src/history.js",
          "src/english.js",
          "src/feedback.js",
          "src/toolbar.js",
+         "src/worker.js",
          "src/engine.js",
+         "src/debugger.js",
          "src/main.js"]
 css_in = ['src/blockpy.css']
 
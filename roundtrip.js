@@ -0,0 +1,125 @@
+/**
+ * Round-trip test harness for the block converter.
+ *
+ * Converts each Python file to blocks and back again (the same way as
+ * switching from Text to Blocks mode), and reports any file whose code
+ * would change what it does or lose its comments. Differences in formatting
+ * alone are fine.
+ *
+ * Usage:
+ *   node roundtrip.js [file.py or directory ...] [--quiet]
+ *
+ * Directories are searched for `*.py` files (not recursively); by default,
+ * the `tests` directory is used. Files that can't be parsed are skipped.
+ * The exit code is 1 if any file failed the round trip.
+ *
+ * You'll need the built Skulpt in `skulpt/dist`, as for grade.js.
+ */
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+var JSDOM = require('jsdom').JSDOM;
+
+// Blockly expects a browser-like environment.
+var dom = new JSDOM('');
+global.window = dom.window;
+global.document = dom.window.document;
+global.navigator = dom.window.navigator;
+global.DOMParser = dom.window.DOMParser;
+global.XMLSerializer = dom.window.XMLSerializer;
+skulpt = require('./skulpt/dist/skulpt.min.js');
+skulpt_libs = require('./skulpt/dist/skulpt-stdlib.js');
+
+/**
+ * The scripts needed to convert between Python and blocks, in order.
+ */
+var SCRIPTS = [
+    "blockly/blockly_compressed.js",
+    "blockly/blocks_compressed.js",
+    "blockly/python_compressed.js",
+    "blockly/msg/js/en.js",
+    "src/utilities.js",
+    "src/python_to_blockly.js",
+    "src/round_trip.js",
+    "src/imported.js",
+    "src/blockly_blocks/class.js",
+    "src/blockly_blocks/comment.js",
+    "src/blockly_blocks/comprehensions.js",
+    "src/blockly_blocks/dict.js",
+    "src/blockly_blocks/exceptions.js",
+    "src/blockly_blocks/if.js",
+    "src/blockly_blocks/io.js",
+    "src/blockly_blocks/lists.js",
+    "src/blockly_blocks/sets.js",
+    "src/blockly_blocks/loops.js",
+    "src/blockly_blocks/parking.js",
+    "src/blockly_blocks/tuple.js",
+    "src/blockly_blocks/turtles.js",
+    "src/blockly_blocks/text.js",
+    "src/blockly_blocks/plots.js"
+];
+SCRIPTS.forEach(function(script) {
+    var filename = path.join(__dirname, script);
+    vm.runInThisContext(fs.readFileSync(filename, 'utf8'), {'filename': filename});
+});
+
+/**
+ * Finds the Python files to check.
+ *
+ * @param {Array.<String>} targets - Files and directories.
+ * @returns {Array.<String>} The paths of the Python files.
+ */
+function findFiles(targets) {
+    var files = [];
+    targets.forEach(function(target) {
+        if (fs.statSync(target).isDirectory()) {
+            fs.readdirSync(target).filter(function(filename) {
+                return path.extname(filename) == '.py';
+            }).sort().forEach(function(filename) {
+                files.push(path.join(target, filename));
+            });
+        } else {
+            files.push(target);
+        }
+    });
+    return files;
+}
+
+var quiet = process.argv.indexOf('--quiet') != -1;
+var targets = process.argv.slice(2).filter(function(arg) {
+    return arg != '--quiet';
+});
+if (!targets.length) {
+    targets = [path.join(__dirname, 'tests')];
+}
+
+var roundTrip = new BlockPyRoundTrip();
+var counts = {'passed': 0, 'failed': 0, 'skipped': 0};
+findFiles(targets).forEach(function(file) {
+    var code = fs.readFileSync(file, 'utf8');
+    var report;
+    try {
+        report = roundTrip.check(code);
+    } catch (error) {
+        report = {'lossless': false, 'problems': ["The converter crashed: "+error], 'diff': []};
+    }
+    if (report.lossless === null) {
+        counts.skipped += 1;
+        console.log("SKIP "+file+": "+report.problems.join(' '));
+    } else if (report.lossless) {
+        counts.passed += 1;
+        console.log("PASS "+file);
+    } else {
+        counts.failed += 1;
+        console.log("FAIL "+file+": "+report.problems.join(' '));
+        if (!quiet) {
+            report.diff.forEach(function(line) {
+                if (line.kind != ' ') {
+                    console.log("    "+line.kind+" "+line.text);
+                }
+            });
+        }
+    }
+});
+console.log(counts.passed+" passed, "+counts.failed+" failed, "+counts.skipped+" skipped");
+process.exit(counts.failed ? 1 : 0);
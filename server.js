@@ -64,9 +64,13 @@ main = {
             '__main__': v => 'a = "Words"\nprint(a)',
             'give_feedback': v => 'from instructor import *\ngently("You have failed.")\ngently("Not bad!")',
         },
+        'debugger': {
+            'active': x => false,
+        },
         'settings': {
             'disable_timeout': x => false,
             'mute_printer': x => this['mute_printer'] = x,
+            'use_worker': x => false,
             'preventD3': false,
         }
     }
@@ -111,7 +111,7 @@ Compiler.prototype.annotateSource = function (ast, shouldStep) {
 		out("\nSk.currLineNo = ",lineno, ";\nSk.currColNo = ",col_offset,";\n\n");	//	Added by RNL
 		out("\nSk.currFilename = '",this.filename,"';\n\n");	//	Added by RNL
         if (shouldStep) {
-            out("\nif (typeof Sk.afterSingleExecution == 'function') {\n\tSk.afterSingleExecution($gbl, Sk.currLineNo, Sk.currColNo, Sk.currFilename);\n}\n");
+            out("\nif (typeof Sk.afterSingleExecution == 'function') {\n\tSk.afterSingleExecution($gbl, Sk.currLineNo, Sk.currColNo, Sk.currFilename, $frame);\n}\n");
         }
         out("$currLineNo = ", lineno, ";\n$currColNo = ", col_offset, ";\n\n");
     }
@@ -944,6 +944,34 @@ Compiler.prototype.outputLocals = function (unit) {
     return "";
 };
 
+/**
+ * Describes the current invocation of a unit, so that tracers can rebuild the
+ * call stack (each invocation gets its own $frame) and read its local variables.
+ */
+Compiler.prototype.outputFrame = function (unit) {
+    var i;
+    var name;
+    var seen = {};
+    var getLocals = "var $l={};";
+    if (unit.ste.blockType !== FunctionBlock || unit.ste.generator) {
+        // Modules, classes, and generators keep their variables in $loc
+        getLocals += "for(var $k in $loc){$l[$k]=$loc[$k];}";
+    } else {
+        for (i = 0; i < unit.localnames.length; ++i) {
+            name = unit.localnames[i];
+            if (seen[name] === undefined) {
+                getLocals += "if(" + name + "!==undefined){$l[" + JSON.stringify(unfixReserved(name)) + "]=" + name + ";}";
+                seen[name] = true;
+            }
+        }
+    }
+    if (unit.ste.blockType === FunctionBlock && unit.ste.childHasFree) {
+        getLocals += "for(var $c in $cell){$l[$c]=$cell[$c];}";
+    }
+    getLocals += "return $l;";
+    return "var $frame={name:" + JSON.stringify(unit.name.v) + ",locals:function(){" + getLocals + "}};";
+};
+
 Compiler.prototype.outputSuspensionHelpers = function (unit) {
     var i, t;
     var localSaveCode = [];
@@ -954,7 +982,7 @@ Compiler.prototype.outputSuspensionHelpers = function (unit) {
                  "var $wakeFromSuspension = function() {" +
                     "var susp = "+unit.scopename+".$wakingSuspension; delete "+unit.scopename+".$wakingSuspension;" +
                     "$blk=susp.$blk; $loc=susp.$loc; $gbl=susp.$gbl; $exc=susp.$exc; $err=susp.$err; $postfinally=susp.$postfinally;" +
-                    "$currLineNo=susp.$lineno; $currColNo=susp.$colno; Sk.lastYield=Date.now();" +
+                    "$currLineNo=susp.$lineno; $currColNo=susp.$colno; $frame=susp.$frame; Sk.lastYield=Date.now();" +
                     (hasCell?"$cell=susp.$cell;":"");
 
     for (i = 0; i < localsToSave.length; i++) {
@@ -973,7 +1001,7 @@ Compiler.prototype.outputSuspensionHelpers = function (unit) {
                 "var susp = new Sk.misceval.Suspension(); susp.child=$child;" +
                 "susp.resume=function(){"+unit.scopename+".$wakingSuspension=susp; return "+unit.scopename+"("+(unit.ste.generator?"$gen":"")+"); };" +
                 "susp.data=susp.child.data;susp.$blk=$blk;susp.$loc=$loc;susp.$gbl=$gbl;susp.$exc=$exc;susp.$err=$err;susp.$postfinally=$postfinally;" +
-                "susp.$filename=$filename;susp.$lineno=$lineno;susp.$colno=$colno;" +
+                "susp.$filename=$filename;susp.$lineno=$lineno;susp.$colno=$colno;susp.$frame=$frame;" +
                 "susp.optional=susp.child.optional;" +
                 (hasCell ? "susp.$cell=$cell;" : "");
 
@@ -1004,6 +1032,7 @@ Compiler.prototype.outputAllUnits = function () {
         unit = this.allUnits[j];
         ret += unit.prefixCode;
         ret += this.outputLocals(unit);
+        ret += this.outputFrame(unit);
         if (unit.doesSuspend) {
             ret += this.outputSuspensionHelpers(unit);
         }
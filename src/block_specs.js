@@ -0,0 +1,329 @@
+/**
+ * A block described in JSON, instead of in JavaScript like the blocks in
+ * `blockly_blocks/`. From the one description, this makes the Blockly
+ * block, the Python that the block generates, and the mapping that
+ * PythonToBlocks uses to turn that Python back into the block. For example:
+ *
+ *     {"type": "weather_wind",
+ *      "message": "get wind speed in %1",
+ *      "inputs": [{"name": "CITY", "kind": "text", "default": "Blacksburg"}],
+ *      "output": "Number",
+ *      "colour": 45,
+ *      "python": "weather.get_wind({CITY})"}
+ *
+ * The message has a `%1`, `%2`, ... for each of the inputs, in order. The kind
+ * of an input is one of:
+ *   text: A text field, put in the Python as a string.
+ *   number: A number field, put in the Python as a number.
+ *   dropdown: A menu of `options` (pairs of a label and a value, like
+ *             Blockly's), put in the Python as a string.
+ *   value: A socket for another block (which can be limited with `check`).
+ * The Python has to be a call to a function in a module, with one `{NAME}`
+ * for each input as its arguments; the module is imported by the generated
+ * code (or the spec can give its own `import`, e.g. "import matplotlib.pyplot
+ * as plt"). A block with an `output` (a type, or true for any type) is an
+ * expression; otherwise, it is a statement. A `tooltip` is optional.
+ *
+ * @constructor
+ * @this {BlockPyBlockSpec}
+ * @param {Object} spec - The JSON description of the block.
+ * @throws {Error} If the description isn't valid.
+ */
+function BlockPyBlockSpec(spec) {
+    if (typeof spec != 'object' || spec === null || Array.isArray(spec)) {
+        throw new Error("A block spec must be an object.");
+    }
+    if (typeof spec.type != 'string' || !/^[A-Za-z_]\w*$/.test(spec.type)) {
+        throw new Error("A block spec needs a type made of letters, numbers, and underscores.");
+    }
+    this.type = spec.type;
+    this.message = String(spec.message === undefined ? spec.type : spec.message);
+    this.inputs = spec.inputs || [];
+    this.output = spec.output;
+    this.colour = spec.colour !== undefined ? spec.colour : spec.color;
+    this.tooltip = spec.tooltip || '';
+    this.python = spec.python;
+    this.checkInputs();
+    this.parsePython();
+    this.importLine = spec['import'] || 'import '+this.module;
+}
+
+/**
+ * The kinds of inputs that a block can have.
+ */
+BlockPyBlockSpec.INPUT_KINDS = ['text', 'number', 'dropdown', 'value'];
+
+/**
+ * The colour of blocks that don't give one, the same as the data categories.
+ */
+BlockPyBlockSpec.DEFAULT_COLOUR = 45;
+
+/**
+ * The types of the blocks made from specs, mapped to their specs. Other
+ * blocks can't be replaced by a spec.
+ */
+BlockPyBlockSpec.registered = {};
+
+/**
+ * The modules that had no entry in PythonToBlocks.KNOWN_MODULES until a spec
+ * added one, so that the entry can be removed along with the spec.
+ */
+BlockPyBlockSpec.addedModules = {};
+
+/**
+ * Makes sure that every input has a unique name and a known kind, and that
+ * the message has a place for each of them.
+ *
+ * @throws {Error} If an input isn't valid.
+ */
+BlockPyBlockSpec.prototype.checkInputs = function() {
+    var type = this.type;
+    if (!Array.isArray(this.inputs)) {
+        throw new Error("The inputs of "+type+" must be a list.");
+    }
+    var names = [];
+    this.inputs.forEach(function(input) {
+        if (typeof input != 'object' || input === null || typeof input.name != 'string' || !input.name) {
+            throw new Error("Every input of "+type+" needs a name.");
+        }
+        if (names.indexOf(input.name) != -1) {
+            throw new Error("The block "+type+" has more than one input named "+input.name+".");
+        }
+        names.push(input.name);
+        if (BlockPyBlockSpec.INPUT_KINDS.indexOf(input.kind) == -1) {
+            throw new Error("The input "+input.name+" of "+type+" must be one of these kinds: "+
+                            BlockPyBlockSpec.INPUT_KINDS.join(', ')+".");
+        }
+        if (input.kind == 'dropdown' && (!Array.isArray(input.options) || !input.options.length)) {
+            throw new Error("The dropdown "+input.name+" of "+type+" needs some options.");
+        }
+    });
+    for (var i = 1; i <= this.inputs.length; i++) {
+        if (this.message.indexOf('%'+i) == -1) {
+            throw new Error("The message of "+type+" has no %"+i+" for the input "+this.inputs[i-1].name+".");
+        }
+    }
+}
+
+/**
+ * Reads the module, function, and arguments out of the block's Python.
+ *
+ * @throws {Error} If the Python isn't a call to a function in a module, with the inputs as its arguments.
+ */
+BlockPyBlockSpec.prototype.parsePython = function() {
+    var type = this.type;
+    var match = /^\s*([A-Za-z_]\w*)\.([A-Za-z_]\w*)\((.*)\)\s*$/.exec(this.python || '');
+    if (!match) {
+        throw new Error("The Python of "+type+" must call a function in a module, like module.function({NAME}).");
+    }
+    this.module = match[1];
+    this.func = match[2];
+    var names = this.inputs.map(function(input) { return input.name; });
+    this.arguments = match[3].trim() ? match[3].split(',').map(function(argument) {
+        var placeholder = /^\s*\{(\w+)\}\s*$/.exec(argument);
+        if (!placeholder) {
+            throw new Error("Each argument in the Python of "+type+" must be an input, like {NAME}.");
+        }
+        if (names.indexOf(placeholder[1]) == -1) {
+            throw new Error("The Python of "+type+" uses {"+placeholder[1]+"}, which isn't one of its inputs.");
+        }
+        return placeholder[1];
+    }) : [];
+    names.forEach(function(name) {
+        if (this.arguments.indexOf(name) == -1) {
+            throw new Error("The Python of "+type+" doesn't use the input {"+name+"}.");
+        }
+    }, this);
+}
+
+/**
+ * @returns {Object} The block's definition in Blockly's JSON format.
+ */
+BlockPyBlockSpec.prototype.toBlocklyJson = function() {
+    var json = {
+        'message0': this.message,
+        'args0': this.inputs.map(function(input) {
+            switch (input.kind) {
+                case 'text':
+                    return {'type': 'field_input', 'name': input.name,
+                            'text': input['default'] === undefined ? '' : String(input['default'])};
+                case 'number':
+                    return {'type': 'field_number', 'name': input.name,
+                            'value': input['default'] === undefined ? 0 : input['default']};
+                case 'dropdown':
+                    return {'type': 'field_dropdown', 'name': input.name, 'options': input.options};
+                case 'value':
+                    return {'type': 'input_value', 'name': input.name, 'check': input.check};
+            }
+        }),
+        'inputsInline': true,
+        'colour': this.colour === undefined ? BlockPyBlockSpec.DEFAULT_COLOUR : this.colour,
+        'tooltip': this.tooltip
+    };
+    if (this.isExpression()) {
+        json['output'] = this.output === true ? null : this.output;
+    } else {
+        json['previousStatement'] = null;
+        json['nextStatement'] = null;
+    }
+    return json;
+}
+
+/**
+ * @returns {Boolean} Whether the block is an expression, instead of a statement.
+ */
+BlockPyBlockSpec.prototype.isExpression = function() {
+    return this.output !== undefined && this.output !== null && this.output !== false;
+}
+
+/**
+ * Makes the Python for one of the block's inputs.
+ *
+ * @param {Blockly.Block} block - The block made from this spec.
+ * @param {Object} input - The input's description.
+ * @returns {String} The Python code.
+ */
+BlockPyBlockSpec.prototype.inputToPython = function(block, input) {
+    switch (input.kind) {
+        case 'text': case 'dropdown':
+            return Blockly.Python.quote_(block.getFieldValue(input.name));
+        case 'number':
+            return String(Number(block.getFieldValue(input.name)));
+        case 'value':
+            return Blockly.Python.valueToCode(block, input.name, Blockly.Python.ORDER_NONE) || 'None';
+    }
+}
+
+/**
+ * @returns {Array} The block's entry for PythonToBlocks.KNOWN_MODULES, which
+ *                  maps each argument of the call back into the block.
+ */
+BlockPyBlockSpec.prototype.toKnownModule = function() {
+    var inputs = {};
+    this.inputs.forEach(function(input) {
+        inputs[input.name] = input;
+    });
+    var definition = [(this.isExpression() ? '' : '*')+this.type];
+    this.arguments.forEach(function(name) {
+        switch (inputs[name].kind) {
+            case 'text': case 'dropdown':
+                definition.push(name);
+                break;
+            case 'number':
+                definition.push({'type': 'integer', 'name': name});
+                break;
+            case 'value':
+                definition.push({'type': 'variable', 'mode': 'value', 'name': name});
+                break;
+        }
+    });
+    return definition;
+}
+
+/**
+ * Defines the block, its Python, and how its Python is turned back into the
+ * block.
+ *
+ * @throws {Error} If there is already a block with the same type, or if the
+ *                 same module's function already turns into another block.
+ */
+BlockPyBlockSpec.prototype.register = function() {
+    var type = this.type;
+    if (Blockly.Blocks[type]) {
+        throw new Error("There is already a block named "+type+".");
+    }
+    var known = PythonToBlocks.KNOWN_MODULES[this.module];
+    // A dataset's spec can take over the mapping to its own block from the built-in one
+    var previous = known === undefined ? undefined : known[this.func];
+    if (previous !== undefined && previous[0].replace(/^\*/, '') != type) {
+        throw new Error("There is already a block for "+this.module+"."+this.func+".");
+    }
+    this.previousKnownModule = previous;
+    var spec = this, json = this.toBlocklyJson();
+    Blockly.Blocks[type] = {
+        init: function() {
+            this.jsonInit(json);
+        }
+    };
+    Blockly.Python[type] = function(block) {
+        Blockly.Python.definitions_['import_'+spec.module] = spec.importLine;
+        var inputs = {};
+        spec.inputs.forEach(function(input) {
+            inputs[input.name] = spec.inputToPython(block, input);
+        });
+        var code = spec.module+'.'+spec.func+'('+spec.arguments.map(function(name) {
+            return inputs[name];
+        }).join(', ')+')';
+        if (spec.isExpression()) {
+            return [code, Blockly.Python.ORDER_FUNCTION_CALL];
+        }
+        return code+'\n';
+    };
+    if (known === undefined) {
+        PythonToBlocks.KNOWN_MODULES[this.module] = {};
+        BlockPyBlockSpec.addedModules[this.module] = true;
+    }
+    PythonToBlocks.KNOWN_MODULES[this.module][this.func] = this.toKnownModule();
+    BlockPyBlockSpec.registered[type] = this;
+}
+
+/**
+ * Removes everything that register defined for the block.
+ */
+BlockPyBlockSpec.prototype.unregister = function() {
+    delete Blockly.Blocks[this.type];
+    delete Blockly.Python[this.type];
+    var known = PythonToBlocks.KNOWN_MODULES[this.module];
+    if (known !== undefined && this.previousKnownModule !== undefined) {
+        known[this.func] = this.previousKnownModule;
+    } else if (known !== undefined) {
+        delete known[this.func];
+        if (this.module in BlockPyBlockSpec.addedModules && !Object.keys(known).length) {
+            delete PythonToBlocks.KNOWN_MODULES[this.module];
+            delete BlockPyBlockSpec.addedModules[this.module];
+        }
+    }
+    delete BlockPyBlockSpec.registered[this.type];
+}
+
+/**
+ * Removes every block that was registered from a spec in the given group.
+ *
+ * @param {String} group - Where the specs came from (see registerAll).
+ */
+BlockPyBlockSpec.unregisterAll = function(group) {
+    for (var type in BlockPyBlockSpec.registered) {
+        if (BlockPyBlockSpec.registered[type].group == group) {
+            BlockPyBlockSpec.registered[type].unregister();
+        }
+    }
+}
+
+/**
+ * Registers a list of blocks described in JSON, in place of any that were
+ * registered before from the same group (e.g., for another assignment). A
+ * spec that isn't valid, or that clashes with another block, is skipped, so
+ * that the rest can still be used.
+ *
+ * @param {Array.<Object>} specs - The JSON descriptions of the blocks.
+ * @param {String} group - Where the specs came from: 'assignment', or the slug of a dataset.
+ * @returns {Array.<String>} A message for each spec that couldn't be registered.
+ */
+BlockPyBlockSpec.registerAll = function(specs, group) {
+    var problems = [];
+    BlockPyBlockSpec.unregisterAll(group);
+    (specs || []).forEach(function(spec, index) {
+        try {
+            var blockSpec = new BlockPyBlockSpec(spec);
+            blockSpec.group = group;
+            blockSpec.register();
+        } catch (e) {
+            problems.push("Block "+(index+1)+": "+e.message);
+        }
+    });
+    return problems;
+}
+
+if (typeof exports !== 'undefined') {
+    exports.BlockPyBlockSpec = BlockPyBlockSpec;
+}
@@ -0,0 +1,349 @@
+Blockly.Blocks['exceptions_try'] = {
+  /**
+   * Block for try/except/else/finally. The number of except clauses, and
+   * whether there is an else or a finally, are stored in the mutation.
+   * @this Blockly.Block
+   */
+  init: function() {
+    this.setColour(345);
+    this.appendStatementInput('BODY')
+        .appendField('try');
+    this.setPreviousStatement(true, null);
+    this.setNextStatement(true, null);
+    this.setTooltip('Run the body, and if an error happens, run the first except clause that matches it.');
+    this.setHelpUrl('');
+    this.handlerCount_ = 1;
+    this.elseCount_ = 0;
+    this.finallyCount_ = 0;
+    this.updateShape_();
+  },
+  /**
+   * Create XML to represent the except, else, and finally clauses.
+   * @return {Element} XML storage element.
+   * @this Blockly.Block
+   */
+  mutationToDom: function() {
+    var container = document.createElement('mutation');
+    container.setAttribute('handlers', this.handlerCount_);
+    if (this.elseCount_) {
+      container.setAttribute('else', 1);
+    }
+    if (this.finallyCount_) {
+      container.setAttribute('finally', 1);
+    }
+    return container;
+  },
+  /**
+   * Parse XML to restore the except, else, and finally clauses.
+   * @param {!Element} xmlElement XML storage element.
+   * @this Blockly.Block
+   */
+  domToMutation: function(xmlElement) {
+    var handlers = parseInt(xmlElement.getAttribute('handlers'), 10);
+    this.handlerCount_ = isNaN(handlers) ? 1 : handlers;
+    this.elseCount_ = parseInt(xmlElement.getAttribute('else'), 10) || 0;
+    this.finallyCount_ = parseInt(xmlElement.getAttribute('finally'), 10) || 0;
+    this.updateShape_();
+  },
+  /**
+   * Modify this block to have the correct number of inputs.
+   * @private
+   * @this Blockly.Block
+   */
+  updateShape_: function() {
+    // Delete everything but the body.
+    var i = 0;
+    while (this.getInput('HANDLER' + i)) {
+      this.removeInput('TYPE' + i);
+      this.removeInput('NAME' + i);
+      this.removeInput('HANDLER' + i);
+      i++;
+    }
+    if (this.getInput('ELSE')) {
+      this.removeInput('ELSE');
+    }
+    if (this.getInput('FINALLY')) {
+      this.removeInput('FINALLY');
+    }
+    // Rebuild block.
+    for (i = 0; i < this.handlerCount_; i++) {
+      this.appendValueInput('TYPE' + i)
+          .appendField('except');
+      this.appendValueInput('NAME' + i)
+          .appendField('as');
+      this.appendStatementInput('HANDLER' + i);
+    }
+    if (this.elseCount_) {
+      this.appendStatementInput('ELSE')
+          .appendField('else');
+    }
+    if (this.finallyCount_) {
+      this.appendStatementInput('FINALLY')
+          .appendField('finally');
+    }
+  }
+};
+
+Blockly.Python['exceptions_try'] = function(block) {
+  var body = Blockly.Python.statementToCode(block, 'BODY') ||
+      Blockly.Python.PASS;
+  var code = 'try:\n' + body;
+  for (var i = 0; block.getInput('HANDLER' + i); i++) {
+    var type = Blockly.Python.valueToCode(block, 'TYPE' + i,
+        Blockly.Python.ORDER_NONE);
+    var name = Blockly.Python.valueToCode(block, 'NAME' + i,
+        Blockly.Python.ORDER_NONE);
+    var handler = Blockly.Python.statementToCode(block, 'HANDLER' + i) ||
+        Blockly.Python.PASS;
+    code += 'except' + (type ? ' ' + type : '') +
+        (type && name ? ' as ' + name : '') + ':\n' + handler;
+  }
+  if (block.getInput('ELSE')) {
+    code += 'else:\n' + (Blockly.Python.statementToCode(block, 'ELSE') ||
+        Blockly.Python.PASS);
+  }
+  if (block.getInput('FINALLY')) {
+    code += 'finally:\n' + (Blockly.Python.statementToCode(block, 'FINALLY') ||
+        Blockly.Python.PASS);
+  }
+  return code;
+};
+
+Blockly.Blocks['exceptions_raise'] = {
+  /**
+   * Block for raising an exception. Python 2 allows a value and a traceback
+   * after the type; how many are given is stored in the mutation.
+   * @this Blockly.Block
+   */
+  init: function() {
+    this.setColour(345);
+    this.setInputsInline(true);
+    this.setPreviousStatement(true, null);
+    this.setNextStatement(true, null);
+    this.setTooltip('Cause an error.');
+    this.setHelpUrl('');
+    this.valueCount_ = 1;
+    this.updateShape_();
+  },
+  /**
+   * Create XML to represent the number of values.
+   * @return {Element} XML storage element.
+   * @this Blockly.Block
+   */
+  mutationToDom: function() {
+    var container = document.createElement('mutation');
+    container.setAttribute('values', this.valueCount_);
+    return container;
+  },
+  /**
+   * Parse XML to restore the number of values.
+   * @param {!Element} xmlElement XML storage element.
+   * @this Blockly.Block
+   */
+  domToMutation: function(xmlElement) {
+    var values = parseInt(xmlElement.getAttribute('values'), 10);
+    this.valueCount_ = isNaN(values) ? 1 : Math.max(0, Math.min(3, values));
+    this.updateShape_();
+  },
+  /**
+   * Modify this block to have the correct number of inputs.
+   * @private
+   * @this Blockly.Block
+   */
+  updateShape_: function() {
+    var names = ['TYPE', 'INST', 'TBACK'];
+    names.forEach(function(name) {
+      if (this.getInput(name)) {
+        this.removeInput(name);
+      }
+    }, this);
+    if (this.getInput('EMPTY')) {
+      this.removeInput('EMPTY');
+    }
+    if (!this.valueCount_) {
+      this.appendDummyInput('EMPTY')
+          .appendField('raise');
+    }
+    for (var i = 0; i < this.valueCount_; i++) {
+      this.appendValueInput(names[i])
+          .appendField(i == 0 ? 'raise' : ',');
+    }
+  }
+};
+
+Blockly.Python['exceptions_raise'] = function(block) {
+  var values = [];
+  ['TYPE', 'INST', 'TBACK'].forEach(function(name) {
+    if (block.getInput(name)) {
+      values.push(Blockly.Python.valueToCode(block, name,
+          Blockly.Python.ORDER_NONE) || '___');
+    }
+  });
+  return 'raise' + (values.length ? ' ' + values.join(', ') : '') + '\n';
+};
+
+Blockly.Blocks['exceptions_assert'] = {
+  init: function() {
+    this.appendValueInput('TEST')
+        .setCheck(null)
+        .appendField('assert');
+    this.appendValueInput('MSG')
+        .setCheck(null)
+        .appendField(',');
+    this.setInputsInline(true);
+    this.setPreviousStatement(true, null);
+    this.setNextStatement(true, null);
+    this.setColour(345);
+    this.setTooltip('Cause an error (with the optional message) if the test is not True.');
+    this.setHelpUrl('');
+  }
+};
+
+Blockly.Python['exceptions_assert'] = function(block) {
+  var test = Blockly.Python.valueToCode(block, 'TEST',
+      Blockly.Python.ORDER_NONE) || '___';
+  var msg = Blockly.Python.valueToCode(block, 'MSG',
+      Blockly.Python.ORDER_NONE);
+  return 'assert ' + test + (msg ? ', ' + msg : '') + '\n';
+};
+
+Blockly.Blocks['exceptions_with'] = {
+  /**
+   * Block for a with statement. The number of items (each an expression and
+   * an optional target) is stored in the mutation; the first item's inputs
+   * are EXPR and TARGET, and the others' are EXPR1, TARGET1, and so on.
+   * @this Blockly.Block
+   */
+  init: function() {
+    this.appendValueInput('EXPR')
+        .setCheck(null)
+        .appendField('with');
+    this.appendValueInput('TARGET')
+        .setCheck(null)
+        .appendField('as');
+    this.appendStatementInput('BODY');
+    this.setInputsInline(true);
+    this.setPreviousStatement(true, null);
+    this.setNextStatement(true, null);
+    this.setColour(345);
+    this.setTooltip('Use something (like an open file) in the body, and then clean it up (like closing the file), even if there is an error.');
+    this.setHelpUrl('');
+    this.itemCount_ = 1;
+  },
+  /**
+   * Create XML to represent the number of items.
+   * @return {Element} XML storage element.
+   * @this Blockly.Block
+   */
+  mutationToDom: function() {
+    var container = document.createElement('mutation');
+    container.setAttribute('items', this.itemCount_);
+    return container;
+  },
+  /**
+   * Parse XML to restore the number of items.
+   * @param {!Element} xmlElement XML storage element.
+   * @this Blockly.Block
+   */
+  domToMutation: function(xmlElement) {
+    var items = parseInt(xmlElement.getAttribute('items'), 10);
+    this.itemCount_ = isNaN(items) ? 1 : Math.max(1, items);
+    this.updateShape_();
+  },
+  /**
+   * Modify this block to have the correct number of inputs.
+   * @private
+   * @this Blockly.Block
+   */
+  updateShape_: function() {
+    // Delete every item but the first.
+    var i = 1;
+    while (this.getInput('EXPR' + i)) {
+      this.removeInput('EXPR' + i);
+      this.removeInput('TARGET' + i);
+      i++;
+    }
+    // Rebuild block, keeping the body last.
+    for (i = 1; i < this.itemCount_; i++) {
+      this.appendValueInput('EXPR' + i)
+          .setCheck(null)
+          .appendField(',');
+      this.appendValueInput('TARGET' + i)
+          .setCheck(null)
+          .appendField('as');
+      this.moveInputBefore('EXPR' + i, 'BODY');
+      this.moveInputBefore('TARGET' + i, 'BODY');
+    }
+  }
+};
+
+Blockly.Python['exceptions_with'] = function(block) {
+  var items = [];
+  for (var i = 0; block.getInput('EXPR' + (i ? i : '')); i++) {
+    var suffix = i ? String(i) : '';
+    var expr = Blockly.Python.valueToCode(block, 'EXPR' + suffix,
+        Blockly.Python.ORDER_NONE) || '___';
+    var target = Blockly.Python.valueToCode(block, 'TARGET' + suffix,
+        Blockly.Python.ORDER_NONE);
+    items.push(expr + (target ? ' as ' + target : ''));
+  }
+  var body = Blockly.Python.statementToCode(block, 'BODY') ||
+      Blockly.Python.PASS;
+  return 'with ' + items.join(', ') + ':\n' + body;
+};
+
+Blockly.Blocks['global_names'] = {
+  init: function() {
+    this.appendDummyInput()
+        .appendField('global')
+        .appendField(new Blockly.FieldTextInput('name'), 'NAMES');
+    this.setPreviousStatement(true, null);
+    this.setNextStatement(true, null);
+    this.setColour(210);
+    this.setTooltip('Let this function change these variables from outside of it. Separate the names with commas.');
+    this.setHelpUrl('');
+  }
+};
+
+Blockly.Python['global_names'] = function(block) {
+  var names = block.getFieldValue('NAMES').split(',').map(function(name) {
+    return name.trim();
+  }).filter(function(name) {
+    return name.length > 0;
+  });
+  return 'global ' + (names.join(', ') || '___') + '\n';
+};
+
+Blockly.Blocks['exec_code'] = {
+  init: function() {
+    this.appendValueInput('BODY')
+        .setCheck(null)
+        .appendField('exec');
+    this.appendValueInput('GLOBALS')
+        .setCheck(null)
+        .appendField('in');
+    this.appendValueInput('LOCALS')
+        .setCheck(null)
+        .appendField(',');
+    this.setInputsInline(true);
+    this.setPreviousStatement(true, null);
+    this.setNextStatement(true, null);
+    this.setColour(180);
+    this.setTooltip('Run some Python code, optionally with the given global and local variables.');
+    this.setHelpUrl('');
+  }
+};
+
+Blockly.Python['exec_code'] = function(block) {
+  var body = Blockly.Python.valueToCode(block, 'BODY',
+      Blockly.Python.ORDER_NONE) || '___';
+  var globals = Blockly.Python.valueToCode(block, 'GLOBALS',
+      Blockly.Python.ORDER_NONE);
+  var locals = Blockly.Python.valueToCode(block, 'LOCALS',
+      Blockly.Python.ORDER_NONE);
+  var code = 'exec ' + body;
+  if (globals || locals) {
+    code += ' in ' + (globals || '___') + (locals ? ', ' + locals : '');
+  }
+  return code + '\n';
+};
@@ -25,6 +25,10 @@ BlockPyCorgis.prototype.loadDatasets = function(silently) {
         server = this.main.components.server;
     var imports = [];
     model.assignment.modules().forEach(function(name) {
+        // Custom categories and levels aren't datasets
+        if (typeof name != 'string' || BlockPyEditor.isLevel(name)) {
+            return;
+        }
         var post_prefix = name.substring(7).replace(/\s/g, '_').toLowerCase();
         if (!(name in BlockPyEditor.CATEGORY_MAP)) {
             imports.push.apply(imports, corgis.importDataset(post_prefix, name, silently));
@@ -47,7 +51,7 @@ BlockPyCorgis.prototype.loadDatasets = function(silently) {
 /**
  * Loads the definitions for a dataset into the environment, including
  * the dataset (as a JS file), the skulpt bindings, and the blockly
- * bindings. This requires access to a CORGIS server, and occurs
+ * bindings (as block specs in a `_blocks.json` file, or as a JS file). This requires access to a CORGIS server, and occurs
  * asynchronously. The requests are fired and their deferred objects
  * are returned - callers can use this information to perform an action
  * on completion of the import.
@@ -68,7 +72,21 @@ BlockPyCorgis.prototype.importDataset = function(slug, name, silently) {
         var get_skulpt = $.get(root+'_skulpt.js', function(data) {
             Sk.builtinFiles['files']['src/lib/'+slug+'/__init__.js'] = data;
         });
-        var get_blockly = $.getScript(root+'_blockly.js');
+        // Blocks can be described in JSON, or else defined in JavaScript
+        var editor = this.main.components.editor;
+        var get_blockly = $.getJSON(root+'_blocks.json').then(function(data) {
+            var problems = BlockPyBlockSpec.registerAll(data.blocks, slug);
+            problems.forEach(function(problem) {
+                console.error(name+": "+problem);
+            });
+            BlockPyEditor.CATEGORY_MAP[name] = editor.createCategoryXml({
+                'name': name,
+                'color': data.colour === undefined ? BlockPyBlockSpec.DEFAULT_COLOUR : data.colour,
+                'blocks': (data.blocks || []).map(function(spec) { return spec.type; })
+            });
+        }, function() {
+            return $.getScript(root+'_blockly.js');
+        });
         // On completion, update menus.
         var corgis = this;
         $.when(get_dataset, get_skulpt, 
@@ -0,0 +1,373 @@
+/**
+ * An interactive debugger for the student's code. While debugging, Skulpt is
+ * compiled with debug suspensions (Sk.debugging), so that the program can be
+ * paused before any statement. The student can set breakpoints on lines (from
+ * the text editor's gutter or a block's context menu), step over, into, or out
+ * of function calls, and inspect the variables of every frame on the stack.
+ *
+ * @constructor
+ * @this {BlockPyDebugger}
+ * @param {Object} main - The main BlockPy instance
+ */
+function BlockPyDebugger(main) {
+    this.main = main;
+
+    // How to proceed after resuming: 'continue', 'into', 'over', or 'out'
+    this.mode = 'continue';
+    // The depth of the stack when the student last resumed
+    this.depth = 0;
+    // Resumes (or stops) the paused program
+    this.resumeCallback = null;
+    this.stopCallback = null;
+    // Whether the student asked to stop the program while it was running
+    this.stopRequested = false;
+    // When the program was last paused, so that pausing doesn't count against the time limit
+    this.pausedAt = null;
+    // The line ranges of each function definition, for naming frames
+    this.functionRanges = [];
+
+    this.initModel();
+}
+
+/**
+ * Adds the view helpers for the debugger panel to the model.
+ */
+BlockPyDebugger.prototype.initModel = function() {
+    var debug = this.main.model['debugger'];
+    var self = this;
+    debug.current_frame = ko.pureComputed(function() {
+        return debug.frames()[Math.min(debug.frames().length-1, debug.frame())];
+    });
+    debug.resume = function(mode) {
+        return function() { self.resume(mode); };
+    };
+    debug.stop = function() {
+        self.stop();
+    };
+    debug.selectFrame = function(index) {
+        return function() { debug.frame(index); };
+    };
+    debug.breakpoints.subscribe(function() {
+        self.main.components.editor.refreshBreakpoints();
+    });
+}
+
+// How many milliseconds the program runs before giving the page a chance to respond (e.g., to Stop)
+BlockPyDebugger.prototype.YIELD_LIMIT = 100;
+
+/**
+ * Starts running the student's code in the debugger. If there are no breakpoints,
+ * then the program is paused on the first line.
+ */
+BlockPyDebugger.prototype.start = function() {
+    var debug = this.main.model['debugger'];
+    if (debug.active()) {
+        return;
+    }
+    this.mode = debug.breakpoints().length ? 'continue' : 'into';
+    this.depth = 0;
+    debug.active(true);
+    this.main.components.server.logEvent('debugger', 'start');
+    this.main.components.engine.on_run();
+}
+
+/**
+ * Sets up Skulpt to run the student code with debug suspensions. Called by the
+ * engine right before the student code is run.
+ *
+ * @returns {Object} The suspension handlers to pass along to Sk.misceval.asyncToPromise.
+ */
+BlockPyDebugger.prototype.prepare = function() {
+    Sk.debugging = true;
+    Sk.breakpoints = this.shouldSuspend.bind(this);
+    // Yield now and then, so that a long-running program can still be stopped
+    this.savedYieldLimit = Sk.yieldLimit;
+    Sk.yieldLimit = this.YIELD_LIMIT;
+    this.stopRequested = false;
+    this.pausedAt = null;
+    this.findFunctionRanges();
+    return {'Sk.debug': this.handleSuspension.bind(this),
+            'Sk.yield': this.handleYield.bind(this)};
+}
+
+/**
+ * Cleans up after the student's code has finished running in the debugger.
+ */
+BlockPyDebugger.prototype.finish = function() {
+    var debug = this.main.model['debugger'];
+    Sk.debugging = false;
+    Sk.yieldLimit = this.savedYieldLimit;
+    this.resumeCallback = null;
+    this.stopCallback = null;
+    this.stopRequested = false;
+    debug.paused(false);
+    debug.frames.removeAll();
+    debug.active(false);
+}
+
+/**
+ * Whether the given line has a breakpoint on it.
+ *
+ * @param {Number} line - The line number (1-indexed).
+ * @returns {Boolean} Whether there's a breakpoint.
+ */
+BlockPyDebugger.prototype.isBreakpoint = function(line) {
+    return arrayContains(line, this.main.model['debugger'].breakpoints());
+}
+
+/**
+ * Adds a breakpoint to the given line, or removes it if there already is one.
+ *
+ * @param {Number} line - The line number (1-indexed).
+ */
+BlockPyDebugger.prototype.toggleBreakpoint = function(line) {
+    var breakpoints = this.main.model['debugger'].breakpoints;
+    if (this.isBreakpoint(line)) {
+        breakpoints.remove(line);
+    } else {
+        breakpoints.push(line);
+    }
+    this.main.components.server.logEvent('debugger', 'breakpoint', line);
+}
+
+/**
+ * Used as Sk.breakpoints; decides whether Skulpt should create a debug
+ * suspension before the statement at the given location.
+ *
+ * @param {String} filename - The name of the python file being executed (e.g., "__main__.py").
+ * @param {Number} lineNumber - The line of the statement.
+ * @param {Number} columnNumber - The column of the statement.
+ * @returns {Boolean} Whether to suspend.
+ */
+BlockPyDebugger.prototype.shouldSuspend = function(filename, lineNumber, columnNumber) {
+    if (filename != '__main__.py') {
+        return false;
+    }
+    return this.mode != 'continue' || this.isBreakpoint(lineNumber);
+}
+
+/**
+ * Unrolls a suspension into the frames of the student's code, outermost first.
+ *
+ * @param {Suspension} suspension - The top-level Skulpt suspension.
+ * @returns {Array.<Suspension>} The suspensions for each frame.
+ */
+BlockPyDebugger.prototype.getStack = function(suspension) {
+    var stack = [];
+    while (suspension instanceof Sk.misceval.Suspension) {
+        if (suspension.$filename == '__main__.py') {
+            stack.push(suspension);
+        }
+        suspension = suspension.child;
+    }
+    return stack;
+}
+
+/**
+ * Handles a debug suspension, either pausing the program or letting it continue
+ * on, depending on the current stepping mode.
+ *
+ * @param {Suspension} suspension - The top-level Skulpt suspension.
+ * @returns {Promise|undefined} A promise that resumes the program later, or
+ *                              undefined to resume immediately.
+ */
+BlockPyDebugger.prototype.handleSuspension = function(suspension) {
+    var stack = this.getStack(suspension);
+    if (!stack.length) {
+        return undefined;
+    }
+    var depth = stack.length,
+        line = stack[depth-1].$lineno;
+    var shouldPause = this.isBreakpoint(line);
+    switch (this.mode) {
+        case 'into': shouldPause = true; break;
+        case 'over': shouldPause = shouldPause || depth <= this.depth; break;
+        case 'out': shouldPause = shouldPause || depth < this.depth; break;
+    }
+    if (!shouldPause) {
+        return undefined;
+    }
+    this.pause(stack);
+    var self = this;
+    return new Promise(function(resolve, reject) {
+        self.resumeCallback = function() {
+            try {
+                resolve(suspension.resume());
+            } catch (error) {
+                reject(error);
+            }
+        };
+        self.stopCallback = function() {
+            reject(new Sk.builtin.SystemExit("The program was stopped before it finished."));
+        };
+    });
+}
+
+/**
+ * Handles the program yielding while it runs, giving the page a chance to
+ * respond before resuming, and stopping it if the student asked to.
+ *
+ * @param {Suspension} suspension - The top-level Skulpt suspension.
+ * @returns {Promise} A promise that resumes (or stops) the program.
+ */
+BlockPyDebugger.prototype.handleYield = function(suspension) {
+    var self = this;
+    return new Promise(function(resolve, reject) {
+        setTimeout(function() {
+            if (self.stopRequested) {
+                self.stopRequested = false;
+                reject(new Sk.builtin.SystemExit("The program was stopped before it finished."));
+                return;
+            }
+            try {
+                resolve(suspension.resume());
+            } catch (error) {
+                reject(error);
+            }
+        }, 0);
+    });
+}
+
+/**
+ * Pauses the program, showing the current line and the frames on the stack.
+ *
+ * @param {Array.<Suspension>} stack - The suspensions for each frame, outermost first.
+ */
+BlockPyDebugger.prototype.pause = function(stack) {
+    var debug = this.main.model['debugger'];
+    var engine = this.main.components.engine;
+    var editor = this.main.components.editor;
+    var line = stack[stack.length-1].$lineno;
+    this.depth = stack.length;
+    var frames = stack.map(this.parseFrame.bind(this)).reverse();
+    debug.frames(frames);
+    debug.frame(0);
+    debug.paused(true);
+    this.pausedAt = Date.now();
+    // Show the trace so far
+    engine.lastStep();
+    editor.highlightLine(line-1);
+    editor.refreshBlockHighlight(line-1);
+}
+
+/**
+ * Converts a suspension into a simple description of its frame.
+ *
+ * @param {Suspension} suspension - The suspension of one frame.
+ * @param {Number} index - The position of the frame on the stack (0 is the module).
+ * @returns {Object} The frame's name, line, and variables.
+ */
+BlockPyDebugger.prototype.parseFrame = function(suspension, index) {
+    var engine = this.main.components.engine;
+    var variables;
+    if (index == 0) {
+        variables = suspension.$gbl;
+    } else {
+        // Skulpt keeps a function's locals alongside its temporaries
+        variables = {};
+        for (var name in suspension.$tmps) {
+            if (name.charAt(0) != '$' && suspension.$tmps[name] !== undefined) {
+                variables[name] = suspension.$tmps[name];
+            }
+        }
+    }
+    return {
+        'name': index == 0 ? '<module>' : this.getFunctionName(suspension.$lineno),
+        'line': suspension.$lineno,
+        'variables': engine.parseGlobals(variables).properties
+    };
+}
+
+/**
+ * Records the lines spanned by each function definition in the student's code,
+ * so that frames can be given names.
+ */
+BlockPyDebugger.prototype.findFunctionRanges = function() {
+    var report = this.main.model.execution.reports['parser'];
+    var ranges = [];
+    if (report && report.success) {
+        var walker = new NodeVisitor();
+        walker.recursive_walk(report.ast).forEach(function(node) {
+            if (node._astname == 'FunctionDef') {
+                var end = node.lineno;
+                walker.recursive_walk(node).forEach(function(child) {
+                    if (child.lineno !== undefined) {
+                        end = Math.max(end, child.lineno);
+                    }
+                });
+                ranges.push({'name': node.name.v, 'start': node.lineno, 'end': end});
+            }
+        });
+    }
+    this.functionRanges = ranges;
+}
+
+/**
+ * Finds the name of the innermost function that contains the given line.
+ *
+ * @param {Number} line - The line number (1-indexed).
+ * @returns {String} The function's name.
+ */
+BlockPyDebugger.prototype.getFunctionName = function(line) {
+    var best = null;
+    this.functionRanges.forEach(function(range) {
+        if (range.start <= line && line <= range.end &&
+            (best === null || range.start > best.start)) {
+            best = range;
+        }
+    });
+    return best === null ? '<function>' : best.name;
+}
+
+/**
+ * Resumes the paused program.
+ *
+ * @param {String} mode - How far to run: 'continue' (until the next breakpoint),
+ *                        'into' (the next statement), 'over' (the next statement
+ *                        in this function), or 'out' (until this function returns).
+ */
+BlockPyDebugger.prototype.resume = function(mode) {
+    var debug = this.main.model['debugger'];
+    if (this.resumeCallback === null) {
+        return;
+    }
+    var resumeCallback = this.resumeCallback;
+    this.resumeCallback = null;
+    this.stopCallback = null;
+    this.mode = mode;
+    debug.paused(false);
+    this.restartClock();
+    this.main.components.editor.unhighlightLines();
+    this.main.components.server.logEvent('debugger', mode);
+    resumeCallback();
+}
+
+/**
+ * Moves the start of the time limit forward by how long the program was
+ * paused, so that only the time spent running counts against it.
+ */
+BlockPyDebugger.prototype.restartClock = function() {
+    if (this.pausedAt !== null && Sk.execStart !== undefined) {
+        Sk.execStart = Sk.execStart.valueOf() + (Date.now() - this.pausedAt);
+    }
+    this.pausedAt = null;
+}
+
+/**
+ * Stops the program, either right away if it's paused, or the next time
+ * that it yields if it's running.
+ */
+BlockPyDebugger.prototype.stop = function() {
+    if (this.stopCallback === null) {
+        if (this.main.model['debugger'].active()) {
+            this.stopRequested = true;
+            this.main.components.server.logEvent('debugger', 'stop');
+        }
+        return;
+    }
+    var stopCallback = this.stopCallback;
+    this.resumeCallback = null;
+    this.stopCallback = null;
+    this.main.components.server.logEvent('debugger', 'stop');
+    stopCallback();
+}
@@ -17,12 +17,16 @@ function BlockPyEditor(main, tag) {
     
     // This tool is what actually converts text to blocks!
     this.converter = new PythonToBlocks();
+    this.roundTrip = new BlockPyRoundTrip(this.converter);
+    // The last code that the student chose to turn into blocks despite a warning
+    this.roundTripAccepted = null;
     
     // HTML DOM accessors
     this.blockTag = tag.find('.blockpy-blocks');
     this.blocklyDiv = this.blockTag.find('.blockly-div');
     this.textTag = tag.find('.blockpy-text');
     this.instructorTag = tag.find('.blockpy-instructor');
+    this.parsonsTag = tag.find('.blockpy-parsons');
     this.textSidebarTag = this.textTag.find(".blockpy-text-sidebar");
     
     // Blockly and CodeMirror instances
@@ -34,7 +38,13 @@ function BlockPyEditor(main, tag) {
     this.silenceText = false;
     this.silenceModel = 0;
     this.blocksFailed = false;
+    // Whether the blocks failed for only part of the code
+    this.blocksPartial = false;
     this.blocksFailedTimeout = null;
+    // Whether the next blocks should be broken apart for a Parsons problem
+    this.separateBlocks = false;
+    // The block (and its tooltip and empty socket) marked with the current error
+    this.errorBlock = null;
     
     // Hack to prevent chrome errors. Forces audio to load on demand. 
     // See: https://github.com/google/blockly/issues/299
@@ -103,6 +113,8 @@ function BlockPyEditor(main, tag) {
  * representation updated and enforce type checking.
  */
 BlockPyEditor.prototype.initBlockly = function() {
+    BlockPyEditor.installLevels();
+    BlockPyEditor.level = this.getLevel();
     this.blockly = Blockly.inject(this.blocklyDiv[0],
                                   { path: this.main.model.constants.blocklyPath, 
                                     scrollbars: this.main.model.constants.blocklyScrollbars, 
@@ -118,13 +130,40 @@ BlockPyEditor.prototype.initBlockly = function() {
         editor.blockly.highlightBlock(null);
         editor.updateBlocks();
     });
+    // New blocks get a context menu option for toggling breakpoints
+    this.blockly.addChangeListener(function(evt) {
+        if (evt.type == Blockly.Events.CREATE) {
+            evt.ids.forEach(function(id) {
+                var block = editor.blockly.getBlockById(id);
+                if (block) {
+                    editor.addBreakpointMenu(block);
+                }
+            });
+            editor.refreshBreakpoints();
+        }
+    });
+    // Remember where the student puts their blocks, but not where the
+    // blocks land when they are rebuilt from the code
+    this.blockly.addChangeListener(function(evt) {
+        if (!editor.silenceBlock &&
+            (evt.type == Blockly.Events.MOVE || evt.type == Blockly.Events.DELETE ||
+             (evt.type == Blockly.Events.CHANGE && evt.element == 'collapsed'))) {
+            editor.recordLayout();
+        }
+    });
     
     this.main.model.settings.filename.subscribe(function() {
         /*if (editor.main.model.settings.editor() == "Blocks") {
             editor.updateBlocksFromModel()
         }*/
     });
-    this.main.model.assignment.modules.subscribe(function() {editor.updateToolbox(true)});
+    this.main.model.assignment.modules.subscribe(function() {
+        editor.updateToolbox(true);
+        editor.setLevel();
+    });
+    this.main.model.assignment.block_specs.subscribe(function() {
+        editor.registerBlockSpecs();
+    });
     // Force the proper window size
     this.blockly.resize();
     // Keep the toolbox width set
@@ -187,6 +226,7 @@ BlockPyEditor.prototype.initText = function() {
                                         readOnly: this.main.model.settings.read_only(),
                                         showCursorWhenSelecting: true,
                                         lineNumbers: true,
+                                        gutters: ["CodeMirror-linenumbers", "blockpy-breakpoints"],
                                         firstLineNumber: 1,
                                         indentUnit: 4,
                                         tabSize: 4,
@@ -202,6 +242,10 @@ BlockPyEditor.prototype.initText = function() {
         editor.updateText()
         editor.unhighlightLines();
     });
+    // Clicking the gutter toggles breakpoints for the debugger
+    this.codeMirror.on("gutterClick", function(codeMirror, line) {
+        editor.main.components['debugger'].toggleBreakpoint(line+1);
+    });
 
     // Ensure that it fills the editor area
     this.codeMirror.setSize(null, "100%");
@@ -348,6 +392,21 @@ BlockPyEditor.prototype.showInstructorMenu = function() {
     this.instructorTag.show();
 }
 
+/**
+ * Hides the Parsons tab, where the lines of a Parsons problem are dragged around.
+ */
+BlockPyEditor.prototype.hideParsonsMenu = function() {
+    this.parsonsTag.hide();
+}
+
+/**
+ * Shows the Parsons tab, with the lines of the Parsons problem.
+ */
+BlockPyEditor.prototype.showParsonsMenu = function() {
+    this.parsonsTag.show();
+    this.main.components.parsons.render();
+}
+
 /**
  * Sets the current editor mode to Text, hiding the other menus.
  * Also forces the text side to update.
@@ -355,6 +414,7 @@ BlockPyEditor.prototype.showInstructorMenu = function() {
 BlockPyEditor.prototype.setModeToText = function() {
     this.hideBlockMenu();
     this.hideInstructorMenu();
+    this.hideParsonsMenu();
     this.showTextMenu();
     // Update the text model from the blocks
 }
@@ -368,8 +428,9 @@ BlockPyEditor.prototype.setModeToText = function() {
 BlockPyEditor.prototype.setModeToBlocks = function() {
     this.hideTextMenu();
     this.hideInstructorMenu();
+    this.hideParsonsMenu();
     this.showBlockMenu();
-    if (this.blocksFailed !== false) {
+    if (this.blocksFailed !== false && !this.blocksPartial) {
         this.showConversionError();
         var main = this.main;
         main.model.settings.editor("Text");
@@ -390,15 +451,68 @@ BlockPyEditor.prototype.setModeToBlocks = function() {
     }*/
 }
 
+/**
+ * Before leaving Text mode for a mode with blocks, checks whether turning the
+ * code into blocks (and back) would lose anything. If it would, a dialog shows
+ * what would change, and the mode is only switched if the student chooses to.
+ *
+ * @param {String} mode - The mode being switched to ("Blocks" or "Split").
+ * @returns {Boolean} Whether the mode can be switched right away.
+ */
+BlockPyEditor.prototype.confirmRoundTrip = function(mode) {
+    var main = this.main, editor = this;
+    if (main.model.settings.editor() != "Text") {
+        return true;
+    }
+    var code = this.codeMirror.getValue();
+    if (code.trim() === "" || code === this.roundTripAccepted) {
+        return true;
+    }
+    var report;
+    try {
+        report = this.roundTrip.check(code);
+    } catch (e) {
+        console.error(e);
+        return true;
+    }
+    if (report.lossless !== false) {
+        return true;
+    }
+    main.components.server.logEvent('editor', 'round trip', report.problems.join(' '));
+    var body = $("<div></div>");
+    $("<p></p>").text("Turning your code into blocks would change it:").appendTo(body);
+    var problems = $("<ul></ul>").appendTo(body);
+    report.problems.forEach(function(problem) {
+        $("<li></li>").text(problem).appendTo(problems);
+    });
+    body.append(this.roundTrip.diffToHtml(report.diff));
+    $("<button type='button' class='btn btn-warning'></button>")
+        .text("Switch to "+mode+" anyway")
+        .appendTo(body)
+        .click(function() {
+            editor.roundTripAccepted = code;
+            main.components.dialog.tag.modal('hide');
+            main.components.server.logEvent('editor', mode.toLowerCase());
+            main.model.settings.editor(mode);
+        });
+    main.components.dialog.show("Your code would change", body);
+    // Undo the toggling of the mode buttons
+    setTimeout(function() {
+        main.model.settings.editor.valueHasMutated();
+    }, 0);
+    return false;
+}
+
 /**
  * Sets the current editor mode to Split mode, hiding the other menus.
  */
 BlockPyEditor.prototype.setModeToSplit = function() {
     this.hideTextMenu();
     this.hideInstructorMenu();
+    this.hideParsonsMenu();
     this.hideBlockMenu();
     this.showSplitMenu();
-    if (this.blocksFailed !== false) {
+    if (this.blocksFailed !== false && !this.blocksPartial) {
         this.showConversionError();
     }
 }
@@ -409,11 +523,23 @@ BlockPyEditor.prototype.setModeToSplit = function() {
 BlockPyEditor.prototype.setModeToInstructor = function() {
     this.hideTextMenu();
     this.hideBlockMenu();
+    this.hideParsonsMenu();
     this.showInstructorMenu();
     //TODO: finish upload mode
     //this.main.reportError("editor", "Instructor mode has not been implemented");
 }
 
+/**
+ * Sets the current editor mode to the Parsons mode, where the lines of a
+ * Parsons problem are dragged into place as text, hiding the other menus.
+ */
+BlockPyEditor.prototype.setModeToParsons = function() {
+    this.hideTextMenu();
+    this.hideBlockMenu();
+    this.hideInstructorMenu();
+    this.showParsonsMenu();
+}
+
 BlockPyEditor.prototype.changeMode = function() {
     if (main.model.settings.editor() == "Blocks") {
         main.model.settings.editor("Text");
@@ -426,7 +552,7 @@ BlockPyEditor.prototype.changeMode = function() {
  * Dispatch method to set the mode to the given argument.
  * If the mode is invalid, an editor error is reported. If the 
  *
- * @param {String} mode - The new mode to set to ("Blocks", "Text", or "Instructor")
+ * @param {String} mode - The new mode to set to ("Blocks", "Text", "Split", "Instructor", "Upload", or "Parsons")
  */
 BlockPyEditor.prototype.setMode = function(mode) {
     // Either update the model, or go with the model's
@@ -446,6 +572,8 @@ BlockPyEditor.prototype.setMode = function(mode) {
         this.setModeToInstructor();
     } else if (mode == 'Upload') {
         this.setModeToText();
+    } else if (mode == 'Parsons') {
+        this.setModeToParsons();
     } else {
         this.main.components.feedback.internalError(""+mode, "Invalid Mode", "The editor attempted to change to an invalid mode.")
     }
@@ -482,7 +610,12 @@ BlockPyEditor.prototype.setBlocks = function(python_code) {
         var result = this.converter.convertSource(python_code);
         xml_code = result.xml;
         window.clearTimeout(this.blocksFailedTimeout);
-        if (result.error !== null) {
+        this.blocksPartial = !!result.partial;
+        if (result.error !== null && this.blocksPartial) {
+            // The rest of the code still became blocks, and the unparsed lines are marked
+            this.blocksFailed = result.error;
+            this.main.components.feedback.clearEditorErrors();
+        } else if (result.error !== null) {
             this.blocksFailed = result.error;
             var editor = this;
             this.blocksFailedTimeout = window.setTimeout(function() {
@@ -503,6 +636,7 @@ BlockPyEditor.prototype.setBlocks = function(python_code) {
         var blocklyXml = Blockly.Xml.textToDom(xml_code);
         try {
             this.setBlocksFromXml(blocklyXml);
+            this.markUnparsedBlocks(result.unparsed || []);
         } catch (e) {
             console.error(e);
             this.setBlocksFromXml(errorXml);
@@ -511,18 +645,199 @@ BlockPyEditor.prototype.setBlocks = function(python_code) {
         this.setBlocksFromXml(errorXml);
     }
     Blockly.Events.disable();
-    // Parsons shuffling
-    if (this.main.model.assignment.parsons()) {
-        this.blockly.shuffle();
-    } else {
-        this.blockly.align();
+    var separated = this.separateBlocks &&
+                    this.main.model.settings.filename() == "__main__";
+    if (separated) {
+        this.separateAllBlocks();
+    }
+    if (separated || !this.applyLayout()) {
+        // Parsons shuffling
+        if (this.main.model.assignment.parsons()) {
+            this.blockly.shuffle();
+        } else {
+            this.blockly.align();
+        }
     }
     Blockly.Events.enable();
+    if (separated) {
+        // The separated blocks are the student's code now
+        this.silenceBlock = false;
+        this.updateBlocks();
+        this.silenceBlock = true;
+    }
     if (this.previousLine !== null) {
         this.refreshBlockHighlight(this.previousLine);
     }
 }
 
+/**
+ * Puts a warning on each block that holds code that could not be parsed,
+ * so that the student can find the mistake while the rest of their
+ * program stays as blocks.
+ *
+ * @param {Array.<Object>} unparsed - The line and message of each region that could not be parsed.
+ */
+BlockPyEditor.prototype.markUnparsedBlocks = function(unparsed) {
+    var regions = {};
+    unparsed.forEach(function(region) {
+        regions[region.line] = region;
+    });
+    this.blockly.getAllBlocks().forEach(function(block) {
+        var region = regions[parseInt(block.lineNumber, 10)];
+        if (block.type == 'raw_block' && region !== undefined) {
+            block.setWarningText("This code has a mistake, so it could not be turned into blocks: "+
+                                 region.message);
+        }
+    });
+}
+
+/**
+ * Finds the key that each top-level block's layout is stored under: the first
+ * line of its code, and how many of the earlier blocks start with the same line.
+ *
+ * @param {Array.<Blockly.Block>} blocks - The top-level blocks, in the order of their code.
+ * @returns {Array.<String>} The key for each block.
+ */
+BlockPyEditor.prototype.getLayoutKeys = function(blocks) {
+    var seen = {};
+    Blockly.Python.init(this.blockly);
+    var keys = blocks.map(function(block) {
+        var code;
+        try {
+            code = Blockly.Python.blockToCode(block);
+        } catch (e) {
+            code = '';
+        }
+        if (goog.isArray(code)) {
+            code = code[0];
+        }
+        var lines = code.split('\n').map(function(line) {
+            return line.trim();
+        }).filter(function(line) {
+            return line.length > 0;
+        });
+        // Skip any block comments, which come before the code
+        var statements = lines.filter(function(line) {
+            return line.charAt(0) != '#';
+        });
+        var first = statements[0] || lines[0] || block.type;
+        seen[first] = (seen[first] || 0) + 1;
+        return first + '#' + (seen[first] - 1);
+    });
+    Blockly.Python.finish('');
+    return keys;
+}
+
+/**
+ * Remembers where each top-level block of the current file is, and which of
+ * its blocks are collapsed, so that they can be put back the same way after
+ * the blocks are rebuilt from the code (see applyLayout). Block comments
+ * aren't stored, since they are written into the code as Python comments,
+ * which already come back as comment blocks.
+ */
+BlockPyEditor.prototype.recordLayout = function() {
+    var layout = this.main.model.layouts[this.main.model.settings.filename()];
+    if (layout === undefined) {
+        return;
+    }
+    // The same order as the code
+    var blocks = this.blockly.getTopBlocks(true);
+    var keys = this.getLayoutKeys(blocks);
+    var entries = {};
+    blocks.forEach(function(block, index) {
+        var position = block.getRelativeToSurfaceXY();
+        var collapsed = [];
+        block.getDescendants().forEach(function(descendant, i) {
+            if (descendant.isCollapsed()) {
+                collapsed.push({'index': i, 'type': descendant.type});
+            }
+        });
+        entries[keys[index]] = {'x': position.x, 'y': position.y,
+                                'index': index, 'collapsed': collapsed};
+    });
+    layout(entries);
+}
+
+/**
+ * Puts the blocks back where the student left them, using the layout stored
+ * by recordLayout. A block whose first line was edited gets the position of
+ * the old block at the same place in the code. Any blocks that still have no
+ * position are lined up below the others.
+ *
+ * @returns {Boolean} Whether any of the blocks had a stored position.
+ */
+BlockPyEditor.prototype.applyLayout = function() {
+    var layout = this.main.model.layouts[this.main.model.settings.filename()];
+    var entries = layout === undefined ? {} : layout();
+    // The order they were created in is the same as the order of the code
+    var blocks = this.blockly.getTopBlocks(false);
+    var keys = this.getLayoutKeys(blocks);
+    var used = {};
+    var matches = keys.map(function(key) {
+        if (entries.hasOwnProperty(key)) {
+            used[key] = true;
+            return entries[key];
+        }
+        return null;
+    });
+    var unused = {};
+    for (var key in entries) {
+        if (entries.hasOwnProperty(key) && !used[key]) {
+            unused[entries[key].index] = entries[key];
+        }
+    }
+    matches = matches.map(function(entry, index) {
+        if (entry === null && unused[index] !== undefined) {
+            entry = unused[index];
+            delete unused[index];
+        }
+        return entry;
+    });
+    var placed = matches.some(function(entry) {
+        return entry !== null;
+    });
+    if (!placed) {
+        return false;
+    }
+    var bottom = 0, spacing = this.blockly.alignment_vertical_spacing;
+    blocks.forEach(function(block, index) {
+        var entry = matches[index];
+        if (entry !== null) {
+            var descendants = block.getDescendants();
+            (entry.collapsed || []).forEach(function(collapsed) {
+                var descendant = descendants[collapsed.index];
+                if (descendant && descendant.type == collapsed.type) {
+                    descendant.setCollapsed(true);
+                }
+            });
+            var position = block.getRelativeToSurfaceXY();
+            block.moveBy(entry.x - position.x, entry.y - position.y);
+            bottom = Math.max(bottom, entry.y + block.getHeightWidth().height + spacing);
+        }
+    });
+    blocks.forEach(function(block, index) {
+        if (matches[index] === null) {
+            var position = block.getRelativeToSurfaceXY();
+            block.moveBy(-position.x, bottom - position.y);
+            bottom += block.getHeightWidth().height + spacing;
+        }
+    });
+    return true;
+}
+
+/**
+ * Breaks the blocks apart so that every statement is on its own, for a
+ * Parsons problem that is just starting. The student then has to put the
+ * blocks back together.
+ */
+BlockPyEditor.prototype.separateAllBlocks = function() {
+    this.blockly.getAllBlocks().forEach(function(block) {
+        if (block.previousConnection && block.previousConnection.isConnected()) {
+            block.previousConnection.disconnect();
+        }
+    });
+}
+
 BlockPyEditor.prototype.clearDeadBlocks = function() {
     var all_blocks = this.blockly.getAllBlocks();
     all_blocks.forEach(function(elem) {
@@ -754,6 +1069,158 @@ BlockPyEditor.prototype.refreshBlockHighlight = function(line) {
     }
 }
 
+/**
+ * Adds an option to the block's context menu for toggling a breakpoint on
+ * the block's line.
+ *
+ * @param {Blockly.Block} block - The block to add the option to.
+ */
+BlockPyEditor.prototype.addBreakpointMenu = function(block) {
+    var main = this.main;
+    var originalMenu = block.customContextMenu;
+    block.customContextMenu = function(options) {
+        if (originalMenu) {
+            originalMenu.call(this, options);
+        }
+        var lineNumber = parseInt(this.lineNumber, 10);
+        options.push({
+            'text': 'Toggle Breakpoint',
+            'enabled': !isNaN(lineNumber),
+            'callback': function() {
+                main.components['debugger'].toggleBreakpoint(lineNumber);
+            }
+        });
+    };
+}
+
+/**
+ * Redraws the breakpoint markers, in both the text gutter and on the blocks.
+ */
+BlockPyEditor.prototype.refreshBreakpoints = function() {
+    var breakpoints = this.main.model['debugger'].breakpoints();
+    var codeMirror = this.codeMirror;
+    codeMirror.clearGutter("blockpy-breakpoints");
+    breakpoints.forEach(function(line) {
+        if (line-1 < codeMirror.lineCount()) {
+            var marker = document.createElement("div");
+            marker.className = "blockpy-breakpoint";
+            marker.innerHTML = "&#9679;";
+            codeMirror.setGutterMarker(line-1, "blockpy-breakpoints", marker);
+        }
+    });
+    this.blockly.getAllBlocks().forEach(function(block) {
+        var lineNumber = parseInt(block.lineNumber, 10);
+        if (block.getSvgRoot()) {
+            if (arrayContains(lineNumber, breakpoints)) {
+                Blockly.addClass_(block.getSvgRoot(), 'blockpy-breakpoint-block');
+            } else {
+                Blockly.removeClass_(block.getSvgRoot(), 'blockpy-breakpoint-block');
+            }
+        }
+    });
+}
+
+/**
+ * Finds the block that a line (and column) of the code was generated from, by
+ * converting the code again and following the converter's lineMap to the same
+ * place among the blocks on the workspace. Within the line, the outermost block
+ * that starts at the column is used; without a column (or if none starts
+ * there), the line's whole statement is used.
+ *
+ * @param {Number} line - The line of the code (1-indexed).
+ * @param {Number} column - The column of the code (0-indexed), if known.
+ * @returns {Blockly.Block|null} The block, or null if it couldn't be found.
+ */
+BlockPyEditor.prototype.findBlockForPosition = function(line, column) {
+    var code = this.main.model.program();
+    if (!code || !code.trim()) {
+        return null;
+    }
+    var mapped = (this.converter.convertSource(code).lineMap || {})[line] || [];
+    if (!mapped.length) {
+        return null;
+    }
+    var atColumn = mapped.filter(function(entry) {
+        return entry.column === column;
+    });
+    var entry = atColumn.length ? atColumn[atColumn.length-1] : mapped[mapped.length-1];
+    // Follow the path through the statements, in the order their code was generated
+    var statements = [];
+    this.blockly.getTopBlocks(true).forEach(function(block) {
+        for (; block; block = block.getNextBlock()) {
+            statements.push(block);
+        }
+    });
+    var block = statements[entry.path[0].index] || null;
+    for (var i = 1; block && i < entry.path.length; i++) {
+        block = block.getInputTargetBlock(entry.path[i].input);
+        for (var j = 0; block && j < entry.path[i].index; j++) {
+            block = block.getNextBlock();
+        }
+    }
+    return block && block.type == entry.type ? block : null;
+}
+
+/**
+ * Puts a warning on the block that an error came from, with the feedback as
+ * its tooltip, and outlines its first empty socket (if it has one), since an
+ * empty socket is often the cause. Only one block is marked at a time.
+ *
+ * @param {Number} line - The line of the error (1-indexed).
+ * @param {Number} column - The column of the error (0-indexed), if known.
+ * @param {String} message - HTML content explaining the error.
+ */
+BlockPyEditor.prototype.showBlockError = function(line, column, message) {
+    this.clearBlockError();
+    if (this.main.model.settings.editor() != "Blocks" &&
+        this.main.model.settings.editor() != "Split") {
+        return;
+    }
+    var block = this.findBlockForPosition(line, column);
+    if (block === null) {
+        return;
+    }
+    var text = $('<div></div>').html(message).text();
+    var socket = null;
+    block.inputList.forEach(function(input) {
+        if (socket === null && input.type == Blockly.INPUT_VALUE &&
+            input.connection && !input.connection.targetBlock()) {
+            socket = input.connection;
+        }
+    });
+    this.errorBlock = {'block': block, 'tooltip': block.tooltip, 'socket': socket};
+    block.setWarningText(text, 'feedback');
+    block.setTooltip(text);
+    if (block.getSvgRoot()) {
+        Blockly.addClass_(block.getSvgRoot(), 'blockpy-error-block');
+    }
+    if (socket !== null && !Blockly.Connection.highlightedPath_) {
+        socket.highlight();
+    }
+}
+
+/**
+ * Removes the warning, tooltip, and outline added by showBlockError.
+ */
+BlockPyEditor.prototype.clearBlockError = function() {
+    if (this.errorBlock === null) {
+        return;
+    }
+    var block = this.errorBlock.block;
+    // The block might have been deleted since
+    if (block.workspace) {
+        block.setWarningText(null, 'feedback');
+        block.setTooltip(this.errorBlock.tooltip);
+        if (block.getSvgRoot()) {
+            Blockly.removeClass_(block.getSvgRoot(), 'blockpy-error-block');
+        }
+        if (this.errorBlock.socket !== null && Blockly.Connection.highlightedPath_) {
+            this.errorBlock.socket.unhighlight();
+        }
+    }
+    this.errorBlock = null;
+}
+
 /**
  * Removes the outline around a block. Currently unused.
  */
@@ -762,10 +1229,11 @@ BlockPyEditor.prototype.unhighlightBlock = function() {
 }
 
 /**
- * Removes any highlight in the text code editor.
+ * Removes any highlight in the text code editor, and any error marked on a block.
  *
  */
 BlockPyEditor.prototype.unhighlightLines = function() {
+    this.clearBlockError();
     if (this.previousLine !== null) {
         if (this.previousLine < this.codeMirror.lineCount()) {
             this.codeMirror.removeLineClass(this.previousLine, 'text', 'editor-active-line');
@@ -838,18 +1306,61 @@ BlockPyEditor.prototype.changeProgram = function(name) {
 }*/
 
 /**
- * Eventually will be used to update "levels" of sophistication of the code interface.
- * Currently unimplemented and unused.
+ * Finds the level of the blocks that the assignment uses (see BlockPyEditor.LEVELS),
+ * which is stored in its modules as, for example, "Level - Python-like".
+ *
+ * @returns {String} The name of the level.
+ */
+BlockPyEditor.prototype.getLevel = function() {
+    var level = 'Standard';
+    this.main.model.assignment.modules().forEach(function(module) {
+        if (BlockPyEditor.isLevel(module) &&
+            module.slice(BlockPyEditor.LEVEL_PREFIX.length) in BlockPyEditor.LEVELS) {
+            level = module.slice(BlockPyEditor.LEVEL_PREFIX.length);
+        }
+    });
+    return level;
+}
+
+/**
+ * Switches the blocks to the assignment's level, if it has changed. The
+ * blocks are rebuilt from the code, since a block's look is decided when
+ * it is created.
  */
 BlockPyEditor.prototype.setLevel = function() {
-    var level = this.main.model.settings.level();
+    var level = this.getLevel();
+    if (level == BlockPyEditor.level) {
+        return;
+    }
+    BlockPyEditor.level = level;
+    this.updateToolbox(true);
+    this.silenceBlock = true;
+    this.setBlocks(this.main.model.program().trim());
+    this.resetBlockSilence();
+}
+
+/**
+ * Defines the assignment's blocks that are described in JSON (see
+ * BlockPyBlockSpec), and rebuilds the blocks so that code using them
+ * turns into them. Any problems with the specs are kept in the status.
+ */
+BlockPyEditor.prototype.registerBlockSpecs = function() {
+    var model = this.main.model;
+    var problems = BlockPyBlockSpec.registerAll(model.assignment.block_specs(), 'assignment');
+    problems.forEach(function(problem) {
+        console.error(problem);
+    });
+    model.status.block_specs(problems);
+    this.updateToolbox(true);
+    this.silenceBlock = true;
+    this.setBlocks(model.program().trim());
+    this.resetBlockSilence();
 }
 
 /**
  * Maps short category names in the toolbox to the full XML used to
- * represent that category as usual. This is kind of a clunky mechanism
- * for managing the different categories, and doesn't allow us to specify
- * individual blocks.
+ * represent that category as usual. Assignments can also make their own
+ * categories out of individual blocks (see createCategoryXml).
  */
 BlockPyEditor.CATEGORY_MAP = {
     'Variables': '<category name="Variables" custom="VARIABLE" colour="240">'+
@@ -874,6 +1385,13 @@ BlockPyEditor.CATEGORY_MAP = {
                         '<mutation value="k"></mutation>'+
                     '</block>'+
                 '</category>',
+    'Exceptions': '<category name="Exceptions" colour="345">'+
+                    '<block type="exceptions_try"></block>'+
+                    '<block type="exceptions_try"><mutation handlers="1" finally="1"></mutation></block>'+
+                    '<block type="exceptions_raise"></block>'+
+                    '<block type="exceptions_assert"></block>'+
+                    '<block type="exceptions_with"></block>'+
+                '</category>',
     'Calculation': '<category name="Calculation" colour="270">'+
                     //'<block type="raw_table"></block>'+
                     '<block type="math_arithmetic"></block>'+
@@ -887,6 +1405,8 @@ BlockPyEditor.CATEGORY_MAP = {
     'Python':   '<category name="Python" colour="180">'+
                     '<block type="raw_block"></block>'+
                     '<block type="raw_expression"></block>'+
+                    '<block type="global_names"></block>'+
+                    '<block type="exec_code"></block>'+
                     //'<block type="function_call"></block>'+
                 '</category>',
     'Output':   '<category name="Output" colour="160">'+
@@ -1000,6 +1520,146 @@ BlockPyEditor.CATEGORY_MAP = {
     'Separator': '<sep></sep>'
 };
 
+/**
+ * The start of the name of a module that picks the level of the blocks.
+ */
+BlockPyEditor.LEVEL_PREFIX = 'Level - ';
+
+/**
+ * @param {String|Object} module - An entry in the assignment's modules.
+ * @returns {Boolean} Whether the entry picks the level of the blocks.
+ */
+BlockPyEditor.isLevel = function(module) {
+    return typeof module == 'string' &&
+           module.slice(0, BlockPyEditor.LEVEL_PREFIX.length) == BlockPyEditor.LEVEL_PREFIX;
+}
+
+/**
+ * Changes the text of any labels on a block that say one thing to say another.
+ *
+ * @param {Blockly.Block} block - The block to change.
+ * @param {String} oldText - The current text of the labels.
+ * @param {String} newText - The new text.
+ */
+BlockPyEditor.relabelBlock = function(block, oldText, newText) {
+    block.inputList.forEach(function(input) {
+        input.fieldRow.forEach(function(field) {
+            if (field instanceof Blockly.FieldLabel && field.getText() == oldText) {
+                field.setText(newText);
+            }
+        });
+    });
+}
+
+/**
+ * The levels of sophistication of the blocks. A level changes how the blocks
+ * look, but not the code they make, so that later assignments can use blocks
+ * that are closer to Python. Each level can give every block the same colour,
+ * and can change each type of block after it is created.
+ */
+BlockPyEditor.LEVELS = {
+    'Standard': {},
+    'Python-like': {
+        'colour': '#888888',
+        'blocks': {
+            'variables_set': function(block) {
+                BlockPyEditor.relabelBlock(block, 'set', '');
+            },
+            'lists_create_empty': function(block) {
+                BlockPyEditor.relabelBlock(block, Blockly.Msg.LISTS_CREATE_EMPTY_TITLE, '[]');
+            },
+            'lists_append': function(block) {
+                BlockPyEditor.relabelBlock(block, Blockly.Msg.LISTS_APPEND_TO, '');
+                BlockPyEditor.relabelBlock(block, Blockly.Msg.LISTS_APPEND, '.append(');
+                block.appendDummyInput().appendField(')');
+            },
+            'controls_if_better': function(block) {
+                block.getInput('IF0').appendField(':');
+                BlockPyEditor.relabelBlock(block, Blockly.Msg.CONTROLS_IF_MSG_THEN, '');
+            },
+            'controls_forEach': function(block) {
+                BlockPyEditor.relabelBlock(block, 'for each', 'for');
+                block.getInput('LIST').appendField(':');
+                BlockPyEditor.relabelBlock(block, Blockly.Msg.CONTROLS_FOREACH_INPUT_DO, '');
+            },
+            'controls_whileUntil': function(block) {
+                block.getInput('BOOL').appendField(':');
+                BlockPyEditor.relabelBlock(block, Blockly.Msg.CONTROLS_WHILEUNTIL_INPUT_DO, '');
+            }
+        }
+    }
+};
+
+/**
+ * The level that new blocks are created with.
+ */
+BlockPyEditor.level = 'Standard';
+
+/**
+ * Changes a newly created block to fit the current level.
+ *
+ * @param {Blockly.Block} block - The new block.
+ */
+BlockPyEditor.applyLevel = function(block) {
+    var level = BlockPyEditor.LEVELS[BlockPyEditor.level] || {};
+    if (level.colour) {
+        block.setColour(level.colour);
+    }
+    if (level.blocks && level.blocks[block.type]) {
+        level.blocks[block.type](block);
+    }
+}
+
+/**
+ * Makes every type of block follow the current level when it is created.
+ * Types of blocks that are defined later (e.g., for datasets) are included
+ * the next time this is called.
+ */
+BlockPyEditor.installLevels = function() {
+    Object.keys(Blockly.Blocks).forEach(function(type) {
+        var definition = Blockly.Blocks[type];
+        if (!definition || typeof definition.init != 'function' ||
+            definition.init.followsLevel) {
+            return;
+        }
+        var init = definition.init;
+        definition.init = function() {
+            init.call(this);
+            BlockPyEditor.applyLevel(this);
+        };
+        definition.init.followsLevel = true;
+    });
+}
+
+/**
+ * Creates the XML for a category of the toolbox that the assignment made
+ * itself, with the blocks it chose. Each block is either the name of its
+ * type, or an object with its type and any of the values of its fields
+ * (e.g., {"type": "math_number", "fields": {"NUM": "10"}}).
+ *
+ * @param {Object} category - The category's name, color, and blocks.
+ * @returns {String} The XML of the category.
+ */
+BlockPyEditor.prototype.createCategoryXml = function(category) {
+    var xml = '<category name="'+encodeHTML(String(category.name || 'Blocks'))+'"';
+    if (category.color !== undefined) {
+        xml += ' colour="'+encodeHTML(String(category.color))+'"';
+    }
+    xml += '>';
+    (category.blocks || []).forEach(function(block) {
+        if (typeof block == 'string') {
+            block = {'type': block};
+        }
+        xml += '<block type="'+encodeHTML(String(block.type))+'">';
+        var fields = block.fields || {};
+        for (var name in fields) {
+            xml += '<field name="'+encodeHTML(name)+'">'+encodeHTML(String(fields[name]))+'</field>';
+        }
+        xml += '</block>';
+    });
+    return xml + '</category>';
+}
+
 /**
  * Creates an updated representation of the Toolboxes XML as currently specified in the
  * model, using whatever modules have been added or removed. This method can either set it
@@ -1014,8 +1674,17 @@ BlockPyEditor.prototype.updateToolbox = function(only_set) {
     var started_misc = false,
         started_values = false,
         started_data = false;
+    // New types of blocks (e.g., for datasets) have to follow the level too
+    BlockPyEditor.installLevels();
     for (var i = 0, length = modules.length; i < length; i = i+1) {
         var module = modules[i];
+        if (typeof module != 'string') {
+            xml += this.createCategoryXml(module);
+            continue;
+        }
+        if (BlockPyEditor.isLevel(module)) {
+            continue;
+        }
         if (!started_misc && ['Calculation', 'Output', 'Python'].indexOf(module) != -1) {
             started_misc = true;
             xml += BlockPyEditor.CATEGORY_MAP['Separator'];
@@ -1028,16 +1697,7 @@ BlockPyEditor.prototype.updateToolbox = function(only_set) {
             started_data = true;
             xml += BlockPyEditor.CATEGORY_MAP['Separator'];
         }
-        if (typeof module == 'string') {
-            xml += BlockPyEditor.CATEGORY_MAP[module];
-        } else {
-            var category = '<category name="'+module.name+'" colour="'+module.color+'">';
-            for (var j= 0; category_length = module.blocks.length; j = j+1) {
-                var block = module.blocks[j];
-                category += '<block type="'+block+'"></block>';
-            }
-            category += '</category>';
-        }
+        xml += BlockPyEditor.CATEGORY_MAP[module] || '';
         //'<sep></sep>'+
     }
     xml += '</xml>';
@@ -19,6 +19,11 @@ function BlockPyEngine(main) {
     this.abstractInterpreter = new Tifa();
     
     this.openedFiles = {};
+    
+    // The Web Worker for running student code, if we're using one
+    this.worker = null;
+    // The currently running program in the worker, if there is one
+    this.workerRun = null;
 }
 
 BlockPyEngine.prototype.INSTRUCTOR_MODULE_CODE = 'var $builtinmodule = '+$sk_mod_instructor.toString();
@@ -121,6 +126,8 @@ BlockPyEngine.prototype.readFile = function(filename) {
  */
 BlockPyEngine.prototype.inputFunction = function(promptMessage) {
     var printer = this.main.components.printer;
+    // Remembered so that the answer program can be given the same input
+    var inputs = this.executionBuffer.inputs;
     var result = printer.printInput(promptMessage);
     if (result.promise) {
         var resolveOnClick;
@@ -128,6 +135,7 @@ BlockPyEngine.prototype.inputFunction = function(promptMessage) {
             resolveOnClick = resolve;
         });
         var submitForm = function() {
+            inputs.push(result.input.val());
             resolveOnClick(result.input.val());
             result.input.prop('disabled', true);
             result.button.prop('disabled', true);
@@ -141,6 +149,7 @@ BlockPyEngine.prototype.inputFunction = function(promptMessage) {
         result.input.focus();
         return submittedPromise;
     } else {
+        inputs.push("");
         return "";
     }
 }
@@ -217,6 +226,8 @@ BlockPyEngine.prototype.resetExecution = function() {
         'step': 0,
         'last_step': 0,
         'line_number': 0,
+        'frames': [],
+        'inputs': []
     };
     this.main.model.execution.trace.removeAll();
     this.main.model.execution.step(0);
@@ -234,25 +245,80 @@ BlockPyEngine.prototype.resetExecution = function() {
  * @param {Number} lineNumber - The corresponding line number in the source code that is being executed.
  * @param {Number} columnNumber - The corresponding column number in the source code that is being executed. Think of it as the "X" position to the lineNumber's "Y" position.
  * @param {String} filename - The name of the python file being executed (e.g., "__main__.py").
+ * @param {Object} frame - The Skulpt $frame of the function call being executed, with its name and a way to get its local variables.
  */
-BlockPyEngine.prototype.step = function(variables, lineNumber, columnNumber, filename) {
+BlockPyEngine.prototype.step = function(variables, lineNumber, columnNumber, filename, frame) {
     if (filename == '__main__.py') {
-        var currentStep = this.executionBuffer.step;
-        var globals = this.parseGlobals(variables);
-        this.executionBuffer.trace.push(
-            {'step': currentStep,
-             'filename': filename,
-             //'block': highlightMap[lineNumber-1],
-             'line': lineNumber,
-             'column': columnNumber,
-             'properties': globals.properties,
-             'modules': globals.modules});
-        this.executionBuffer.step = currentStep+1;
-        this.executionBuffer.last_step = currentStep+1;
-        this.executionBuffer.line_number = lineNumber;
+        var heap = {};
+        var globals = this.parseGlobals(variables, heap);
+        var stack = this.parseStack(this.executionBuffer.frames, frame, lineNumber, globals, heap);
+        this.recordStep(globals, lineNumber, columnNumber, filename, stack, heap);
     }
 }
 
+/**
+ * Updates the call stack with the frame that is currently executing, and then
+ * describes every frame on the stack. Skulpt creates a new $frame for each
+ * function call, so a frame we haven't seen before was just called, and any
+ * frames above a frame we have seen must have returned.
+ *
+ * @param {Array} frames - The call stack so far, outermost first. Updated in place.
+ * @param {Object} frame - The Skulpt $frame being executed (undefined at the very end).
+ * @param {Number} lineNumber - The line number being executed in that frame.
+ * @param {Object} globals - The parsed global variables (see parseGlobals).
+ * @param {Object} heap - The heap snapshot of this step (see parseReference).
+ * @returns {Array.<Object>} The name, line, and parsed local variables of each frame, innermost first.
+ */
+BlockPyEngine.prototype.parseStack = function(frames, frame, lineNumber, globals, heap) {
+    if (frame === undefined) {
+        return [{'name': '<module>', 'line': lineNumber, 'properties': globals.properties}];
+    }
+    var depth = 0;
+    while (depth < frames.length && frames[depth].frame !== frame) {
+        depth += 1;
+    }
+    frames.length = depth+1;
+    frames[depth] = {'frame': frame, 'line': lineNumber};
+    var stack = [];
+    for (var i = frames.length-1; i >= 0; i -= 1) {
+        var name = frames[i].frame.name;
+        stack.push({
+            'name': name,
+            'line': frames[i].line,
+            'properties': name == '<module>' ? globals.properties :
+                          this.parseGlobals(frames[i].frame.locals(), heap).properties
+        });
+    }
+    return stack;
+}
+
+/**
+ * Adds a step to the execution buffer's trace.
+ * 
+ * @param {Object} globals - The parsed global variables and modules (see parseGlobals).
+ * @param {Number} lineNumber - The line number in the source code that is being executed.
+ * @param {Number} columnNumber - The column number in the source code that is being executed.
+ * @param {String} filename - The name of the python file being executed (e.g., "__main__.py").
+ * @param {Array.<Object>} stack - The frames on the call stack, innermost first (see parseStack).
+ * @param {Object} heap - The objects referred to by the variables (see parseReference).
+ */
+BlockPyEngine.prototype.recordStep = function(globals, lineNumber, columnNumber, filename, stack, heap) {
+    var currentStep = this.executionBuffer.step;
+    this.executionBuffer.trace.push(
+        {'step': currentStep,
+         'filename': filename,
+         //'block': highlightMap[lineNumber-1],
+         'line': lineNumber,
+         'column': columnNumber,
+         'properties': globals.properties,
+         'modules': globals.modules,
+         'stack': stack,
+         'heap': heap});
+    this.executionBuffer.step = currentStep+1;
+    this.executionBuffer.last_step = currentStep+1;
+    this.executionBuffer.line_number = lineNumber;
+}
+
 /**
  * Called at the end of the Skulpt execution to terminate the executionBuffer
  * and hand it off to the execution trace in the model.
@@ -278,30 +344,38 @@ BlockPyEngine.prototype.on_run = function(afterwards) {
     engine.verifyCode();
     engine.updateParse();
     engine.analyzeParse();
+    engine.gradeParsons();
     engine.runStudentCode(function() {
-        engine.runInstructorCode('give_feedback', function() {
-            if (!feedback.isFeedbackVisible()) {
-                engine.main.components.toolbar.notifyFeedbackUpdate();
-            }
-            var result = feedback.presentFeedback();
-            var hide_correctness = !!Sk.executionReports.instructor.hide_correctness;
-            var success_level = 0;
-            var partials = Sk.executionReports.instructor.partials;
-            if (partials) {
-                for (var i = 0, len = partials.length; i < len; i = i+1) {
-                    success_level = success_level + partials[i].value;
+        engine.runTestCases(function() {
+            engine.runInstructorCode('give_feedback', function() {
+                if (!feedback.isFeedbackVisible()) {
+                    engine.main.components.toolbar.notifyFeedbackUpdate();
                 }
-            }
-            success_level = Math.max(0.0, Math.min(1.0, success_level));
-            if (result == 'success') {
-                engine.main.components.server.markSuccess(1.0, model.settings.completedCallback, hide_correctness);
-            } else {
-                engine.main.components.server.markSuccess(success_level, model.settings.completedCallback, hide_correctness);
-            }
-            model.execution.status("complete");
-            if (afterwards !== undefined) {
-                afterwards(result);
-            }
+                var result = feedback.presentFeedback();
+                feedback.advanceHints();
+                var hide_correctness = !!Sk.executionReports.instructor.hide_correctness;
+                var success_level = 0;
+                var partials = Sk.executionReports.instructor.partials;
+                if (partials) {
+                    for (var i = 0, len = partials.length; i < len; i = i+1) {
+                        success_level = success_level + partials[i].value;
+                    }
+                }
+                var tests = Sk.executionReports.tests;
+                if (tests.results && tests.results.length) {
+                    success_level = success_level + tests.passed / tests.results.length;
+                }
+                success_level = Math.max(0.0, Math.min(1.0, success_level));
+                if (result == 'success') {
+                    engine.main.components.server.markSuccess(1.0, model.settings.completedCallback, hide_correctness);
+                } else {
+                    engine.main.components.server.markSuccess(success_level, model.settings.completedCallback, hide_correctness);
+                }
+                model.execution.status("complete");
+                if (afterwards !== undefined) {
+                    afterwards(result);
+                }
+            });
         });
     });
     this.main.components.server.logEvent('engine', 'on_run')
@@ -346,8 +420,12 @@ BlockPyEngine.prototype.resetReports = function() {
     report['verifier'] = {};
     report['parser'] = {};
     report['analyzer'] = {};
+    report['parsons'] = {};
     report['student'] = {};
+    report['tests'] = {};
+    report['answer'] = {};
     report['instructor'] = {};
+    report['feedback'] = [];
     var suppress = this.main.model.execution.suppressions;
     suppress['verifier'] = false;
     suppress['parser'] = false;
@@ -436,6 +514,20 @@ BlockPyEngine.prototype.analyzeParse = function() {
     return true;
 }
 
+/**
+ * Check the lines of a Parsons problem against the solution
+ */
+BlockPyEngine.prototype.gradeParsons = function() {
+    var report = this.main.model.execution.reports;
+    if (!this.main.model.assignment.parsons()) {
+        report['parsons'] = {};
+        return false;
+    }
+    var code = this.main.model.programs['__main__']();
+    report['parsons'] = this.main.components.parsons.grade(code);
+    return true;
+}
+
 /**
  * Run the student code
  */
@@ -446,12 +538,26 @@ BlockPyEngine.prototype.runStudentCode = function(after) {
     // Prepare execution
     this.resetExecution();
     this.setStudentEnvironment();
+    var suspensionHandlers = undefined;
+    if (this.main.model['debugger'].active()) {
+        // The debugger has to pause on the page, so it can't use a worker
+        var debug = this.main.components['debugger'];
+        suspensionHandlers = debug.prepare();
+        var afterDebugging = after;
+        after = function() {
+            debug.finish();
+            afterDebugging();
+        };
+    } else if (this.main.model.settings.use_worker() && typeof Worker !== 'undefined') {
+        this.runStudentCodeInWorker(after);
+        return;
+    }
     // Actually run the python code
     var filename = '__main__';
     var code = this.main.model.programs[filename]();
     Sk.misceval.asyncToPromise(function() {
         return Sk.importMainWithBody(filename, false, code, true);
-    }).then(
+    }, suspensionHandlers).then(
         // Success
         function (module) {
             Sk.afterSingleExecution(module.$d, -1, 0, filename+".py");
@@ -460,7 +566,8 @@ BlockPyEngine.prototype.runStudentCode = function(after) {
                 'success': true,
                 'trace': engine.executionBuffer.trace,
                 'module': module,
-                'output': engine.main.model.execution.output
+                'output': engine.main.model.execution.output,
+                'inputs': engine.executionBuffer.inputs
             }
             after();
             engine.executionEnd_();
@@ -469,7 +576,8 @@ BlockPyEngine.prototype.runStudentCode = function(after) {
         function (error) {
             report['student'] = {
                 'success': false,
-                'error': error
+                'error': error,
+                'inputs': engine.executionBuffer.inputs
             }
             after();
             engine.executionEnd_();
@@ -477,6 +585,244 @@ BlockPyEngine.prototype.runStudentCode = function(after) {
     );
 }
 
+/**
+ * Run the assignment's test cases against the student code, each in its own
+ * sandbox (see run_test_cases in the instructor module)
+ */
+BlockPyEngine.prototype.runTestCases = function(after) {
+    var report = this.main.model.execution.reports;
+    var cases = this.main.model.assignment.test_cases();
+    if (!cases.length || !report['parser'].success || !report['verifier'].success) {
+        report['tests'] = {};
+        after();
+        return false;
+    }
+    this.main.model.execution.status("testing");
+    this.setInstructorEnvironment();
+    report['tests'] = {'cases': cases};
+    Sk.misceval.asyncToPromise(function() {
+        return Sk.importMainWithBody('test_cases', false,
+                                     'from instructor import run_test_cases\nrun_test_cases()', true);
+    }).then(
+        // Success
+        function (module) {
+            report['tests']['success'] = true;
+            after();
+        },
+        // Failure
+        function (error) {
+            report['tests']['success'] = false;
+            report['tests']['error'] = error;
+            after();
+        }
+    );
+    return true;
+}
+
+/**
+ * Creates a Web Worker that has Skulpt loaded and is ready to run student code.
+ * The worker's code comes from $blockpy_worker (see worker.js).
+ *
+ * @returns {Worker} The new worker.
+ */
+BlockPyEngine.prototype.createWorker = function() {
+    var scripts = this.main.model.constants.skulptScripts;
+    if (scripts === undefined) {
+        // Workers need absolute URLs, which the script tags conveniently have
+        scripts = $('script[src*="skulpt"]').map(function() { return this.src; }).get();
+    }
+    var source = (
+        'importScripts('+scripts.map(function(script) {
+            return JSON.stringify(script);
+        }).join(', ')+');\n'+
+        'var tracer = {\n'+
+        '    "parseGlobals": '+BlockPyEngine.prototype.parseGlobals.toString()+',\n'+
+        '    "parseValue": '+BlockPyEngine.prototype.parseValue.toString()+',\n'+
+        '    "previewValue": '+BlockPyEngine.prototype.previewValue.toString()+',\n'+
+        '    "parseStack": '+BlockPyEngine.prototype.parseStack.toString()+',\n'+
+        '    "parseReference": '+BlockPyEngine.prototype.parseReference.toString()+',\n'+
+        '    "parseItem": '+BlockPyEngine.prototype.parseItem.toString()+'\n'+
+        '};\n'+
+        '('+$blockpy_worker.toString()+')(self, tracer);'
+    );
+    var blob = new Blob([source], {'type': 'application/javascript'});
+    return new Worker(URL.createObjectURL(blob));
+}
+
+/**
+ * Run the student code inside of a Web Worker, so that it can't freeze the page.
+ * The trace, printed output, and report are assembled from the worker's
+ * messages, so they look the same as when running on the page.
+ */
+BlockPyEngine.prototype.runStudentCodeInWorker = function(after) {
+    var report = this.main.model.execution.reports;
+    var engine = this;
+    if (this.workerRun !== null) {
+        this.stopStudentCode();
+    }
+    if (this.worker === null) {
+        this.worker = this.createWorker();
+    }
+    var finish = function(studentReport) {
+        engine.workerRun = null;
+        studentReport['inputs'] = engine.executionBuffer.inputs;
+        report['student'] = studentReport;
+        after();
+        engine.executionEnd_();
+    };
+    this.workerRun = {'finish': finish};
+    this.worker.onmessage = function(event) {
+        engine.handleWorkerMessage(event.data, finish);
+    };
+    this.worker.onerror = function(event) {
+        engine.worker.terminate();
+        engine.worker = null;
+        finish({
+            'success': false,
+            'error': new Sk.builtin.SystemError(event.message)
+        });
+    };
+    this.worker.postMessage({
+        'type': 'run',
+        'code': this.main.model.programs['__main__'](),
+        'files': this.openedFiles,
+        'execLimit': Sk.execLimit
+    });
+}
+
+/**
+ * Responds to a message from the worker (see worker.js for the kinds of messages).
+ *
+ * @param {Object} message - The message sent by the worker.
+ * @param {Function} finish - Called with the student report when the program is done.
+ */
+BlockPyEngine.prototype.handleWorkerMessage = function(message, finish) {
+    var engine = this;
+    var execution = this.main.model.execution;
+    switch (message.type) {
+        case 'print':
+            this.main.components.printer.print(message.text);
+            break;
+        case 'plot':
+            execution.output.push(message.value);
+            break;
+        case 'step':
+            this.recordStep(message, message.line, message.column, message.filename, message.stack, message.heap);
+            break;
+        case 'request':
+            var worker = this.worker;
+            var reply = function(value) {
+                worker.postMessage({'type': 'reply', 'id': message.id, 'value': value});
+            };
+            var fail = function(error) {
+                worker.postMessage({'type': 'reply', 'id': message.id, 'error': error});
+            };
+            if (message.kind == 'input') {
+                Promise.resolve(this.inputFunction(message.argument)).then(reply);
+            } else if (message.kind == 'url') {
+                this.openURL(message.argument, 'url').then(reply, function(error) {
+                    fail(error.args.v[0].v);
+                });
+            }
+            break;
+        case 'success':
+            this.lastStep();
+            var succeed = function(module) {
+                finish({
+                    'success': true,
+                    'trace': engine.executionBuffer.trace,
+                    'module': module,
+                    'output': execution.output
+                });
+            };
+            if (message.unsent.length) {
+                // Functions, objects, and the like can't leave the worker, but the
+                // instructor's code needs them, so they are made again on the page.
+                // The worker is done by now, so there's nothing left for Stop to end.
+                this.workerRun = null;
+                this.rerunOnPage(succeed, function(error) {
+                    finish({'success': false, 'error': error});
+                });
+            } else {
+                var module = {'$d': {}};
+                for (var name in message.globals) {
+                    module.$d[name] = Sk.ffi.remapToPy(message.globals[name]);
+                }
+                succeed(module);
+            }
+            break;
+        case 'failure':
+            finish({
+                'success': false,
+                'error': this.deserializeError(message.error)
+            });
+            break;
+    }
+}
+
+/**
+ * Quietly runs the student code again on the page, with the same input it
+ * was given in the worker, to get the module that the worker couldn't send.
+ * Nothing is printed, drawn, or traced.
+ *
+ * @param {Function} success - Given the module.
+ * @param {Function} failure - Given the error, if the program failed this time.
+ */
+BlockPyEngine.prototype.rerunOnPage = function(success, failure) {
+    var engine = this;
+    this.main.model.settings.mute_printer(true);
+    Sk.console.skipDrawing = true;
+    Sk.afterSingleExecution = null;
+    Sk.queuedInput = this.executionBuffer.inputs.slice().reverse();
+    Sk.inputfun = this.inputMockFunction.bind(this);
+    var code = this.main.model.programs['__main__']();
+    Sk.misceval.asyncToPromise(function() {
+        return Sk.importMainWithBody('__main__', false, code, true);
+    }).then(function(module) {
+        engine.setStudentEnvironment();
+        success(module);
+    }, function(error) {
+        engine.setStudentEnvironment();
+        failure(error);
+    });
+}
+
+/**
+ * Rebuilds a Skulpt error on the page from the version sent by the worker.
+ *
+ * @param {Object} error - The serialized error, with a name, message, and traceback.
+ * @returns {Object} A Skulpt error.
+ */
+BlockPyEngine.prototype.deserializeError = function(error) {
+    var ErrorType = Sk.builtin[error.name];
+    if (ErrorType === undefined || ErrorType.prototype.tp$name === undefined) {
+        ErrorType = Sk.builtin.Exception;
+    }
+    var result = new ErrorType(error.message);
+    result.tp$name = error.name;
+    result.traceback = error.traceback;
+    return result;
+}
+
+/**
+ * Immediately stops the student code running in the worker, if there is any.
+ * The worker is thrown away; a fresh one will be made for the next run.
+ */
+BlockPyEngine.prototype.stopStudentCode = function() {
+    if (this.workerRun === null) {
+        return;
+    }
+    var finish = this.workerRun.finish;
+    this.worker.terminate();
+    this.worker = null;
+    this.lastStep();
+    finish({
+        'success': false,
+        'error': new Sk.builtin.SystemExit("The program was stopped before it finished.")
+    });
+    this.main.components.server.logEvent('engine', 'stop');
+}
+
 var NEW_LINE_REGEX = /\r\n|\r|\n/;
 
 /**
@@ -511,7 +857,11 @@ BlockPyEngine.prototype.runInstructorCode = function(filename, after) {
     var engine = this;
     report['instructor'] = {
         'compliments': [],
-        'filename': filename+".py"
+        'filename': filename+".py",
+        // The kinds of analyzer issues registered by this run (see register_issue)
+        'issues': {},
+        // The reference solution, for random_test and the answer comparisons
+        'answer': this.main.model.programs['answer']()
         //'complete': false // Actually, let's use undefined for now.
     };
     Sk.misceval.asyncToPromise(function() {
@@ -544,8 +894,9 @@ BlockPyEngine.prototype.runInstructorCode = function(filename, after) {
  * global variables and modules.
  *
  * @param {Object} variables - a mapping of variable names to their Skupt value.
+ * @param {Object} heap - (Optional) If given, the objects that the variables refer to are recorded here (see parseReference).
  */
-BlockPyEngine.prototype.parseGlobals = function(variables) {
+BlockPyEngine.prototype.parseGlobals = function(variables, heap) {
     var result = Array();
     var modules = Array();
     for (var property in variables) {
@@ -555,6 +906,12 @@ BlockPyEngine.prototype.parseGlobals = function(variables) {
                                .replace('_$rn$', '');
             var parsed = this.parseValue(property, value);
             if (parsed !== null) {
+                if (heap !== undefined) {
+                    var reference = this.parseReference(value, heap);
+                    if (reference !== null) {
+                        parsed['ref'] = reference;
+                    }
+                }
                 result.push(parsed);
             } else if (value.constructor == Sk.builtin.module) {
                 modules.push(value.$d.__name__.v);
@@ -617,30 +974,17 @@ BlockPyEngine.prototype.parseValue = function(property, value) {
                 'type': "Float",
                 "value": value.$r().v
             };
-        case Sk.builtin.tuple:
-            return {'name': property,
-                'type': "Tuple",
-                "value": value.$r().v
+        case Sk.builtin.tuple: case Sk.builtin.list: case Sk.builtin.dict: case Sk.builtin.set:
+            var preview = this.previewValue(value);
+            var parsed = {'name': property,
+                'type': {'tuple': "Tuple", 'list': "List", 'dict': "Dictionary", 'set': "Set"}[value.tp$name],
+                "value": preview.text
             };
-        case Sk.builtin.list:
-            if (value.v.length <= 20) {
-                return {'name': property,
-                    'type': "List",
-                    "value": value.$r().v,
-                    'exact_value': value
-                };
-            } else {
-                return {'name': property,
-                    'type': "List",
-                    "value": "[... "+value.v.length+" elements ...]",
-                    "exact_value": value
-                };
+            if (preview.truncated) {
+                // Kept so that the whole value can be shown on demand (see viewExactValue)
+                parsed['exact_value'] = value;
             }
-        case Sk.builtin.dict:
-            return {'name': property,
-                'type': "Dictionary",
-                "value": value.$r().v
-            };
+            return parsed;
         case Number:
             return {'name': property,
                 'type': value % 1 === 0 ? "Integer" : "Float",
@@ -664,6 +1008,153 @@ BlockPyEngine.prototype.parseValue = function(property, value) {
     }
 }
 
+/**
+ * Makes the printed representation of a container for the trace, giving up
+ * after PREVIEW_LIMIT items (counting the items of the containers inside it
+ * too), so that big containers don't slow down every step.
+ *
+ * @param {Object} value - The Skulpt list, tuple, dictionary, or set.
+ * @returns {Object} The 'text' of the preview, and whether it was 'truncated'.
+ */
+BlockPyEngine.prototype.previewValue = function(value) {
+    var PREVIEW_LIMIT = 20;
+    var remaining = PREVIEW_LIMIT, truncated = false;
+    var preview = function(value) {
+        var open, close;
+        switch (value.constructor) {
+            case Sk.builtin.list: open = '['; close = ']'; break;
+            case Sk.builtin.tuple: open = '('; close = value.v.length == 1 ? ',)' : ')'; break;
+            case Sk.builtin.dict: open = '{'; close = '}'; break;
+            case Sk.builtin.set: open = '{'; close = '}'; break;
+            default: return Sk.misceval.objectRepr(value).v;
+        }
+        var items = [];
+        // Adds the next item, unless the preview is already long enough
+        var add = function(makeText) {
+            if (remaining <= 0) {
+                truncated = true;
+                return false;
+            }
+            remaining -= 1;
+            items.push(makeText());
+            return true;
+        };
+        var iterator, key;
+        if (value.v instanceof Array) {
+            for (var i = 0; i < value.v.length && add(function() { return preview(value.v[i]); }); i += 1) {}
+        } else {
+            iterator = Sk.abstr.iter(value);
+            for (key = iterator.tp$iternext(); key !== undefined; key = iterator.tp$iternext()) {
+                if (!add(function() {
+                    return value.constructor == Sk.builtin.dict ?
+                           preview(key)+': '+preview(value.mp$subscript(key)) : preview(key);
+                })) {
+                    break;
+                }
+            }
+        }
+        if (truncated) {
+            items.push('...');
+        } else if (value.constructor == Sk.builtin.set && !items.length) {
+            return 'set()';
+        }
+        return open+items.join(', ')+close;
+    };
+    var text = preview(value);
+    return {'text': text, 'truncated': truncated};
+}
+
+/**
+ * Records a container (a list, tuple, dictionary, set, or instance of a class)
+ * in the heap snapshot of the current step, along with everything it refers
+ * to. Each Skulpt object is given an id the first time it is seen, so that
+ * aliases (and the same object over many steps) share an id.
+ *
+ * @param {Object} value - The Skulpt value.
+ * @param {Object} heap - Maps ids to the type and items of each object; filled in as we go.
+ * @returns {Number|null} The id of the object, or null if the value isn't a container.
+ */
+BlockPyEngine.prototype.parseReference = function(value, heap) {
+    // Keep big programs from making enormous traces
+    var OBJECT_LIMIT = 50, ITEM_LIMIT = 50;
+    if (value == undefined || value.constructor === undefined) {
+        return null;
+    }
+    var type;
+    switch (value.constructor) {
+        case Sk.builtin.list: type = "List"; break;
+        case Sk.builtin.tuple: type = "Tuple"; break;
+        case Sk.builtin.dict: type = "Dictionary"; break;
+        case Sk.builtin.set: type = "Set"; break;
+        default:
+            if (value.$d instanceof Sk.builtin.dict) {
+                type = "Instance";
+            } else {
+                return null;
+            }
+    }
+    if (value.$heapId === undefined) {
+        this.nextHeapId = (this.nextHeapId || 0) + 1;
+        value.$heapId = this.nextHeapId;
+    }
+    var id = value.$heapId;
+    if (id in heap) {
+        return id;
+    } else if (Object.keys(heap).length >= OBJECT_LIMIT) {
+        return null;
+    }
+    var object = {'id': id, 'type': type, 'items': [], 'size': 0};
+    heap[id] = object;
+    if (type == "Instance") {
+        object['class'] = value.tp$name;
+    }
+    var engine = this;
+    var addItem = function(key, item) {
+        object.items.push({'key': key, 'value': engine.parseItem(item, heap)});
+    };
+    // Only the first ITEM_LIMIT items are looked at, however big the container is
+    var iterator, key;
+    if (type == "List" || type == "Tuple") {
+        object.size = value.v.length;
+        for (var i = 0; i < value.v.length && i < ITEM_LIMIT; i += 1) {
+            addItem(i, value.v[i]);
+        }
+    } else if (type == "Set") {
+        object.size = value.sq$length();
+        iterator = Sk.abstr.iter(value);
+        for (key = iterator.tp$iternext(); key !== undefined && object.items.length < ITEM_LIMIT;
+             key = iterator.tp$iternext()) {
+            addItem(null, key);
+        }
+    } else {
+        var dict = type == "Instance" ? value.$d : value;
+        object.size = dict.mp$length();
+        iterator = Sk.abstr.iter(dict);
+        for (key = iterator.tp$iternext(); key !== undefined && object.items.length < ITEM_LIMIT;
+             key = iterator.tp$iternext()) {
+            addItem(type == "Instance" ? key.v : Sk.misceval.objectRepr(key).v,
+                    dict.mp$subscript(key));
+        }
+    }
+    return id;
+}
+
+/**
+ * Describes a value stored inside a container, either as a reference to
+ * another object in the heap or as its printed representation.
+ *
+ * @param {Object} item - The Skulpt value.
+ * @param {Object} heap - The heap snapshot (see parseReference).
+ * @returns {Object} Either {'ref': id} or {'value': text}.
+ */
+BlockPyEngine.prototype.parseItem = function(item, heap) {
+    var reference = this.parseReference(item, heap);
+    if (reference !== null) {
+        return {'ref': reference};
+    }
+    return {'value': Sk.misceval.objectRepr(item).v};
+}
+
 /**
  * Definable function to be run when execution has fully ended,
  * whether it succeeds or fails.
@@ -1,24 +1,166 @@
 /**
- * An object for handling the conversion of Python to an English transliteration.
- * Currently dummied out, but we will bring this feature back.
+ * An object for explaining the student's code in English. The explanation
+ * comes from the code itself (see PythonToEnglish), so it works the same in
+ * every mode of the editor. It also handles "explain this line" questions,
+ * where the student picks which explanation matches a line of the starting
+ * code; the other choices are the explanations of the other lines.
  *
  * @constructor
  * @this {BlockPyEnglish}
  * @param {Object} main - The main BlockPy instance
+ * @param {HTMLElement} tag - The HTML object for the question.
  */
-function BlockPyEnglish(main) {
-    this.main = main; 
+function BlockPyEnglish(main, tag) {
+    this.main = main;
+    this.tag = tag;
+    this.explainer = new PythonToEnglish();
+
+    this.codeTag = tag.find('.blockpy-english-question-code');
+    this.optionsTag = tag.find('.blockpy-english-question-options');
+    this.resultTag = tag.find('.blockpy-english-question-result');
+    // The choices of the current question, and which one is right
+    this.choices = [];
+    this.answer = null;
+
+    var english = this;
+    tag.find('.blockpy-english-question-check').click(function() {
+        english.checkAnswer();
+    });
+    var model = this.main.model;
+    model.assignment.explain_line.subscribe(function() {
+        english.renderQuestion();
+    });
+    model.programs['starting_code'].subscribe(function() {
+        english.renderQuestion();
+    });
+    this.renderQuestion();
 }
 
 /**
- * A method for opening a dialog with the english transliteration.
+ * The most choices that a question will have.
+ */
+BlockPyEnglish.prototype.MAX_CHOICES = 4;
+
+/**
+ * A method for opening a dialog with the english transliteration, where
+ * each line of the code is shown next to its explanation.
  */
 BlockPyEnglish.prototype.openDialog = function() {
+    var code = this.main.model.program(), body;
     try {
-        body = Blockly.Pseudo.workspaceToCode();
+        body = this.explainToHtml(code);
     } catch (e) {
         console.error(e);
-        body = "I couldn't understand the code. Sorry!"
+        body = "I couldn't understand the code, so there might be a mistake in it. Sorry!";
     }
     this.main.components.dialog.show("English", body, function() {});
-}
\ No newline at end of file
+}
+
+/**
+ * Builds a table with each line of the code and its explanation.
+ *
+ * @param {String} code - The Python code.
+ * @returns {String} The HTML of the table.
+ */
+BlockPyEnglish.prototype.explainToHtml = function(code) {
+    var explanations = {};
+    this.explainer.explain(code).forEach(function(explanation) {
+        if (explanation.line in explanations) {
+            explanations[explanation.line].text += ' '+explanation.text;
+        } else {
+            explanations[explanation.line] = explanation;
+        }
+    });
+    var rows = code.replace(/\s+$/, '').split('\n').map(function(text, index) {
+        var explanation = explanations[index+1];
+        var english = explanation ?
+            "<td style='padding-left: "+(explanation.depth*20+5)+"px'>"+encodeHTML(explanation.text)+"</td>" :
+            "<td></td>";
+        return "<tr><td class='text-muted'>"+(index+1)+"</td>"+
+               "<td><code class='blockpy-english-code'>"+encodeHTML(text)+"</code></td>"+english+"</tr>";
+    });
+    return "<table class='table table-condensed blockpy-english'>"+rows.join('')+"</table>";
+}
+
+/**
+ * @returns {Number} The line of the starting code that the student is asked
+ *                   to explain, or 0 if there is no question. The settings
+ *                   give it as text.
+ */
+BlockPyEnglish.prototype.getLine = function() {
+    return parseInt(this.main.model.assignment.explain_line(), 10) || 0;
+}
+
+/**
+ * Makes the choices for the assignment's "explain this line" question, if it
+ * has one.
+ */
+BlockPyEnglish.prototype.renderQuestion = function() {
+    var line = this.getLine();
+    var code = this.main.model.programs['starting_code']();
+    this.optionsTag.empty();
+    this.resultTag.empty();
+    this.choices = [];
+    this.answer = null;
+    if (!line) {
+        return;
+    }
+    this.codeTag.text((code.split('\n')[line-1] || '').trim());
+    var explanations;
+    try {
+        explanations = this.explainer.explain(code);
+    } catch (e) {
+        this.optionsTag.text("The starting code can't be explained, since it has a mistake.");
+        return;
+    }
+    var correct = this.explainer.explainLine(code, line);
+    if (correct === null) {
+        this.optionsTag.text("Nothing starts on line "+line+" of the starting code.");
+        return;
+    }
+    var others = [];
+    explanations.forEach(function(explanation) {
+        if (explanation.text != correct && others.indexOf(explanation.text) == -1) {
+            others.push(explanation.text);
+        }
+    });
+    this.choices = shuffleArray(others).slice(0, this.MAX_CHOICES-1).concat([correct]);
+    this.choices = shuffleArray(this.choices);
+    this.answer = this.choices.indexOf(correct);
+    var optionsTag = this.optionsTag;
+    this.choices.forEach(function(choice, index) {
+        $("<div class='radio'><label><input type='radio' name='blockpy-english-choice'></label></div>")
+            .find('input').val(index).end()
+            .find('label').append(document.createTextNode(' '+choice)).end()
+            .appendTo(optionsTag);
+    });
+}
+
+/**
+ * Checks the student's choice for the "explain this line" question, and
+ * reports whether it was right.
+ */
+BlockPyEnglish.prototype.checkAnswer = function() {
+    var chosen = this.optionsTag.find('input:checked');
+    if (!chosen.length) {
+        this.resultTag.text("Pick one of the choices first.");
+        return;
+    }
+    var choice = parseInt(chosen.val(), 10);
+    var model = this.main.model,
+        feedback = this.main.components.feedback,
+        server = this.main.components.server;
+    var line = this.getLine();
+    server.logEvent('english', 'answer', this.choices[choice]);
+    if (choice == this.answer) {
+        this.resultTag.text("Correct!");
+        feedback.complete();
+        server.markSuccess(1.0, model.settings.completedCallback);
+    } else {
+        this.resultTag.text("Not quite. Try again!");
+        feedback.instructorFeedback("Incorrect Answer",
+            "That isn't what line "+line+" does. Read the line again, and think about what each part of it does.",
+            line);
+        server.markSuccess(0.0);
+    }
+}
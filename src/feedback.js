@@ -16,11 +16,16 @@ function BlockPyFeedback(main, tag) {
     this.original = this.tag.find('.blockpy-feedback-original');
     this.status = this.tag.find('.blockpy-feedback-status');
     this.trace = this.tag.find('.blockpy-feedback-trace');
+    this.hints = this.tag.find('.blockpy-feedback-hints');
+    this.others = this.tag.find('.blockpy-feedback-others');
     
     // Reload the tracetable on click
     this.trace.click(this.buildTraceTable.bind(this));
     
     this.original.hide();
+    
+    // The messages shown by the last presentFeedback
+    this.shownMessages = [];
 };
 
 BlockPyFeedback.prototype.isFeedbackVisible = function () {
@@ -63,6 +68,8 @@ BlockPyFeedback.prototype.clear = function(printer) {
     this.title.html("Ready");
     this.original.hide();
     this.body.html("");
+    this.hints.empty();
+    this.others.empty();
     this.main.model.status.error("none");
     this.main.components.editor.unhighlightLines();
     if (printer !== undefined && printer) {
@@ -167,14 +174,16 @@ BlockPyFeedback.prototype.syntaxError = function(original, message, line) {
  * @param {String} original - HTML content that represents the original error message generated by the system.
  * @param {String} message - HTML content that is a hopefully friendlier message for the user explaining the error.
  * @param {number} line - What line the error occurred on.
+ * @param {number} column - What column the error occurred on, if known (used to find the exact block).
  */
-BlockPyFeedback.prototype.semanticError = function(name, message, line) {
+BlockPyFeedback.prototype.semanticError = function(name, message, line, column) {
     this.title.html(name);
     this.original.hide();
     this.body.html(message);
     this.main.model.status.error("semantic");
     if (line !== null) {
         this.main.components.editor.highlightError(line-1);
+        this.main.components.editor.showBlockError(line, column, message);
     }
     this.main.components.printer.print("Execution stopped - there was an error!");
     this.main.components.server.logEvent('feedback', "Semantic Error", name+"\n|\n"+message);
@@ -267,19 +276,10 @@ BlockPyFeedback.prototype.prettyPrintError = function(error) {
 BlockPyFeedback.prototype.printError = function(error) {
     //console.log(error);
     original = this.prettyPrintError(error);
+    var explanation = this.explainError(error);
     this.title.html(error.tp$name);
     this.original.show().html(original);
-    if (error.tp$name == "ParseError") {
-        this.body.html("While attempting to convert the Python code into blocks, I found a syntax error. In other words, your Python code has a spelling or grammatical mistake. You should check to make sure that you have written all of your code correctly. To me, it looks like the problem is on line "+ error.args.v[2]+', where it says:<br><code>'+error.args.v[3][2]+'</code>', error.args.v[2]);
-    } else if (error.constructor == Sk.builtin.NameError
-                && error.args.v.length > 0
-                && error.args.v[0].v == "name '___' is not defined") {
-        this.body.html("You have incomplete blocks. Make sure that you do not have any dangling blocks or blocks that are connected incorrectly.<br><br>If you look at the text view of your Python code, you'll see <code>___</code> in the code. The converter will create these <code>___</code> to show that you have a block that's missing a piece.");
-    } else if (error.tp$name in EXTENDED_ERROR_EXPLANATION) {
-        this.body.html(EXTENDED_ERROR_EXPLANATION[error.tp$name]);
-    } else {
-        this.body.html(error.enhanced);
-    }
+    this.body.html(explanation);
     console.error(error);
     if (error.stack) {
         console.error(error.stack);
@@ -287,10 +287,35 @@ BlockPyFeedback.prototype.printError = function(error) {
     this.main.model.status.error("runtime");
     if (error.traceback && error.traceback.length) {
         this.main.components.editor.highlightError(error.traceback[0].lineno-1);
+        if (error.traceback[0].filename == "__main__.py") {
+            this.main.components.editor.showBlockError(error.traceback[0].lineno,
+                                                       error.traceback[0].colno,
+                                                       original+"\n"+explanation);
+        }
     }
     this.main.components.server.logEvent('feedback', "Runtime", original);
 }
 
+/**
+ * Explains a runtime error in friendlier terms.
+ *
+ * @param {Object} error - The Skulpt error.
+ * @returns {String} HTML content explaining the error.
+ */
+BlockPyFeedback.prototype.explainError = function(error) {
+    if (error.tp$name == "ParseError") {
+        return "While attempting to convert the Python code into blocks, I found a syntax error. In other words, your Python code has a spelling or grammatical mistake. You should check to make sure that you have written all of your code correctly. To me, it looks like the problem is on line "+ error.args.v[2]+', where it says:<br><code>'+error.args.v[3][2]+'</code>';
+    } else if (error.constructor == Sk.builtin.NameError
+                && error.args.v.length > 0
+                && error.args.v[0].v == "name '___' is not defined") {
+        return "You have incomplete blocks. Make sure that you do not have any dangling blocks or blocks that are connected incorrectly.<br><br>If you look at the text view of your Python code, you'll see <code>___</code> in the code. The converter will create these <code>___</code> to show that you have a block that's missing a piece.";
+    } else if (error.tp$name in EXTENDED_ERROR_EXPLANATION) {
+        return EXTENDED_ERROR_EXPLANATION[error.tp$name];
+    } else {
+        return error.enhanced;
+    }
+}
+
 /**
  * Static method to convert a priority level into a number.
  */
@@ -318,119 +343,547 @@ BlockPyFeedback.priorityComparator = function(a, b) {
 };
 
 /**
- * Present any accumulated feedback
+ * How many messages are shown to the student at once, unless the instructor
+ * changes it with set_feedback_limit.
  */
-BlockPyFeedback.prototype.presentFeedback = function() {
-    this.clear(false);
+BlockPyFeedback.prototype.DEFAULT_MESSAGE_LIMIT = 3;
+
+/**
+ * Creates a feedback message. Every piece of feedback (from the verifier, the
+ * parser, the instructor, the analyzer, or a runtime error) is described by one
+ * of these, so that several can be shown at once.
+ *
+ * @param {Object} fields - Any of the fields below.
+ * @returns {Object} The message, with these fields:
+ *   category {String} - The phase that produced it; this is also what presentFeedback
+ *                       returns when it is the primary message ('verifier', 'parsons',
+ *                       'parser', 'instructor', 'analyzer', 'student', 'tests', 'answer',
+ *                       'success', or 'no errors').
+ *   source {String} - What created it: 'verifier', 'parsons', 'parser', 'internal',
+ *                     'runtime', 'tests', 'answer', 'explain', 'gently', 'set_success', 'no errors', or
+ *                     'tifa:' and the name of the issue.
+ *   title {String} - A short name for the message.
+ *   message {String} - HTML content explaining the message.
+ *   original {String} - The original error message, if there was one.
+ *   priority {String} - 'low', 'medium', or 'high'.
+ *   line {Number} - The first line the message is about, or null.
+ *   end_line {Number} - The last line the message is about, or null.
+ *   hints {Array.<String>} - HTML hints, revealed one at a time.
+ *   issue {String} - For hint sequences, the issue they are about.
+ *   level {Number} - For hint sequences, which hint of the sequence is being shown.
+ *   error {Object} - The Skulpt error, for runtime errors.
+ */
+BlockPyFeedback.prototype.createMessage = function(fields) {
+    var line = fields.line === undefined ? null : fields.line;
+    return {
+        'category': fields.category,
+        'source': fields.source,
+        'title': fields.title || '',
+        'message': fields.message || '',
+        'original': fields.original || '',
+        'priority': fields.priority || 'medium',
+        'line': line,
+        'end_line': fields.end_line === undefined ? line : fields.end_line,
+        'column': fields.column === undefined ? null : fields.column,
+        'hints': fields.hints || [],
+        'issue': fields.issue,
+        'level': fields.level,
+        'error': fields.error
+    };
+}
+
+/**
+ * Converts the complaints made with the instructor API into messages, most
+ * important first. Complaints from hint_sequence show the hint that the
+ * student has reached for that issue.
+ *
+ * @param {Array.<Object>} complaints - The complaints, as made by explain, gently, and hint_sequence.
+ * @returns {Array.<Object>} The messages (see createMessage).
+ */
+BlockPyFeedback.prototype.convertComplaints = function(complaints) {
+    var feedback = this;
+    var hintLevels = null;
+    return complaints.slice().sort(BlockPyFeedback.priorityComparator).map(function(complaint) {
+        var title = complaint.name, message = complaint.message, level;
+        if (complaint.sequence !== undefined) {
+            if (hintLevels === null) {
+                hintLevels = feedback.main.components.server.loadHintLevels();
+            }
+            level = Math.min(hintLevels[complaint.issue] || 0, complaint.sequence.length-1);
+            message = complaint.sequence[level];
+            if (complaint.sequence.length > 1) {
+                title += " (hint "+(level+1)+" of "+complaint.sequence.length+")";
+            }
+        }
+        return feedback.createMessage({
+            'category': 'instructor',
+            'source': complaint.priority == 'student' ? 'gently' : 'explain',
+            'title': title,
+            'message': message,
+            'priority': arrayContains(complaint.priority, ['low', 'high']) ?
+                        complaint.priority : 'medium',
+            'line': complaint.line,
+            'end_line': complaint.end_line,
+            'hints': complaint.hints,
+            'issue': complaint.issue,
+            'level': level
+        });
+    });
+}
+
+/**
+ * Moves the student along to the next hint of any hint sequences they were
+ * just shown, so that running into the same issue again is more specific.
+ * Only called after the student runs their code, not while they are editing.
+ */
+BlockPyFeedback.prototype.advanceHints = function() {
+    var server = this.main.components.server;
+    this.shownMessages.forEach(function(message) {
+        if (message.issue !== undefined) {
+            server.saveHintLevel(message.issue, message.level+1);
+        }
+    });
+}
+
+/**
+ * Gathers every message that should be shown to the student, in order of
+ * importance: verifier, Parsons problems, parser, instructor, analyzer,
+ * runtime, test cases, differences from the answer program, gentle, and
+ * finally completion.
+ *
+ * @returns {Array.<Object>} The messages (see createMessage).
+ */
+BlockPyFeedback.prototype.collectMessages = function() {
     var report = this.main.model.execution.reports;
     var suppress = this.main.model.execution.suppressions;
+    var messages = [];
     
     // Organize complaints
-    var complaint = report['instructor'].complaint;
+    var complaint = (report['instructor'].complaint || []).slice();
     var gentleComplaints = [];
     var verifierComplaints = [];
-    if (complaint) {
-        moveElements(complaint, gentleComplaints, function(e) { return e.priority == 'student' });
-        moveElements(complaint, verifierComplaints, function(e) { return e.priority == 'verifier' });
-    }
+    moveElements(complaint, gentleComplaints, function(e) { return e.priority == 'student' });
+    moveElements(complaint, verifierComplaints, function(e) { return e.priority == 'verifier' });
     
     // Verifier
     if (!suppress['verifier'] && !report['verifier'].success) {
-        this.emptyProgram();
-        return 'verifier';
+        return [this.createMessage({'category': 'verifier', 'source': 'verifier',
+                                    'title': 'Blank Program'})];
     }
+    messages = messages.concat(this.convertComplaints(verifierComplaints));
+    // Parsons problems, which come first since a misplaced line can also
+    // cause a syntax error
+    messages = messages.concat(this.collectParsonsMessages());
     // Parser
-    if (verifierComplaints.length) {
-        this.instructorFeedback(verifierComplaints[0].name, 
-                                verifierComplaints[0].message, 
-                                verifierComplaints[0].line);
-        return 'instructor';
-    }
     if (!suppress['parser'] && !report['parser'].success) {
-        var parserReport = report['parser'].error;
-        this.convertSkulptSyntax(parserReport);
-        return 'parser';
+        messages.push(this.createParserMessage(report['parser'].error));
+        return messages;
     }
     // Error in Instructor Feedback code
     if (!report['instructor'].success) {
         var error = report['instructor'].error;
-        if (!error.traceback) {
-            this.internalError(error, "Instructor Feedback Error", "Error in instructor feedback. Please show the above message to an instructor!");
-            console.error(error);
-            return 'instructor';
-        } else if (error.traceback[0].filename == "__main__.py") {
-            this.printError(report['instructor'].error);
-            return 'student';
+        if (error.traceback && error.traceback.length && error.traceback[0].filename == "__main__.py") {
+            messages.push(this.createRuntimeMessage(error));
         } else {
-            if (error.traceback[0].filename == report['instructor'].filename) {
+            if (error.traceback && error.traceback.length &&
+                error.traceback[0].filename == report['instructor'].filename) {
                 error.traceback[0].lineno -= report['instructor']['line_offset'];
             }
-            //report['instructor']['line_offset']
-            this.internalError(error, "Instructor Feedback Error", "Error in instructor feedback. Please show the above message to an instructor!");
             console.error(error);
-            return 'instructor';
+            messages.push(this.createMessage({
+                'category': 'instructor',
+                'source': 'internal',
+                'title': 'Instructor Feedback Error',
+                'original': error,
+                'message': "Error in instructor feedback. Please show the above message to an instructor!"
+            }));
         }
+        return messages;
     }
     if (report['instructor'].compliments && report['instructor'].compliments.length) {
         //this.compliment(report['instructor'].compliments);
         console.log(report['instructor'].compliments);
     }
-    if (suppress['instructor'] !== true && complaint && complaint.length) {
-        complaint.sort(BlockPyFeedback.sortPriorities);
-        this.instructorFeedback(complaint[0].name, complaint[0].message, complaint[0].line);
-        return 'instructor';
+    if (suppress['instructor'] !== true) {
+        messages = messages.concat(this.convertComplaints(complaint));
     }
     // Analyzer
     if (!report['instructor'].hide_correctness &&
         suppress['analyzer'] !== true) {//if a subtype is specified, or no suppression requested, present feedback
         if (!report['analyzer'].success) {
-            this.internalError(report['analyzer'].error, "Analyzer Error", "Error in analyzer. Please show the above message to an instructor!");
-            return 'analyzer';
-        }
-        var wasPresented = this.presentAnalyzerFeedback();
-        if (wasPresented) {
-            return 'analyzer';
+            messages.push(this.createMessage({
+                'category': 'analyzer',
+                'source': 'internal',
+                'title': 'Analyzer Error',
+                'original': report['analyzer'].error,
+                'message': "Error in analyzer. Please show the above message to an instructor!"
+            }));
+            return messages;
         }
+        messages = messages.concat(this.collectAnalyzerMessages());
     }
     // Student runtime errors
-    if (!suppress['student']) {
-        if (!report['student'].success) {
-            this.printError(report['student'].error);
-            return 'student';
-        }
+    if (!suppress['student'] && !report['student'].success) {
+        messages.push(this.createRuntimeMessage(report['student'].error));
     }
     // No instructor feedback if hiding correctness
     if (report['instructor'].hide_correctness == true) {
-        this.noErrors()
-        return 'no errors';
+        if (!messages.length) {
+            messages.push(this.createMessage({'category': 'no errors', 'source': 'no errors',
+                                              'title': 'Ran'}));
+        }
+        return messages;
     }
+    // The assignment's test cases
+    messages = messages.concat(this.collectTestMessages());
+    // Differences from the answer program that the instructor checked for
+    messages = messages.concat(this.collectAnswerMessages());
     // Gentle instructor feedback
-    if (suppress['instructor'] !== true && gentleComplaints.length) {
-        this.instructorFeedback(gentleComplaints[0].name, 
-                                gentleComplaints[0].message, 
-                                gentleComplaints[0].line);
-        return 'instructor';
+    if (suppress['instructor'] !== true) {
+        messages = messages.concat(this.convertComplaints(gentleComplaints));
+    }
+    if (messages.length) {
+        return messages;
     }
     //instructor completion flag
-    if (suppress['instructor'] !== true && report['instructor'].complete) {
-        this.complete();
-        return 'success';
+    if (suppress['instructor'] !== true &&
+        (report['instructor'].complete || report['parsons'].complete ||
+         report['tests'].complete)) {
+        messages.push(this.createMessage({'category': 'success', 'source': 'set_success',
+                                          'title': 'Complete!'}));
+    } else if (!suppress['no errors']) {
+        messages.push(this.createMessage({'category': 'no errors', 'source': 'no errors',
+                                          'title': 'Ran'}));
+    }
+    return messages;
+}
+
+/**
+ * Creates a message for each problem with the lines of a Parsons problem.
+ *
+ * @returns {Array.<Object>} The messages (see createMessage).
+ */
+BlockPyFeedback.prototype.collectParsonsMessages = function() {
+    var feedback = this;
+    return (this.main.model.execution.reports['parsons'].problems || []).map(function(problem) {
+        return feedback.createMessage({
+            'category': 'parsons',
+            'source': 'parsons',
+            'title': problem.title,
+            'message': problem.message,
+            'priority': 'high',
+            'line': problem.line
+        });
+    });
+}
+
+/**
+ * Creates a message with the matrix of the assignment's test cases, if any
+ * of them failed.
+ *
+ * @returns {Array.<Object>} The messages (see createMessage).
+ */
+BlockPyFeedback.prototype.collectTestMessages = function() {
+    var tests = this.main.model.execution.reports['tests'];
+    if (tests.success === false) {
+        console.error(tests.error);
+        return [this.createMessage({
+            'category': 'tests',
+            'source': 'internal',
+            'title': 'Test Cases Error',
+            'original': tests.error,
+            'message': "Error in the test cases. Please show the above message to an instructor!"
+        })];
     }
-    if (!suppress['no errors']) {
-        this.noErrors()
-        return 'no errors';
+    var results = tests.results || [];
+    var failed = results.filter(function(result) { return !result.passed; }).length;
+    if (!failed) {
+        return [];
     }
-    return 'completed';
+    return [this.createMessage({
+        'category': 'tests',
+        'source': 'tests',
+        'title': failed == 1 ? "Failed a Test" : "Failed "+failed+" Tests",
+        'message': "Your code passed "+(results.length-failed)+" of "+results.length+" tests."+
+                   this.testsToHtml(results),
+        'priority': 'high'
+    })];
 }
 
-BlockPyFeedback.prototype.convertSkulptSyntax = function(skulptError) {
+/**
+ * Builds a table with a row for each test case, showing what was expected,
+ * what happened, and whether it passed. A failed test's hint goes under it.
+ *
+ * @param {Array.<Object>} results - The results of the tests (see run_test_cases).
+ * @returns {String} The HTML of the table.
+ */
+BlockPyFeedback.prototype.testsToHtml = function(results) {
+    var describe = function(value, lines) {
+        var parts = [];
+        if (value !== null) {
+            parts.push("returns <code>"+encodeHTML(value)+"</code>");
+        }
+        if (lines !== null) {
+            parts.push(lines.length ? "prints <pre>"+encodeHTML(lines.join('\n'))+"</pre>" :
+                                      "prints nothing");
+        }
+        return parts.join('<br>');
+    };
+    var rows = results.map(function(result) {
+        var actual = result.error !== null ? "<code>"+encodeHTML(result.error)+"</code>" :
+                     describe(result.returned, result.output === null ? null : result.printed);
+        var mark = result.passed ?
+            "<span class='glyphicon glyphicon-ok text-success' title='Passed'></span>" :
+            "<span class='glyphicon glyphicon-remove text-danger' title='Failed'></span>";
+        var row = "<tr class='"+(result.passed ? 'success' : 'danger')+"'><td>"+mark+"</td>"+
+                  "<td><code>"+encodeHTML(result.name)+"</code></td>"+
+                  "<td>"+describe(result.returns, result.output)+"</td><td>"+actual+"</td></tr>";
+        if (!result.passed && result.hint) {
+            row += "<tr><td></td><td colspan='3'><em>Hint:</em> "+result.hint+"</td></tr>";
+        }
+        return row;
+    });
+    return "<table class='table table-condensed blockpy-feedback-tests'>"+
+           "<tr><th></th><th>Test</th><th>Expected</th><th>Actual</th></tr>"+rows.join('')+"</table>";
+}
+
+/**
+ * Creates a message for each way that the student's run differed from the
+ * answer program's, as found by output_matches_answer, plots_match_answer,
+ * and variable_matches_answer.
+ *
+ * @returns {Array.<Object>} The messages (see createMessage).
+ */
+BlockPyFeedback.prototype.collectAnswerMessages = function() {
+    var feedback = this;
+    return (this.main.model.execution.reports['answer'].diffs || []).map(function(diff) {
+        return feedback.createMessage({
+            'category': 'answer',
+            'source': 'answer',
+            'title': diff.title+" Doesn't Match",
+            'message': feedback.diffToHtml(diff.expected, diff.actual)
+        });
+    });
+}
+
+/**
+ * Lines up two lists of lines side by side, matching the lines they have in
+ * common (see diffLines in utilities.js), so that the lines that are
+ * missing, extra, or changed stand out.
+ *
+ * @param {Array.<String>} expected - The lines from the answer program.
+ * @param {Array.<String>} actual - The lines from the student's code.
+ * @returns {Array.<Object>} The rows, each with an expected and an actual line
+ *                           (either can be null) and whether they are the same.
+ *                           If lines were cut off, the last row has a 'more' message.
+ */
+BlockPyFeedback.diffLines = function(expected, actual) {
+    var rows = [], missing = [], extra = [];
+    // Changed lines go next to each other, instead of on separate rows
+    var flush = function() {
+        for (var k = 0; k < Math.max(missing.length, extra.length); k++) {
+            rows.push({'expected': k < missing.length ? missing[k] : null,
+                       'actual': k < extra.length ? extra[k] : null,
+                       'same': false});
+        }
+        missing = [];
+        extra = [];
+    };
+    diffLines(expected, actual).forEach(function(line) {
+        if (line.kind == '-') {
+            missing.push(line.text);
+        } else if (line.kind == '+') {
+            extra.push(line.text);
+        } else {
+            flush();
+            if (line.kind == '...') {
+                rows.push({'more': line.text});
+            } else {
+                rows.push({'expected': line.text, 'actual': line.text, 'same': true});
+            }
+        }
+    });
+    flush();
+    return rows;
+}
+
+/**
+ * Builds a side by side table of the answer program's lines and the
+ * student's, with the differences highlighted.
+ *
+ * @param {Array.<String>} expected - The lines from the answer program.
+ * @param {Array.<String>} actual - The lines from the student's code.
+ * @returns {String} The HTML of the table.
+ */
+BlockPyFeedback.prototype.diffToHtml = function(expected, actual) {
+    var cell = function(line, same) {
+        if (line === null) {
+            return "<td class='active'></td>";
+        }
+        return "<td"+(same ? "" : " class='danger'")+"><samp>"+encodeHTML(line)+"</samp></td>";
+    };
+    var rows = BlockPyFeedback.diffLines(expected, actual).map(function(row) {
+        if (row.more !== undefined) {
+            return "<tr><td colspan='2' class='text-muted'><em>"+encodeHTML(row.more)+"</em></td></tr>";
+        }
+        return "<tr>"+cell(row.expected, row.same)+cell(row.actual, row.same)+"</tr>";
+    });
+    if (!rows.length) {
+        rows.push("<tr><td><em>Nothing</em></td><td><em>Nothing</em></td></tr>");
+    }
+    return "<table class='table table-condensed blockpy-feedback-diff'>"+
+           "<tr><th>Expected</th><th>Yours</th></tr>"+rows.join('')+"</table>";
+}
+
+/**
+ * Creates a message for an error raised while running the student's code.
+ *
+ * @param {Object} error - The Skulpt error.
+ * @returns {Object} The message (see createMessage).
+ */
+BlockPyFeedback.prototype.createRuntimeMessage = function(error) {
+    return this.createMessage({
+        'category': 'student',
+        'source': 'runtime',
+        'title': error.tp$name,
+        'original': this.prettyPrintError(error),
+        'message': this.explainError(error),
+        'line': error.traceback && error.traceback.length ? error.traceback[0].lineno : null,
+        'column': error.traceback && error.traceback.length ? error.traceback[0].colno : null,
+        'error': error
+    });
+}
+
+/**
+ * Shows a message as the main feedback.
+ *
+ * @param {Object} message - The message (see createMessage).
+ */
+BlockPyFeedback.prototype.presentMessage = function(message) {
+    switch (message.source) {
+        case 'verifier': this.emptyProgram(); break;
+        case 'parser': this.editorError(message.original, message.message, message.line); break;
+        case 'internal': this.internalError(message.original, message.title, message.message); break;
+        case 'runtime': this.printError(message.error); break;
+        case 'set_success': this.complete(); break;
+        case 'no errors': this.noErrors(); break;
+        default:
+            if (message.category == 'analyzer') {
+                this.semanticError(message.title, message.message, message.line, message.column);
+            } else {
+                this.instructorFeedback(message.title, message.message, message.line);
+            }
+    }
+    this.presentHints(this.hints, message.hints);
+}
+
+/**
+ * Adds a button that reveals the hints one at a time.
+ *
+ * @param {HTMLElement} tag - Where to put the hints.
+ * @param {Array.<String>} hints - HTML content for each hint.
+ */
+BlockPyFeedback.prototype.presentHints = function(tag, hints) {
+    if (!hints.length) {
+        return;
+    }
+    var server = this.main.components.server;
+    var list = $("<ol class='blockpy-feedback-hint-list'></ol>").appendTo(tag);
+    var button = $("<button type='button' class='btn btn-xs btn-default'></button>")
+        .html("<span class='glyphicon glyphicon-question-sign'></span> Hint")
+        .appendTo(tag);
+    button.click(function() {
+        var shown = list.children().length;
+        $("<li></li>").html(hints[shown]).appendTo(list);
+        server.logEvent('feedback', 'hint', shown+1);
+        if (shown+1 >= hints.length) {
+            button.hide();
+        }
+    });
+}
+
+/**
+ * Shows the messages after the primary one, collapsed underneath it.
+ *
+ * @param {Array.<Object>} messages - The messages (see createMessage).
+ */
+BlockPyFeedback.prototype.presentOtherMessages = function(messages) {
+    if (!messages.length) {
+        return;
+    }
+    var feedback = this;
+    var toggle = $("<a href='#' class='blockpy-feedback-others-toggle'></a>")
+        .text(messages.length == 1 ? "1 more message" : messages.length+" more messages")
+        .appendTo(this.others);
+    var list = $("<div class='list-group blockpy-feedback-others-list'></div>")
+        .hide().appendTo(this.others);
+    toggle.click(function(event) {
+        event.preventDefault();
+        list.toggle();
+    });
+    messages.forEach(function(message) {
+        var item = $("<div class='list-group-item'></div>").appendTo(list);
+        var heading = $("<strong></strong>").html(message.title).appendTo(item);
+        if (message.line !== null) {
+            var lines = message.end_line !== null && message.end_line != message.line ?
+                        " (lines "+message.line+"-"+message.end_line+")" :
+                        " (line "+message.line+")";
+            $("<small class='text-muted'></small>").text(lines).appendTo(item);
+        }
+        $("<div></div>").html(message.message).appendTo(item);
+        feedback.presentHints(item, message.hints);
+    });
+}
+
+/**
+ * Present any accumulated feedback. The most important message is shown in
+ * full, and the next few (as many as the instructor allows) are listed under it.
+ *
+ * @returns {String} The category of the primary message (see createMessage).
+ */
+BlockPyFeedback.prototype.presentFeedback = function() {
+    this.clear(false);
+    var report = this.main.model.execution.reports;
+    var messages = this.collectMessages();
+    report['feedback'] = messages;
+    if (!messages.length) {
+        return 'completed';
+    }
+    var limit = report['instructor'].feedback_limit;
+    if (limit === undefined) {
+        limit = this.DEFAULT_MESSAGE_LIMIT;
+    }
+    this.shownMessages = messages.slice(0, Math.max(1, limit));
+    this.presentMessage(this.shownMessages[0]);
+    this.presentOtherMessages(this.shownMessages.slice(1));
+    return messages[0].category;
+}
+
+/**
+ * Creates a message for a syntax error found while parsing the student's code.
+ *
+ * @param {Object} skulptError - The Skulpt ParseError.
+ * @returns {Object} The message (see createMessage).
+ */
+BlockPyFeedback.prototype.createParserMessage = function(skulptError) {
     var convertedError = Sk.ffi.remapToJs(skulptError.args);
-    console.log(convertedError);
     var codeLine = '.';
     if (convertedError.length > 3 && convertedError[4]) {
         codeLine = ', where it says:<br><code>'+convertedError[4]+'</code>';
     }
-    this.editorError(skulptError, "While attempting to process your Python code, I found a syntax error. In other words, your Python code has a mistake in it (e.g., mispelled a keyword, bad indentation, unnecessary symbol). You should check to make sure that you have written all of your code correctly. To me, it looks like the problem is on line "+ convertedError[2]+codeLine, convertedError[2]);
+    return this.createMessage({
+        'category': 'parser',
+        'source': 'parser',
+        'title': 'Editor Error',
+        'original': skulptError,
+        'message': "While attempting to process your Python code, I found a syntax error. In other words, your Python code has a mistake in it (e.g., mispelled a keyword, bad indentation, unnecessary symbol). You should check to make sure that you have written all of your code correctly. To me, it looks like the problem is on line "+ convertedError[2]+codeLine,
+        'line': convertedError[2]
+    });
+}
+
+BlockPyFeedback.prototype.convertSkulptSyntax = function(skulptError) {
+    var message = this.createParserMessage(skulptError);
+    this.editorError(message.original, message.message, message.line);
 }
 
 BlockPyFeedback.prototype.OPERATION_DESCRIPTION = {
@@ -453,75 +906,94 @@ BlockPyFeedback.prototype.TYPE_DESCRIPTION = {
     "Function": "a function"
 };
 
-BlockPyFeedback.prototype.presentAnalyzerFeedback = function() {
+/**
+ * Gathers the details of an occurrence of an analyzer issue that its message
+ * template can refer to (see TifaIssueRegistry).
+ *
+ * @param {Object} occurrence - The data reported by the analyzer.
+ * @returns {Object} The details, such as the name and line.
+ */
+BlockPyFeedback.prototype.getIssueFields = function(occurrence) {
+    var TYPE_DESCRIPTION = this.TYPE_DESCRIPTION;
+    var describe = function(type) {
+        return TYPE_DESCRIPTION[type.name] || type.name;
+    };
+    var fields = {};
+    for (var key in occurrence) {
+        var value = occurrence[key];
+        if (value === undefined || value === null) {
+            continue;
+        } else if (key == 'position') {
+            fields.line = value.line;
+            fields.column = value.column;
+        } else if (key == 'operation') {
+            fields.operation = this.OPERATION_DESCRIPTION[value] || value;
+        } else if (value.name !== undefined) {
+            fields[key] = describe(value);
+        } else if (typeof value != 'object') {
+            fields[key] = value;
+        }
+    }
+    // Unused functions are described differently than unused variables
+    var isFunction = occurrence.type && occurrence.type.name == 'Function';
+    fields.kind = isFunction ? 'function' : 'variable';
+    fields.kind_body = isFunction ? 'definition' : 'value';
+    return fields;
+}
+
+/**
+ * Builds a message for each kind of issue that the analyzer (TIFA) found, using
+ * the first occurrence of each kind. Which issues are shown, their order, and
+ * their messages come from the issue registry, as changed by the assignment's
+ * analyzer_issues setting.
+ *
+ * @returns {Array.<Object>} The messages (see createMessage), most important first.
+ */
+BlockPyFeedback.prototype.collectAnalyzerMessages = function() {
     var report = this.main.model.execution.reports['analyzer'].issues;
     var suppress = this.main.model.execution.suppressions['analyzer'] || {};
+    var settings = this.main.model.assignment['analyzer_issues']();
+    var registered = (this.main.model.execution.reports['instructor'] || {}).issues;
+    var feedback = this;
+    var messages = [];
     if (suppress === true) {
         // Suppress all types of analyzer errors
-        return false;
-    } else if (!suppress["Action after return"] && report["Action after return"].length >= 1) {
-        var variable = report["Action after return"][0];
-        this.semanticError("Action after return", "You performed an action after already returning from a function, on line "+variable.position.line+". You can only return on a path once.", variable.position.line)
-        return true;
-    } else if (!suppress['Return outside function'] && report['Return outside function'].length >= 1) {
-        var first = report['Return outside function'][0];
-        this.semanticError("Return outside function", "You attempted to return outside of a function on line "+first.position.line+". But you can only return from within a function.", first.position.line)
-        return true;
-    /*} else if (!suppress['Write out of scope'] && report['Write out of scope'].length >= 1) {
-        var first = report['Write out of scope'][0];
-        this.semanticError("Write out of scope", "You attempted to write a variable from a higher scope (outside the function) on line "+first.position.line+". You should only use variables inside the function they were declared in.", first.position.line)
-        return true;*/
-    } else if (!suppress['Read out of scope'] && report['Read out of scope'].length >= 1) {
-        var first = report['Read out of scope'][0];
-        this.semanticError("Read out of scope", "You attempted to read a variable from a different scope on line "+first.position.line+". You should only use variables inside the function they were declared in.", first.position.line)
-        return true;
-    } else if (!suppress['Unconnected blocks'] && report["Unconnected blocks"].length >= 1) {
-        var variable = report['Unconnected blocks'][0];
-        this.semanticError("Unconnected blocks", "It looks like you have unconnected blocks on line "+variable.position.line+". Before you run your program, you must make sure that all of your blocks are connected and that there are no unfilled holes.", variable.position.line)
-        return true;
-    } else if (!suppress['Iteration variable is iteration list'] && report['Iteration variable is iteration list'].length >= 1) {
-        var variable = report['Iteration variable is iteration list'][0];
-        this.semanticError("Iteration Problem", "The variable <code>"+variable.name+"</code> was iterated on line "+variable.position.line+", but you used the same variable as the iteration variable. You should choose a different variable name for the iteration variable. Usually, the iteration variable is the singular form of the iteration list (e.g., <code>for dog in dogs:</code>).", variable.position.line)
-        return true;
-    } else if (!suppress["Undefined variables"] && report["Undefined variables"].length >= 1) {
-        var variable = report["Undefined variables"][0];
-        this.semanticError("Initialization Problem", "The variable <code>"+variable.name+"</code> was used on line "+variable.position.line+", but it was not given a value on a previous line. You cannot use a variable until it has been given a value.", variable.position.line)
-        return true;
-    } else if (!suppress["Possibly undefined variables"] && report["Possibly undefined variables"].length >= 1) {
-        var variable = report["Possibly undefined variables"][0];
-        this.semanticError("Initialization Problem", "The variable <code>"+variable.name+"</code> was used on line "+variable.position.line+", but it was possibly not given a value on a previous line. You cannot use a variable until it has been given a value. Check to make sure that this variable was declared in all of the branches of your decision.", variable.position.line);
-        return true;
-    } else if (!suppress["Unread variables"] && report["Unread variables"].length >= 1) {
-        var variable = report["Unread variables"][0];
-        var kindName = 'variable', kindBody = 'value';
-        if (variable.type && variable.type.name == 'Function') {
-            kindName = 'function';
-            kindBody = 'definition';
-        }
-        this.semanticError("Unused Variable", "The "+kindName+" <code>"+variable.name+"</code> was given a "+kindBody+", but was never used after that.", null)
-        return true;
-    } else if (!suppress["Overwritten variables"] && report["Overwritten variables"].length >= 1) {
-        var variable = report["Overwritten variables"][0];
-        this.semanticError("Overwritten Variable", "The variable <code>"+variable.name+"</code> was given a value, but <code>"+variable.name+"</code> was changed on line "+variable.position.line+" before it was used. One of the times that you gave <code>"+variable.name+"</code> a value was incorrect.", variable.position.line)
-        return true;
-    } else if (!suppress["Empty iterations"] && report["Empty iterations"].length >= 1) {
-        var variable = report["Empty iterations"][0];
-        if (variable.name) {
-            this.semanticError("Iterating over empty list", "The variable <code>"+variable.name+"</code> was set as an empty list, and then you attempted to use it in an iteration on line "+variable.position.line+". You should only iterate over non-empty lists.", variable.position.line)
-            return true;
+        return messages;
+    }
+    Tifa.ISSUES.configure(settings, registered).forEach(function(issue) {
+        if (!issue.enabled || suppress[issue.id] || !report[issue.id]) {
+            return;
         }
-    } else if (!suppress["Non-list iterations"] && report["Non-list iterations"].length >= 1) {
-        var variable = report["Non-list iterations"][0];
-        if (variable.name) {
-            this.semanticError("Iterating over non-list", "The variable <code>"+variable.name+"</code> is not a list, but you used it in the iteration on line "+variable.position.line+". You should only iterate over sequences like lists.", variable.position.line)
-            return true;
+        // Use the first occurrence that has every detail the message needs
+        for (var i = 0; i < report[issue.id].length; i += 1) {
+            var fields = feedback.getIssueFields(report[issue.id][i]);
+            var text = Tifa.ISSUES.fill(issue.message, fields);
+            if (text !== null) {
+                messages.push(feedback.createMessage({
+                    'category': 'analyzer',
+                    'source': 'tifa:'+issue.id,
+                    'title': issue.title,
+                    'message': text,
+                    'priority': issue.priority,
+                    'line': fields.line === undefined ? null : fields.line,
+                    'column': fields.column
+                }));
+                break;
+            }
         }
-    } else if (!suppress["Incompatible types"] && report["Incompatible types"].length >= 1) {
-        var variable = report["Incompatible types"][0];
-        var op = this.OPERATION_DESCRIPTION[variable.operation];
-        var left = this.TYPE_DESCRIPTION[variable.left.name];
-        var right = this.TYPE_DESCRIPTION[variable.right.name];
-        this.semanticError("Incompatible types", "You used "+op+" operation with a "+left+" and a "+right+" on line "+variable.position.line+". But you can't do that with that operator. Make sure both sides of the operator are the right type.", variable.position.line)
+    });
+    return messages;
+}
+
+/**
+ * Shows the most important issue found by the analyzer, if there was one.
+ *
+ * @returns {Boolean} Whether an issue was shown.
+ */
+BlockPyFeedback.prototype.presentAnalyzerFeedback = function() {
+    var messages = this.collectAnalyzerMessages();
+    if (messages.length) {
+        this.presentMessage(messages[0]);
         return true;
     }
     return false;
@@ -0,0 +1,234 @@
+/**
+ * Draws a diagram of the variables and objects at the current step of the
+ * trace, in the style of Python Tutor: each frame on the call stack is a box
+ * of variables, and each list, tuple, dictionary, set, or instance is a box
+ * on the heap. References are drawn as arrows, so aliases point at the same box.
+ *
+ * @constructor
+ * @this {BlockPyHeap}
+ * @param {Object} main - The main BlockPy instance
+ * @param {HTMLElement} tag - The HTML object this is attached to.
+ */
+function BlockPyHeap(main, tag) {
+    this.main = main;
+    this.tag = tag;
+
+    var heap = this,
+        execution = main.model.execution;
+    [execution.trace, execution.trace_step,
+     execution.trace_frame, execution.show_trace].forEach(function(observable) {
+        observable.subscribe(function() {
+            heap.draw();
+        });
+    });
+}
+
+BlockPyHeap.prototype.ROW_HEIGHT = 22;
+BlockPyHeap.prototype.CELL_WIDTH = 64;
+BlockPyHeap.prototype.FRAME_WIDTH = 180;
+BlockPyHeap.prototype.HEAP_LEFT = 260;
+BlockPyHeap.prototype.PADDING = 10;
+BlockPyHeap.prototype.GAP = 20;
+
+/**
+ * Shortens a value's text to fit in a cell.
+ *
+ * @param {String} text - The text of the value.
+ * @param {Number} length - The most characters to show.
+ * @returns {String} The shortened text.
+ */
+BlockPyHeap.prototype.shorten = function(text, length) {
+    text = String(text);
+    return text.length > length ? text.slice(0, length-3)+'...' : text;
+}
+
+/**
+ * Decides where each frame and each object goes in the diagram. Objects are
+ * placed in the order they are first reached from the frames.
+ *
+ * @param {Array.<Object>} stack - The frames of the step, innermost first.
+ * @param {Object} objects - The heap of the step, mapping ids to objects.
+ * @returns {Object} The frames, objects, arrows, and where each object's arrows point, along
+ *                   with the size of the diagram.
+ */
+BlockPyHeap.prototype.layout = function(stack, objects) {
+    var ROW_HEIGHT = this.ROW_HEIGHT, CELL_WIDTH = this.CELL_WIDTH,
+        PADDING = this.PADDING, GAP = this.GAP;
+    var frames = [], placed = [], arrows = [], anchors = {}, order = [], seen = {};
+    var visit = function(id) {
+        if (!(id in seen) && id in objects) {
+            seen[id] = true;
+            order.push(objects[id]);
+        }
+    };
+    // The frames go down the left side, outermost first
+    var y = PADDING;
+    var selected = this.main.model.execution.trace_frame();
+    for (var i = stack.length-1; i >= 0; i -= 1) {
+        var properties = stack[i].properties.filter(function(property) {
+            return property.name.indexOf('__') !== 0 && property.type != 'Function';
+        });
+        var frame = {'name': stack[i].name, 'x': PADDING, 'y': y,
+                     'active': i == Math.min(stack.length-1, selected),
+                     'height': ROW_HEIGHT*(properties.length+1),
+                     'rows': []};
+        properties.forEach(function(property, row) {
+            var rowY = y + ROW_HEIGHT*(row+1);
+            frame.rows.push({'name': property.name, 'value': property.value,
+                             'ref': property.ref, 'y': rowY});
+            if (property.ref !== undefined) {
+                arrows.push({'x': PADDING+this.FRAME_WIDTH-ROW_HEIGHT/2,
+                             'y': rowY+ROW_HEIGHT/2, 'target': property.ref});
+                visit(property.ref);
+            }
+        }, this);
+        frames.push(frame);
+        y += frame.height + GAP;
+    }
+    var height = y;
+    // The objects go down the right side
+    var x = this.HEAP_LEFT, width = x;
+    y = PADDING;
+    for (var j = 0; j < order.length; j += 1) {
+        var object = order[j];
+        var sequence = object.type != 'Dictionary' && object.type != 'Instance';
+        var box = {'object': object, 'x': x, 'y': y, 'sequence': sequence, 'cells': []};
+        var top = y + ROW_HEIGHT;
+        object.items.forEach(function(item, index) {
+            var cell = sequence ?
+                {'x': x + index*CELL_WIDTH, 'y': top, 'key': item.key, 'value': item.value} :
+                {'x': x, 'y': top + index*ROW_HEIGHT, 'key': item.key, 'value': item.value};
+            box.cells.push(cell);
+            if (item.value.ref !== undefined) {
+                var cellWidth = sequence ? CELL_WIDTH : 2*CELL_WIDTH;
+                arrows.push({'x': cell.x + cellWidth - ROW_HEIGHT/2,
+                             'y': cell.y + ROW_HEIGHT/2 + (sequence ? 4 : 0),
+                             'target': item.value.ref});
+                visit(item.value.ref);
+            }
+        });
+        box.width = sequence ? Math.max(1, object.items.length)*CELL_WIDTH : 2*CELL_WIDTH;
+        box.height = ROW_HEIGHT + (sequence ? ROW_HEIGHT+8 : Math.max(1, object.items.length)*ROW_HEIGHT);
+        anchors[object.id] = {'x': x, 'y': top + ROW_HEIGHT/2};
+        placed.push(box);
+        width = Math.max(width, x + box.width);
+        y += box.height + GAP;
+    }
+    return {'frames': frames, 'objects': placed, 'arrows': arrows, 'anchors': anchors,
+            'width': width + PADDING, 'height': Math.max(height, y)};
+}
+
+/**
+ * Redraws the diagram for the current step of the trace.
+ */
+BlockPyHeap.prototype.draw = function() {
+    var execution = this.main.model.execution;
+    this.tag.empty();
+    if (!execution.show_trace() || !execution.trace().length) {
+        return;
+    }
+    var trace = this.main.model.current_trace();
+    if (trace.heap === undefined || trace.stack === undefined) {
+        return;
+    }
+    var layout = this.layout(trace.stack, trace.heap);
+    var heap = this,
+        ROW_HEIGHT = this.ROW_HEIGHT, CELL_WIDTH = this.CELL_WIDTH;
+    var svg = d3.select(this.tag[0]).append('svg')
+        .attr('width', layout.width)
+        .attr('height', layout.height);
+    svg.append('defs').append('marker')
+        .attr('id', 'blockpy-heap-arrow')
+        .attr('viewBox', '0 0 10 10')
+        .attr('refX', 10).attr('refY', 5)
+        .attr('markerWidth', 6).attr('markerHeight', 6)
+        .attr('orient', 'auto')
+        .append('path').attr('d', 'M 0 0 L 10 5 L 0 10 z');
+    // Draws text in a cell, with the full text as a tooltip
+    var addText = function(group, text, x, y, length, className) {
+        group.append('text')
+            .attr('x', x).attr('y', y)
+            .attr('class', className)
+            .text(heap.shorten(text, length))
+            .append('title').text(text);
+    };
+    var addPointer = function(group, x, y) {
+        group.append('circle').attr('cx', x).attr('cy', y).attr('r', 3)
+            .attr('class', 'blockpy-heap-pointer');
+    };
+    // Frames
+    layout.frames.forEach(function(frame) {
+        var group = svg.append('g')
+            .attr('class', 'blockpy-heap-frame'+(frame.active ? ' blockpy-heap-frame-active' : ''));
+        group.append('rect')
+            .attr('x', frame.x).attr('y', frame.y)
+            .attr('width', heap.FRAME_WIDTH).attr('height', frame.height);
+        addText(group, frame.name == '<module>' ? 'Global variables' : frame.name,
+                frame.x+5, frame.y+ROW_HEIGHT-7, 24, 'blockpy-heap-label');
+        frame.rows.forEach(function(row) {
+            addText(group, row.name, frame.x+heap.FRAME_WIDTH/2-5, row.y+ROW_HEIGHT-7, 12,
+                    'blockpy-heap-name');
+            if (row.ref !== undefined) {
+                addPointer(group, frame.x+heap.FRAME_WIDTH-ROW_HEIGHT/2, row.y+ROW_HEIGHT/2);
+            } else {
+                addText(group, row.value, frame.x+heap.FRAME_WIDTH/2+5, row.y+ROW_HEIGHT-7, 10,
+                        'blockpy-heap-value');
+            }
+        });
+    });
+    // Objects
+    layout.objects.forEach(function(box) {
+        var object = box.object;
+        var group = svg.append('g').attr('class', 'blockpy-heap-object');
+        var label = object.type == 'Instance' ? object['class']+' instance' : object.type;
+        if (object.size > object.items.length) {
+            label += ' (first '+object.items.length+' of '+object.size+')';
+        }
+        addText(group, label, box.x, box.y+ROW_HEIGHT-7, 40, 'blockpy-heap-label');
+        if (!object.items.length) {
+            group.append('rect').attr('x', box.x).attr('y', box.y+ROW_HEIGHT)
+                .attr('width', CELL_WIDTH).attr('height', ROW_HEIGHT);
+            addText(group, 'empty', box.x+5, box.y+2*ROW_HEIGHT-7, 8, 'blockpy-heap-empty');
+        }
+        box.cells.forEach(function(cell) {
+            var valueX;
+            if (box.sequence) {
+                group.append('rect').attr('x', cell.x).attr('y', cell.y)
+                    .attr('width', CELL_WIDTH).attr('height', ROW_HEIGHT+8);
+                if (cell.key !== null) {
+                    addText(group, cell.key, cell.x+3, cell.y+9, 6, 'blockpy-heap-index');
+                }
+                valueX = cell.x;
+            } else {
+                group.append('rect').attr('x', cell.x).attr('y', cell.y)
+                    .attr('width', CELL_WIDTH).attr('height', ROW_HEIGHT);
+                group.append('rect').attr('x', cell.x+CELL_WIDTH).attr('y', cell.y)
+                    .attr('width', CELL_WIDTH).attr('height', ROW_HEIGHT);
+                addText(group, cell.key, cell.x+3, cell.y+ROW_HEIGHT-7, 9, 'blockpy-heap-name');
+                valueX = cell.x+CELL_WIDTH;
+            }
+            var middle = cell.y + ROW_HEIGHT/2 + (box.sequence ? 4 : 0);
+            if (cell.value.ref !== undefined) {
+                addPointer(group, valueX+CELL_WIDTH-ROW_HEIGHT/2, middle);
+            } else {
+                addText(group, cell.value.value, valueX+3, middle+5, 9, 'blockpy-heap-value');
+            }
+        });
+    });
+    // References
+    svg.selectAll('path.blockpy-heap-reference')
+        .data(layout.arrows.filter(function(arrow) {
+            return arrow.target in layout.anchors;
+        }))
+        .enter().append('path')
+        .attr('class', 'blockpy-heap-reference')
+        .attr('marker-end', 'url(#blockpy-heap-arrow)')
+        .attr('d', function(arrow) {
+            var target = layout.anchors[arrow.target];
+            var bend = Math.max(40, Math.abs(target.x-arrow.x)/2);
+            return 'M '+arrow.x+' '+arrow.y+
+                   ' C '+(arrow.x+bend)+' '+arrow.y+
+                   ', '+(target.x-bend)+' '+target.y+
+                   ', '+target.x+' '+target.y;
+        });
+}
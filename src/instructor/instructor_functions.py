@@ -1,6 +1,8 @@
 from instructor import *
 
 DELTA = 0.001
+ERROR_TEMPLATE = "Your <code>{}</code> function caused an error.<br>Given arguments: {}<br>Error: <code>{}</code>{}"
+LOAD_ERROR_TEMPLATE = "Your program caused an error before the <code>{}</code> function could be tested.<br>Error: <code>{}</code>"
 
 def match_signature(name, length, *parameters):
     ast = parse_program()
@@ -36,10 +38,15 @@ def output_test(name, *tests):
                     tip = "<br><br>"+out[1]
                     out = out[0]
                 template = "Your <code>{}</code> function did not produce the correct printed output.<br>Given arguments: <code>{}</code><br>Expected output: <code>{}</code><br>Actual output: <code>{}</code>"
-                reset_output()
-                the_function(*inp)
-                test_out = get_output()
                 inputs = ', '.join(["<code>{}</code>".format(repr(i)) for i in inp])
+                result = run_student_function(name, inp)
+                if not result.loaded:
+                    gently(LOAD_ERROR_TEMPLATE.format(name, str(result.exception)))
+                    return None
+                if not result.success:
+                    gently(ERROR_TEMPLATE.format(name, inputs, str(result.exception), tip))
+                    return None
+                test_out = result.output
                 if isinstance(out, str):
                     if len(test_out) < 1:
                         gently(template.format(name, inputs, repr(out), "<i>No output</i>", tip))
@@ -77,8 +84,15 @@ def unit_test(name, *tests):
                     tip = "<br><br>"+out[1]
                     out = out[0]
                 message = "Your <code>{}</code> function did not return the right value.<br>Given arguments: {}<br>Expected return: <code>{}</code><br>Actually returned: <code>{}</code>{}"
-                test_out = the_function(*inp)
                 inputs = ', '.join(["<code>{}</code>".format(repr(i)) for i in inp])
+                result = run_student_function(name, inp)
+                if not result.loaded:
+                    gently(LOAD_ERROR_TEMPLATE.format(name, str(result.exception)))
+                    return None
+                if not result.success:
+                    gently(ERROR_TEMPLATE.format(name, inputs, str(result.exception), tip))
+                    return None
+                test_out = result.value
                 message = message.format(name, inputs, repr(out), repr(test_out), tip)
                 if (isinstance(out, float) and 
                     isinstance(test_out, (float, int)) and
@@ -95,3 +109,31 @@ def unit_test(name, *tests):
     else:
         gently("The function <code>{}</code> was not defined.".format(name))
         return None
+
+
+def random_unit_test(name, generators, count=100, seed=None, tip=""):
+    if name in student.data:
+        the_function = student.data[name]
+        if callable(the_function):
+            failure = random_test(name, generators, count, seed)
+            if failure is None:
+                return the_function
+            if tip:
+                tip = "<br><br>"+tip
+            inputs = ', '.join(["<code>{}</code>".format(repr(i)) for i in failure['args']])
+            if failure['error'] is not None:
+                gently(ERROR_TEMPLATE.format(name, inputs, failure['error'], tip))
+                return None
+            message = "Your <code>{}</code> function did not give the right answer.<br>Given arguments: {}<br>Expected return: <code>{}</code><br>Actually returned: <code>{}</code>"
+            message = message.format(name, inputs, repr(failure['expected']), repr(failure['actual']))
+            if failure['expected_output'] != failure['output']:
+                message += "<br>Expected output: <pre>{}</pre>Actual output: <pre>{}</pre>".format(
+                    '\n'.join(failure['expected_output']), '\n'.join(failure['output']))
+            gently(message+"<br><small>(Random test {}, seed {})</small>".format(failure['tests'], failure['seed'])+tip)
+            return None
+        else:
+            gently("You defined {}, but did not define it as a function.".format(name))
+            return None
+    else:
+        gently("The function <code>{}</code> was not defined.".format(name))
+        return None
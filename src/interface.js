@@ -10,5 +10,5 @@
      * The BlockPyInterface global can be seen as a constant
      * representation of the default interface.
      */
-    BlockPyInterface = "<div class='blockpy-content container-fluid' style='background-color :#fcf8e3; border: 1px solid #faebcc; '>    <div class='blockpy-popup modal' style='display:none'>        <div class='modal-dialog' style='width:750px'>            <div class='modal-content' id='modal-message' >                <div class='modal-header'>                    <button type='button' class='close' data-dismiss='modal' aria-hidden='true'>&times;</button>                    <h4 class='modal-title'>Dynamic Content</h4>                </div>                <div class='modal-body' style='width:100%; height:400px; white-space:pre-wrap'>                </div>                <div class='modal-footer'>                    <button type='button' class='btn btn-white' data-dismiss='modal'>Close</button>                </div>                </div>        </div>    </div>    <canvas id='capture-canvas' style='display:none'></canvas>    <div class='row blockpy-top-row' style='padding-bottom: 10px; border-bottom: 1px solid #faebcc; '>        <div class='blockpy-content-top col-md-9 col-sm-9'>            <span class='blockpy-alert pull-right text-muted' data-bind=\"visible: false, text: status.text\"></span>            <strong>BlockPy: </strong>             <span class='blockpy-presentation-name'                  data-bind='text: assignment.name'></span>            <div class='blockpy-presentation' data-bind=\"html: assignment.introduction\">            </div>            <br>            <div data-bind=\"visible: assignment.files().length\">                Files Available:<ul data-bind=\"foreach: assignment.files\">                    <li>                        <button data-bind=\"click: $parent.viewFile\"                                class='btn btn-default btn-xs'>                           <code data-bind='text: $data'></code>                           <span class='glyphicon glyphicon-new-window'></span>                        </button>                   </li>               </ul>            </div>        </div>        <div class='blockpy-content-topright col-md-3 col-sm-3'>            <span class='text-muted' data-bind=\"visible: status.dataset_loading().length\">Loading Dataset!</span>            <div class='pull-right' style='clear:both'>                <small class='text-muted'>Server: </small>                <span class='label label-default blockpy-status-box pull-right'                    data-bind=\"css: status_server_class()[0],                                text: status_server_class()[1],                                attr: { 'data-original-title': status.server_error }\"                    data-toggle=\"tooltip\" data-placement=\"left\">Loading</span>            </div>            <div class='pull-right' style='clear:both'>                <small class='text-muted'>Execution: </small>                <span class='label label-default'                      data-bind=\"css: execution_status_class()[0],                                 text: execution_status_class()[1],                                 attr: { 'data-original-title': execution.status }\"                      data-toggle=\"tooltip\" data-placement=\"left\">Loading</span>            </div>            <div class='pull-right' style='clear:both'>            <button type='button' class='btn btn-default btn-xs'                data-bind=\"css: {active: settings.show_settings},                           click: showHideSettings\"                >                <span class='glyphicon glyphicon-wrench'></span>            </button>            </div>            <div data-bind=\"visible: settings.show_settings\"  style='clear:both'>                <!--Disable Semantic Errors: <input type='checkbox' data-bind=\"checked: settings.disable_semantic_errors\"><br>-->                                <!--Disable Typed Blocks: <input type='checkbox' data-bind=\"checked: settings.disable_variable_types\"><br>-->                <div class='pull-right'>                <label>AID:</label> <span data-bind=\"text: assignment.assignment_id\"></span>                <label>GID:</label> <span data-bind=\"text: assignment.group_id\"></span>                <label>SID:</label> <span data-bind=\"text: assignment.student_id\"></span>                <label>CID:</label> <span data-bind=\"text: assignment.course_id\"></span>                </div>                                <label class='pull-right'>                Disable Timeout: <input type='checkbox' data-bind=\"checked: settings.disable_timeout\"><br>                </label>                                <label class='pull-right blockpy-toolbar-instructor-mode' data-bind=\"visible: settings.instructor_initial\">                Instructor mode:                 <input type='checkbox' data-bind=\"checked:settings.instructor\"><br>                </label>                                <label class='pull-right blockpy-toolbar-auto-upload' data-bind=\"visible: settings.instructor\">                Auto-save:                <input type='checkbox' data-bind=\"checked:settings.auto_upload\"><br>                </label>                                <br>            </div>            <!--<img src=\"images/corgi.png\" class='img-responsive' />-->        </div>    </div>    <div class='row blockpy-middle-row' style=''>        <div class='blockpy-content-left col-md-6 col-sm-6'             style='padding:10px'>            <strong>Printer</strong>            <div class='blockpy-printer blockpy-printer-default'>            </div>        </div>        <div class='blockpy-content-right col-md-6 col-sm-6 bubble'             style='padding:10px'>            <div class='blockpy-feedback'>                <button type='button' class='btn btn-sm btn-default blockpy-feedback-trace pull-right'                         data-bind=\"visible: !execution.show_trace() && (status.error() == 'feedback' || status.error() == 'no errors'|| status.error() == 'complete' || status.error() == 'semantic')\">                    <span class='glyphicon glyphicon-circle-arrow-down'></span> Trace Variables                </button>                                <strong>Feedback: </strong>                <span class='label blockpy-feedback-status' data-bind=\"css: status_feedback_class()[0], text: status_feedback_class()[1]\">Runtime Error</span>                <br>                <pre class='blockpy-feedback-original'></pre>                <strong class='blockpy-feedback-title'></strong>                <div class='blockpy-feedback-body'><i>Run your code to get feedback.</i></div>                <div class='blockpy-code-trace'></div>                                <!-- ko if: execution.show_trace -->                <div class=\"blockpy-feedback-traces\">                                <div>                    <button type='button' class='btn btn-default' data-bind=\"click: moveTraceFirst\">                        <span class='glyphicon glyphicon-step-backward'></span>                    </button>                    <button type='button' class='btn btn-default' data-bind=\"click: moveTraceBackward\">                        <span class='glyphicon glyphicon-backward'></span>                    </button>                    Step <span data-bind='text: execution.trace_step()'></span>                    / <span data-bind='text: execution.last_step()-1'></span>                    (<span data-bind='text: current_trace().line == -1 ? \"The end\" : \"Line \"+current_trace().line'></span>)                    <button type='button' class='btn btn-default' data-bind=\"click: moveTraceForward\">                        <span class='glyphicon glyphicon-forward'></span>                    </button>                    <button type='button' class='btn btn-default' data-bind=\"click: moveTraceLast\">                        <span class='glyphicon glyphicon-step-forward'></span>                    </button>                </div>                                <table class='table table-condensed table-striped table-bordered table-hover'>                    <thead>                        <tr><th>Name</th><th>Type</th><th>Value</th></tr>                    </thead>                    <tbody data-bind=\"foreach: current_trace().properties\">                        <tr data-bind=\"visible: name != '__file__' && name != '__path__'\">                            <td data-bind=\"text: name\"></td>                            <td data-bind=\"text: type\"></td>                            <td>                                <code data-bind=\"text: value\"></code>                                <!-- ko if: type == \"List\" -->                                <a href=\"\" data-bind=\"click: $root.viewExactValue(type, exact_value)\">                                <span class='glyphicon glyphicon-new-window'></span>                                </a>                                <!-- /ko -->                            </td>                        </tr>                    </tbody>                </table>                                </div>                <!-- /ko -->                            </div>        </div>    </div>    <div class=\"row blockpy-toolbar-row\"         style='background-color :#fcf8e3; padding-bottom: 10px; border: 1px solid #faebcc'>        <div class='col-md-12 col-sm-12 blockpy-toolbar btn-toolbar' role='toolbar'>                        <button type='button' class='btn blockpy-run' style='float:left',                data-bind='css: execution.status() == \"running\" ? \"btn-info\" :                                execution.status() == \"error\" ? \"btn-danger\" : \"btn-success\",                           visible: settings.instructor() || !assignment.upload()' >                <span class='glyphicon glyphicon-play'></span> Run            </button>                        <div class=\"btn-group\" data-toggle=\"buttons\" data-bind=\"visible: !assignment.upload()\">                <label class=\"btn btn-default blockpy-mode-set-blocks\"                        data-bind=\"css: {active: settings.editor() == 'Blocks',                                        disabled: !areBlocksUpdating()}\">                    <span class='glyphicon glyphicon-th-large'></span>                    <input type=\"radio\" name=\"blockpy-mode-set\" autocomplete=\"off\" checked> Blocks                </label>                <!--<label class=\"btn btn-default blockpy-mode-set-instructor\"                       data-bind=\"visible: settings.instructor,                                  css: {active: settings.editor() == 'Upload'}\">                    <span class='glyphicon glyphicon-list-alt'></span>                    <input type=\"radio\" name=\"blockpy-mode-set\" autocomplete=\"off\"> Instructor                </label>-->                <label class=\"btn btn-default blockpy-mode-set-split\"                       data-bind=\"css: {active: settings.editor() == 'Split',                                        disabled: !areBlocksUpdating()}\">                    <span class='glyphicon glyphicon-resize-horizontal'></span>                    <input type=\"radio\" name=\"blockpy-mode-set\" autocomplete=\"off\"> Split                </label>                <label class=\"btn btn-default blockpy-mode-set-text\"                        data-bind=\"css: {active: settings.editor() == 'Text'}\">                    <span class='glyphicon glyphicon-pencil'></span>                    <input type=\"radio\" name=\"blockpy-mode-set\" autocomplete=\"off\"> Text                </label>            </div>            <button type='button' class='btn btn-default blockpy-toolbar-reset'                     data-bind=\"visible: !assignment.upload()\">                <span class='glyphicon glyphicon-refresh'></span> Reset            </button>            <!--<button type='button' class='btn btn-default blockpy-toolbar-capture'>                <span class='glyphicon glyphicon-picture'></span> Capture            </button>-->            <button type='button' class='btn btn-default blockpy-toolbar-import'                     data-bind=\"visible: settings.instructor() || (!assignment.upload() && assignment.importable())\">                <span class='glyphicon glyphicon-cloud-download'></span> Import Datasets            </button>            <label class=\"btn btn-default btn-file\">                <span class='glyphicon glyphicon-upload'></span> Upload                <input class=\"blockpy-toolbar-upload\" type=\"file\" style=\"display: none;\">            </label>            <button type='button' class='btn btn-default blockpy-toolbar-history'>                <span class='glyphicon glyphicon-hourglass'></span> History            </button>            <button type='button' class='btn btn-default blockpy-toolbar-instructor' data-bind=\"visible: settings.instructor\">                <span class='glyphicon glyphicon-list-alt'></span> Assignment            </button>                        <b class='blockpy-toolbar-feedback text-muted pull-right' style='z-index:100; margin-top:10px; right:0px; position:absolute; display: none; color: red'>New feedback &uarr;</b>            <!--            <button type='button' class='btn btn-default blockpy-toolbar-english'>                <span class='glyphicon glyphicon-list-alt'></span> English            </button>            -->            <div data-bind=\"visible: settings.instructor()\"                 style='clear:both'>            <div class=\"btn-group blockpy-toolbar-filename-picker\" data-toggle=\"buttons\">                <label class=\"btn btn-default btn-sm blockpy-set-filename\"                        data-bind=\"css: {active: settings.filename() == '__main__'}\"                       data-filename=\"__main__\">                    <input type=\"radio\" name=\"blockpy-filename-set\" autocomplete=\"off\" checked> __main__                </label>                <label class=\"btn btn-default btn-sm blockpy-set-filename\"                       data-bind=\"css: {active: settings.filename() == 'starting_code'}\"                       data-filename=\"starting_code\">                    <input type=\"radio\" name=\"blockpy-filename-set\" autocomplete=\"off\"> on_start                </label>                <label class=\"btn btn-default btn-sm blockpy-set-filename\"                       data-bind=\"css: {active: settings.filename() == 'give_feedback'}\"                       data-filename=\"give_feedback\">                    <input type=\"radio\" name=\"blockpy-filename-set\" autocomplete=\"off\"> on_run                </label>                <label class=\"btn btn-default btn-sm blockpy-set-filename\"                       data-bind=\"css: {active: settings.filename() == 'on_change'}\"                       data-filename=\"on_change\">                    <input type=\"radio\" name=\"blockpy-filename-set\" autocomplete=\"off\"> on_change                </label>            </div>            </div>        </div>    </div>    <div class='row blockpy-content-bottom'         style='padding-bottom: 10px; border: 1px solid #faebcc'>        <div class='blockpy-editor col-md-12 col-sm-12'>            <div class='blockpy-blocks blockpy-editor-menu'                  style='height:100%'>                <div class='blockly-div' style='height:450px; width: 100%' '></div>                <!-- <div class='blockly-area'></div> -->            </div>            <div class='blockpy-text blockpy-editor-menu' style='height: 450px'>                <div class='blockpy-text-sidebar' style='width:150px; height: 100%; float:left; background-color: #ddd'>                <!--                <button type='button' class='btn btn-default blockpy-text-insert-if'>Decision (If)</button>                <button type='button' class='btn btn-default blockpy-text-insert-if-else'>Decision (If/Else)</button>                -->                </div>                <textarea class='codemirror-div language-python'                           style='height:100%'></textarea>            </div>            <div class='blockpy-instructor-popup modal' style='display:none' role='dialog'>                <div class='modal-dialog' role='document'>                    <div class='modal-content' id='modal-message' >                        <div class='modal-header'>                            <button type='button' class='close' data-dismiss='modal' aria-hidden='true'>&times;</button>                            <h4 class='modal-title'>Assignment Settings</h4>                        </div>                        <div class='modal-body form-inline' style='width:100%'>                                                    <!-- Name -->                            <form class=\"form-inline\" style='display:inline-block'>                            <label>Name:</label>                            <input type='text' class='blockpy-presentation-name-editor form-control'                                   data-bind='textInput: assignment.name'>                             </form><br>                                                        <!-- Introduction -->                            <label>Introduction:</label>                            <div class='blockpy-presentation-body-editor'>                             </div>                                                        <!-- Initial mode -->                            <label class='blockpy-presentation-text-first'>                            Initial View:                            <select data-bind=\"value: assignment.initial_view\">                                <option value=\"Blocks\" selected>Blocks</option>                                <option value=\"Text\">Text</option>                                <option value=\"Split\">Split</option>                                <option value=\"Instructor\">Instructor</option>                                <option value=\"Upload\">Upload</option>                            </select>                            </label>                            <br>                                                        <!-- Parsons -->                            <label class='blockpy-presentation-parsons-check'>                            Parsons:                            <input type='checkbox' class='form-control' data-bind=\"checked:assignment.parsons\">                            </label>                            <br>                                                        <!-- Importable Datasets -->                            <label class='blockpy-presentation-importable-check'>                            Able to import datasets:                            <input type='checkbox' class='form-control' data-bind=\"checked:assignment.importable\">                            </label>                             <br>                                                        <!-- Importable Datasets -->                            <label class='blockpy-presentation-timeoutable-check'>                            Disable Timeouts:                            <input type='checkbox' class='form-control' data-bind=\"checked:assignment.disable_timeout\">                            </label>                             <br>                                                    <!-- Filesystem -->                            <label class='blockpy-presentation-filesystem-controls'>                            Filesystem:                            </label>                            <!--<label class=\"btn btn-sm btn-default btn-file\">                                Upload <input class=\"blockpy-presentation-upload\" type=\"file\" style=\"display: none;\">                            </label>-->                            <button type='button' class='btn btn-default'                                    data-bind=\"click: addFile\">                                <span class='glyphicon glyphicon-file'></span> Add                            </button>                            <ul data-bind=\"foreach: assignment.files\">                                <li>                                    <a href=\"#\" target=\"_blank\"                                        data-bind=\"click: $parent.viewFile, text: $data\"><span class='glyphicon glyphicon-new-window'></span></a>                                    <button class='btn btn-sm btn-danger'                                            data-bind=\"click: $parent.removeFile\">                                        <span class=\"glyphicon glyphicon-remove\" aria-hidden=\"true\"></span></button>                                </li>                            </ul>                                                        <label>Available Modules</lable>                            <select class='blockpy-available-modules' multiple='multiple'                                    data-bind=\"selectedOptions: assignment.modules\">                                <option>Variables</option>                                <option>Decisions</option>                                <option>Iteration</option>                                <option>Functions</option>                                <option>Calculation</option>                                <option>Output</option>                                <option>Turtles</option>                                <option>Python</option>                                <option>Values</option>                                <option>Lists</option>                                <option>Dictionaries</option>                                <option>Data - Parking</option>                            </select>                        </div>                        <div class='modal-footer'>                            <button type='button' class='btn btn-white' data-dismiss='modal'>Close</button>                        </div>                    </div>                </div>            </div>            <!--<div class='blockpy-editor-menu form-inline'>            </div>-->            <div class='blockpy-upload blockpy-editor-menu'>            </div>        </div>    </div></div><!--<div class='blockpy-explorer-errors alert alert-danger alert-dismissible' role='alert'>                     <button type='button' class='blockpy-explorer-errors-hide close' aria-label='Close'><span  aria-hidden='true'>&times;</span></button>                     <div class='blockpy-explorer-errors-body'>                                     </div>-->";
+    BlockPyInterface = "<div class='blockpy-content container-fluid' style='background-color :#fcf8e3; border: 1px solid #faebcc; '>    <div class='blockpy-popup modal' style='display:none'>        <div class='modal-dialog' style='width:750px'>            <div class='modal-content' id='modal-message' >                <div class='modal-header'>                    <button type='button' class='close' data-dismiss='modal' aria-hidden='true'>&times;</button>                    <h4 class='modal-title'>Dynamic Content</h4>                </div>                <div class='modal-body' style='width:100%; height:400px; white-space:pre-wrap'>                </div>                <div class='modal-footer'>                    <button type='button' class='btn btn-white' data-dismiss='modal'>Close</button>                </div>                </div>        </div>    </div>    <canvas id='capture-canvas' style='display:none'></canvas>    <div class='row blockpy-top-row' style='padding-bottom: 10px; border-bottom: 1px solid #faebcc; '>        <div class='blockpy-content-top col-md-9 col-sm-9'>            <span class='blockpy-alert pull-right text-muted' data-bind=\"visible: false, text: status.text\"></span>            <strong>BlockPy: </strong>             <span class='blockpy-presentation-name'                  data-bind='text: assignment.name'></span>            <div class='blockpy-presentation' data-bind=\"html: assignment.introduction\">            </div>            <div class='blockpy-english-question' data-bind=\"visible: assignment.explain_line() > 0\">                <strong>What does this line do?</strong>                <code class='blockpy-english-question-code'></code>                <div class='blockpy-english-question-options'></div>                <button type='button' class='btn btn-default btn-sm blockpy-english-question-check'>Check</button>                <span class='blockpy-english-question-result'></span>            </div>            <br>            <div data-bind=\"visible: assignment.files().length\">                Files Available:<ul data-bind=\"foreach: assignment.files\">                    <li>                        <button data-bind=\"click: $parent.viewFile\"                                class='btn btn-default btn-xs'>                           <code data-bind='text: $data'></code>                           <span class='glyphicon glyphicon-new-window'></span>                        </button>                   </li>               </ul>            </div>        </div>        <div class='blockpy-content-topright col-md-3 col-sm-3'>            <span class='text-muted' data-bind=\"visible: status.dataset_loading().length\">Loading Dataset!</span>            <div class='pull-right' style='clear:both'>                <small class='text-muted'>Server: </small>                <span class='label label-default blockpy-status-box pull-right'                    data-bind=\"css: status_server_class()[0],                                text: status_server_class()[1],                                attr: { 'data-original-title': status.server_error }\"                    data-toggle=\"tooltip\" data-placement=\"left\">Loading</span>            </div>            <div class='pull-right' style='clear:both'>                <small class='text-muted'>Execution: </small>                <span class='label label-default'                      data-bind=\"css: execution_status_class()[0],                                 text: execution_status_class()[1],                                 attr: { 'data-original-title': execution.status }\"                      data-toggle=\"tooltip\" data-placement=\"left\">Loading</span>            </div>            <div class='pull-right' style='clear:both'>            <button type='button' class='btn btn-default btn-xs'                data-bind=\"css: {active: settings.show_settings},                           click: showHideSettings\"                >                <span class='glyphicon glyphicon-wrench'></span>            </button>            </div>            <div data-bind=\"visible: settings.show_settings\"  style='clear:both'>                <!--Disable Semantic Errors: <input type='checkbox' data-bind=\"checked: settings.disable_semantic_errors\"><br>-->                                <!--Disable Typed Blocks: <input type='checkbox' data-bind=\"checked: settings.disable_variable_types\"><br>-->                <div class='pull-right'>                <label>AID:</label> <span data-bind=\"text: assignment.assignment_id\"></span>                <label>GID:</label> <span data-bind=\"text: assignment.group_id\"></span>                <label>SID:</label> <span data-bind=\"text: assignment.student_id\"></span>                <label>CID:</label> <span data-bind=\"text: assignment.course_id\"></span>                </div>                                <label class='pull-right'>                Disable Timeout: <input type='checkbox' data-bind=\"checked: settings.disable_timeout\"><br>                </label>                                <label class='pull-right blockpy-toolbar-instructor-mode' data-bind=\"visible: settings.instructor_initial\">                Instructor mode:                 <input type='checkbox' data-bind=\"checked:settings.instructor\"><br>                </label>                                <label class='pull-right blockpy-toolbar-auto-upload' data-bind=\"visible: settings.instructor\">                Auto-save:                <input type='checkbox' data-bind=\"checked:settings.auto_upload\"><br>                </label>                                <br>            </div>            <!--<img src=\"images/corgi.png\" class='img-responsive' />-->        </div>    </div>    <div class='row blockpy-middle-row' style=''>        <div class='blockpy-content-left col-md-6 col-sm-6'             style='padding:10px'>            <strong>Printer</strong>            <div class='blockpy-printer blockpy-printer-default'>            </div>        </div>        <div class='blockpy-content-right col-md-6 col-sm-6 bubble'             style='padding:10px'>            <div class='blockpy-feedback'>                <button type='button' class='btn btn-sm btn-default blockpy-feedback-trace pull-right'                         data-bind=\"visible: !execution.show_trace() && (status.error() == 'feedback' || status.error() == 'no errors'|| status.error() == 'complete' || status.error() == 'semantic')\">                    <span class='glyphicon glyphicon-circle-arrow-down'></span> Trace Variables                </button>                                <strong>Feedback: </strong>                <span class='label blockpy-feedback-status' data-bind=\"css: status_feedback_class()[0], text: status_feedback_class()[1]\">Runtime Error</span>                <br>                <pre class='blockpy-feedback-original'></pre>                <strong class='blockpy-feedback-title'></strong>                <div class='blockpy-feedback-body'><i>Run your code to get feedback.</i></div>                <div class='blockpy-feedback-hints'></div>                <div class='blockpy-feedback-others'></div>                <div class='blockpy-code-trace'></div>                                <!-- ko if: $root.debugger.active -->                <div class=\"blockpy-debugger\">                                <div>                    <button type='button' class='btn btn-default' title='Continue'                            data-bind=\"enable: $root.debugger.paused, click: $root.debugger.resume('continue')\">                        <span class='glyphicon glyphicon-play'></span>                    </button>                    <button type='button' class='btn btn-default' title='Step Over'                            data-bind=\"enable: $root.debugger.paused, click: $root.debugger.resume('over')\">                        <span class='glyphicon glyphicon-arrow-right'></span>                    </button>                    <button type='button' class='btn btn-default' title='Step Into'                            data-bind=\"enable: $root.debugger.paused, click: $root.debugger.resume('into')\">                        <span class='glyphicon glyphicon-arrow-down'></span>                    </button>                    <button type='button' class='btn btn-default' title='Step Out'                            data-bind=\"enable: $root.debugger.paused, click: $root.debugger.resume('out')\">                        <span class='glyphicon glyphicon-arrow-up'></span>                    </button>                    <button type='button' class='btn btn-danger' title='Stop'                            data-bind=\"click: $root.debugger.stop\">                        <span class='glyphicon glyphicon-stop'></span>                    </button>                    <span data-bind=\"text: $root.debugger.paused() ? 'Paused on line '+$root.debugger.current_frame().line : 'Running...'\"></span>                </div>                                <!-- ko if: $root.debugger.paused -->                <div class='list-group blockpy-debugger-frames' data-bind=\"foreach: $root.debugger.frames\">                    <a href='#' class='list-group-item'                       data-bind=\"css: {active: $index() == $root.debugger.frame()},                                  click: $root.debugger.selectFrame($index()),                                  text: name+' (line '+line+')'\"></a>                </div>                                <table class='table table-condensed table-striped table-bordered table-hover'>                    <thead>                        <tr><th>Name</th><th>Type</th><th>Value</th></tr>                    </thead>                    <tbody data-bind=\"foreach: $root.debugger.current_frame().variables\">                        <tr data-bind=\"visible: name != '__file__' && name != '__path__'\">                            <td data-bind=\"text: name\"></td>                            <td data-bind=\"text: type\"></td>                            <td>                                <code data-bind=\"text: value\"></code>                                <!-- ko if: $data.exact_value -->                                <a href=\"\" data-bind=\"click: $root.viewExactValue(exact_value)\">                                <span class='glyphicon glyphicon-new-window'></span>                                </a>                                <!-- /ko -->                            </td>                        </tr>                    </tbody>                </table>                <!-- /ko -->                                </div>                <!-- /ko -->                                <!-- ko if: execution.show_trace -->                <div class=\"blockpy-feedback-traces\">                                <div>                    <button type='button' class='btn btn-default' data-bind=\"click: moveTraceFirst\">                        <span class='glyphicon glyphicon-step-backward'></span>                    </button>                    <button type='button' class='btn btn-default' data-bind=\"click: moveTraceBackward\">                        <span class='glyphicon glyphicon-backward'></span>                    </button>                    Step <span data-bind='text: execution.trace_step()'></span>                    / <span data-bind='text: execution.last_step()-1'></span>                    (<span data-bind='text: current_trace().line == -1 ? \"The end\" : \"Line \"+current_trace().line'></span>)                    <button type='button' class='btn btn-default' data-bind=\"click: moveTraceForward\">                        <span class='glyphicon glyphicon-forward'></span>                    </button>                    <button type='button' class='btn btn-default' data-bind=\"click: moveTraceLast\">                        <span class='glyphicon glyphicon-step-forward'></span>                    </button>                </div>                                <!-- ko if: current_trace().stack.length > 1 -->                <div class='list-group blockpy-trace-frames' data-bind=\"foreach: current_trace().stack\">                    <a href='#' class='list-group-item'                       data-bind=\"css: {active: $data === $root.current_trace_frame()},                                  click: $root.selectTraceFrame($index()),                                  text: name+' (line '+line+')'\"></a>                </div>                <!-- /ko -->                                <table class='table table-condensed table-striped table-bordered table-hover'>                    <thead>                        <tr><th>Name</th><th>Type</th><th>Value</th></tr>                    </thead>                    <tbody data-bind=\"foreach: current_trace_frame().properties\">                        <tr data-bind=\"visible: name != '__file__' && name != '__path__'\">                            <td data-bind=\"text: name\"></td>                            <td data-bind=\"text: type\"></td>                            <td><code data-bind=\"text: value\"></code></td>                        </tr>                    </tbody>                </table>                                </div>                <!-- /ko -->                                <div class='blockpy-heap' data-bind=\"visible: execution.show_trace\"></div>                            </div>        </div>    </div>    <div class=\"row blockpy-toolbar-row\"         style='background-color :#fcf8e3; padding-bottom: 10px; border: 1px solid #faebcc'>        <div class='col-md-12 col-sm-12 blockpy-toolbar btn-toolbar' role='toolbar'>                        <button type='button' class='btn blockpy-run' style='float:left',                data-bind='css: execution.status() == \"running\" ? \"btn-info\" :                                execution.status() == \"error\" ? \"btn-danger\" : \"btn-success\",                           visible: settings.instructor() || !assignment.upload()' >                <span class='glyphicon glyphicon-play'></span> Run            </button>                        <button type='button' class='btn btn-default blockpy-debug' style='float:left'                data-bind='visible: (settings.instructor() || !assignment.upload()) && !$root.debugger.active()' >                <span class='glyphicon glyphicon-screenshot'></span> Debug            </button>                        <button type='button' class='btn btn-danger blockpy-stop' style='float:left'                data-bind='visible: settings.use_worker() && execution.status() == \"student\"' >                <span class='glyphicon glyphicon-stop'></span> Stop            </button>                        <div class=\"btn-group\" data-toggle=\"buttons\"                 data-bind=\"visible: !assignment.upload() &&                                     (settings.instructor() || !(assignment.parsons() && assignment.parsons_lines()))\">                <label class=\"btn btn-default blockpy-mode-set-blocks\"                        data-bind=\"css: {active: settings.editor() == 'Blocks',                                        disabled: !areBlocksUpdating()}\">                    <span class='glyphicon glyphicon-th-large'></span>                    <input type=\"radio\" name=\"blockpy-mode-set\" autocomplete=\"off\" checked> Blocks                </label>                <!--<label class=\"btn btn-default blockpy-mode-set-instructor\"                       data-bind=\"visible: settings.instructor,                                  css: {active: settings.editor() == 'Upload'}\">                    <span class='glyphicon glyphicon-list-alt'></span>                    <input type=\"radio\" name=\"blockpy-mode-set\" autocomplete=\"off\"> Instructor                </label>-->                <label class=\"btn btn-default blockpy-mode-set-split\"                       data-bind=\"css: {active: settings.editor() == 'Split',                                        disabled: !areBlocksUpdating()}\">                    <span class='glyphicon glyphicon-resize-horizontal'></span>                    <input type=\"radio\" name=\"blockpy-mode-set\" autocomplete=\"off\"> Split                </label>                <label class=\"btn btn-default blockpy-mode-set-text\"                        data-bind=\"css: {active: settings.editor() == 'Text'}\">                    <span class='glyphicon glyphicon-pencil'></span>                    <input type=\"radio\" name=\"blockpy-mode-set\" autocomplete=\"off\"> Text                </label>                <label class=\"btn btn-default blockpy-mode-set-parsons\"                        data-bind=\"visible: assignment.parsons() && assignment.parsons_lines(),                                  css: {active: settings.editor() == 'Parsons'}\">                    <span class='glyphicon glyphicon-sort'></span>                    <input type=\"radio\" name=\"blockpy-mode-set\" autocomplete=\"off\"> Parsons                </label>            </div>            <button type='button' class='btn btn-default blockpy-toolbar-reset'                     data-bind=\"visible: !assignment.upload()\">                <span class='glyphicon glyphicon-refresh'></span> Reset            </button>            <!--<button type='button' class='btn btn-default blockpy-toolbar-capture'>                <span class='glyphicon glyphicon-picture'></span> Capture            </button>-->            <button type='button' class='btn btn-default blockpy-toolbar-import'                     data-bind=\"visible: settings.instructor() || (!assignment.upload() && assignment.importable())\">                <span class='glyphicon glyphicon-cloud-download'></span> Import Datasets            </button>            <label class=\"btn btn-default btn-file\">                <span class='glyphicon glyphicon-upload'></span> Upload                <input class=\"blockpy-toolbar-upload\" type=\"file\" style=\"display: none;\">            </label>            <button type='button' class='btn btn-default blockpy-toolbar-history'>                <span class='glyphicon glyphicon-hourglass'></span> History            </button>            <button type='button' class='btn btn-default blockpy-toolbar-instructor' data-bind=\"visible: settings.instructor\">                <span class='glyphicon glyphicon-list-alt'></span> Assignment            </button>                        <b class='blockpy-toolbar-feedback text-muted pull-right' style='z-index:100; margin-top:10px; right:0px; position:absolute; display: none; color: red'>New feedback &uarr;</b>            <!--            <button type='button' class='btn btn-default blockpy-toolbar-english'>                <span class='glyphicon glyphicon-list-alt'></span> English            </button>            -->            <div data-bind=\"visible: settings.instructor()\"                 style='clear:both'>            <div class=\"btn-group blockpy-toolbar-filename-picker\" data-toggle=\"buttons\">                <label class=\"btn btn-default btn-sm blockpy-set-filename\"                        data-bind=\"css: {active: settings.filename() == '__main__'}\"                       data-filename=\"__main__\">                    <input type=\"radio\" name=\"blockpy-filename-set\" autocomplete=\"off\" checked> __main__                </label>                <label class=\"btn btn-default btn-sm blockpy-set-filename\"                       data-bind=\"css: {active: settings.filename() == 'starting_code'}\"                       data-filename=\"starting_code\">                    <input type=\"radio\" name=\"blockpy-filename-set\" autocomplete=\"off\"> on_start                </label>                <label class=\"btn btn-default btn-sm blockpy-set-filename\"                       data-bind=\"css: {active: settings.filename() == 'give_feedback'}\"                       data-filename=\"give_feedback\">                    <input type=\"radio\" name=\"blockpy-filename-set\" autocomplete=\"off\"> on_run                </label>                <label class=\"btn btn-default btn-sm blockpy-set-filename\"                       data-bind=\"css: {active: settings.filename() == 'on_change'}\"                       data-filename=\"on_change\">                    <input type=\"radio\" name=\"blockpy-filename-set\" autocomplete=\"off\"> on_change                </label>                <label class=\"btn btn-default btn-sm blockpy-set-filename\"                       data-bind=\"css: {active: settings.filename() == 'answer'}\"                       data-filename=\"answer\">                    <input type=\"radio\" name=\"blockpy-filename-set\" autocomplete=\"off\"> answer                </label>            </div>            </div>        </div>    </div>    <div class='row blockpy-content-bottom'         style='padding-bottom: 10px; border: 1px solid #faebcc'>        <div class='blockpy-editor col-md-12 col-sm-12'>            <div class='blockpy-blocks blockpy-editor-menu'                  style='height:100%'>                <div class='blockly-div' style='height:450px; width: 100%' '></div>                <!-- <div class='blockly-area'></div> -->            </div>            <div class='blockpy-text blockpy-editor-menu' style='height: 450px'>                <div class='blockpy-text-sidebar' style='width:150px; height: 100%; float:left; background-color: #ddd'>                <!--                <button type='button' class='btn btn-default blockpy-text-insert-if'>Decision (If)</button>                <button type='button' class='btn btn-default blockpy-text-insert-if-else'>Decision (If/Else)</button>                -->                </div>                <textarea class='codemirror-div language-python'                           style='height:100%'></textarea>            </div>            <div class='blockpy-parsons blockpy-editor-menu row' style='display: none'>                <div class='col-md-6'>                    <strong>Drag lines from here</strong>                    <ul class='list-group blockpy-parsons-lines blockpy-parsons-source'></ul>                </div>                <div class='col-md-6'>                    <strong>Your program</strong>                    <ul class='list-group blockpy-parsons-lines blockpy-parsons-answer'></ul>                </div>            </div>            <div class='blockpy-instructor-popup modal' style='display:none' role='dialog'>                <div class='modal-dialog' role='document'>                    <div class='modal-content' id='modal-message' >                        <div class='modal-header'>                            <button type='button' class='close' data-dismiss='modal' aria-hidden='true'>&times;</button>                            <h4 class='modal-title'>Assignment Settings</h4>                        </div>                        <div class='modal-body form-inline' style='width:100%'>                                                    <!-- Name -->                            <form class=\"form-inline\" style='display:inline-block'>                            <label>Name:</label>                            <input type='text' class='blockpy-presentation-name-editor form-control'                                   data-bind='textInput: assignment.name'>                             </form><br>                                                        <!-- Introduction -->                            <label>Introduction:</label>                            <div class='blockpy-presentation-body-editor'>                             </div>                                                        <!-- Initial mode -->                            <label class='blockpy-presentation-text-first'>                            Initial View:                            <select data-bind=\"value: assignment.initial_view\">                                <option value=\"Blocks\" selected>Blocks</option>                                <option value=\"Text\">Text</option>                                <option value=\"Split\">Split</option>                                <option value=\"Instructor\">Instructor</option>                                <option value=\"Upload\">Upload</option>                            </select>                            </label>                            <br>                                                        <!-- Parsons -->                            <label class='blockpy-presentation-parsons-check'>                            Parsons:                            <input type='checkbox' class='form-control' data-bind=\"checked:assignment.parsons\">                            </label>                            <div class='blockpy-presentation-parsons-settings' data-bind=\"visible: assignment.parsons\">                                <small class='text-muted'>The lines come from the starting code (on_start). End a line with <code>#distractor</code> to make it a distractor.</small><br>                                <label>                                Indentation given:                                <input type='checkbox' class='form-control' data-bind=\"checked:assignment.parsons_indentation\">                                </label>                                <label>                                Lines must be in order:                                <input type='checkbox' class='form-control' data-bind=\"checked:assignment.parsons_ordered\">                                </label>                                <label>                                Show lines instead of blocks:                                <input type='checkbox' class='form-control' data-bind=\"checked:assignment.parsons_lines\">                                </label>                            </div>                            <br>                                                        <!-- Explain this line -->                            <label class='blockpy-presentation-explain-line'>                            Explain this line:                            <input type='number' min='0' class='form-control'                                   data-bind=\"value:assignment.explain_line\">                            </label>                            <small class='text-muted'>Asks the student what a line of the starting code (on_start) does; 0 for no question.</small>                            <br>                                                        <!-- Test Cases -->                            <label>Test Cases (JSON)</label>                            <textarea class='form-control blockpy-test-cases' rows='6'                                      placeholder='[{\"function\": \"add\", \"args\": [1, 2], \"returns\": 3, \"hint\": \"Did you add the numbers?\"}, {\"inputs\": [\"Ada\"], \"output\": \"Hello, Ada!\"}]'                                      data-bind=\"value: testCasesText\"></textarea>                            <ul class='text-danger' data-bind=\"foreach: status.test_cases\">                                <li data-bind=\"text: $data\"></li>                            </ul>                            <small class='text-muted'>Run after the student's code every time. Each test calls a <code>function</code> with <code>args</code> (or runs the whole program), giving it <code>inputs</code>, and checks what it <code>returns</code> (within a <code>tolerance</code>, 0.001 by default) and its printed <code>output</code>. A <code>hint</code> is shown when the test fails.</small>                            <br>                                                        <!-- Importable Datasets -->                            <label class='blockpy-presentation-importable-check'>                            Able to import datasets:                            <input type='checkbox' class='form-control' data-bind=\"checked:assignment.importable\">                            </label>                             <br>                                                        <!-- Importable Datasets -->                            <label class='blockpy-presentation-timeoutable-check'>                            Disable Timeouts:                            <input type='checkbox' class='form-control' data-bind=\"checked:assignment.disable_timeout\">                            </label>                             <br>                                                    <!-- Filesystem -->                            <label class='blockpy-presentation-filesystem-controls'>                            Filesystem:                            </label>                            <!--<label class=\"btn btn-sm btn-default btn-file\">                                Upload <input class=\"blockpy-presentation-upload\" type=\"file\" style=\"display: none;\">                            </label>-->                            <button type='button' class='btn btn-default'                                    data-bind=\"click: addFile\">                                <span class='glyphicon glyphicon-file'></span> Add                            </button>                            <ul data-bind=\"foreach: assignment.files\">                                <li>                                    <a href=\"#\" target=\"_blank\"                                        data-bind=\"click: $parent.viewFile, text: $data\"><span class='glyphicon glyphicon-new-window'></span></a>                                    <button class='btn btn-sm btn-danger'                                            data-bind=\"click: $parent.removeFile\">                                        <span class=\"glyphicon glyphicon-remove\" aria-hidden=\"true\"></span></button>                                </li>                            </ul>                                                        <label>Available Modules</lable>                            <select class='blockpy-available-modules' multiple='multiple'                                    data-bind=\"selectedOptions: toolboxNames\">                                <option>Variables</option>                                <option>Decisions</option>                                <option>Iteration</option>                                <option>Functions</option>                                <option>Exceptions</option>                                <option>Calculation</option>                                <option>Output</option>                                <option>Turtles</option>                                <option>Python</option>                                <option>Values</option>                                <option>Lists</option>                                <option>Dictionaries</option>                                <option>Data - Parking</option>                            </select>                                                        <label>Block Level</label>                            <select class='form-control'                                    data-bind=\"value: toolboxLevel\">                                <option>Standard</option>                                <option>Python-like</option>                            </select>                                                        <label>Custom Categories</label>                            <div class='blockpy-toolbox-designer'>                                <div class='blockpy-toolbox-designer-palette'>                                    <input type='text' class='form-control input-sm blockpy-toolbox-designer-filter'                                           placeholder='Filter blocks'>                                    <ul class='blockpy-toolbox-designer-blocks'></ul>                                </div>                                <div class='blockpy-toolbox-designer-editor'>                                    <div class='blockpy-toolbox-designer-categories'></div>                                    <button type='button' class='btn btn-sm btn-default blockpy-toolbox-designer-add'>                                        <span class='glyphicon glyphicon-plus'></span> Add Category                                    </button>                                </div>                                <div class='blockpy-toolbox-designer-preview'></div>                            </div>                            <label>Custom Categories (JSON)</label>                            <textarea class='form-control blockpy-custom-toolbox' rows='6'                                      placeholder='[{\"name\": \"Start\", \"color\": 210, \"blocks\": [\"variables_set\", {\"type\": \"math_number\", \"fields\": {\"NUM\": \"10\"}}]}]'                                      data-bind=\"value: customToolbox\"></textarea>                            <label>Custom Blocks (JSON)</label>                            <textarea class='form-control blockpy-block-specs' rows='6'                                      placeholder='[{\"type\": \"weather_wind\", \"message\": \"get wind speed in %1\", \"inputs\": [{\"name\": \"CITY\", \"kind\": \"text\"}], \"output\": \"Number\", \"python\": \"weather.get_wind({CITY})\"}]'                                      data-bind=\"value: blockSpecsText\"></textarea>                            <ul class='text-danger' data-bind=\"foreach: status.block_specs\">                                <li data-bind=\"text: $data\"></li>                            </ul>                            <ul class='text-danger' data-bind=\"foreach: status.analyzer_issues\">                                <li data-bind=\"text: $data\"></li>                            </ul>                        </div>                        <div class='modal-footer'>                            <button type='button' class='btn btn-white' data-dismiss='modal'>Close</button>                        </div>                    </div>                </div>            </div>            <!--<div class='blockpy-editor-menu form-inline'>            </div>-->            <div class='blockpy-upload blockpy-editor-menu'>            </div>        </div>    </div></div><!--<div class='blockpy-explorer-errors alert alert-danger alert-dismissible' role='alert'>                     <button type='button' class='blockpy-explorer-errors-hide close' aria-label='Close'><span  aria-hidden='true'>&times;</span></button>                     <div class='blockpy-explorer-errors-body'>                                     </div>-->";
     
\ No newline at end of file
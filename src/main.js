@@ -81,13 +81,17 @@ BlockPy.prototype.initComponents = function() {
     components.toolbar  = new BlockPyToolbar(main,  container.find('.blockpy-toolbar'));
     components.feedback = new BlockPyFeedback(main, container.find('.blockpy-feedback'));
     components.editor   = new BlockPyEditor(main,   container.find('.blockpy-editor'));
+    components.parsons = new BlockPyParsons(main, container.find('.blockpy-parsons'));
+    components.toolboxDesigner = new BlockPyToolboxDesigner(main, container.find('.blockpy-toolbox-designer'));
     components.presentation = new BlockPyPresentation(main, container.find('.blockpy-presentation'));
     components.printer = new BlockPyPrinter(main, container.find('.blockpy-printer'));
+    components.heap = new BlockPyHeap(main, container.find('.blockpy-heap'));
     components.engine = new BlockPyEngine(main);
+    components['debugger'] = new BlockPyDebugger(main);
     components.server = new BlockPyServer(main);
     components.corgis = new BlockPyCorgis(main);
     components.history = new BlockPyHistory(main);
-    components.english = new BlockPyEnglish(main);
+    components.english = new BlockPyEnglish(main, container.find('.blockpy-english-question'));
     components.editor.setMode();
     main.model.status.server('Loaded')
     
@@ -176,6 +180,9 @@ BlockPy.prototype.initModel = function(settings) {
             'developer': ko.observable(false),
             // boolean
             'mute_printer': ko.observable(false),
+            // Whether to run student code in a Web Worker
+            // boolean
+            'use_worker': ko.observable(!!settings.use_worker),
             // function
             'completedCallback': settings.completedCallback,
             // boolean
@@ -194,9 +201,25 @@ BlockPy.prototype.initModel = function(settings) {
             'introduction': ko.observable(''),
             "initial_view": ko.observable('Split'),
             'parsons': ko.observable(false),
+            // For Parsons problems: whether each line's indentation is given,
+            // whether the lines have to be in order, and whether to show the
+            // lines as text instead of blocks (see BlockPyParsons)
+            'parsons_indentation': ko.observable(true),
+            'parsons_ordered': ko.observable(false),
+            'parsons_lines': ko.observable(false),
+            // The line of the starting code to ask the student to explain,
+            // or 0 for no question (see BlockPyEnglish)
+            'explain_line': ko.observable(0),
             'upload': ko.observable(false),
             'importable': ko.observable(false),
             'disable_algorithm_errors': ko.observable(false),
+            // Changes to the analyzer's issues (see TifaIssueRegistry.configure)
+            'analyzer_issues': ko.observableArray([]),
+            // Blocks described in JSON (see BlockPyBlockSpec)
+            'block_specs': ko.observableArray([]),
+            // Tests that are run on every run of the student's code (see
+            // run_test_cases in the instructor module)
+            'test_cases': ko.observableArray([]),
             'disable_timeout': ko.observable(false)
         },
         // Programs' actual code
@@ -207,6 +230,12 @@ BlockPy.prototype.initModel = function(settings) {
             "on_change": ko.observable(''),
             "answer": ko.observable('')
         },
+        // Where the student put their blocks, for the programs that can be
+        // shown as blocks (see BlockPyEditor.recordLayout)
+        'layouts': {
+            "__main__": ko.observable({}),
+            "starting_code": ko.observable({})
+        },
         // Information about the current run of the program
         'execution': {
             // 'waiting', 'running'
@@ -223,6 +252,9 @@ BlockPy.prototype.initModel = function(settings) {
             'trace': ko.observableArray([]),
             // integer
             'trace_step': ko.observable(0),
+            // Which frame of the call stack to show for the current step
+            // integer
+            'trace_frame': ko.observable(0),
             // boolean
             'show_trace': ko.observable(false),
             // object: strings => objects
@@ -231,6 +263,23 @@ BlockPy.prototype.initModel = function(settings) {
             'suppressions': {}
             
         },
+        // The interactive debugger
+        'debugger': {
+            // Whether the program is being run in the debugger
+            // boolean
+            'active': ko.observable(false),
+            // boolean
+            'paused': ko.observable(false),
+            // Line numbers (1-indexed) to pause on
+            // array of int
+            'breakpoints': ko.observableArray([]),
+            // The stack while paused, innermost frame first
+            // array of simple objects
+            'frames': ko.observableArray([]),
+            // The index of the frame being inspected
+            // integer
+            'frame': ko.observable(0)
+        },
         // Internal and external status information
         'status': {
             // boolean
@@ -246,7 +295,13 @@ BlockPy.prototype.initModel = function(settings) {
             'server_error': ko.observable(''),
             // Dataset loading
             // List of promises
-            'dataset_loading': ko.observableArray()
+            'dataset_loading': ko.observableArray(),
+            // Why the assignment's changes to the analyzer's issues couldn't be read
+            'analyzer_issues': ko.observableArray(),
+            // Why some of the assignment's block specs couldn't be used
+            'block_specs': ko.observableArray(),
+            // Why the assignment's test cases couldn't be read
+            'test_cases': ko.observableArray()
         },
         // Constant globals for this page, cannot be changed
         'constants': {
@@ -259,11 +314,45 @@ BlockPy.prototype.initModel = function(settings) {
             // JQuery object
             'container': null,
             // Maps codes ('log_event', 'save_code') to URLs
-            'urls': settings.urls
+            'urls': settings.urls,
+            // Where to store things: 'rest', 'indexeddb', 'memory', or a backend object
+            // (see server_backends.js)
+            'backend': settings.backend,
+            // Absolute URLs of the Skulpt scripts, for loading into the Web Worker
+            // Array.<String>
+            'skulptScripts': settings.skulptScripts
         },
     }
 }
 
+/**
+ * Reads the modules of an assignment from the way they are stored: a JSON
+ * list, or (for older assignments) a list of names separated by commas.
+ *
+ * @param {String} text - The stored modules.
+ * @returns {Array} The names of the modules and the custom categories.
+ */
+BlockPy.parseModules = function(text) {
+    if (!text) {
+        return [];
+    } else if (text.charAt(0) == '[') {
+        return JSON.parse(text);
+    } else {
+        return text.split(',');
+    }
+}
+
+/**
+ * Turns the modules of an assignment into the way they are stored (see
+ * BlockPy.parseModules).
+ *
+ * @param {Array} modules - The names of the modules and the custom categories.
+ * @returns {String} The stored modules, as JSON.
+ */
+BlockPy.serializeModules = function(modules) {
+    return JSON.stringify(modules);
+}
+
 /**
  * Define various helper methods that can be used in the view, based on 
  * data from the model.
@@ -285,6 +374,119 @@ BlockPy.prototype.initModelMethods = function() {
         modelSettings.show_settings(!modelSettings.show_settings());
     };
     
+    // The toolbox is stored in the modules as the names of categories, the
+    // level of the blocks (e.g., "Level - Python-like"), and custom categories
+    // of individual blocks. These edit each part without losing the others.
+    var modules = this.model.assignment.modules;
+    var isCategoryName = function(module) {
+        return typeof module == 'string' && !BlockPyEditor.isLevel(module);
+    };
+    this.model.toolboxNames = ko.computed({
+        read: function() {
+            return modules().filter(isCategoryName);
+        },
+        write: function(names) {
+            modules(names.concat(modules().filter(function(module) {
+                return !isCategoryName(module);
+            })));
+        }
+    });
+    this.model.toolboxLevel = ko.computed({
+        read: function() {
+            var level = modules().filter(BlockPyEditor.isLevel)[0];
+            return level ? level.slice(BlockPyEditor.LEVEL_PREFIX.length) : 'Standard';
+        },
+        write: function(level) {
+            var rest = modules().filter(function(module) {
+                return !BlockPyEditor.isLevel(module);
+            });
+            if (level && level != 'Standard') {
+                rest.push(BlockPyEditor.LEVEL_PREFIX+level);
+            }
+            modules(rest);
+        }
+    });
+    this.model.toolboxCategories = ko.computed({
+        read: function() {
+            return modules().filter(function(module) {
+                return typeof module != 'string';
+            });
+        },
+        write: function(categories) {
+            modules(modules().filter(function(module) {
+                return typeof module == 'string';
+            }).concat(categories));
+        }
+    });
+    var toolboxCategories = this.model.toolboxCategories;
+    this.model.customToolbox = ko.computed({
+        read: function() {
+            var categories = toolboxCategories();
+            return categories.length ? JSON.stringify(categories, null, 2) : '';
+        },
+        write: function(text) {
+            var categories = [];
+            if (text.trim()) {
+                try {
+                    categories = JSON.parse(text);
+                } catch (e) {
+                    // Keep the old categories until the JSON is fixed
+                    return;
+                }
+                if (!Array.isArray(categories)) {
+                    categories = [categories];
+                }
+            }
+            toolboxCategories(categories);
+        }
+    });
+    var blockSpecs = this.model.assignment.block_specs;
+    this.model.blockSpecsText = ko.computed({
+        read: function() {
+            var specs = blockSpecs();
+            return specs.length ? JSON.stringify(specs, null, 2) : '';
+        },
+        write: function(text) {
+            var specs = [];
+            if (text.trim()) {
+                try {
+                    specs = JSON.parse(text);
+                } catch (e) {
+                    // Keep the old blocks until the JSON is fixed
+                    return;
+                }
+                if (!Array.isArray(specs)) {
+                    specs = [specs];
+                }
+            }
+            blockSpecs(specs);
+        }
+    });
+    var testCases = this.model.assignment.test_cases,
+        testCasesStatus = this.model.status.test_cases;
+    this.model.testCasesText = ko.computed({
+        read: function() {
+            var cases = testCases();
+            return cases.length ? JSON.stringify(cases, null, 2) : '';
+        },
+        write: function(text) {
+            var cases = [];
+            if (text.trim()) {
+                try {
+                    cases = JSON.parse(text);
+                } catch (e) {
+                    // Keep the old tests until the JSON is fixed
+                    return;
+                }
+                if (!Array.isArray(cases)) {
+                    cases = [cases];
+                }
+            }
+            testCasesStatus.removeAll();
+            testCases(cases);
+        }
+    });
+    
     // Helper function to map error statuses to UI elements
     this.model.status_feedback_class = ko.computed(function() {
         switch (this.status.error()) {
@@ -325,6 +527,7 @@ BlockPy.prototype.initModelMethods = function() {
             case 'parsing': return ['label-warning', 'Parsing'];
             case 'analyzing': return ['label-warning', 'Analyzing'];
             case 'student': return ['label-warning', 'Student'];
+            case 'testing': return ['label-warning', 'Testing'];
             case 'instructor': return ['label-warning', 'Instructor'];
             case 'complete': return ['label-success', 'Idle'];
             
@@ -347,22 +550,35 @@ BlockPy.prototype.initModelMethods = function() {
         //console.log(execution.trace(), execution.trace().length-1, execution.trace_step())
         return execution.trace()[Math.min(execution.trace().length-1, execution.trace_step())];
     });
+    this.model.selectTraceFrame = function(index) {
+        return function() {
+            execution.trace_frame(index);
+        };
+    };
+    var current_trace = this.model.current_trace;
+    this.model.current_trace_frame = ko.pureComputed(function() {
+        var stack = current_trace().stack;
+        return stack[Math.min(stack.length-1, execution.trace_frame())];
+    });
+    // Show the innermost frame whenever the step changes
+    execution.trace_step.subscribe(function() {
+        execution.trace_frame(0);
+    });
     
     /**
      * Opens a new window to represent the exact value of a Skulpt object.
-     * Particularly useful for things like lists that can be really, really
-     * long.
+     * The trace only keeps a short preview of long containers, so the
+     * full representation is built here, when the student asks for it.
      * 
-     * @param {String} type - The type of the value
      * @param {Object} exact_value - A Skulpt value to be rendered.
      */
-    this.model.viewExactValue = function(type, exact_value) {
+    this.model.viewExactValue = function(exact_value) {
         return function() {
-            if (type == "List") {
-                var output = exact_value.$r().v;
-                var newWindow = window.open('about:blank', "_blank");
-                newWindow.document.body.innerHTML += "<code>"+output+"</code>";
-            }
+            var output = exact_value.$r().v;
+            var newWindow = window.open('about:blank', "_blank");
+            var code = newWindow.document.createElement('code');
+            code.textContent = output;
+            newWindow.document.body.appendChild(code);
         }
     }
     
@@ -422,8 +638,13 @@ BlockPy.prototype.setUserData = function(student_id, course_id, group_id) {
 
 /**
  * Helper function for loading in an assignment.
+ *
+ * @param {Integer} server_time - When the server's copy of the code was saved, as an
+ *                                epoch (in milliseconds). Optional.
+ * @param {Object} layouts - Maps filenames to the layouts of their blocks that were
+ *                           saved on the server with the code (as JSON). Optional.
  */
-BlockPy.prototype.setAssignment = function(settings, assignment, programs) {
+BlockPy.prototype.setAssignment = function(settings, assignment, programs, server_time, layouts) {
     this.model.settings.server_connected(false);
     this.resetSystem();
     // Settings
@@ -453,6 +674,9 @@ BlockPy.prototype.setAssignment = function(settings, assignment, programs) {
         this.model.settings['completedCallback'] = settings.completedCallback;
     }
     // Assignment
+    if (typeof assignment.modules == 'string') {
+        assignment.modules = {'added': BlockPy.parseModules(assignment.modules)};
+    }
     if (assignment.modules) {
         var new_modules = expandArray(this.model.assignment['modules'](), 
                                     assignment.modules.added || [], 
@@ -476,6 +700,18 @@ BlockPy.prototype.setAssignment = function(settings, assignment, programs) {
         this.model.assignment['has_files'](assignment.has_files);
     }
     this.model.assignment['parsons'](assignment.parsons);
+    if (assignment.parsons_indentation !== undefined) {
+        this.model.assignment['parsons_indentation'](assignment.parsons_indentation);
+    }
+    if (assignment.parsons_ordered !== undefined) {
+        this.model.assignment['parsons_ordered'](assignment.parsons_ordered);
+    }
+    if (assignment.parsons_lines !== undefined) {
+        this.model.assignment['parsons_lines'](assignment.parsons_lines);
+    }
+    if (assignment.explain_line !== undefined) {
+        this.model.assignment['explain_line'](parseInt(assignment.explain_line, 10) || 0);
+    }
     this.model.assignment['upload'](assignment.upload);
     if (assignment.importable) {
         this.model.assignment['importable'](assignment.importable);
@@ -483,6 +719,53 @@ BlockPy.prototype.setAssignment = function(settings, assignment, programs) {
     if (assignment.disable_algorithm_errors) {
         this.model.assignment['disable_algorithm_errors'](assignment.disable_algorithm_errors);
     }
+    this.model.status.analyzer_issues.removeAll();
+    if (assignment.analyzer_issues) {
+        var analyzerIssues = assignment.analyzer_issues;
+        if (typeof analyzerIssues == 'string') {
+            try {
+                analyzerIssues = JSON.parse(analyzerIssues);
+            } catch (e) {
+                console.error(e);
+                analyzerIssues = [];
+                this.model.status.analyzer_issues.push("The changes to the analyzer's issues couldn't be read: "+e.message);
+            }
+        }
+        this.model.assignment['analyzer_issues'](analyzerIssues);
+    }
+    // Blocks, before the programs so that the programs can use them. The last
+    // assignment's blocks are removed even if this one has none.
+    var blockSpecs = assignment.block_specs || [];
+    var blockSpecsError = null;
+    if (typeof blockSpecs == 'string') {
+        try {
+            blockSpecs = JSON.parse(blockSpecs);
+        } catch (e) {
+            console.error(e);
+            blockSpecs = [];
+            blockSpecsError = "The custom blocks couldn't be read: "+e.message;
+        }
+    }
+    this.model.assignment['block_specs'](blockSpecs);
+    if (blockSpecsError !== null) {
+        this.model.status.block_specs.push(blockSpecsError);
+    }
+    var testCases = assignment.test_cases || [];
+    this.model.status.test_cases.removeAll();
+    if (typeof testCases == 'string') {
+        try {
+            testCases = JSON.parse(testCases);
+        } catch (e) {
+            console.error(e);
+            testCases = [];
+            this.model.status.test_cases.push("The test cases couldn't be read: "+e.message);
+        }
+    }
+    this.model.assignment['test_cases'](testCases);
+    // Layouts, before the programs so that the blocks are put back in place
+    for (var filename in this.model.layouts) {
+        this.model.layouts[filename](this.components.server.loadLayout(filename, (layouts || {})[filename]));
+    }
     // Programs
     if (programs.__main__ !== undefined) {
         this.model.programs['__main__'](programs.__main__);
@@ -496,13 +779,26 @@ BlockPy.prototype.setAssignment = function(settings, assignment, programs) {
     if (assignment.on_change !== undefined) {
         this.model.programs['on_change'](assignment.on_change);
     }
-    this.model.programs['answer'](assignment.answer);
+    if (assignment.answer !== undefined) {
+        this.model.programs['answer'](assignment.answer);
+    }
+    // A Parsons problem that hasn't been started yet begins scrambled
+    if (assignment.parsons && programs.__main__ !== undefined &&
+        programs.__main__ == assignment.starting_code) {
+        this.components.parsons.start();
+    }
+    if (assignment.parsons && assignment.parsons_lines && !settings.instructor &&
+        this.model.settings['filename']() == '__main__') {
+        this.model.settings['editor']('Parsons');
+    }
     // Update Model
     // Reload blockly
     // Reload CodeMirror
     // Reload summernote
     this.components.editor.reloadIntroduction();
     this.model.settings.server_connected(true)
+    this.components.server.resolveConflicts({'__main__': programs.__main__},
+                                            server_time);
     this.components.corgis.loadDatasets(true);
     this.components.engine.loadAllFiles(true);
     this.components.server.setStatus('Loaded');
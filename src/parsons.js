@@ -0,0 +1,389 @@
+/**
+ * Parsons problems, where the student puts the lines of a given program in
+ * order instead of writing it themselves. The lines come from the
+ * assignment's starting code; any line that ends with a "#distractor"
+ * comment is a distractor, which doesn't belong in the solution.
+ *
+ * The lines are either shown as blocks (in the Blocks view), or as plain
+ * lines of text that can be dragged into place (in the Parsons view). Either
+ * way, the student's program is graded line by line when they run it.
+ *
+ * @constructor
+ * @this {BlockPyParsons}
+ * @param {Object} main - The main BlockPy instance
+ * @param {HTMLElement} tag - The HTML object this is attached to.
+ */
+function BlockPyParsons(main, tag) {
+    this.main = main;
+    this.tag = tag;
+
+    this.sourceTag = tag.find('.blockpy-parsons-source');
+    this.answerTag = tag.find('.blockpy-parsons-answer');
+    // The order of the lines that haven't been used yet, by their index
+    this.sourceOrder = null;
+    // Whether the code is being changed from the Parsons view
+    this.silenceModel = false;
+
+    var parsons = this;
+    this.tag.find('.blockpy-parsons-source, .blockpy-parsons-answer').sortable({
+        'connectWith': '.blockpy-parsons-lines',
+        'placeholder': 'blockpy-parsons-placeholder',
+        'stop': function() {
+            parsons.updateCode();
+        }
+    });
+    this.answerTag.on('click', '.blockpy-parsons-indent', function() {
+        var line = $(this).closest('.blockpy-parsons-line');
+        var indent = parseInt(line.attr('data-indent'), 10) + parseInt($(this).attr('data-change'), 10);
+        parsons.setIndent(line, Math.max(0, indent));
+        parsons.updateCode();
+    });
+
+    var model = this.main.model;
+    model.programs['__main__'].subscribe(function() {
+        if (!parsons.silenceModel) {
+            parsons.render();
+        }
+    });
+    model.programs['starting_code'].subscribe(function() {
+        parsons.sourceOrder = null;
+        parsons.render();
+    });
+    model.assignment.parsons_indentation.subscribe(function() {
+        parsons.render();
+    });
+    model.assignment.parsons_lines.subscribe(function(linesMode) {
+        if (linesMode && model.assignment.parsons()) {
+            model.settings.editor('Parsons');
+        } else if (model.settings.editor() == 'Parsons') {
+            model.settings.editor('Blocks');
+        }
+    });
+}
+
+/**
+ * Matches the comment that marks a line as a distractor.
+ */
+BlockPyParsons.prototype.DISTRACTOR = /\s*#\s*distractor\s*$/i;
+
+BlockPyParsons.prototype.INDENT = '    ';
+
+/**
+ * Splits some code into its lines, skipping any blank lines.
+ *
+ * @param {String} code - The code, possibly with distractors marked.
+ * @returns {Array.<Object>} Each line's text (without its indentation or
+ *                           distractor marker), indentation level, whether it
+ *                           is a distractor, and line number.
+ */
+BlockPyParsons.prototype.parseLines = function(code) {
+    var parsons = this;
+    var lines = [];
+    (code || '').split('\n').forEach(function(line, index) {
+        if (line.trim() === '') {
+            return;
+        }
+        var text = line.replace(parsons.DISTRACTOR, '');
+        lines.push({
+            'text': text.trim(),
+            'indent': text.match(/^\s*/)[0].replace(/\t/g, parsons.INDENT).length,
+            'distractor': parsons.DISTRACTOR.test(line),
+            'line': index + 1
+        });
+    });
+    // Turn the spaces into levels, whatever the size of an indentation is
+    var unit = lines.reduce(function(smallest, line) {
+        return line.indent > 0 && (smallest === 0 || line.indent < smallest) ?
+               line.indent : smallest;
+    }, 0);
+    lines.forEach(function(line) {
+        line.indent = unit ? Math.round(line.indent / unit) : 0;
+    });
+    return lines;
+}
+
+/**
+ * Turns a line into a form that doesn't depend on its formatting, so that the
+ * code made from the blocks still matches the starting code. Whitespace
+ * outside of strings is dropped, and strings are all given the same quotes.
+ *
+ * @param {String} text - The line of code.
+ * @returns {String} The normalized line.
+ */
+BlockPyParsons.prototype.normalize = function(text) {
+    var result = '', quote = null, contents = '';
+    for (var i = 0; i < text.length; i++) {
+        var c = text.charAt(i);
+        if (quote === null) {
+            if (c == '"' || c == "'") {
+                quote = c;
+                contents = '';
+            } else if (c == '#') {
+                break;
+            } else if (!/\s/.test(c)) {
+                result += c;
+            }
+        } else if (c == '\\' && i+1 < text.length) {
+            var next = text.charAt(i+1);
+            contents += next == '"' || next == "'" ? next : c + next;
+            i++;
+        } else if (c == quote) {
+            result += JSON.stringify(contents);
+            quote = null;
+        } else {
+            contents += c;
+        }
+    }
+    return result;
+}
+
+/**
+ * Removes the distractor markers from some code, so that students can't tell
+ * which lines are distractors.
+ *
+ * @param {String} code - The code, possibly with distractors marked.
+ * @returns {String} The code without the markers.
+ */
+BlockPyParsons.prototype.removeMarkers = function(code) {
+    var parsons = this;
+    return (code || '').split('\n').map(function(line) {
+        return line.replace(parsons.DISTRACTOR, '');
+    }).join('\n');
+}
+
+/**
+ * @param {String} starting_code - The starting code, with distractors marked.
+ * @returns {String} The program that a student starts a Parsons problem with:
+ *                   all of the lines (for blocks), or none of them (for the
+ *                   Parsons view, which shows the lines separately).
+ */
+BlockPyParsons.prototype.getStartingProgram = function(starting_code) {
+    if (this.main.model.assignment.parsons_lines()) {
+        return '';
+    }
+    return this.removeMarkers(starting_code);
+}
+
+/**
+ * Starts the Parsons problem over, with the lines scrambled.
+ */
+BlockPyParsons.prototype.start = function() {
+    var main = this.main, editor = main.components.editor;
+    var code = this.getStartingProgram(main.model.programs['starting_code']());
+    main.model.layouts['__main__']({});
+    this.sourceOrder = null;
+    editor.separateBlocks = true;
+    try {
+        if (!main.setCode(code, '__main__')) {
+            // Nothing changed, so the blocks have to be scrambled again by hand
+            editor.updateBlocksFromModel();
+            this.render();
+        }
+    } finally {
+        editor.separateBlocks = false;
+    }
+}
+
+/**
+ * Finds the longest run of lines that are in the right order relative to
+ * each other; the other lines are the ones that are out of order.
+ *
+ * @param {Array.<Number>} positions - Where each line belongs in the solution.
+ * @returns {Object} The indices (into positions) of the lines that are in order.
+ */
+BlockPyParsons.prototype.findOrderedLines = function(positions) {
+    // Longest increasing subsequence
+    var lengths = [], previous = [], best = -1;
+    positions.forEach(function(position, i) {
+        lengths.push(1);
+        previous.push(-1);
+        for (var j = 0; j < i; j++) {
+            if (positions[j] < position && lengths[j] + 1 > lengths[i]) {
+                lengths[i] = lengths[j] + 1;
+                previous[i] = j;
+            }
+        }
+        if (best == -1 || lengths[i] > lengths[best]) {
+            best = i;
+        }
+    });
+    var ordered = {};
+    for (var i = best; i != -1; i = previous[i]) {
+        ordered[i] = true;
+    }
+    return ordered;
+}
+
+/**
+ * Grades the student's code against the solution (the starting code, without
+ * the distractors), line by line. Order is only reported if the assignment
+ * requires the lines to be in order, and indentation is only reported when
+ * the student has to choose it.
+ *
+ * @param {String} code - The student's code.
+ * @returns {Object} The problems found (each with a title, message, and line),
+ *                   and whether the code solves the problem (which is when no
+ *                   problems were found).
+ */
+BlockPyParsons.prototype.grade = function(code) {
+    var parsons = this, assignment = this.main.model.assignment;
+    var given = this.parseLines(this.main.model.programs['starting_code']());
+    var solution = given.filter(function(line) { return !line.distractor; });
+    var distractors = {}, available = {}, usesPass = false;
+    given.forEach(function(line) {
+        var key = parsons.normalize(line.text);
+        if (line.distractor) {
+            distractors[key] = true;
+        }
+        usesPass = usesPass || key == 'pass';
+    });
+    solution.forEach(function(line, position) {
+        var key = parsons.normalize(line.text);
+        (available[key] = available[key] || []).push(position);
+    });
+
+    var problems = [], matched = [];
+    var problem = function(title, message, line) {
+        problems.push({'title': title, 'message': message, 'line': line});
+    };
+    this.parseLines(code).forEach(function(line) {
+        var key = parsons.normalize(line.text);
+        if (key === '' || (key == 'pass' && !usesPass)) {
+            // Comments, and the bodies of blocks that haven't been filled in
+            return;
+        }
+        if (available[key] && available[key].length) {
+            matched.push({'line': line, 'position': available[key].shift()});
+        } else if (distractors[key]) {
+            problem("Distractor", "Line "+line.line+" does not belong in the solution.", line.line);
+        } else if (key in available) {
+            problem("Extra Line", "Line "+line.line+" is used more times than it should be.", line.line);
+        } else {
+            problem("Unknown Line", "Line "+line.line+" is not one of the lines you were given.", line.line);
+        }
+    });
+
+    var ordered = this.findOrderedLines(matched.map(function(match) {
+        return match.position;
+    }));
+    matched.forEach(function(match, i) {
+        var line = match.line;
+        // Without "Lines must be in order", any order of the lines is accepted
+        if (!ordered[i] && assignment.parsons_ordered()) {
+            problem("Out of Order", "Line "+line.line+" is out of order.", line.line);
+        }
+        if (line.indent != solution[match.position].indent) {
+            problem("Wrong Indentation", "Line "+line.line+" is not indented correctly.", line.line);
+        }
+    });
+    var missing = solution.length - matched.length;
+    if (missing > 0) {
+        problem("Missing Lines", missing == 1 ?
+                "Your program is missing 1 of the lines it needs." :
+                "Your program is missing "+missing+" of the lines it needs.", null);
+    }
+    // Problems are reported from the top of the program down
+    problems.sort(function(a, b) {
+        return (a.line === null) - (b.line === null) || a.line - b.line;
+    });
+    return {
+        'problems': problems,
+        'complete': problems.length == 0
+    };
+}
+
+/**
+ * Creates the HTML for a line in the Parsons view.
+ *
+ * @param {Object} line - The line (see parseLines).
+ * @param {Number} index - Which of the given lines it is.
+ * @returns {HTMLElement} The line.
+ */
+BlockPyParsons.prototype.createLine = function(line, index) {
+    var item = $("<li class='list-group-item blockpy-parsons-line'></li>")
+        .attr('data-index', index);
+    $("<code></code>").text(line.text).appendTo(item);
+    $("<span class='blockpy-parsons-indenter'></span>")
+        .append("<span class='glyphicon glyphicon-chevron-left blockpy-parsons-indent' data-change='-1'></span>")
+        .append("<span class='glyphicon glyphicon-chevron-right blockpy-parsons-indent' data-change='1'></span>")
+        .appendTo(item);
+    this.setIndent(item, line.indent);
+    return item;
+}
+
+/**
+ * @param {HTMLElement} item - A line in the Parsons view.
+ * @param {Number} indent - Its new indentation level.
+ */
+BlockPyParsons.prototype.setIndent = function(item, indent) {
+    item.attr('data-indent', indent);
+    item.find('code').css('margin-left', (indent*2)+'em');
+}
+
+/**
+ * Shows the student's program in the Parsons view, with the lines they
+ * haven't used yet beside it.
+ */
+BlockPyParsons.prototype.render = function() {
+    var parsons = this, assignment = this.main.model.assignment;
+    var given = this.parseLines(this.main.model.programs['starting_code']());
+    var giveIndentation = assignment.parsons_indentation();
+    var unused = {};
+    given.forEach(function(line, index) {
+        var key = parsons.normalize(line.text);
+        (unused[key] = unused[key] || []).push(index);
+    });
+    // Any lines that aren't from the starting code (e.g., typed in the Text
+    // view) can't be shown here
+    this.answerTag.empty();
+    this.parseLines(this.main.model.programs['__main__']()).forEach(function(line) {
+        var indices = unused[parsons.normalize(line.text)];
+        if (indices && indices.length) {
+            parsons.createLine(line, indices.shift()).appendTo(parsons.answerTag);
+        }
+    });
+    var remaining = [];
+    for (var key in unused) {
+        remaining = remaining.concat(unused[key]);
+    }
+    if (this.sourceOrder === null) {
+        this.sourceOrder = given.map(function(line, index) { return index; });
+        shuffleArray(this.sourceOrder);
+    }
+    this.sourceTag.empty();
+    this.sourceOrder.forEach(function(index) {
+        if (arrayContains(index, remaining)) {
+            var line = given[index];
+            parsons.createLine({'text': line.text, 'indent': giveIndentation ? line.indent : 0}, index)
+                   .appendTo(parsons.sourceTag);
+        }
+    });
+    this.tag.toggleClass('blockpy-parsons-indentation-given', giveIndentation);
+}
+
+/**
+ * Updates the student's program after they move a line in the Parsons view.
+ */
+BlockPyParsons.prototype.updateCode = function() {
+    var parsons = this;
+    var given = this.parseLines(this.main.model.programs['starting_code']());
+    var giveIndentation = this.main.model.assignment.parsons_indentation();
+    var code = this.answerTag.children('.blockpy-parsons-line').map(function() {
+        var line = given[parseInt($(this).attr('data-index'), 10)];
+        var indent = giveIndentation ? line.indent : parseInt($(this).attr('data-indent'), 10);
+        if (giveIndentation) {
+            parsons.setIndent($(this), indent);
+        }
+        return new Array(indent+1).join(parsons.INDENT) + line.text;
+    }).get().join('\n');
+    this.silenceModel = true;
+    try {
+        this.main.setCode(code, '__main__');
+    } finally {
+        this.silenceModel = false;
+    }
+}
+
+if (typeof exports !== 'undefined') {
+    exports.BlockPyParsons = BlockPyParsons;
+}
@@ -26,6 +26,9 @@ PythonToBlocks.prototype.convertSourceToCodeBlock = function(python_source) {
  *      code (e.g., "a = 0").
  * @returns {Object} An object which will either have the converted
  *      source code or an error message and the code as a code-block.
+ *      If only some of the code could be parsed, then it is marked as
+ *      partial, and the regions that could not be parsed are listed
+ *      as unparsed.
  */
 PythonToBlocks.prototype.convertSource = function(python_source) {
     var xml = document.createElement("xml");
@@ -33,17 +36,26 @@ PythonToBlocks.prototype.convertSource = function(python_source) {
         return {"xml": xmlToString(xml), "error": null};
     }
     this.source = python_source.split("\n");
+    this.lineMap = {};
+    this.nodeBlocks = [];
     var filename = 'user_code.py';
     // Attempt parsing - might fail!
-    var parse, ast, symbol_table, error;
+    var parse, ast, symbol_table, error = null, unparsed = [];
     try {
         parse = Sk.parse(filename, python_source);
         ast = Sk.astFromParse(parse.cst, filename, parse.flags);
         //symbol_table = Sk.symboltable(ast, filename, python_source, filename, parse.flags);
     } catch (e) {
         error = e;
-        xml.appendChild(raw_block(python_source))
-        return {"xml": xmlToString(xml), "error": error};
+        // Try again without the top-level statements that don't parse
+        var recovered = this.recoverParse(filename, e);
+        if (recovered === null) {
+            xml.appendChild(raw_block(python_source))
+            return {"xml": xmlToString(xml), "error": error};
+        }
+        parse = recovered.parse;
+        ast = recovered.ast;
+        unparsed = recovered.unparsed;
     }
     this.comments = {};
     for (var commentLocation in parse.comments) {
@@ -61,7 +73,128 @@ PythonToBlocks.prototype.convertSource = function(python_source) {
             xml.appendChild(converted[block]);
         }
     }
-    return {"xml": xmlToString(xml), "error": null, "lineMap": this.lineMap, 'comment': this.comments};
+    this.lineMap = this.buildLineMap();
+    return {"xml": xmlToString(xml), "error": error, "partial": error !== null,
+            "unparsed": unparsed.map(function(region) {
+                return {"line": region.lineno, "end_line": region.end_lineno,
+                        "message": region.message};
+            }),
+            "lineMap": this.lineMap, 'comment': this.comments};
+}
+
+/**
+ * Splits the source code into its top-level statements. A statement
+ * continues through any indented lines, blank lines, lines inside of
+ * triple-quoted strings, and clauses like else and except. Unindented
+ * lines inside of brackets only continue the statement if they close
+ * a bracket, so that a half-written line doesn't swallow the rest of
+ * the code.
+ *
+ * @returns {Array.<Object>} The first and last line (1-indexed) of each statement.
+ */
+PythonToBlocks.prototype.findTopLevelStatements = function() {
+    var statements = [], current = null;
+    var depth = 0, quote = null, decorated = false;
+    for (var i = 0; i < this.source.length; i++) {
+        var line = this.source[i];
+        var continues = quote !== null || decorated ||
+                        line.trim() === "" || /^\s/.test(line) ||
+                        /^(else|elif|except|finally)\b/.test(line) ||
+                        (depth > 0 && /^[)\]}]/.test(line));
+        if (current === null || !continues) {
+            current = {"start": i+1, "end": i+1};
+            statements.push(current);
+            depth = 0;
+        } else {
+            current.end = i+1;
+        }
+        if (line.trim() !== "") {
+            decorated = /^@/.test(line.trim()) && depth == 0 && quote === null;
+        }
+        // Keep track of open brackets and strings
+        for (var j = 0; j < line.length; j++) {
+            var character = line.charAt(j);
+            if (quote !== null) {
+                if (character == "\\") {
+                    j += 1;
+                } else if (line.substr(j, quote.length) == quote) {
+                    j += quote.length-1;
+                    quote = null;
+                }
+            } else if (character == "#") {
+                break;
+            } else if (character == "'" || character == '"') {
+                var triple = line.substr(j, 3);
+                quote = (triple == character+character+character) ? triple : character;
+                j += quote.length-1;
+            } else if ("([{".indexOf(character) != -1) {
+                depth += 1;
+            } else if (")]}".indexOf(character) != -1) {
+                depth = Math.max(0, depth-1);
+            }
+        }
+        // Single-quoted strings end with the line
+        if (quote !== null && quote.length == 1) {
+            quote = null;
+        }
+    }
+    return statements;
+}
+
+/**
+ * Attempts to parse the source code after blanking out whichever top-level
+ * statements have syntax errors, one at a time.
+ *
+ * @param {String} filename - The name of the file, for Skulpt.
+ * @param {Object} error - The Skulpt error from parsing all of the code.
+ * @returns {Object|null} The parse, the AST (with Unparsed nodes in place of the
+ *                        broken statements), and the broken statements; or null
+ *                        if the code could not be recovered.
+ */
+PythonToBlocks.prototype.recoverParse = function(filename, error) {
+    var statements = this.findTopLevelStatements();
+    var lines = this.source.slice();
+    var unparsed = [];
+    while (unparsed.length < statements.length) {
+        // Find the statement where the error was
+        var details = Sk.ffi.remapToJs(error.args);
+        var errorLine = parseInt(details[2], 10);
+        var broken = null;
+        statements.forEach(function(statement) {
+            if (statement.unparsed || (!isNaN(errorLine) && statement.start > errorLine)) {
+                return;
+            }
+            broken = statement;
+        });
+        if (broken === null) {
+            return null;
+        }
+        broken.unparsed = true;
+        // The lines are blanked out to keep the line numbers the same
+        for (var i = broken.start; i <= broken.end; i++) {
+            lines[i-1] = "";
+        }
+        unparsed.push({
+            "_astname": "Unparsed",
+            "lineno": broken.start,
+            "end_lineno": broken.end,
+            "message": String(details[0]),
+            "source": this.getSourceCode(broken.start, broken.end).replace(/\s+$/, "")
+        });
+        try {
+            var parse = Sk.parse(filename, lines.join("\n"));
+            var ast = Sk.astFromParse(parse.cst, filename, parse.flags);
+        } catch (e) {
+            error = e;
+            continue;
+        }
+        // Put the broken statements back in where they were
+        ast.body = ast.body.concat(unparsed).sort(function(a, b) {
+            return a.lineno - b.lineno;
+        });
+        return {"parse": parse, "ast": ast, "unparsed": unparsed};
+    }
+    return null;
 }
 
 PythonToBlocks.prototype.identifier = function(node) {
@@ -366,12 +499,104 @@ raw_block = function(txt) {
     return block("raw_block", 0, { "TEXT": txt });
 }
 
+/*
+ * A top-level statement that could not be parsed (see recoverParse).
+ */
+PythonToBlocks.prototype.Unparsed = function(node) {
+    return block("raw_block", node.lineno, {"TEXT": node.source});
+}
+
 raw_expression = function(txt, lineno) {
     return block("raw_expression", lineno, {"TEXT": txt});
 }
 
 PythonToBlocks.prototype.convert = function(node, is_top_level) {
-    return this[node._astname](node, is_top_level);
+    var converted = this[node._astname](node, is_top_level);
+    if (this.nodeBlocks && node.lineno !== undefined && isBlockElement(converted)) {
+        this.nodeBlocks.push({"line": node.lineno, "column": node.col_offset,
+                              "node": node._astname, "block": converted});
+    }
+    return converted;
+}
+
+function isBlockElement(element) {
+    return !!element && element.nodeName !== undefined &&
+           element.nodeName.toLowerCase() == "block";
+}
+
+/**
+ * Finds where a block is, as a path from the top of the program. The first
+ * step is the block's statement among all of the top-level statements (counting
+ * through each stack of blocks); each later step is an input of the previous
+ * block, and the statement within that input (0 for a value input). A path can
+ * be followed through any blocks with the same structure, such as the blocks
+ * on the workspace that this code was generated from.
+ *
+ * @param {Element} element - The block's XML.
+ * @returns {Array.<Object>|null} The steps of the path, or null if the block
+ *                                didn't end up in the program.
+ */
+PythonToBlocks.prototype.findBlockPath = function(element) {
+    var path = [];
+    var stackLength = function(element) {
+        var length = 0;
+        while (element) {
+            length += 1;
+            var next = Array.prototype.filter.call(element.childNodes, function(child) {
+                return child.nodeName.toLowerCase() == "next";
+            })[0];
+            element = next ? Array.prototype.filter.call(next.childNodes, isBlockElement)[0] : null;
+        }
+        return length;
+    };
+    while (element && element.parentNode) {
+        var index = 0;
+        while (element.parentNode && element.parentNode.nodeName.toLowerCase() == "next") {
+            index += 1;
+            element = element.parentNode.parentNode;
+        }
+        var parent = element.parentNode;
+        if (!parent) {
+            return null;
+        } else if (parent.nodeName.toLowerCase() == "xml") {
+            for (var sibling = element.previousSibling; sibling; sibling = sibling.previousSibling) {
+                if (isBlockElement(sibling)) {
+                    index += stackLength(sibling);
+                }
+            }
+            path.unshift({"index": index});
+            return path;
+        }
+        path.unshift({"input": parent.getAttribute("name"), "index": index});
+        element = parent.parentNode;
+    }
+    return null;
+}
+
+/**
+ * Maps each line of the code to the blocks made from it. Within a line, the
+ * blocks are in the order they were made, so inner blocks (like the values of
+ * an operator) come before the blocks that hold them.
+ *
+ * @returns {Object} For each line number, a list of each block's column, the
+ *                   name of its AST node, and its path (see findBlockPath).
+ */
+PythonToBlocks.prototype.buildLineMap = function() {
+    var lineMap = {};
+    var converter = this;
+    this.nodeBlocks.forEach(function(mapped) {
+        var path = converter.findBlockPath(mapped.block);
+        if (path === null) {
+            return;
+        }
+        if (!(mapped.line in lineMap)) {
+            lineMap[mapped.line] = [];
+        }
+        lineMap[mapped.line].push({"column": mapped.column, "node": mapped.node,
+                                   "type": mapped.block.getAttribute("type"), "path": path});
+    });
+    this.nodeBlocks = null;
+    return lineMap;
 }
 
 function arrayMax(array) {
@@ -414,6 +639,18 @@ PythonToBlocks.prototype.getChunkHeights = function(node) {
             lineNumbers = lineNumbers.concat(this.getChunkHeights(subnode));
         }
     }
+    if (node.hasOwnProperty("handlers")) {
+        for (var i = 0; i < node.handlers.length; i += 1) {
+            var subnode = node.handlers[i];
+            lineNumbers = lineNumbers.concat(this.getChunkHeights(subnode));
+        }
+    }
+    if (node.hasOwnProperty("finalbody")) {
+        for (var i = 0; i < node.finalbody.length; i += 1) {
+            var subnode = node.finalbody[i];
+            lineNumbers = lineNumbers.concat(this.getChunkHeights(subnode));
+        }
+    }
     return lineNumbers;
 }
 
@@ -724,10 +961,27 @@ PythonToBlocks.prototype.If = function(node)
  */
 PythonToBlocks.prototype.With = function(node)
 {
-    var context_expr = node.context_expr;
-    var optional_vars = node.optional_vars;
+    // Multiple items (with a, b:) are parsed as Withs nested on the same line,
+    // but they go back on one block so that they stay on one line
+    var items = [node];
     var body = node.body;
-    throw new Error("With_ not implemented");
+    while (body.length == 1 && body[0]._astname == "With" && body[0].lineno == node.lineno) {
+        items.push(body[0]);
+        body = body[0].body;
+    }
+    var values = {};
+    for (var i = 0; i < items.length; i++) {
+        var suffix = i ? String(i) : "";
+        values["EXPR"+suffix] = this.convert(items[i].context_expr);
+        values["TARGET"+suffix] = items[i].optional_vars ? this.convert(items[i].optional_vars) : null;
+    }
+    return block("exceptions_with", node.lineno, {}, values, {
+        "inline": "true"
+    }, {
+        "@items": items.length
+    }, {
+        "BODY": this.convertBody(body)
+    });
 }
 
 /*
@@ -740,7 +994,18 @@ PythonToBlocks.prototype.Raise = function(node)
     var type = node.type;
     var inst = node.inst;
     var tback = node.tback;
-    throw new Error("Raise not implemented");
+    var values = {}, count = 0;
+    [["TYPE", type], ["INST", inst], ["TBACK", tback]].forEach(function(pair) {
+        if (pair[1]) {
+            values[pair[0]] = this.convert(pair[1]);
+            count += 1;
+        }
+    }, this);
+    return block("exceptions_raise", node.lineno, {}, values, {
+        "inline": "true"
+    }, {
+        "@values": count
+    });
 }
 
 /*
@@ -754,7 +1019,7 @@ PythonToBlocks.prototype.TryExcept = function(node)
     var body = node.body;
     var handlers = node.handlers;
     var orelse = node.orelse;
-    throw new Error("TryExcept not implemented");
+    return this.convertTry(body, handlers, orelse, [], node.lineno);
 }
 
 /*
@@ -766,7 +1031,41 @@ PythonToBlocks.prototype.TryFinally = function(node)
 {
     var body = node.body;
     var finalbody = node.finalbody;
-    throw new Error("TryExcept not implemented");
+    // try/except/finally is parsed as a TryExcept inside of a TryFinally
+    if (body.length == 1 && body[0]._astname == "TryExcept" &&
+        body[0].lineno == node.lineno) {
+        return this.convertTry(body[0].body, body[0].handlers, body[0].orelse,
+                               finalbody, node.lineno);
+    }
+    return this.convertTry(body, [], [], finalbody, node.lineno);
+}
+
+/*
+ * Creates a single block for every part of a try statement.
+ */
+PythonToBlocks.prototype.convertTry = function(body, handlers, orelse, finalbody, lineno)
+{
+    var values = {};
+    var statements = {"BODY": this.convertBody(body)};
+    for (var i = 0; i < handlers.length; i++) {
+        var handler = this.ExceptHandler(handlers[i]);
+        values["TYPE"+i] = handler.type;
+        values["NAME"+i] = handler.name;
+        statements["HANDLER"+i] = handler.body;
+    }
+    if (orelse.length > 0) {
+        statements["ELSE"] = this.convertBody(orelse);
+    }
+    if (finalbody.length > 0) {
+        statements["FINALLY"] = this.convertBody(finalbody);
+    }
+    return block("exceptions_try", lineno, {}, values, {
+        "inline": "false"
+    }, {
+        "@handlers": handlers.length,
+        "@else": orelse.length > 0 ? 1 : 0,
+        "@finally": finalbody.length > 0 ? 1 : 0
+    }, statements);
 }
 
 /*
@@ -777,7 +1076,12 @@ PythonToBlocks.prototype.Assert = function(node)
 {
     var test = node.test;
     var msg = node.msg;
-    throw new Error("Assert not implemented");
+    return block("exceptions_assert", node.lineno, {}, {
+        "TEST": this.convert(test),
+        "MSG": msg ? this.convert(msg) : null
+    }, {
+        "inline": "true"
+    });
 }
 
 /*
@@ -816,7 +1120,13 @@ PythonToBlocks.prototype.Exec = function(node) {
     var body = node.body;
     var globals = node.globals;
     var locals = node.locals;
-    throw new Error("Exec not implemented");
+    return block("exec_code", node.lineno, {}, {
+        "BODY": this.convert(body),
+        "GLOBALS": globals ? this.convert(globals) : null,
+        "LOCALS": locals ? this.convert(locals) : null
+    }, {
+        "inline": "true"
+    });
 }
 
 /*
@@ -826,7 +1136,9 @@ PythonToBlocks.prototype.Exec = function(node) {
 PythonToBlocks.prototype.Global = function(node)
 {
     var names = node.names;
-    throw new Error("Globals not implemented");
+    return block("global_names", node.lineno, {
+        "NAMES": names.map(this.identifier).join(", ")
+    });
 }
 
 /*
@@ -1698,9 +2010,13 @@ PythonToBlocks.prototype.ExceptHandler = function(node)
 {
     var type = node.type;
     var name = node.name;
-    var body = node.boy;
+    var body = node.body;
     
-    throw new Error("Except handlers are not implemented");
+    return {
+        "type": type ? this.convert(type) : null,
+        "name": name ? this.convert(name) : null,
+        "body": this.convertBody(body)
+    };
 }
 
 PythonToBlocks.prototype.argument_ = function(node) {
@@ -0,0 +1,686 @@
+/**
+ * Explains Python code in plain English, one statement at a time. Statements
+ * are explained as sentences (e.g., "Set the variable total to 0."), and the
+ * expressions inside them as phrases (e.g., "total plus 1"). Every construct
+ * that can be turned into blocks (see PythonToBlocks) has an explanation.
+ *
+ * @constructor
+ * @this {PythonToEnglish}
+ */
+function PythonToEnglish() {
+    NodeVisitor.apply(this, Array.prototype.slice.call(arguments));
+}
+
+PythonToEnglish.prototype = new NodeVisitor();
+
+PythonToEnglish.prototype.FILENAME = '__main__.py';
+
+/**
+ * Parses the code and explains each of its statements (including the ones
+ * nested inside others), along with the lines that start an else, except, or
+ * finally clause, and any comments.
+ *
+ * @param {String} code - The Python code.
+ * @returns {Array.<Object>} The line (1-indexed), depth of nesting, and text
+ *                           of each explanation, in the order of the lines.
+ * @throws {Sk.builtin.SyntaxError} If the code can't be parsed.
+ */
+PythonToEnglish.prototype.explain = function(code) {
+    this.source = code.split('\n');
+    var parse = Sk.parse(this.FILENAME, code);
+    var ast = Sk.astFromParse(parse.cst, this.FILENAME, parse.flags);
+    var explanations = [];
+    this.explainBody(ast.body, 0, explanations);
+    for (var location in parse.comments) {
+        var line = parseInt(location.split(',')[0], 10);
+        // Only comments on their own line; the rest belong to their statement
+        if (/^\s*#/.test(this.source[line-1] || '')) {
+            explanations.push({'line': line, 'depth': this.getDepth(line),
+                               'text': "A comment for people reading the code; Python ignores it."});
+        }
+    }
+    return explanations.sort(function(a, b) {
+        return a.line - b.line;
+    });
+}
+
+/**
+ * Explains one line of the code. If several statements start on the line,
+ * each of them is explained.
+ *
+ * @param {String} code - The Python code.
+ * @param {Number} line - The line (1-indexed).
+ * @returns {String|null} The explanation, or null if nothing starts on the line.
+ */
+PythonToEnglish.prototype.explainLine = function(code, line) {
+    var texts = this.explain(code).filter(function(explanation) {
+        return explanation.line == line;
+    }).map(function(explanation) {
+        return explanation.text;
+    });
+    return texts.length ? texts.join(' ') : null;
+}
+
+/**
+ * @param {Number} line - The line (1-indexed).
+ * @returns {Number} How many levels the line is indented (assuming four spaces per level).
+ */
+PythonToEnglish.prototype.getDepth = function(line) {
+    var indentation = /^\s*/.exec(this.source[line-1] || '')[0].replace(/\t/g, '    ');
+    return Math.floor(indentation.length / 4);
+}
+
+/**
+ * Finds the line that starts a clause (e.g., "else:") before a body, since
+ * the AST doesn't keep track of where those are.
+ *
+ * @param {Array.<Object>} body - The statements in the clause.
+ * @param {RegExp} keyword - Matches the start of the clause's line.
+ * @returns {Number|null} The line (1-indexed), if it was found.
+ */
+PythonToEnglish.prototype.findClauseLine = function(body, keyword) {
+    if (!body.length) {
+        return null;
+    }
+    for (var line = body[0].lineno; line > 0; line--) {
+        if (keyword.test(this.source[line-1])) {
+            return line;
+        }
+    }
+    return null;
+}
+
+/**
+ * Explains each statement in a body, and then the statements nested inside of it.
+ *
+ * @param {Array.<Object>} body - The statements.
+ * @param {Number} depth - How deeply the statements are nested.
+ * @param {Array.<Object>} explanations - The list to add the explanations to.
+ */
+PythonToEnglish.prototype.explainBody = function(body, depth, explanations) {
+    var explainer = this;
+    var addClause = function(clause, keyword, text) {
+        var line = explainer.findClauseLine(clause, keyword);
+        if (line !== null) {
+            explanations.push({'line': line, 'depth': depth, 'text': text});
+        }
+        explainer.explainBody(clause, depth+1, explanations);
+    };
+    body.forEach(function(node) {
+        // A try with both except and finally is only explained once
+        if (node._astname == 'TryFinally' && node.body.length == 1 &&
+            node.body[0]._astname == 'TryExcept' && node.body[0].lineno == node.lineno) {
+            explainer.explainBody(node.body, depth, explanations);
+            addClause(node.finalbody, /^\s*finally\s*:/,
+                      "Afterwards, whether or not there was an error, do the following:");
+            return;
+        }
+        explanations.push({'line': node.lineno, 'depth': depth, 'text': explainer.visit(node)});
+        switch (node._astname) {
+            case 'FunctionDef': case 'ClassDef': case 'With':
+                explainer.explainBody(node.body, depth+1, explanations);
+                break;
+            case 'If':
+                explainer.explainBody(node.body, depth+1, explanations);
+                if (explainer.isElif(node)) {
+                    // The elif is explained as its own If, at the same depth
+                    explainer.explainBody(node.orelse, depth, explanations);
+                } else {
+                    addClause(node.orelse, /^\s*else\s*:/, "Otherwise, do the following:");
+                }
+                break;
+            case 'For': case 'While':
+                explainer.explainBody(node.body, depth+1, explanations);
+                addClause(node.orelse, /^\s*else\s*:/,
+                          "If the loop finished without stopping early, do the following:");
+                break;
+            case 'TryExcept':
+                explainer.explainBody(node.body, depth+1, explanations);
+                node.handlers.forEach(function(handler) {
+                    explanations.push({'line': handler.lineno, 'depth': depth,
+                                       'text': explainer.describeHandler(handler)});
+                    explainer.explainBody(handler.body, depth+1, explanations);
+                });
+                addClause(node.orelse, /^\s*else\s*:/,
+                          "If there wasn't an error, do the following:");
+                break;
+            case 'TryFinally':
+                explainer.explainBody(node.body, depth+1, explanations);
+                addClause(node.finalbody, /^\s*finally\s*:/,
+                          "Afterwards, whether or not there was an error, do the following:");
+                break;
+        }
+    });
+}
+
+/**
+ * @param {Object} node - An If node.
+ * @returns {Boolean} Whether the If's else is really an elif.
+ */
+PythonToEnglish.prototype.isElif = function(node) {
+    return node.orelse.length == 1 && node.orelse[0]._astname == 'If' &&
+           /^\s*elif\b/.test(this.source[node.orelse[0].lineno-1] || '');
+}
+
+/**
+ * Joins phrases into a list, like "a, b, and c".
+ *
+ * @param {Array.<String>} phrases - The phrases.
+ * @param {String} conjunction - The word before the last phrase ("and" by default).
+ * @returns {String} The joined phrases.
+ */
+PythonToEnglish.prototype.joinPhrases = function(phrases, conjunction) {
+    conjunction = conjunction || 'and';
+    if (phrases.length <= 2) {
+        return phrases.join(' '+conjunction+' ');
+    }
+    return phrases.slice(0, -1).join(', ')+', '+conjunction+' '+phrases[phrases.length-1];
+}
+
+/**
+ * @param {Object} name - A name from the AST (a Skulpt string).
+ * @returns {String} The name.
+ */
+PythonToEnglish.prototype.identifier = function(name) {
+    return Sk.ffi.remapToJs(name);
+}
+
+/**
+ * Describes a list of expressions.
+ *
+ * @param {Array.<Object>} nodes - The expressions.
+ * @returns {String} The phrase for each of them, joined.
+ */
+PythonToEnglish.prototype.visitAll = function(nodes) {
+    return this.joinPhrases(nodes.map(this.visit, this));
+}
+
+/**
+ * @param {Object} node - Anything from the AST that this doesn't explain yet.
+ * @returns {String} A vague phrase.
+ */
+PythonToEnglish.prototype.generic_visit = function(node) {
+    return "some code";
+}
+
+/**
+ * Describes the arguments that a function takes.
+ */
+PythonToEnglish.prototype.describeArguments = function(args) {
+    var names = args.args.map(this.visit, this);
+    if (args.vararg) {
+        names.push("any number of other arguments (called "+this.identifier(args.vararg)+")");
+    }
+    if (args.kwarg) {
+        names.push("any other named arguments (called "+this.identifier(args.kwarg)+")");
+    }
+    return names.length ? this.joinPhrases(names) : "no arguments";
+}
+
+/**
+ * Describes an except clause.
+ */
+PythonToEnglish.prototype.describeHandler = function(handler) {
+    if (!handler.type) {
+        return "If there was any error, do the following instead:";
+    }
+    var text = "If there was an error of the type "+this.visit(handler.type);
+    if (handler.name) {
+        text += " (calling the error "+this.visit(handler.name)+")";
+    }
+    return text+", do the following instead:";
+}
+
+/**
+ * Describes the "for" and "if" parts of a comprehension.
+ */
+PythonToEnglish.prototype.describeGenerators = function(generators) {
+    var explainer = this;
+    return generators.map(function(generator) {
+        var text = "for each "+explainer.visit(generator.target)+" in "+explainer.visit(generator.iter);
+        if (generator.ifs.length) {
+            text += ", when "+explainer.joinPhrases(generator.ifs.map(explainer.visit, explainer));
+        }
+        return text;
+    }).join(', ');
+}
+
+/**
+ * Describes where a value is stored, for assignments.
+ */
+PythonToEnglish.prototype.describeTarget = function(node) {
+    switch (node._astname) {
+        case 'Name': return "the variable "+this.visit(node);
+        case 'Tuple': case 'List':
+            return this.joinPhrases(node.elts.map(this.describeTarget, this));
+        default: return this.visit(node);
+    }
+}
+
+// Statements
+
+PythonToEnglish.prototype.visit_FunctionDef = function(node) {
+    return "Define a function named "+this.identifier(node.name)+" that takes "+
+           this.describeArguments(node.args)+". When it is called, it does the following:";
+}
+
+PythonToEnglish.prototype.visit_ClassDef = function(node) {
+    var text = "Define a class named "+this.identifier(node.name);
+    if (node.bases.length) {
+        text += " that is based on "+this.visitAll(node.bases);
+    }
+    return text+". It has the following:";
+}
+
+PythonToEnglish.prototype.visit_Return = function(node) {
+    if (!node.value) {
+        return "Stop the function and go back to where it was called.";
+    }
+    return "Stop the function and give back "+this.visit(node.value)+".";
+}
+
+PythonToEnglish.prototype.visit_Delete = function(node) {
+    return "Delete "+this.joinPhrases(node.targets.map(this.describeTarget, this))+".";
+}
+
+PythonToEnglish.prototype.visit_Assign = function(node) {
+    var targets = node.targets.map(this.describeTarget, this);
+    if (node.targets.length == 1 && ['Tuple', 'List'].indexOf(node.targets[0]._astname) != -1) {
+        return "Set "+targets[0]+" to the items of "+this.visit(node.value)+", in order.";
+    }
+    return "Set "+this.joinPhrases(targets)+" to "+this.visit(node.value)+".";
+}
+
+PythonToEnglish.prototype.visit_AugAssign = function(node) {
+    var target = this.describeTarget(node.target), value = this.visit(node.value);
+    switch (node.op.name) {
+        case 'Add': return "Add "+value+" to "+target+".";
+        case 'Sub': return "Subtract "+value+" from "+target+".";
+        case 'Mult': return "Multiply "+target+" by "+value+".";
+        case 'Div': return "Divide "+target+" by "+value+".";
+        default:
+            return "Set "+target+" to "+this.describeOperator(node.op, this.visit(node.target), value)+".";
+    }
+}
+
+PythonToEnglish.prototype.visit_Print = function(node) {
+    var values = node.values;
+    // print(a, b) is a tuple to Python 2, but means the same thing
+    if (values.length == 1 && values[0]._astname == 'Tuple') {
+        values = values[0].elts;
+    }
+    var text = values.length ? "Print "+this.visitAll(values) : "Print an empty line";
+    if (node.dest) {
+        text += " to "+this.visit(node.dest);
+    }
+    return text+(node.nl ? "." : ", without starting a new line.");
+}
+
+PythonToEnglish.prototype.visit_For = function(node) {
+    return "For each "+this.visit(node.target)+" in "+this.visit(node.iter)+", do the following:";
+}
+
+PythonToEnglish.prototype.visit_While = function(node) {
+    return "As long as "+this.visit(node.test)+", keep doing the following:";
+}
+
+PythonToEnglish.prototype.visit_If = function(node) {
+    var elif = /^\s*elif\b/.test(this.source[node.lineno-1] || '');
+    return (elif ? "Otherwise, if " : "If ")+this.visit(node.test)+", do the following:";
+}
+
+PythonToEnglish.prototype.visit_With = function(node) {
+    var text = "Use "+this.visit(node.context_expr);
+    if (node.optional_vars) {
+        text += " (calling it "+this.visit(node.optional_vars)+")";
+    }
+    return text+" to do the following, and then clean it up:";
+}
+
+PythonToEnglish.prototype.visit_Raise = function(node) {
+    if (!node.type) {
+        return "Cause the current error again.";
+    }
+    var text = "Cause an error: "+this.visit(node.type);
+    if (node.inst) {
+        text += ", with "+this.visit(node.inst);
+    }
+    return text+".";
+}
+
+PythonToEnglish.prototype.visit_TryExcept = function(node) {
+    return "Try to do the following:";
+}
+
+PythonToEnglish.prototype.visit_TryFinally = function(node) {
+    return "Try to do the following:";
+}
+
+PythonToEnglish.prototype.visit_Assert = function(node) {
+    var text = "Make sure that "+this.visit(node.test)+", and cause an error";
+    if (node.msg) {
+        text += " (saying "+this.visit(node.msg)+")";
+    }
+    return text+" if it isn't.";
+}
+
+PythonToEnglish.prototype.visit_Import = function(node) {
+    var explainer = this;
+    var modules = node.names.map(function(alias) {
+        var text = explainer.identifier(alias.name);
+        if (alias.asname) {
+            text += " (calling it "+explainer.identifier(alias.asname)+")";
+        }
+        return text;
+    });
+    return "Load the module"+(modules.length > 1 ? "s " : " ")+this.joinPhrases(modules)+".";
+}
+
+PythonToEnglish.prototype.visit_ImportFrom = function(node) {
+    var explainer = this;
+    var names = node.names.map(function(alias) {
+        var name = explainer.identifier(alias.name);
+        if (name == '*') {
+            return "everything";
+        }
+        return alias.asname ? name+" (calling it "+explainer.identifier(alias.asname)+")" : name;
+    });
+    return "Load "+this.joinPhrases(names)+" from the module "+this.identifier(node.module)+".";
+}
+
+PythonToEnglish.prototype.visit_Exec = function(node) {
+    return "Run the Python code in "+this.visit(node.body)+".";
+}
+
+PythonToEnglish.prototype.visit_Global = function(node) {
+    return "Let this function change the variable"+(node.names.length > 1 ? "s " : " ")+
+           this.joinPhrases(node.names.map(this.identifier, this))+" from outside of it.";
+}
+
+PythonToEnglish.prototype.visit_Expr = function(node) {
+    var value = node.value;
+    if (value._astname == 'Str') {
+        return "A note for people reading the code: "+this.visit(value)+".";
+    } else if (value._astname == 'Call') {
+        return this.describeCallStatement(value);
+    }
+    return "Work out "+this.visit(value)+" (but don't keep the result).";
+}
+
+PythonToEnglish.prototype.visit_Pass = function(node) {
+    return "Do nothing.";
+}
+
+PythonToEnglish.prototype.visit_Break = function(node) {
+    return "Stop the loop early.";
+}
+
+PythonToEnglish.prototype.visit_Continue = function(node) {
+    return "Skip the rest of this time through the loop, and go on to the next one.";
+}
+
+/**
+ * Describes a call that is a statement of its own, where the call is done
+ * for what it does rather than for its value.
+ */
+PythonToEnglish.prototype.describeCallStatement = function(node) {
+    var func = node.func;
+    if (func._astname == 'Name' && this.identifier(func.id) == 'print') {
+        return node.args.length ? "Print "+this.visitAll(node.args)+"." : "Print an empty line.";
+    }
+    if (func._astname == 'Attribute') {
+        var method = this.identifier(func.attr), owner = this.visit(func.value);
+        var args = node.args.map(this.visit, this);
+        switch (method) {
+            case 'append': if (args.length == 1) { return "Add "+args[0]+" to the end of the list "+owner+"."; } break;
+            case 'remove': if (args.length == 1) { return "Remove "+args[0]+" from the list "+owner+"."; } break;
+            case 'insert': if (args.length == 2) { return "Put "+args[1]+" into the list "+owner+" at index "+args[0]+"."; } break;
+            case 'sort': if (args.length == 0) { return "Sort the list "+owner+"."; } break;
+            case 'reverse': if (args.length == 0) { return "Reverse the list "+owner+"."; } break;
+        }
+    }
+    return "Call "+this.describeCall(node)+".";
+}
+
+/**
+ * Describes what is called and with what, e.g. "the function f with 1 and 2".
+ */
+PythonToEnglish.prototype.describeCall = function(node) {
+    var func = node.func, callee;
+    if (func._astname == 'Name') {
+        callee = "the function "+this.visit(func);
+    } else if (func._astname == 'Attribute') {
+        callee = "the "+this.identifier(func.attr)+" method of "+this.visit(func.value);
+    } else {
+        callee = this.visit(func);
+    }
+    var explainer = this;
+    var args = node.args.map(this.visit, this);
+    node.keywords.forEach(function(keyword) {
+        args.push(explainer.identifier(keyword.arg)+" set to "+explainer.visit(keyword.value));
+    });
+    if (node.starargs) {
+        args.push("the items of "+this.visit(node.starargs));
+    }
+    if (node.kwargs) {
+        args.push("the named arguments in "+this.visit(node.kwargs));
+    }
+    return callee+(args.length ? " with "+this.joinPhrases(args) : "");
+}
+
+// Expressions
+
+PythonToEnglish.prototype.visit_BoolOp = function(node) {
+    return this.joinPhrases(node.values.map(this.visit, this),
+                            node.op.name == 'And' ? 'and' : 'or');
+}
+
+/**
+ * Describes a binary operator, like "a plus b".
+ */
+PythonToEnglish.prototype.describeOperator = function(op, left, right) {
+    switch (op.name) {
+        case 'Add': return left+" plus "+right;
+        case 'Sub': return left+" minus "+right;
+        case 'Mult': return left+" times "+right;
+        case 'Div': return left+" divided by "+right;
+        case 'FloorDiv': return left+" divided by "+right+", rounded down";
+        case 'Mod': return "the remainder of "+left+" divided by "+right;
+        case 'Pow': return left+" to the power of "+right;
+        case 'LShift': return left+" shifted left by "+right+" bits";
+        case 'RShift': return left+" shifted right by "+right+" bits";
+        case 'BitOr': return left+" bitwise or "+right;
+        case 'BitXor': return left+" bitwise exclusive or "+right;
+        case 'BitAnd': return left+" bitwise and "+right;
+        default: return left+" "+op.name+" "+right;
+    }
+}
+
+PythonToEnglish.prototype.visit_BinOp = function(node) {
+    return this.describeOperator(node.op, this.visit(node.left), this.visit(node.right));
+}
+
+PythonToEnglish.prototype.visit_UnaryOp = function(node) {
+    var operand = this.visit(node.operand);
+    switch (node.op.name) {
+        case 'Not':
+            // "not x is None" would read as if only x were negated
+            if (node.operand._astname == 'Compare' || node.operand._astname == 'BoolOp') {
+                return "it is not true that "+operand;
+            }
+            return "not "+operand;
+        case 'USub': return "negative "+operand;
+        case 'UAdd': return "positive "+operand;
+        case 'Invert': return "the bitwise inverse of "+operand;
+        default: return node.op.name+" "+operand;
+    }
+}
+
+PythonToEnglish.prototype.visit_Lambda = function(node) {
+    return "a function that takes "+this.describeArguments(node.args)+
+           " and gives back "+this.visit(node.body);
+}
+
+PythonToEnglish.prototype.visit_IfExp = function(node) {
+    return this.visit(node.body)+" if "+this.visit(node.test)+", or else "+this.visit(node.orelse);
+}
+
+PythonToEnglish.prototype.visit_Dict = function(node) {
+    if (!node.keys.length) {
+        return "an empty dictionary";
+    }
+    var explainer = this;
+    return "a dictionary where "+this.joinPhrases(node.keys.map(function(key, i) {
+        return explainer.visit(key)+" is "+explainer.visit(node.values[i]);
+    }));
+}
+
+PythonToEnglish.prototype.visit_Set = function(node) {
+    return "a set of "+this.visitAll(node.elts);
+}
+
+PythonToEnglish.prototype.visit_ListComp = function(node) {
+    return "a list of "+this.visit(node.elt)+", "+this.describeGenerators(node.generators);
+}
+
+PythonToEnglish.prototype.visit_SetComp = function(node) {
+    return "a set of "+this.visit(node.elt)+", "+this.describeGenerators(node.generators);
+}
+
+PythonToEnglish.prototype.visit_DictComp = function(node) {
+    return "a dictionary where "+this.visit(node.key)+" is "+this.visit(node.value)+", "+
+           this.describeGenerators(node.generators);
+}
+
+PythonToEnglish.prototype.visit_GeneratorExp = function(node) {
+    return "each "+this.visit(node.elt)+", "+this.describeGenerators(node.generators);
+}
+
+PythonToEnglish.prototype.visit_Yield = function(node) {
+    return node.value ? "the value sent back after giving out "+this.visit(node.value) :
+                        "the value sent back after pausing";
+}
+
+PythonToEnglish.prototype.COMPARISONS = {
+    'Eq': "is equal to", 'NotEq': "is not equal to",
+    'Lt': "is less than", 'LtE': "is less than or equal to",
+    'Gt': "is greater than", 'GtE': "is greater than or equal to",
+    'Is': "is", 'IsNot': "is not", 'In_': "is in", 'NotIn': "is not in"
+};
+
+PythonToEnglish.prototype.visit_Compare = function(node) {
+    var explainer = this;
+    var left = this.visit(node.left);
+    return this.joinPhrases(node.ops.map(function(op, i) {
+        var right = explainer.visit(node.comparators[i]);
+        var text = left+" "+(explainer.COMPARISONS[op.name] || op.name)+" "+right;
+        left = right;
+        return text;
+    }));
+}
+
+/**
+ * Phrases for calls to the built-in functions, given the phrases for their arguments.
+ */
+PythonToEnglish.prototype.BUILTINS = {
+    'len': function(args) { return args.length == 1 && "the length of "+args[0]; },
+    'abs': function(args) { return args.length == 1 && "the absolute value of "+args[0]; },
+    'sum': function(args) { return args.length == 1 && "the total of "+args[0]; },
+    'min': function(args) { return args.length && "the smallest of "+this.joinPhrases(args); },
+    'max': function(args) { return args.length && "the largest of "+this.joinPhrases(args); },
+    'round': function(args) { return args.length == 1 && args[0]+" rounded to a whole number"; },
+    'sorted': function(args) { return args.length == 1 && "a sorted copy of "+args[0]; },
+    'int': function(args) { return args.length == 1 && args[0]+" converted to an integer"; },
+    'float': function(args) { return args.length == 1 && args[0]+" converted to a decimal number"; },
+    'str': function(args) { return args.length == 1 && args[0]+" converted to text"; },
+    'bool': function(args) { return args.length == 1 && args[0]+" converted to True or False"; },
+    'list': function(args) { return args.length == 1 ? args[0]+" converted to a list" : "an empty list"; },
+    'type': function(args) { return args.length == 1 && "the type of "+args[0]; },
+    'input': function(args) { return args.length ? "what the user types after being shown "+args[0] :
+                                                    "what the user types"; },
+    'raw_input': function(args) { return args.length ? "what the user types after being shown "+args[0] :
+                                                        "what the user types"; },
+    'range': function(args) {
+        switch (args.length) {
+            case 1: return "the numbers from 0 up to (but not including) "+args[0];
+            case 2: return "the numbers from "+args[0]+" up to (but not including) "+args[1];
+            case 3: return "the numbers from "+args[0]+" up to (but not including) "+args[1]+
+                           ", counting by "+args[2];
+        }
+    }
+};
+
+PythonToEnglish.prototype.visit_Call = function(node) {
+    if (node.func._astname == 'Name' && !node.keywords.length && !node.starargs && !node.kwargs) {
+        var name = this.identifier(node.func.id);
+        if (this.BUILTINS.hasOwnProperty(name)) {
+            var phrase = this.BUILTINS[name].call(this, node.args.map(this.visit, this));
+            if (phrase) {
+                return phrase;
+            }
+        }
+    }
+    return "the result of calling "+this.describeCall(node);
+}
+
+PythonToEnglish.prototype.visit_Repr = function(node) {
+    return "the Python representation of "+this.visit(node.value);
+}
+
+PythonToEnglish.prototype.visit_Num = function(node) {
+    return String(Sk.ffi.remapToJs(node.n));
+}
+
+PythonToEnglish.prototype.visit_Str = function(node) {
+    return "the text "+JSON.stringify(Sk.ffi.remapToJs(node.s));
+}
+
+PythonToEnglish.prototype.visit_Attribute = function(node) {
+    return "the "+this.identifier(node.attr)+" of "+this.visit(node.value);
+}
+
+PythonToEnglish.prototype.visit_Subscript = function(node) {
+    var value = this.visit(node.value), slice = node.slice;
+    switch (slice._astname) {
+        case 'Index':
+            return "the item at "+this.visit(slice.value)+" in "+value;
+        case 'Slice':
+            var text = "the part of "+value+" from "+
+                       (slice.lower ? this.visit(slice.lower) : "the start")+" up to "+
+                       (slice.upper ? "(but not including) "+this.visit(slice.upper) : "the end");
+            if (slice.step) {
+                text += ", counting by "+this.visit(slice.step);
+            }
+            return text;
+        default:
+            return "the part of "+value+" at "+this.visit(slice);
+    }
+}
+
+PythonToEnglish.prototype.visit_Name = function(node) {
+    return this.identifier(node.id);
+}
+
+PythonToEnglish.prototype.visit_List = function(node) {
+    return node.elts.length ? "a list of "+this.visitAll(node.elts) : "an empty list";
+}
+
+PythonToEnglish.prototype.visit_Tuple = function(node) {
+    return node.elts.length ? "the tuple of "+this.visitAll(node.elts) : "an empty tuple";
+}
+
+PythonToEnglish.prototype.visit_Ellipsis = function(node) {
+    return "...";
+}
+
+PythonToEnglish.prototype.visit_Index = function(node) {
+    return this.visit(node.value);
+}
+
+PythonToEnglish.prototype.visit_ExtSlice = function(node) {
+    return this.visitAll(node.dims);
+}
+
+if (typeof exports !== 'undefined') {
+    exports.PythonToEnglish = PythonToEnglish;
+}
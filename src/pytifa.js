@@ -113,39 +113,19 @@ Tifa.prototype.initializeReport = function() {
     this.report= {
         success: true,
         variables: {},
-        issues: {
-            "Parser Failure": [], // Complete failure to parse the code
-            "Unconnected blocks": [], // Any names with ____
-            "Empty Body": [], // Any use of pass on its own
-            "Malformed Conditional": [], // An if/else with empty else or if
-            "Unnecessary Pass": [], // Any use of pass
-            "Unread variables": [], // A variable was not read after it was defined
-            "Undefined variables": [], // A variable was read before it was defined
-            "Possibly undefined variables": [], // A variable was read but was not defined in every branch
-            "Overwritten variables": [], // A written variable was written to again before being read
-            "Append to non-list": [], // Attempted to use the append method on a non-list
-            "Used iteration list": [], // 
-            "Unused iteration variable": [], // 
-            "Non-list iterations": [], // 
-            "Empty iterations": [], // 
-            "Type changes": [], // 
-            "Iteration variable is iteration list": [], // 
-            "Unknown functions": [], // 
-            "Not a function": [], // Attempt to call non-function as function
-            "Action after return": [],
-            "Incompatible types": [], // 
-            "Return outside function": [], // 
-            "Read out of scope": [], // 
-            "Write out of scope": [], // Attempted to modify a variable in a higher scope
-            "Aliased built-in": [], // 
-            "Method not in Type": [], // A method was used that didn't exist for that type
-            "Submodule not found": [],
-            "Module not found": []
-        }
+        issues: {}
     }
+    // Every kind of issue in the registry (see tifa_issues.js) starts out empty
+    var issues = this.report.issues;
+    Tifa.ISSUES.ids().forEach(function(issue) {
+        issues[issue] = [];
+    });
     return this.report;
 }
 Tifa.prototype.reportIssue = function(issue, data) {
+    if (!(issue in this.report.issues)) {
+        this.report.issues[issue] = [];
+    }
     this.report.issues[issue].push(data)
 }
  
@@ -1011,6 +991,10 @@ Tifa.prototype.storeVariable = function(name, type, position) {
         // Overwritten?
         if (variable.state.set == 'yes' && variable.state.read == 'no') {
             newState.over = 'yes';
+            // Report where it was first overwritten
+            if (newState.over_position === undefined) {
+                newState.over_position = position;
+            }
         } else {
             newState.set = 'yes';
             newState.read = 'no';
@@ -1084,7 +1068,7 @@ Tifa.prototype.finishScope = function() {
             var state = this.nameMap[pathId][name];
             if (state.over == 'yes') {
                 this.reportIssue('Overwritten variables', 
-                                 {'name': state.name, 'position': 0}) // TODO position
+                                 {'name': state.name, 'position': state.over_position})
             }
             if (state.read == 'no') {
                 this.reportIssue('Unread variables', 
@@ -1246,7 +1230,8 @@ Tifa.sameScope = function(fullName, scopeChain) {
 
 Tifa.prototype.combineStates = function(left, right, position) {
     var state = {'name': left.name, 'trace': left.trace, 'type': left.type,
-                 'read': left.read, 'set': left.set, 'over': left.over};
+                 'read': left.read, 'set': left.set, 'over': left.over,
+                 'over_position': left.over_position};
     if (right == null) {
         state.read = left.read == 'no' ? 'no' : 'maybe';
         state.set = left.set == 'no' ? 'no' : 'maybe';
@@ -1260,6 +1245,9 @@ Tifa.prototype.combineStates = function(left, right, position) {
         state.read = Tifa.matchRSO(left.read, right.read);
         state.set = Tifa.matchRSO(left.set, right.set);
         state.over = Tifa.matchRSO(left.over, right.over);
+        if (state.over_position === undefined) {
+            state.over_position = right.over_position;
+        }
     }
     return state;
 }
@@ -1276,7 +1264,7 @@ Tifa.traceState = function(state, method) {
     var newState = {
         'type': state.type, 'method': method, 'trace': [],//state.trace.slice(0),
         'set': state.set, 'read': state.read, 'over': state.over,
-        'name': state.name
+        'over_position': state.over_position, 'name': state.name
     };
     newState.trace.push(state);
     return newState;
@@ -0,0 +1,118 @@
+/**
+ * Checks whether converting Python code to blocks and back again would lose
+ * anything. The code is converted to blocks (with the PythonToBlocks converter),
+ * loaded into a hidden workspace, and turned back into Python; then the two
+ * versions are parsed and their ASTs and comments are compared. Differences in
+ * formatting alone (spacing, parentheses, quotes) don't count.
+ *
+ * @constructor
+ * @this {BlockPyRoundTrip}
+ * @param {PythonToBlocks} converter - The converter to use (a new one by default).
+ */
+function BlockPyRoundTrip(converter) {
+    this.converter = converter || new PythonToBlocks();
+}
+
+BlockPyRoundTrip.prototype.FILENAME = '__main__.py';
+
+/**
+ * Turns the XML for some blocks back into Python code, using a workspace
+ * that is never shown.
+ *
+ * @param {String} xml - The blocks' XML, as made by PythonToBlocks.
+ * @returns {String} The Python code.
+ */
+BlockPyRoundTrip.prototype.blocksToPython = function(xml) {
+    var workspace = new Blockly.Workspace();
+    Blockly.Events.disable();
+    try {
+        Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(xml), workspace);
+        return Blockly.Python.workspaceToCode(workspace);
+    } finally {
+        Blockly.Events.enable();
+        workspace.dispose();
+    }
+}
+
+/**
+ * Parses the code into a form that can be compared.
+ *
+ * @param {String} code - The Python code.
+ * @returns {Object} The dumped AST and the text of each comment, in order.
+ */
+BlockPyRoundTrip.prototype.summarize = function(code) {
+    var parse = Sk.parse(this.FILENAME, code);
+    var ast = Sk.astFromParse(parse.cst, this.FILENAME, parse.flags);
+    var locations = Object.keys(parse.comments).sort(function(a, b) {
+        var first = a.split(','), second = b.split(',');
+        return (first[0]-second[0]) || (first[1]-second[1]);
+    });
+    return {
+        'ast': Sk.astDump(ast),
+        'comments': locations.map(function(location) {
+            // Comment blocks always put a space after the #
+            return parse.comments[location].replace(/^#\s*/, '').trim();
+        })
+    };
+}
+
+/**
+ * Converts the code to blocks and back, and compares the results.
+ *
+ * @param {String} code - The original Python code.
+ * @returns {Object} Whether the round trip was lossless (true, false, or null if the
+ *                   original code could not be parsed), the original and regenerated
+ *                   code, a list of problems, and a line-by-line diff.
+ */
+BlockPyRoundTrip.prototype.check = function(code) {
+    var report = {'lossless': true, 'original': code, 'regenerated': code,
+                  'problems': [], 'diff': []};
+    var original;
+    try {
+        original = this.summarize(code);
+    } catch (error) {
+        report.lossless = null;
+        report.problems.push("The code has a syntax error, so it can't be compared.");
+        return report;
+    }
+    var result = this.converter.convertSource(code);
+    report.regenerated = this.blocksToPython(result.xml);
+    var regenerated;
+    try {
+        regenerated = this.summarize(report.regenerated);
+    } catch (error) {
+        regenerated = null;
+        report.problems.push("The code from the blocks would have a syntax error.");
+    }
+    if (regenerated !== null) {
+        if (regenerated.ast != original.ast) {
+            report.problems.push("Some of the code would change what it does.");
+        }
+        if (regenerated.comments.join('\n') != original.comments.join('\n')) {
+            report.problems.push("Some of the comments would be lost or moved.");
+        }
+    }
+    report.lossless = report.problems.length == 0;
+    report.diff = diffLines(code.replace(/\s+$/, '').split('\n'),
+                                 report.regenerated.replace(/\s+$/, '').split('\n'));
+    return report;
+}
+
+/**
+ * Formats a diff as HTML, for showing in a dialog.
+ *
+ * @param {Array.<Object>} diff - The diff, as made by diffLines (see utilities.js).
+ * @returns {String} The HTML.
+ */
+BlockPyRoundTrip.prototype.diffToHtml = function(diff) {
+    var CLASSES = {' ': 'blockpy-diff-same', '-': 'blockpy-diff-removed', '+': 'blockpy-diff-added',
+                   '...': 'blockpy-diff-same'};
+    return "<pre class='blockpy-diff'>"+diff.map(function(line) {
+        var prefix = line.kind == '...' ? "" : line.kind+" ";
+        return "<span class='"+CLASSES[line.kind]+"'>"+prefix+encodeHTML(line.text)+"</span>";
+    }).join("\n")+"</pre>";
+}
+
+if (typeof exports !== 'undefined') {
+    exports.BlockPyRoundTrip = BlockPyRoundTrip;
+}
@@ -13,6 +13,10 @@ function BlockPyServer(main) {
     // Presently deprecated, but we should investigate this
     this.storage = new LocalStorageWrapper("BLOCKPY");
     
+    // The backend that actually stores and retrieves everything
+    this.backend = createStorageBackend(main.model.constants.backend,
+                                        main.model.constants.urls);
+    
     this.saveTimer = {};
     this.presentationTimer = null;
     
@@ -21,7 +25,14 @@ function BlockPyServer(main) {
     // For managing "walks" that let us rerun stored code
     this.inProgressWalks = [];
     
+    // Requests that could not reach the server, waiting to be retried
+    this.queue = [];
+    this.retryTimer = null;
+    this.flushing = false;
+    this.loadQueue();
+    
     this.createSubscriptions();
+    this.flushQueue();
 }
 
 BlockPyServer.prototype.createSubscriptions = function() {
@@ -30,14 +41,25 @@ BlockPyServer.prototype.createSubscriptions = function() {
     model.assignment.name.subscribe(function(e) { server.saveAssignment();});
     model.assignment.introduction.subscribe(function(e) { server.saveAssignment(); });
     model.assignment.parsons.subscribe(function(e) { server.saveAssignment(); });
+    model.assignment.parsons_indentation.subscribe(function(e) { server.saveAssignment(); });
+    model.assignment.parsons_ordered.subscribe(function(e) { server.saveAssignment(); });
+    model.assignment.parsons_lines.subscribe(function(e) { server.saveAssignment(); });
+    model.assignment.explain_line.subscribe(function(e) { server.saveAssignment(); });
     model.assignment.importable.subscribe(function(e) { server.saveAssignment(); });
     model.assignment.disable_algorithm_errors.subscribe(function(e) { server.saveAssignment(); });
+    model.assignment.analyzer_issues.subscribe(function(e) { server.saveAssignment(); });
+    model.assignment.block_specs.subscribe(function(e) { server.saveAssignment(); });
+    model.assignment.test_cases.subscribe(function(e) { server.saveAssignment(); });
     model.assignment.disable_timeout.subscribe(function(e) { server.saveAssignment(); });
     model.assignment.initial_view.subscribe(function(e) { server.saveAssignment(); });
     model.assignment.files.subscribe(function(e) { server.saveAssignment(); });
+    Object.keys(model.layouts).forEach(function(filename) {
+        model.layouts[filename].subscribe(function() { server.saveLayout(filename); });
+    });
     //model.settings.editor.subscribe(function(newValue) { server.logEvent('editor', newValue); });
     model.execution.show_trace.subscribe(function(newValue) { server.logEvent('trace', newValue); });
     model.execution.trace_step.subscribe(function(newValue) { server.logEvent('trace_step', newValue); });
+    $(window).on('online', function() { server.flushQueue(); });
 };
 
 /**
@@ -53,6 +75,9 @@ BlockPyServer.prototype.finalizeSubscriptions = function() {
 };
 
 BlockPyServer.prototype.TIMER_DELAY = 1000;
+BlockPyServer.prototype.RETRY_DELAY = 10000;
+// The most log events kept in the queue; older ones are dropped first
+BlockPyServer.prototype.MAX_QUEUED_EVENTS = 100;
 
 BlockPyServer.prototype.createServerData = function() {
     var assignment = this.main.model.assignment;
@@ -72,6 +97,18 @@ BlockPyServer.prototype.createServerData = function() {
     return data;
 }
 
+/**
+ * Whether the server is currently able to handle requests for the given
+ * endpoint (e.g., 'save_code').
+ *
+ * @param {String} endpoint - The name of the endpoint.
+ * @returns {Boolean} Whether requests can be made.
+ */
+BlockPyServer.prototype.isConnected = function(endpoint) {
+    return this.main.model.settings.server_connected() &&
+           this.backend.isConnected(endpoint);
+}
+
 BlockPyServer.prototype.setStatus = function(status, server_error) {
     this.main.model.status.server(status);
     if (server_error !== undefined) {
@@ -103,17 +140,429 @@ BlockPyServer.prototype.defaultFailure = function(error, textStatus) {
     this.setStatus('Disconnected', "Could not access server!\n"+textStatus);
 }
 
+/**
+ * Restores the queue of unsent requests from LocalStorage.
+ */
+BlockPyServer.prototype.loadQueue = function() {
+    try {
+        this.queue = JSON.parse(this.storage.getDefault('queue', '[]'));
+    } catch (e) {
+        console.error(e);
+        this.queue = [];
+    }
+}
+
+/**
+ * Persists the queue of unsent requests to LocalStorage, so that they
+ * survive reloading the page.
+ */
+BlockPyServer.prototype.saveQueue = function() {
+    try {
+        this.storage.set('queue', JSON.stringify(this.queue));
+    } catch (e) {
+        // Probably ran out of LocalStorage space
+        console.error(e);
+    }
+}
+
+/**
+ * Adds a request to the end of the queue of unsent requests. Only the
+ * latest copy of each file's code is kept, and only the latest
+ * MAX_QUEUED_EVENTS log events.
+ *
+ * @param {String} endpoint - The name of the endpoint (e.g., 'save_code').
+ * @param {Object} data - The data to send.
+ * @param {Function} success - Called with the server's response once the request is
+ *                             sent. It's only kept in memory, so requests restored
+ *                             after reloading the page get the default handling. Optional.
+ */
+BlockPyServer.prototype.enqueue = function(endpoint, data, success) {
+    if (endpoint == 'save_code') {
+        this.dequeueCode(data.student_id, data.assignment_id, data.filename);
+    }
+    var entry = {'endpoint': endpoint, 'data': data};
+    if (success !== undefined) {
+        // Functions are skipped by JSON.stringify, so this isn't saved to LocalStorage
+        entry.success = success;
+    }
+    this.queue.push(entry);
+    if (endpoint == 'log_event') {
+        this.dropOldEvents();
+    }
+    this.saveQueue();
+}
+
+/**
+ * Removes the oldest queued log events, until there are at most
+ * MAX_QUEUED_EVENTS of them.
+ */
+BlockPyServer.prototype.dropOldEvents = function() {
+    var extra = this.queue.filter(function(entry) {
+        return entry.endpoint == 'log_event';
+    }).length - this.MAX_QUEUED_EVENTS;
+    this.queue = this.queue.filter(function(entry) {
+        if (extra > 0 && entry.endpoint == 'log_event') {
+            extra -= 1;
+            return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * Removes any queued saves of the given file's code.
+ *
+ * @param {String} student_id - The student the file belongs to.
+ * @param {String} assignment_id - The assignment the file belongs to.
+ * @param {String} filename - The name of the file (e.g., '__main__').
+ */
+BlockPyServer.prototype.dequeueCode = function(student_id, assignment_id, filename) {
+    this.queue = this.queue.filter(function(entry) {
+        return !(entry.endpoint == 'save_code' &&
+                 entry.data.student_id == student_id &&
+                 entry.data.assignment_id == assignment_id &&
+                 entry.data.filename == filename);
+    });
+    this.saveQueue();
+}
+
+/**
+ * Sends a request that must eventually reach the server. If the server can't be
+ * reached, the request is queued and retried later. Requests are always sent
+ * in the order they were made.
+ *
+ * @param {String} endpoint - The name of the endpoint (e.g., 'save_code').
+ * @param {Object} data - The data to send.
+ * @param {Function} success - Called with the server's response.
+ */
+BlockPyServer.prototype.sendQueued = function(endpoint, data, success) {
+    var server = this;
+    if (this.queue.length > 0) {
+        this.enqueue(endpoint, data, success);
+        this.flushQueue();
+    } else {
+        this.backend.request(endpoint, data, success, function(error, textStatus) {
+            server.enqueue(endpoint, data, success);
+            server.retryLater(textStatus);
+        });
+    }
+}
+
+/**
+ * Schedules another attempt at sending the queued requests.
+ *
+ * @param {String} textStatus - A description of why the last attempt failed.
+ */
+BlockPyServer.prototype.retryLater = function(textStatus) {
+    var server = this;
+    this.setStatus('Offline', this.queue.length+" change(s) waiting to be saved.\n"+
+                              (textStatus || ''));
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(function() {
+        server.flushQueue();
+    }, this.RETRY_DELAY);
+}
+
+/**
+ * Sends the queued requests, one at a time, until either the queue is empty
+ * or the server can't be reached.
+ */
+BlockPyServer.prototype.flushQueue = function() {
+    var server = this;
+    if (this.flushing || this.queue.length == 0) {
+        return;
+    }
+    var entry = this.queue[0];
+    if (!this.backend.isConnected(entry.endpoint)) {
+        // This backend will never accept it, so don't keep it around
+        this.queue.shift();
+        this.saveQueue();
+        this.flushQueue();
+        return;
+    }
+    if (!this.main.model.settings.server_connected()) {
+        this.retryLater();
+        return;
+    }
+    this.flushing = true;
+    this.setStatus('Saving');
+    this.backend.request(entry.endpoint, entry.data, function(response) {
+        server.flushing = false;
+        var index = server.queue.indexOf(entry);
+        if (index > -1) {
+            server.queue.splice(index, 1);
+            server.saveQueue();
+        }
+        if (entry.success !== undefined) {
+            entry.success(response);
+        } else {
+            if (entry.endpoint == 'save_code' && response.success) {
+                server.markSynced(entry.data);
+            }
+            server.defaultResponseWithoutVersioning(response);
+        }
+        server.flushQueue();
+    }, function(error, textStatus) {
+        server.flushing = false;
+        server.retryLater(textStatus);
+    });
+}
+
+/**
+ * Creates the LocalStorage key for the local copy of a file's code. Each
+ * student gets their own copy, since computers can be shared.
+ *
+ * @param {String} student_id - The student the file belongs to.
+ * @param {String} assignment_id - The assignment the file belongs to.
+ * @param {String} filename - The name of the file (e.g., '__main__').
+ * @returns {String} The key.
+ */
+BlockPyServer.prototype.getLocalKey = function(student_id, assignment_id, filename) {
+    return 'code_'+student_id+'_'+assignment_id+'_'+filename;
+}
+
+/**
+ * Finds how far the current student has gotten through each hint sequence
+ * (see the instructor API's hint_sequence) in the current assignment.
+ *
+ * @returns {Object} Maps each issue to the index of the hint to show next.
+ */
+BlockPyServer.prototype.loadHintLevels = function() {
+    var assignment = this.main.model.assignment;
+    var key = 'hints_'+assignment.student_id+'_'+assignment.assignment_id();
+    try {
+        return JSON.parse(this.storage.getDefault(key, '{}'));
+    } catch (e) {
+        console.error(e);
+        return {};
+    }
+}
+
+/**
+ * Remembers how far the current student has gotten through a hint sequence,
+ * both in LocalStorage and in the server's log.
+ *
+ * @param {String} issue - The issue the hint sequence is about.
+ * @param {Number} level - The index of the hint to show next.
+ */
+BlockPyServer.prototype.saveHintLevel = function(issue, level) {
+    var assignment = this.main.model.assignment;
+    var key = 'hints_'+assignment.student_id+'_'+assignment.assignment_id();
+    var levels = this.loadHintLevels();
+    levels[issue] = level;
+    this.storage.set(key, JSON.stringify(levels));
+    this.logEvent('feedback', 'Hint Level', JSON.stringify({'issue': issue, 'level': level}));
+}
+
+/**
+ * Creates the LocalStorage key for the layout of a file's blocks.
+ *
+ * @param {String} filename - The name of the file (e.g., '__main__').
+ * @returns {String} The key.
+ */
+BlockPyServer.prototype.getLayoutKey = function(filename) {
+    var assignment = this.main.model.assignment;
+    return 'layout_'+assignment.student_id+'_'+assignment.assignment_id()+'_'+filename;
+}
+
+/**
+ * Finds where the current student last put the blocks of a file in the
+ * current assignment. The layout that was saved on the server with the code
+ * is used if there is one, and otherwise the local copy.
+ *
+ * @param {String} filename - The name of the file (e.g., '__main__').
+ * @param {String|Object} remote - The layout loaded from the server, as JSON. Optional.
+ * @returns {Object} The layout of the blocks (see BlockPyEditor.recordLayout).
+ */
+BlockPyServer.prototype.loadLayout = function(filename, remote) {
+    var key = this.getLayoutKey(filename);
+    try {
+        if (remote !== undefined && remote !== null && remote !== '') {
+            var layout = typeof remote == 'string' ? JSON.parse(remote) : remote;
+            this.storage.set(key, JSON.stringify(layout));
+            return layout;
+        }
+        return JSON.parse(this.storage.getDefault(key, '{}'));
+    } catch (e) {
+        console.error(e);
+        return {};
+    }
+}
+
+/**
+ * Remembers where the current student put the blocks of a file, so that
+ * they stay in place after the page is reloaded. The layout only reaches
+ * the server the next time the file's code is saved (see saveCode), so that
+ * moving blocks around doesn't send the code again.
+ *
+ * @param {String} filename - The name of the file (e.g., '__main__').
+ */
+BlockPyServer.prototype.saveLayout = function(filename) {
+    var layout = this.main.model.layouts[filename]();
+    try {
+        this.storage.set(this.getLayoutKey(filename), JSON.stringify(layout));
+    } catch (e) {
+        // Probably ran out of LocalStorage space
+        console.error(e);
+    }
+}
+
+/**
+ * Keeps a copy of the code in LocalStorage, along with the assignment's
+ * version and whether the server already has this copy.
+ *
+ * @param {String} filename - The name of the file (e.g., '__main__').
+ * @param {String} code - The code to store.
+ * @param {Boolean} synced - Whether the server already has this code. Defaults to false.
+ */
+BlockPyServer.prototype.storeLocalCopy = function(filename, code, synced) {
+    var assignment = this.main.model.assignment;
+    var key = this.getLocalKey(assignment.student_id, assignment.assignment_id(), filename);
+    this.storage.set(key, JSON.stringify({
+        'code': code,
+        'version': assignment.version(),
+        'synced': !!synced
+    }));
+}
+
+/**
+ * Marks the local copy of some code as being safely on the server, as long
+ * as it hasn't been edited since.
+ *
+ * @param {Object} data - The data that was sent to the save_code endpoint.
+ */
+BlockPyServer.prototype.markSynced = function(data) {
+    var key = this.getLocalKey(data.student_id, data.assignment_id, data.filename);
+    if (this.storage.has(key)) {
+        var local = JSON.parse(this.storage.get(key));
+        if (local.code == data.code) {
+            local.synced = true;
+            this.storage.set(key, JSON.stringify(local));
+        }
+    }
+}
+
+/**
+ * Compares the local copies of the student's code against the copies that
+ * were just loaded from the server. Unsent local edits are restored, unless
+ * the server's copy is newer or the assignment's version has changed since,
+ * in which case the student is asked which version to keep.
+ *
+ * @param {Object} programs - Maps filenames to the code loaded from the server.
+ * @param {Integer} server_time - When the server's copy was saved, as an epoch (in milliseconds). Optional.
+ */
+BlockPyServer.prototype.resolveConflicts = function(programs, server_time) {
+    var model = this.main.model;
+    var conflicts = [];
+    for (var filename in programs) {
+        var key = this.getLocalKey(model.assignment.student_id, model.assignment.assignment_id(), filename);
+        var remote = programs[filename];
+        if (!this.storage.has(key) || remote === undefined ||
+            model.programs[filename] === undefined) {
+            continue;
+        }
+        var local = JSON.parse(this.storage.get(key));
+        if (local.synced || local.code == remote) {
+            continue;
+        }
+        var serverIsNewer = server_time !== undefined && 
+                            this.storage.is_new(key, server_time);
+        var versionChanged = local.version != model.assignment.version();
+        if (serverIsNewer || versionChanged) {
+            conflicts.push({'filename': filename, 'local': local.code, 'remote': remote});
+        } else {
+            this.keepLocalCopy(filename, local.code);
+        }
+    }
+    if (conflicts.length) {
+        this.promptConflicts(conflicts);
+    }
+    this.flushQueue();
+}
+
+/**
+ * Replaces the loaded code with the local copy, and makes sure that it will
+ * be sent to the server.
+ *
+ * @param {String} filename - The name of the file (e.g., '__main__').
+ * @param {String} code - The local copy of the code.
+ */
+BlockPyServer.prototype.keepLocalCopy = function(filename, code) {
+    this.main.setCode(code, filename);
+    this.storeLocalCopy(filename, code);
+    var data = this.createServerData();
+    data['filename'] = filename;
+    data['code'] = code;
+    this.enqueue('save_code', data);
+    this.flushQueue();
+}
+
+/**
+ * Discards the local copy of some code in favor of the server's copy.
+ *
+ * @param {String} filename - The name of the file (e.g., '__main__').
+ * @param {String} code - The server's copy of the code.
+ */
+BlockPyServer.prototype.keepServerCopy = function(filename, code) {
+    var assignment = this.main.model.assignment;
+    this.dequeueCode(assignment.student_id, assignment.assignment_id(), filename);
+    this.storeLocalCopy(filename, code, true);
+}
+
+/**
+ * Asks the student to choose between their local copy and the server's
+ * copy for each of the given files.
+ *
+ * @param {Array.<Object>} conflicts - Each has a filename, and the local and remote code.
+ */
+BlockPyServer.prototype.promptConflicts = function(conflicts) {
+    var server = this,
+        dialog = this.main.components.dialog;
+    var body = "<p>Some of your code saved on this computer is different from "+
+               "the code saved on the server. Which version would you like to keep?</p>";
+    conflicts.forEach(function(conflict, index) {
+        body += "<div class='row blockpy-conflict' data-conflict='"+index+"'>"+
+                "<h5 class='col-md-12'><code>"+encodeHTML(conflict.filename)+"</code></h5>"+
+                "<div class='col-md-6'><b>This computer</b>"+
+                "<pre>"+encodeHTML(conflict.local)+"</pre>"+
+                "<button type='button' class='btn btn-default blockpy-conflict-local'>Keep this version</button></div>"+
+                "<div class='col-md-6'><b>Server</b>"+
+                "<pre>"+encodeHTML(conflict.remote)+"</pre>"+
+                "<button type='button' class='btn btn-default blockpy-conflict-remote'>Keep this version</button></div>"+
+                "</div>";
+    });
+    dialog.show("Conflicting Versions", body);
+    var resolve = function(button, keepLocal) {
+        var row = $(button).closest('.blockpy-conflict');
+        var conflict = conflicts[row.data('conflict')];
+        if (keepLocal) {
+            server.keepLocalCopy(conflict.filename, conflict.local);
+        } else {
+            server.keepServerCopy(conflict.filename, conflict.remote);
+        }
+        server.logEvent('conflict', keepLocal ? 'local' : 'remote', conflict.filename);
+        row.remove();
+        if (dialog.bodyTag.find('.blockpy-conflict').length == 0) {
+            dialog.tag.modal('hide');
+        }
+    };
+    dialog.bodyTag.find('.blockpy-conflict-local').click(function() {
+        resolve(this, true);
+    });
+    dialog.bodyTag.find('.blockpy-conflict-remote').click(function() {
+        resolve(this, false);
+    });
+}
+
 BlockPyServer.prototype.logEvent = function(event_name, action, body) {
-    if (this.main.model.server_is_connected('log_event')) {
+    if (this.isConnected('log_event')) {
         var data = this.createServerData();
         data['event'] = event_name;
         data['action'] = action;
         data['body'] = (body === undefined) ? '' : body;
         this.setStatus('Logging');
         // Trigger request
-        $.post(this.main.model.constants.urls.log_event, data, 
-               this.defaultResponse.bind(this))
-         .fail(this.defaultFailure.bind(this));
+        this.sendQueued('log_event', data, this.defaultResponse.bind(this));
     } else {
         this.setStatus('Offline', "Server is not connected! (Log Event)");
     }
@@ -122,9 +571,9 @@ BlockPyServer.prototype.logEvent = function(event_name, action, body) {
 BlockPyServer.prototype.markSuccess = function(success, callback, hide_correctness) {
     var model = this.main.model;
     var server = this;
-    if (model.server_is_connected('save_success')) {
+    if (this.isConnected('save_success')) {
         var data = this.createServerData();
-        data['code'] = model.programs.__main__;
+        data['code'] = model.programs.__main__();
         data['status'] = success;
         data['hide_correctness'] = hide_correctness;
         this.main.components.editor.getPngFromBlocks(function(pngData, img) {
@@ -134,7 +583,7 @@ BlockPyServer.prototype.markSuccess = function(success, callback, hide_correctne
             }
             server.setStatus('Saving');
             // Trigger request
-            $.post(model.constants.urls.save_success, data, 
+            server.sendQueued('save_success', data, 
                 function(response) {
                    if (response.success) {
                         if (response.submitted) {
@@ -152,8 +601,7 @@ BlockPyServer.prototype.markSuccess = function(success, callback, hide_correctne
                             callback(data);
                         }
                     }
-                })
-             .fail(server.defaultFailure.bind(server));
+                });
         });
     } else {
         server.setStatus('Offline', "Server is not connected! (Mark Success)");
@@ -162,17 +610,24 @@ BlockPyServer.prototype.markSuccess = function(success, callback, hide_correctne
 
 BlockPyServer.prototype.saveAssignment = function() {
     var model = this.main.model;
-    if (model.server_is_connected('save_assignment') && 
+    if (this.isConnected('save_assignment') && 
         model.settings.auto_upload()) {
         var data = this.createServerData();
         data['introduction'] = model.assignment.introduction();
         data['parsons'] = model.assignment.parsons();
+        data['parsons_indentation'] = model.assignment.parsons_indentation();
+        data['parsons_ordered'] = model.assignment.parsons_ordered();
+        data['parsons_lines'] = model.assignment.parsons_lines();
+        data['explain_line'] = model.assignment.explain_line();
         data['initial'] = model.assignment.initial_view();
         data['importable'] = model.assignment.importable();
         data['disable_algorithm_errors'] = model.assignment.disable_algorithm_errors();
+        data['analyzer_issues'] = JSON.stringify(model.assignment.analyzer_issues());
+        data['block_specs'] = JSON.stringify(model.assignment.block_specs());
+        data['test_cases'] = JSON.stringify(model.assignment.test_cases());
         data['disable_timeout'] = model.assignment.disable_timeout();
         data['name'] = model.assignment.name();
-        data['modules'] = model.assignment.modules().join(','); // TODO: hackish, broken if ',' is in name
+        data['modules'] = BlockPy.serializeModules(model.assignment.modules());
         data['files'] = model.assignment.files().join(','); // TODO: hackish, broken if ',' is in name
         
         var server = this;
@@ -180,9 +635,9 @@ BlockPyServer.prototype.saveAssignment = function() {
         clearTimeout(this.presentationTimer);
         // Trigger request
         this.presentationTimer = setTimeout(function() {
-            $.post(model.constants.urls.save_assignment, data, 
-                   server.defaultResponseWithoutVersioning.bind(server))
-             .fail(server.defaultFailure.bind(server));
+            server.backend.request('save_assignment', data,
+                                   server.defaultResponseWithoutVersioning.bind(server),
+                                   server.defaultFailure.bind(server));
         }, this.TIMER_DELAY);
     } else {
         this.setStatus('Offline', "Server is not connected! (Save Assignment)");
@@ -191,12 +646,19 @@ BlockPyServer.prototype.saveAssignment = function() {
 
 BlockPyServer.prototype.saveCode = function() {
     var model = this.main.model;
-    if (model.server_is_connected('save_code') && 
+    var filename = model.settings.filename();
+    // Keep a local copy, unless we're in the middle of loading an assignment
+    if (model.settings.server_connected()) {
+        this.storeLocalCopy(filename, model.programs[filename]());
+    }
+    if (this.isConnected('save_code') && 
         model.settings.auto_upload()) {
         var data = this.createServerData();
-        var filename = model.settings.filename();
         data['filename'] = filename;
         data['code'] = model.programs[filename]();
+        if (model.layouts[filename] !== undefined) {
+            data['layout'] = JSON.stringify(model.layouts[filename]());
+        }
         
         var server = this;
         this.setStatus('Saving');
@@ -204,11 +666,16 @@ BlockPyServer.prototype.saveCode = function() {
             clearTimeout(this.saveTimer[filename]);
         }
         this.saveTimer[filename] = setTimeout(function() {
-            $.post(model.constants.urls.save_code, data, 
-                   filename == '__main__'
-                    ? server.defaultResponse.bind(server)
-                    : server.defaultResponseWithoutVersioning.bind(server))
-             .fail(server.defaultFailure.bind(server));
+            server.sendQueued('save_code', data, function(response) {
+                if (response.success) {
+                    server.markSynced(data);
+                }
+                if (filename == '__main__') {
+                    server.defaultResponse(response);
+                } else {
+                    server.defaultResponseWithoutVersioning(response);
+                }
+            });
         }, this.TIMER_DELAY);
     } else {
         this.setStatus('Offline', "Server is not connected! (Save Code)");
@@ -218,11 +685,11 @@ BlockPyServer.prototype.saveCode = function() {
 BlockPyServer.prototype.getHistory = function(callback) {
     var model = this.main.model;
     
-    if (model.server_is_connected('get_history')) {
+    if (this.isConnected('get_history')) {
         var data = this.createServerData();
         var server = this;
         this.setStatus('Loading History');
-        $.post(model.constants.urls.get_history, data, 
+        this.backend.request('get_history', data, 
                function(response) {
                 if (response.success) {
                     server.setStatus('Saved');
@@ -231,8 +698,7 @@ BlockPyServer.prototype.getHistory = function(callback) {
                     console.error(response);
                     server.setStatus('Error', response.message);
                 }
-               })
-         .fail(server.defaultFailure.bind(server));
+               }, server.defaultFailure.bind(server));
     } else {
         this.setStatus('Offline', "Server is not connected! (Get History)");
         callback([]);
@@ -262,8 +728,8 @@ BlockPyServer.prototype.walkOldCode = function() {
     } else {
         var data = this.createServerData();
         this.setStatus('Retrieving');
-        if (main.model.server_is_connected('walk_old_code')) {
-            $.post(server.main.model.constants.urls.walk_old_code, data, 
+        if (server.isConnected('walk_old_code')) {
+            server.backend.request('walk_old_code', data, 
                    function (response) {
                        if (response.success) {
                            if (response.more_to_do) {
@@ -273,8 +739,7 @@ BlockPyServer.prototype.walkOldCode = function() {
                        } else {
                            server.setStatus('Failure', response.message);
                        }
-                   })
-            .fail(
+                   },
             function(response) {
                 console.error(response);
                 setTimeout(function() {
@@ -300,31 +765,44 @@ BlockPyServer.prototype.hideOverlay = function() {
     this.overlay.remove();
 }
 
+/**
+ * Loads an assignment, along with the student's code for it. The response's
+ * timestamp (when the code was last saved) is given in seconds, and is
+ * turned into milliseconds for BlockPy.setAssignment.
+ *
+ * @param {String} assignment_id - The assignment to load.
+ */
 BlockPyServer.prototype.loadAssignment = function(assignment_id) {
     var model = this.main.model;
     var server = this;
-    if (model.server_is_connected('load_assignment')) {
+    if (this.isConnected('load_assignment')) {
         var data = this.createServerData();        
         data['assignment_id'] = assignment_id;
         this.setStatus('Loading');
         this.showOverlay();
-        $.post(model.constants.urls.load_assignment, data, 
+        this.backend.request('load_assignment', data, 
                 function(response) {
                     if (response.success) {
+                        // The server reports when the code was saved in seconds
+                        var server_time = response.timestamp === undefined ||
+                                          response.timestamp === null ?
+                                          undefined : response.timestamp * 1000;
                         server.main.setAssignment(response.settings,
                                                   response.assignment, 
-                                                  response.programs)
+                                                  response.programs,
+                                                  server_time,
+                                                  response.layouts)
                         server.setStatus('Loaded');
                         server.hideOverlay();
                     } else {
                         server.setStatus('Failure', response.message);
                         server.hideOverlay();
                     }
-               })
-         .fail(function() {
-            server.hideOverlay();
-            server.defaultFailure()
-         });
+               },
+               function(error, textStatus) {
+                    server.hideOverlay();
+                    server.defaultFailure(error, textStatus);
+               });
     } else {
         this.setStatus('Offline', "Server is not connected! (Load Assignment)");
     }
@@ -336,12 +814,12 @@ BlockPyServer.prototype.loadAssignment = function(assignment_id) {
 BlockPyServer.prototype.loadFile = function(filename, type, callback, errorCallback) {
     var model = this.main.model;
     var server = this;
-    if (model.server_is_connected('load_file')) {
+    if (this.isConnected('load_file')) {
         var data = this.createServerData();
         data['filename'] = filename;
         data['type'] = type;
         this.setStatus('Loading');
-        $.post(model.constants.urls.load_file, data, 
+        this.backend.request('load_file', data, 
                 function(response) {
                     if (response.success) {
                         callback(response.data);
@@ -352,12 +830,12 @@ BlockPyServer.prototype.loadFile = function(filename, type, callback, errorCallb
                         server.setStatus('Failure', response.message);
                         server.hideOverlay();
                     }
-               })
-         .fail(function(e, textStatus, errorThrown) {
-            errorCallback("Server failure! Report to instructor");
-            console.error(errorThrown);
-            server.defaultFailure()
-         });
+               },
+               function(error, textStatus) {
+                    errorCallback("Server failure! Report to instructor");
+                    console.error(error);
+                    server.defaultFailure(error, textStatus);
+               });
     } else {
         errorCallback("No file server available.");
         this.setStatus('Offline', "Server is not connected! (Load File)");
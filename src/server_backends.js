@@ -0,0 +1,311 @@
+/**
+ * Storage backends for the BlockPyServer. A backend is any object with two
+ * methods:
+ *
+ *   isConnected(endpoint) - Whether the backend can handle requests for the
+ *                           given endpoint (e.g., 'save_code', 'log_event').
+ *   request(endpoint, data, success, failure) - Send the data to the given
+ *                           endpoint. The success callback receives the
+ *                           response object (which will have a `success`
+ *                           field), while the failure callback receives an
+ *                           error and a textual description of it.
+ *
+ * The endpoints are: save_code, save_assignment, log_event, save_success,
+ * get_history, load_file, load_assignment, and walk_old_code.
+ *
+ * Timestamps, both in the requests and in the load_assignment response (when
+ * the student's code was last saved), are epochs in seconds.
+ *
+ * The backend is chosen through the `backend` field of the settings given
+ * to the BlockPy constructor: either "rest" (the default), "indexeddb",
+ * "memory", or an object that implements the methods above.
+ */
+
+/**
+ * A backend that POSTs everything to a remote server, using the URLs given
+ * in the `urls` field of the settings.
+ *
+ * @constructor
+ * @this {BlockPyRestBackend}
+ * @param {Object} urls - Maps endpoints ('log_event', 'save_code') to URLs.
+ */
+function BlockPyRestBackend(urls) {
+    this.urls = urls;
+}
+
+BlockPyRestBackend.prototype.isConnected = function(endpoint) {
+    return this.urls !== undefined && this.urls[endpoint] !== undefined;
+}
+
+BlockPyRestBackend.prototype.request = function(endpoint, data, success, failure) {
+    $.post(this.urls[endpoint], data, success)
+     .fail(failure);
+}
+
+/**
+ * A backend that keeps everything in the browser's IndexedDB, so that
+ * BlockPy can be used fully offline.
+ *
+ * @constructor
+ * @this {BlockPyIndexedDbBackend}
+ * @param {String} databaseName - The name of the IndexedDB database to use.
+ */
+function BlockPyIndexedDbBackend(databaseName) {
+    this.databaseName = databaseName || 'BLOCKPY';
+    this.database = null;
+}
+
+BlockPyIndexedDbBackend.prototype.DATABASE_VERSION = 2;
+BlockPyIndexedDbBackend.prototype.STORES = ['code', 'assignments', 'events',
+                                            'successes', 'history', 'files',
+                                            'layouts'];
+BlockPyIndexedDbBackend.prototype.ENDPOINTS = ['save_code', 'save_assignment',
+                                               'log_event', 'save_success',
+                                               'get_history', 'load_file',
+                                               'load_assignment'];
+
+BlockPyIndexedDbBackend.prototype.isConnected = function(endpoint) {
+    return typeof indexedDB !== 'undefined' &&
+           arrayContains(endpoint, this.ENDPOINTS);
+}
+
+/**
+ * Opens the database (creating its stores if needed), and then passes it
+ * along to the callback. The database is only opened once.
+ *
+ * @param {Function} callback - Given the opened IDBDatabase.
+ * @param {Function} failure - Called if the database could not be opened.
+ */
+BlockPyIndexedDbBackend.prototype.open = function(callback, failure) {
+    var backend = this;
+    if (this.database !== null) {
+        callback(this.database);
+        return;
+    }
+    var request = indexedDB.open(this.databaseName, this.DATABASE_VERSION);
+    request.onupgradeneeded = function(event) {
+        var database = event.target.result;
+        backend.STORES.forEach(function(store) {
+            if (!database.objectStoreNames.contains(store)) {
+                if (store == 'events' || store == 'history') {
+                    database.createObjectStore(store, {autoIncrement: true});
+                } else {
+                    database.createObjectStore(store);
+                }
+            }
+        });
+    };
+    request.onsuccess = function(event) {
+        backend.database = event.target.result;
+        callback(backend.database);
+    };
+    request.onerror = function(event) {
+        failure(event, "Could not open the local database");
+    };
+}
+
+/**
+ * Runs a single operation against one of the object stores.
+ *
+ * @param {String} store - The name of the object store.
+ * @param {String} mode - Either "readonly" or "readwrite".
+ * @param {Function} operation - Given the IDBObjectStore, returns an IDBRequest.
+ * @param {Function} callback - Given the result of the IDBRequest.
+ * @param {Function} failure - Called if the operation failed.
+ */
+BlockPyIndexedDbBackend.prototype.transact = function(store, mode, operation, callback, failure) {
+    this.open(function(database) {
+        var request = operation(database.transaction(store, mode).objectStore(store));
+        request.onsuccess = function(event) {
+            callback(event.target.result);
+        };
+        request.onerror = function(event) {
+            failure(event, "Could not access the local database");
+        };
+    }, failure);
+}
+
+/**
+ * Creates the key used for storing per-student, per-assignment records.
+ *
+ * @param {Object} data - The server data (see BlockPyServer.createServerData).
+ * @param {String} suffix - An optional extra part of the key (e.g., a filename).
+ * @returns {String} The key.
+ */
+BlockPyIndexedDbBackend.prototype.makeKey = function(data, suffix) {
+    var key = data.assignment_id + '/' + data.student_id;
+    return (suffix === undefined) ? key : key + '/' + suffix;
+}
+
+/**
+ * Formats an epoch time (in seconds) in the "YYYYMMDD HHMMSS" format that
+ * the history viewer expects.
+ *
+ * @param {Integer} timestamp - The time in seconds.
+ * @returns {String} The formatted time.
+ */
+BlockPyIndexedDbBackend.prototype.formatTime = function(timestamp) {
+    var date = new Date(timestamp * 1000);
+    var pad = function(value) { return (value < 10 ? '0' : '') + value; };
+    return date.getFullYear() + pad(date.getMonth()+1) + pad(date.getDate()) +
+           ' ' + pad(date.getHours()) + pad(date.getMinutes()) + pad(date.getSeconds());
+}
+
+BlockPyIndexedDbBackend.prototype.request = function(endpoint, data, success, failure) {
+    var backend = this;
+    var succeed = function(response) {
+        response = response || {};
+        response.success = true;
+        success(response);
+    };
+    switch (endpoint) {
+        case 'save_code':
+            var key = backend.makeKey(data, data.filename);
+            this.transact('code', 'readwrite', function(store) {
+                return store.put({'code': data.code, 'timestamp': data.timestamp}, key);
+            }, function() {
+                // Where the blocks were put is saved along with the code
+                backend.transact('layouts', 'readwrite', function(store) {
+                    return store.put(data.layout, key);
+                }, function() {
+                    if (data.filename != '__main__') {
+                        succeed({});
+                        return;
+                    }
+                    backend.transact('history', 'readwrite', function(store) {
+                        return store.add({'key': backend.makeKey(data),
+                                          'time': backend.formatTime(data.timestamp),
+                                          'code': data.code});
+                    }, function() { succeed({'is_version_correct': true}); }, failure);
+                }, failure);
+            }, failure);
+            break;
+        case 'save_assignment':
+            this.transact('assignments', 'readwrite', function(store) {
+                return store.put(data, data.assignment_id);
+            }, function() { succeed({}); }, failure);
+            break;
+        case 'log_event':
+            this.transact('events', 'readwrite', function(store) {
+                return store.add(data);
+            }, function() { succeed({}); }, failure);
+            break;
+        case 'save_success':
+            this.transact('successes', 'readwrite', function(store) {
+                return store.put(data.status, backend.makeKey(data));
+            }, function() { succeed({'submitted': true}); }, failure);
+            break;
+        case 'get_history':
+            this.transact('history', 'readonly', function(store) {
+                return store.getAll();
+            }, function(entries) {
+                var key = backend.makeKey(data);
+                succeed({'data': entries.filter(function(entry) {
+                    return entry.key == key;
+                })});
+            }, failure);
+            break;
+        case 'load_file':
+            this.transact('files', 'readonly', function(store) {
+                return store.get(data.filename);
+            }, function(contents) {
+                if (contents === undefined) {
+                    success({'success': false, 'message': "File not found: "+data.filename});
+                } else {
+                    succeed({'data': contents});
+                }
+            }, failure);
+            break;
+        case 'load_assignment':
+            this.transact('assignments', 'readonly', function(store) {
+                return store.get(data.assignment_id);
+            }, function(assignment) {
+                if (assignment === undefined) {
+                    success({'success': false, 'message': "Assignment not found: "+data.assignment_id});
+                    return;
+                }
+                backend.transact('code', 'readonly', function(store) {
+                    return store.get(backend.makeKey(data, '__main__'));
+                }, function(saved) {
+                    // Code saved before timestamps were kept is just a string
+                    if (saved === undefined || typeof saved == 'string') {
+                        saved = {'code': saved};
+                    }
+                    assignment.modules = {'added': BlockPy.parseModules(assignment.modules)};
+                    assignment.files = assignment.files ? assignment.files.split(',') : [];
+                    assignment.initial_view = assignment.initial;
+                    backend.transact('layouts', 'readonly', function(store) {
+                        return store.get(backend.makeKey(data, '__main__'));
+                    }, function(layout) {
+                        succeed({'settings': {},
+                                 'assignment': assignment,
+                                 'programs': {'__main__': saved.code},
+                                 'timestamp': saved.timestamp,
+                                 'layouts': {'__main__': layout}});
+                    }, failure);
+                }, failure);
+            }, failure);
+            break;
+        default:
+            failure(null, "Unknown endpoint: "+endpoint);
+    }
+}
+
+/**
+ * A backend that remembers every request it receives, and answers them with
+ * canned responses. Useful for testing the server layer without a server.
+ *
+ * @constructor
+ * @this {BlockPyMemoryBackend}
+ * @param {Object} responses - Maps endpoints to the response objects to reply
+ *                             with, or to functions that compute them from the
+ *                             request data. Unlisted endpoints reply with
+ *                             {success: true}.
+ */
+function BlockPyMemoryBackend(responses) {
+    this.responses = responses || {};
+    this.requests = [];
+    // Endpoints that should behave as if they were disconnected
+    this.disconnected = [];
+}
+
+BlockPyMemoryBackend.prototype.isConnected = function(endpoint) {
+    return !arrayContains(endpoint, this.disconnected);
+}
+
+BlockPyMemoryBackend.prototype.request = function(endpoint, data, success, failure) {
+    this.requests.push({'endpoint': endpoint, 'data': data});
+    var response = this.responses[endpoint];
+    if (typeof response === 'function') {
+        response = response(data);
+    }
+    if (response === undefined) {
+        response = {'success': true};
+    }
+    if (response === null) {
+        failure(null, "Request to "+endpoint+" failed");
+    } else {
+        success(response);
+    }
+}
+
+/**
+ * Creates the storage backend described by the given setting.
+ *
+ * @param {String|Object} backend - Either "rest", "indexeddb", "memory", or
+ *                                  an object that is already a backend.
+ * @param {Object} urls - Maps endpoints to URLs, for the REST backend.
+ * @returns {Object} The backend.
+ */
+function createStorageBackend(backend, urls) {
+    if (backend === undefined || backend === 'rest') {
+        return new BlockPyRestBackend(urls);
+    } else if (backend === 'indexeddb') {
+        return new BlockPyIndexedDbBackend();
+    } else if (backend === 'memory') {
+        return new BlockPyMemoryBackend();
+    } else if (typeof backend === 'object') {
+        return backend;
+    }
+    throw new Error("Unknown storage backend: "+backend);
+}
@@ -71,21 +71,36 @@ var $sk_mod_instructor = function(name) {
     /**
      * Let user know about an issue
      */
-    mod.explain = new Sk.builtin.func(function(message, priority, line) {
-        Sk.builtin.pyCheckArgs("explain", arguments, 1, 3);
+    mod.explain = new Sk.builtin.func(function(message, priority, line, hints) {
+        Sk.builtin.pyCheckArgs("explain", arguments, 1, 4);
         Sk.builtin.pyCheckType("message", "string", Sk.builtin.checkString(message));
-        if (priority != undefined){
+        if (priority != undefined && priority !== Sk.builtin.none.none$){
             Sk.builtin.pyCheckType("priority", "string", Sk.builtin.checkString(priority));
             priority = Sk.ffi.remapToJs(priority);
         } else {
             priority = 'medium';
         }
-        if (line !== undefined) {
-            Sk.builtin.pyCheckType("line", "integer", Sk.builtin.checkInt(line));
-            line = Sk.ffi.remapToJs(line);
+        // The line can also be a range, given as a (start, end) tuple
+        var endLine = null;
+        if (line !== undefined && line !== Sk.builtin.none.none$) {
+            if (line instanceof Sk.builtin.tuple || line instanceof Sk.builtin.list) {
+                line = Sk.ffi.remapToJs(line);
+                endLine = line[1];
+                line = line[0];
+            } else {
+                Sk.builtin.pyCheckType("line", "integer", Sk.builtin.checkInt(line));
+                line = Sk.ffi.remapToJs(line);
+                endLine = line;
+            }
         } else {
             line = null;
         }
+        if (hints !== undefined && hints !== Sk.builtin.none.none$) {
+            Sk.builtin.pyCheckType("hints", "list", hints instanceof Sk.builtin.list);
+            hints = Sk.ffi.remapToJs(hints).map(String);
+        } else {
+            hints = [];
+        }
         if (!Sk.executionReports.instructor.complaint){
             Sk.executionReports.instructor.complaint = [];
         }
@@ -93,13 +108,111 @@ var $sk_mod_instructor = function(name) {
             'name': 'Instructor Feedback',
             'message': Sk.ffi.remapToJs(message),
             'priority': priority,
-            'line': line
+            'line': line,
+            'end_line': endLine,
+            'hints': hints
         }
         Sk.executionReports.instructor.complaint.push(newComplaint);
     });
     
-    mod.gently = new Sk.builtin.func(function(message, line) {
-        return Sk.misceval.callsimOrSuspend(mod.explain, message, Sk.ffi.remapToPy('student'), line);
+    mod.gently = new Sk.builtin.func(function(message, line, hints) {
+        return Sk.misceval.callsimOrSuspend(mod.explain, message, Sk.ffi.remapToPy('student'), line, hints);
+    });
+    
+    /**
+     * Let user know about an issue, with more specific hints each time they
+     * run into the same issue
+     */
+    mod.hint_sequence = new Sk.builtin.func(function(hints, issue, priority, line) {
+        Sk.builtin.pyCheckArgs("hint_sequence", arguments, 1, 4);
+        Sk.builtin.pyCheckType("hints", "list", hints instanceof Sk.builtin.list);
+        hints = Sk.ffi.remapToJs(hints).map(String);
+        if (!hints.length) {
+            throw new Sk.builtin.ValueError("hint_sequence() needs at least one hint");
+        }
+        if (issue !== undefined && issue !== Sk.builtin.none.none$) {
+            Sk.builtin.pyCheckType("issue", "string", Sk.builtin.checkString(issue));
+            issue = Sk.ffi.remapToJs(issue);
+        } else {
+            issue = hints[0];
+        }
+        Sk.misceval.callsimOrSuspend(mod.explain, Sk.ffi.remapToPy(hints[0]),
+                                     priority, line);
+        var complaints = Sk.executionReports.instructor.complaint;
+        var newComplaint = complaints[complaints.length-1];
+        newComplaint.issue = issue;
+        newComplaint.sequence = hints;
+    });
+    
+    /**
+     * Choose how many feedback messages the student sees at once
+     */
+    mod.set_feedback_limit = new Sk.builtin.func(function(count) {
+        Sk.builtin.pyCheckArgs("set_feedback_limit", arguments, 1, 1);
+        Sk.builtin.pyCheckType("count", "integer", Sk.builtin.checkInt(count));
+        Sk.executionReports.instructor.feedback_limit = Sk.ffi.remapToJs(count);
+    });
+    
+    /**
+     * Add a new kind of issue to the analyzer for this run, which the assignment's
+     * settings can turn off, reorder, or reword like the built-in ones
+     */
+    mod.register_issue = new Sk.builtin.func(function(id, message, title, priority, enabled) {
+        Sk.builtin.pyCheckArgs("register_issue", arguments, 2, 5);
+        Sk.builtin.pyCheckType("id", "string", Sk.builtin.checkString(id));
+        Sk.builtin.pyCheckType("message", "string", Sk.builtin.checkString(message));
+        var options = {'message': Sk.ffi.remapToJs(message)};
+        if (title !== undefined && title !== Sk.builtin.none.none$) {
+            Sk.builtin.pyCheckType("title", "string", Sk.builtin.checkString(title));
+            options.title = Sk.ffi.remapToJs(title);
+        }
+        if (priority !== undefined && priority !== Sk.builtin.none.none$) {
+            Sk.builtin.pyCheckType("priority", "string", Sk.builtin.checkString(priority));
+            options.priority = Sk.ffi.remapToJs(priority);
+            if (!arrayContains(options.priority, Tifa.ISSUES.PRIORITIES)) {
+                throw new Sk.builtin.ValueError("priority must be one of: "+Tifa.ISSUES.PRIORITIES.join(", "));
+            }
+        }
+        if (enabled !== undefined) {
+            options.enabled = Sk.misceval.isTrue(enabled);
+        }
+        id = Sk.ffi.remapToJs(id);
+        var report = Sk.executionReports['instructor'];
+        if (!report.issues) {
+            report.issues = {};
+        }
+        report.issues[id] = Tifa.ISSUES.makeIssue(id, options);
+    });
+    
+    /**
+     * Report an occurrence of a kind of analyzer issue, as if the analyzer
+     * had found it
+     */
+    mod.report_issue = new Sk.builtin.func(function(id, line, name) {
+        Sk.builtin.pyCheckArgs("report_issue", arguments, 1, 3);
+        Sk.builtin.pyCheckType("id", "string", Sk.builtin.checkString(id));
+        id = Sk.ffi.remapToJs(id);
+        var registered = Sk.executionReports['instructor'].issues || {};
+        if (!Tifa.ISSUES.has(id) && !(id in registered)) {
+            throw new Sk.builtin.ValueError("Unknown issue: "+id+". Use register_issue first.");
+        }
+        var occurrence = {};
+        if (line !== undefined && line !== Sk.builtin.none.none$) {
+            Sk.builtin.pyCheckType("line", "integer", Sk.builtin.checkInt(line));
+            occurrence.position = {'line': Sk.ffi.remapToJs(line), 'column': 0};
+        }
+        if (name !== undefined && name !== Sk.builtin.none.none$) {
+            Sk.builtin.pyCheckType("name", "string", Sk.builtin.checkString(name));
+            occurrence.name = Sk.ffi.remapToJs(name);
+        }
+        var analyzer = Sk.executionReports.analyzer;
+        if (!analyzer.issues) {
+            analyzer.issues = {};
+        }
+        if (!analyzer.issues[id]) {
+            analyzer.issues[id] = [];
+        }
+        analyzer.issues[id].push(occurrence);
     });
     
     /**
@@ -227,6 +340,10 @@ var $sk_mod_instructor = function(name) {
     //Enhanced feedback functions and objects starts here
     //variable used for easy reidentification of nodes so we don't have to recreate every node type
     var flatTree = [];
+    // The id of each node's parent (null for the module), and the id after
+    // the last node of each node's subtree
+    var flatParents = [];
+    var flatEnds = [];
     //variable used for accumulating interrupting feedback AS A LIST OF PYTHON OBJECTS
     var accInterruptFeedback = [];
     //variable used for accumulating complementary feedback AS A LIST OF PYTHON OBJECTS
@@ -251,16 +368,24 @@ var $sk_mod_instructor = function(name) {
             ast = Sk.astFromParse(parse.cst, filename, parse.flags);
         }
         var visitor = new NodeVisitor();
+        var parents = [];
         visitor.visit = function(node){
+            var id = flatTree.length;
             flatTree.push(node);
+            flatParents.push(parents.length ? parents[parents.length-1] : null);
+            parents.push(id);
             /** Visit a node. **/
             var method_name = 'visit_' + node._astname;
             //console.log(flatTree.length - 1 + ": " + node._astname)
+            var result;
             if (method_name in this) {
-                return this[method_name](node);
+                result = this[method_name](node);
             } else {
-                return this.generic_visit(node);
+                result = this.generic_visit(node);
             }
+            parents.pop();
+            flatEnds[id] = flatTree.length;
+            return result;
         }
         visitor.visit(ast);
         //console.log(flatTree);
@@ -308,6 +433,898 @@ var $sk_mod_instructor = function(name) {
         }
     });
     
+    // The result of running the student code in a sandbox (see runSandboxed).
+    mod.SandboxResult = Sk.misceval.buildClass(mod, function($gbl, $loc) {
+        $loc.__init__ = new Sk.builtin.func(function(self, value, output, exception, steps, plots, loaded) {
+            Sk.abstr.sattr(self, 'value', value, true);
+            Sk.abstr.sattr(self, 'output', output, true);
+            Sk.abstr.sattr(self, 'exception', exception, true);
+            Sk.abstr.sattr(self, 'steps', steps, true);
+            Sk.abstr.sattr(self, 'plots', plots, true);
+            Sk.abstr.sattr(self, 'loaded', loaded, true);
+            Sk.abstr.sattr(self, 'success', Sk.ffi.remapToPy(exception === Sk.builtin.none.none$), true);
+        });
+        $loc.__repr__ = new Sk.builtin.func(function(self) {
+            var fields = ['value', 'output', 'exception', 'steps'].map(function(field) {
+                return field+"="+Sk.misceval.objectRepr(Sk.abstr.gattr(self, field)).v;
+            });
+            return Sk.ffi.remapToPy("SandboxResult("+fields.join(", ")+")");
+        });
+    }, 'SandboxResult', []);
+
+    /**
+     * Reads the optional limits and inputs shared by the sandboxed runs.
+     */
+    function sandboxOptions(inputs, steps, timeout) {
+        var options = {'inputs': [], 'steps': null, 'timeout': undefined};
+        if (inputs !== undefined && inputs !== Sk.builtin.none.none$) {
+            Sk.builtin.pyCheckType("inputs", "list", inputs instanceof Sk.builtin.list);
+            options.inputs = inputs.v.map(function(input) {
+                Sk.builtin.pyCheckType("input", "string", Sk.builtin.checkString(input));
+                return Sk.ffi.remapToJs(input);
+            });
+        }
+        if (steps !== undefined && steps !== Sk.builtin.none.none$) {
+            Sk.builtin.pyCheckType("steps", "integer", Sk.builtin.checkInt(steps));
+            options.steps = Sk.ffi.remapToJs(steps);
+        }
+        if (timeout !== undefined && timeout !== Sk.builtin.none.none$) {
+            Sk.builtin.pyCheckType("timeout", "number", Sk.builtin.checkNumber(timeout));
+            options.timeout = Sk.ffi.remapToJs(timeout) * 1000;
+        } else if (Sk.execLimitFunction) {
+            options.timeout = Sk.execLimitFunction();
+        }
+        return options;
+    }
+
+    /**
+     * Runs the student code again in a fresh module, so that nothing is
+     * shared with the first run or with any other sandboxed run: not the
+     * variables, the imported modules, the printed output, or the input.
+     * The instructor modules can't be imported from the sandbox. Afterwards,
+     * everything is put back the way it was.
+     *
+     * @param {Object} options - The inputs to give, and the most steps and milliseconds allowed.
+     *                           It can also give the code to run instead of the student's, or
+     *                           null to run nothing before afterLoad, and ask for the module
+     *                           itself as the value (returnModule).
+     * @param {Function?} afterLoad - Called with the module once it has run, and can return
+     *                                a value (e.g., from calling one of its functions). Any
+     *                                output or steps before then are ignored. The module is
+     *                                given the student's own input, and the inputs in the
+     *                                options only go to afterLoad.
+     * @returns {SandboxResult} The value, the output, the exception (if any), the steps taken,
+     *                         the data of any plots, and whether the module loaded.
+     */
+    function runSandboxed(options, afterLoad) {
+        var saved = {
+            'sysmodules': Sk.sysmodules,
+            'output': Sk.output,
+            'printHtml': Sk.console && Sk.console.printHtml,
+            'queuedInput': Sk.queuedInput,
+            'execLimit': Sk.execLimit,
+            'execStart': Sk.execStart,
+            'afterSingleExecution': Sk.afterSingleExecution,
+            'files': {}
+        };
+        var instructorFiles = ['src/lib/instructor.js'].concat(
+            Object.keys($INSTRUCTOR_MODULES_EXTENDED).map(function(name) { return 'src/lib/'+name; }));
+        instructorFiles.forEach(function(file) {
+            saved.files[file] = Sk.builtinFiles['files'][file];
+            delete Sk.builtinFiles['files'][file];
+        });
+        var output = [], plots = [], steps = 0, exception = Sk.builtin.none.none$, loaded = false;
+        var start = function() {
+            output = [];
+            plots = [];
+            steps = 0;
+            Sk.execStart = Date.now();
+        };
+        Sk.sysmodules = new Sk.builtin.dict([]);
+        // Same as the printer, each print is one line without its newline
+        Sk.output = function(text) {
+            if (text !== "\n") {
+                output.push(text.slice(0, -1));
+            }
+        };
+        if (Sk.console) {
+            Sk.console.printHtml = function(html, value) {
+                plots.push(value);
+            };
+        }
+        // Before calling a function, the module is given the same input as the student's run,
+        // so that top-level code like int(input()) still works
+        var loadInputs = afterLoad === undefined ? options.inputs :
+                         ((Sk.executionReports['student'] || {}).inputs || []);
+        Sk.queuedInput = loadInputs.slice().reverse();
+        Sk.execLimit = options.timeout;
+        Sk.afterSingleExecution = function() {
+            steps += 1;
+            if (options.steps !== null && steps > options.steps) {
+                throw new Sk.builtin.TimeLimitError("Program exceeded the limit of "+options.steps+" steps");
+            }
+        };
+        start();
+        var code = options.code === undefined ? Sk.executionReports['verifier'].code : options.code;
+        return Sk.misceval.chain(Sk.misceval.tryCatch(function() {
+            if (code === null) {
+                loaded = true;
+                Sk.queuedInput = options.inputs.slice().reverse();
+                return afterLoad(null);
+            }
+            return Sk.misceval.chain(Sk.importModuleInternal_('__main__', false, '__main__', code, true),
+                function(module) {
+                    loaded = true;
+                    if (afterLoad === undefined) {
+                        return options.returnModule ? module : Sk.builtin.none.none$;
+                    }
+                    start();
+                    Sk.queuedInput = options.inputs.slice().reverse();
+                    return afterLoad(module);
+                });
+        }, function(error) {
+            if (!(error instanceof Sk.builtin.BaseException)) {
+                error = new Sk.builtin.ExternalError(error);
+            }
+            exception = error;
+            return Sk.builtin.none.none$;
+        }), function(value) {
+            Sk.sysmodules = saved.sysmodules;
+            Sk.output = saved.output;
+            if (Sk.console) {
+                Sk.console.printHtml = saved.printHtml;
+            }
+            Sk.queuedInput = saved.queuedInput;
+            Sk.execLimit = saved.execLimit;
+            Sk.execStart = saved.execStart;
+            Sk.afterSingleExecution = saved.afterSingleExecution;
+            instructorFiles.forEach(function(file) {
+                Sk.builtinFiles['files'][file] = saved.files[file];
+            });
+            return Sk.misceval.callsimOrSuspend(mod.SandboxResult, value || Sk.builtin.none.none$,
+                                                mixedRemapToPy(output), exception,
+                                                Sk.ffi.remapToPy(steps), mixedRemapToPy(plots),
+                                                Sk.ffi.remapToPy(loaded));
+        });
+    }
+
+    /**
+     * This function is called by instructors to run the whole student
+     * program again, in a sandbox.
+     */
+    var run_student_module = function(inputs, steps, timeout) {
+        Sk.builtin.pyCheckArgs("run_student_module", arguments, 0, 3);
+        return runSandboxed(sandboxOptions(inputs, steps, timeout));
+    };
+    run_student_module.co_varnames = ['inputs', 'steps', 'timeout'];
+    mod.run_student_module = new Sk.builtin.func(run_student_module);
+
+    /**
+     * This function is called by instructors to call one of the student's
+     * functions, in a sandbox.
+     */
+    var run_student_function = function(name, args, inputs, steps, timeout) {
+        Sk.builtin.pyCheckArgs("run_student_function", arguments, 1, 5);
+        Sk.builtin.pyCheckType("name", "string", Sk.builtin.checkString(name));
+        var argumentList = [];
+        if (args !== undefined && args !== Sk.builtin.none.none$) {
+            Sk.builtin.pyCheckType("args", "list or tuple",
+                                   args instanceof Sk.builtin.list || args instanceof Sk.builtin.tuple);
+            argumentList = args.v.slice();
+        }
+        var options = sandboxOptions(inputs, steps, timeout);
+        return runSandboxed(options, callModuleFunction(Sk.ffi.remapToJs(name), argumentList));
+    };
+    run_student_function.co_varnames = ['name', 'args', 'inputs', 'steps', 'timeout'];
+    mod.run_student_function = new Sk.builtin.func(run_student_function);
+
+    /**
+     * Makes the afterLoad of runSandboxed that calls one of the functions
+     * of the module that was run (usually the student's).
+     */
+    function callModuleFunction(name, argumentList) {
+        return function(module) {
+            var func = module.$d[name];
+            if (func === undefined) {
+                throw new Sk.builtin.NameError("name '"+name+"' is not defined");
+            }
+            return Sk.misceval.applyOrSuspend(func, undefined, undefined, undefined, argumentList);
+        };
+    }
+
+    // How far apart numbers can be and still match, unless a test case gives its own tolerance
+    var TEST_TOLERANCE = 0.001;
+
+    /**
+     * Whether a value returned by the student matches the expected value from
+     * a test case. Lists and tuples match JSON lists, dictionaries match JSON
+     * objects, and numbers only have to be within the tolerance.
+     */
+    function testValuesMatch(expected, actual, tolerance) {
+        if (typeof expected == 'number' && typeof actual == 'number') {
+            return Math.abs(expected - actual) <= tolerance;
+        } else if (Array.isArray(expected)) {
+            return Array.isArray(actual) && expected.length == actual.length &&
+                   expected.every(function(item, index) {
+                       return testValuesMatch(item, actual[index], tolerance);
+                   });
+        } else if (expected !== null && typeof expected == 'object') {
+            if (actual === null || typeof actual != 'object' || Array.isArray(actual)) {
+                return false;
+            }
+            var keys = Object.keys(expected);
+            return keys.length == Object.keys(actual).length && keys.every(function(key) {
+                return key in actual && testValuesMatch(expected[key], actual[key], tolerance);
+            });
+        }
+        return expected === actual;
+    }
+
+    /**
+     * Makes sure that a row of the test table can be run. See run_test_cases.
+     */
+    function checkTestCase(testCase, number) {
+        var problem = null;
+        if (testCase === null || typeof testCase != 'object' || Array.isArray(testCase)) {
+            problem = "must be an object";
+        } else if (testCase['function'] !== undefined && typeof testCase['function'] != 'string') {
+            problem = "needs the name of a function";
+        } else if (testCase.args !== undefined && !Array.isArray(testCase.args)) {
+            problem = "needs a list of args";
+        } else if (testCase.inputs !== undefined && (!Array.isArray(testCase.inputs) ||
+                   !testCase.inputs.every(function(input) { return typeof input == 'string'; }))) {
+            problem = "needs a list of strings for its inputs";
+        } else if (testCase.output !== undefined && typeof testCase.output != 'string' &&
+                   !Array.isArray(testCase.output)) {
+            problem = "needs a string or a list of lines for its output";
+        } else if (testCase.tolerance !== undefined && typeof testCase.tolerance != 'number') {
+            problem = "needs a number for its tolerance";
+        } else if (!('returns' in testCase) && testCase.output === undefined) {
+            problem = "needs a value that it returns or an output that it prints";
+        }
+        if (problem !== null) {
+            throw new Sk.builtin.ValueError("Test case "+number+" "+problem+".");
+        }
+    }
+
+    /**
+     * Runs one row of the test table in a sandbox, and compares what it
+     * returned and printed with what was expected.
+     *
+     * @returns {Object} The result for the test matrix: a description of the
+     *                   call, what was expected and what happened (as Python
+     *                   reprs and lines of output), any error, whether it
+     *                   passed, and the row's hint.
+     */
+    function runTestCase(testCase) {
+        var options = {'inputs': testCase.inputs || [], 'steps': null, 'timeout': undefined};
+        if (Sk.execLimitFunction) {
+            options.timeout = Sk.execLimitFunction();
+        }
+        var name = testCase['function'], afterLoad = undefined, description;
+        var tolerance = testCase.tolerance === undefined ? TEST_TOLERANCE : testCase.tolerance;
+        if (name !== undefined) {
+            var argumentList = (testCase.args || []).map(mixedRemapToPy);
+            description = name+"("+argumentList.map(function(argument) {
+                return Sk.misceval.objectRepr(argument).v;
+            }).join(", ")+")";
+            afterLoad = callModuleFunction(name, argumentList);
+        } else {
+            description = "the program";
+        }
+        if (options.inputs.length) {
+            description += " with the input "+options.inputs.map(JSON.stringify).join(", ");
+        }
+        var expectedOutput = testCase.output;
+        if (typeof expectedOutput == 'string') {
+            expectedOutput = expectedOutput.replace(/\n$/, '').split('\n');
+        }
+        return Sk.misceval.chain(runSandboxed(options, afterLoad), function(sandboxResult) {
+            var value = Sk.abstr.gattr(sandboxResult, 'value'),
+                exception = Sk.abstr.gattr(sandboxResult, 'exception'),
+                output = Sk.ffi.remapToJs(Sk.abstr.gattr(sandboxResult, 'output'));
+            var result = {
+                'name': description,
+                'returns': null,
+                'returned': null,
+                'output': expectedOutput === undefined ? null : expectedOutput,
+                'printed': output,
+                'error': null,
+                'hint': testCase.hint || '',
+                'passed': true
+            };
+            if (exception !== Sk.builtin.none.none$) {
+                result.error = new Sk.builtin.str(exception).v;
+                if (afterLoad !== undefined && !Sk.ffi.remapToJs(Sk.abstr.gattr(sandboxResult, 'loaded'))) {
+                    result.error = "The program failed before "+name+" was called: "+result.error;
+                }
+                result.passed = false;
+                return result;
+            }
+            if ('returns' in testCase) {
+                result.returns = Sk.misceval.objectRepr(mixedRemapToPy(testCase.returns)).v;
+                result.returned = Sk.misceval.objectRepr(value).v;
+                result.passed = testValuesMatch(testCase.returns, Sk.ffi.remapToJs(value), tolerance);
+            }
+            if (expectedOutput !== undefined) {
+                result.passed = result.passed && expectedOutput.length == output.length &&
+                    expectedOutput.every(function(line, index) { return line == output[index]; });
+            }
+            return result;
+        });
+    }
+
+    /**
+     * This function is called to run a table of test cases against the
+     * student code, each in its own sandbox (by default, the assignment's
+     * table). The results are shown to the student as a matrix in the
+     * feedback, and are returned as a list of whether each test passed.
+     */
+    var run_test_cases = function(cases) {
+        Sk.builtin.pyCheckArgs("run_test_cases", arguments, 0, 1);
+        var report = Sk.executionReports['tests'];
+        if (cases !== undefined && cases !== Sk.builtin.none.none$) {
+            Sk.builtin.pyCheckType("cases", "list", cases instanceof Sk.builtin.list);
+            report = Sk.executionReports['tests'] = {'cases': Sk.ffi.remapToJs(cases)};
+        }
+        var testCases = report.cases || [];
+        testCases.forEach(function(testCase, index) {
+            checkTestCase(testCase, index+1);
+        });
+        var results = [];
+        var runNext = function() {
+            if (results.length < testCases.length) {
+                return Sk.misceval.chain(runTestCase(testCases[results.length]), function(result) {
+                    results.push(result);
+                    return runNext();
+                });
+            }
+            var passed = results.filter(function(result) { return result.passed; });
+            report.results = results;
+            report.passed = passed.length;
+            report.complete = results.length > 0 && passed.length == results.length;
+            return Sk.ffi.remapToPy(results.map(function(result) { return result.passed; }));
+        };
+        return runNext();
+    };
+    run_test_cases.co_varnames = ['cases'];
+    mod.run_test_cases = new Sk.builtin.func(run_test_cases);
+
+    /**
+     * Makes a function that returns the same sequence of random numbers in
+     * [0, 1) for the same seed (mulberry32), so that a failing random test
+     * can be run again.
+     */
+    function seededRandom(seed) {
+        var state = seed >>> 0;
+        return function() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            var t = Math.imul(state ^ (state >>> 15), state | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Something that makes random arguments for random_test. Its JS `spec`
+    // says how (see generateValue and shrinkValue).
+    mod.Generator = Sk.misceval.buildClass(mod, function($gbl, $loc) {
+        $loc.__repr__ = new Sk.builtin.func(function(self) {
+            return Sk.ffi.remapToPy(self.spec.description);
+        });
+    }, 'Generator', []);
+
+    function makeGenerator(spec) {
+        var generator = Sk.misceval.callsim(mod.Generator);
+        generator.spec = spec;
+        return generator;
+    }
+
+    /**
+     * Reads an optional number argument of one of the generators.
+     */
+    function numberArgument(name, value, defaultValue, checkInteger) {
+        if (value === undefined || value === Sk.builtin.none.none$) {
+            return defaultValue;
+        }
+        if (checkInteger) {
+            Sk.builtin.pyCheckType(name, "integer", Sk.builtin.checkInt(value));
+        } else {
+            Sk.builtin.pyCheckType(name, "number", Sk.builtin.checkNumber(value));
+        }
+        return Sk.ffi.remapToJs(value);
+    }
+
+    /**
+     * This function is called by instructors to make random integers from
+     * low to high (inclusive), for random_test.
+     */
+    var random_int = function(low, high) {
+        Sk.builtin.pyCheckArgs("random_int", arguments, 0, 2);
+        low = numberArgument("low", low, -100, true);
+        high = numberArgument("high", high, 100, true);
+        if (low > high) {
+            throw new Sk.builtin.ValueError("random_int's low can't be more than its high");
+        }
+        return makeGenerator({'kind': 'int', 'low': low, 'high': high,
+                              'description': "random_int("+low+", "+high+")"});
+    };
+    random_int.co_varnames = ['low', 'high'];
+    mod.random_int = new Sk.builtin.func(random_int);
+
+    /**
+     * This function is called by instructors to make random floats from low
+     * to high, for random_test.
+     */
+    var random_float = function(low, high) {
+        Sk.builtin.pyCheckArgs("random_float", arguments, 0, 2);
+        low = numberArgument("low", low, -100, false);
+        high = numberArgument("high", high, 100, false);
+        if (low > high) {
+            throw new Sk.builtin.ValueError("random_float's low can't be more than its high");
+        }
+        return makeGenerator({'kind': 'float', 'low': low, 'high': high,
+                              'description': "random_float("+low+", "+high+")"});
+    };
+    random_float.co_varnames = ['low', 'high'];
+    mod.random_float = new Sk.builtin.func(random_float);
+
+    /**
+     * This function is called by instructors to make random strings of up to
+     * max_length characters from the alphabet, for random_test.
+     */
+    var random_string = function(max_length, alphabet) {
+        Sk.builtin.pyCheckArgs("random_string", arguments, 0, 2);
+        var maxLength = numberArgument("max_length", max_length, 10, true);
+        if (alphabet === undefined || alphabet === Sk.builtin.none.none$) {
+            alphabet = 'abcdefghijklmnopqrstuvwxyz';
+        } else {
+            Sk.builtin.pyCheckType("alphabet", "string", Sk.builtin.checkString(alphabet));
+            alphabet = Sk.ffi.remapToJs(alphabet);
+            if (!alphabet.length) {
+                throw new Sk.builtin.ValueError("random_string needs at least one letter in its alphabet");
+            }
+        }
+        return makeGenerator({'kind': 'str', 'max_length': maxLength, 'alphabet': alphabet,
+                              'description': "random_string("+maxLength+", "+JSON.stringify(alphabet)+")"});
+    };
+    random_string.co_varnames = ['max_length', 'alphabet'];
+    mod.random_string = new Sk.builtin.func(random_string);
+
+    /**
+     * This function is called by instructors to make random lists of up to
+     * max_length elements, each made by another generator, for random_test.
+     */
+    var random_list = function(element, max_length) {
+        Sk.builtin.pyCheckArgs("random_list", arguments, 1, 2);
+        Sk.builtin.pyCheckType("element", "Generator", element instanceof mod.Generator);
+        var maxLength = numberArgument("max_length", max_length, 10, true);
+        return makeGenerator({'kind': 'list', 'element': element.spec, 'max_length': maxLength,
+                              'description': "random_list("+element.spec.description+", "+maxLength+")"});
+    };
+    random_list.co_varnames = ['element', 'max_length'];
+    mod.random_list = new Sk.builtin.func(random_list);
+
+    /**
+     * Makes a random value (in JS) with a generator's spec.
+     */
+    function generateValue(spec, random) {
+        switch (spec.kind) {
+            case 'int':
+                return spec.low + Math.floor(random() * (spec.high - spec.low + 1));
+            case 'float':
+                return spec.low + random() * (spec.high - spec.low);
+            case 'str':
+                var text = '', length = Math.floor(random() * (spec.max_length + 1));
+                for (var i = 0; i < length; i++) {
+                    text += spec.alphabet.charAt(Math.floor(random() * spec.alphabet.length));
+                }
+                return text;
+            case 'list':
+                var items = [], size = Math.floor(random() * (spec.max_length + 1));
+                for (var j = 0; j < size; j++) {
+                    items.push(generateValue(spec.element, random));
+                }
+                return items;
+        }
+    }
+
+    /**
+     * Makes the values that are "smaller" than a value made with a generator's
+     * spec, simplest first: numbers closer to zero, and strings and lists
+     * with fewer or simpler elements.
+     */
+    function shrinkValue(spec, value) {
+        var candidates = [];
+        var add = function(candidate) {
+            if (JSON.stringify(candidate) != JSON.stringify(value) &&
+                !candidates.some(function(other) { return JSON.stringify(other) == JSON.stringify(candidate); })) {
+                candidates.push(candidate);
+            }
+        };
+        var i;
+        switch (spec.kind) {
+            case 'int': case 'float':
+                var target = Math.min(spec.high, Math.max(spec.low, 0));
+                add(target);
+                if (spec.kind == 'float' && Math.round(value) >= spec.low && Math.round(value) <= spec.high) {
+                    add(Math.round(value));
+                }
+                if (spec.kind == 'int') {
+                    add(value - Math.trunc((value - target) / 2));
+                    add(value > target ? value - 1 : value + 1);
+                } else if (Math.abs(value - target) > 0.01) {
+                    add((value + target) / 2);
+                }
+                break;
+            case 'str':
+                if (value.length) {
+                    add('');
+                    add(value.slice(0, Math.floor(value.length / 2)));
+                    for (i = 0; i < value.length; i++) {
+                        add(value.slice(0, i) + value.slice(i+1));
+                    }
+                    for (i = 0; i < value.length; i++) {
+                        add(value.slice(0, i) + spec.alphabet.charAt(0) + value.slice(i+1));
+                    }
+                }
+                break;
+            case 'list':
+                if (value.length) {
+                    add([]);
+                    add(value.slice(0, Math.floor(value.length / 2)));
+                    for (i = 0; i < value.length; i++) {
+                        add(value.slice(0, i).concat(value.slice(i+1)));
+                    }
+                    value.forEach(function(item, index) {
+                        shrinkValue(spec.element, item).forEach(function(smaller) {
+                            add(value.slice(0, index).concat([smaller], value.slice(index+1)));
+                        });
+                    });
+                }
+                break;
+        }
+        return candidates;
+    }
+
+    /**
+     * Turns a value made with a generator's spec into Python, keeping
+     * floats as floats even when they are whole numbers.
+     */
+    function generatedToPy(spec, value) {
+        switch (spec.kind) {
+            case 'int': return new Sk.builtin.int_(value);
+            case 'float': return new Sk.builtin.float_(value);
+            case 'str': return new Sk.builtin.str(value);
+            case 'list': return new Sk.builtin.list(value.map(function(item) {
+                return generatedToPy(spec.element, item);
+            }));
+        }
+    }
+
+    // The most times that random_test runs the functions while shrinking a failing input
+    var MAX_SHRINK_TRIALS = 200;
+    // The most seconds that one call of random_test can take, unless it's given its own timeout
+    var RANDOM_TEST_TIMEOUT = 10;
+
+    /**
+     * This function is called by instructors to compare one of the student's
+     * functions against a reference solution on randomly generated
+     * arguments. The reference is a function in the instructor's code, or
+     * else the function with the same name in the answer program. When they
+     * disagree, the arguments are shrunk to the smallest ones that still
+     * make them disagree, which are returned as the counterexample. The
+     * whole call has a time budget: once it runs out, no more arguments are
+     * tried, and a failure found so far is returned without shrinking it
+     * further.
+     */
+    var random_test = function(name, generators, count, seed, reference, tolerance, timeout) {
+        Sk.builtin.pyCheckArgs("random_test", arguments, 2, 7);
+        Sk.builtin.pyCheckType("name", "string", Sk.builtin.checkString(name));
+        Sk.builtin.pyCheckType("generators", "list or tuple",
+                               generators instanceof Sk.builtin.list || generators instanceof Sk.builtin.tuple);
+        var specs = generators.v.map(function(generator) {
+            Sk.builtin.pyCheckType("generator", "Generator", generator instanceof mod.Generator);
+            return generator.spec;
+        });
+        name = Sk.ffi.remapToJs(name);
+        count = numberArgument("count", count, 100, true);
+        seed = numberArgument("seed", seed, Math.floor(Math.random() * 4294967296), true);
+        tolerance = numberArgument("tolerance", tolerance, TEST_TOLERANCE, false);
+        timeout = numberArgument("timeout", timeout, RANDOM_TEST_TIMEOUT, false);
+        var referenceOptions = {'inputs': [], 'steps': null, 'timeout': undefined};
+        var referenceCall;
+        if (reference !== undefined && reference !== Sk.builtin.none.none$) {
+            Sk.builtin.pyCheckType("reference", "function", Sk.builtin.checkCallable(reference));
+            referenceOptions.code = null;
+            referenceCall = function(argumentList) {
+                return function() {
+                    return Sk.misceval.applyOrSuspend(reference, undefined, undefined, undefined, argumentList);
+                };
+            };
+        } else {
+            referenceOptions.code = Sk.executionReports['instructor'].answer || '';
+            if (!referenceOptions.code.trim()) {
+                throw new Sk.builtin.ValueError("random_test needs a reference: either a function, or an answer program that defines "+name);
+            }
+            referenceCall = function(argumentList) {
+                return callModuleFunction(name, argumentList);
+            };
+        }
+        var studentOptions = {'inputs': [], 'steps': null, 'timeout': undefined};
+        var limit = Sk.execLimitFunction ? Sk.execLimitFunction() : undefined;
+        var deadline = Date.now() + timeout * 1000;
+        // Whether the time budget ran out, and whether a run while shrinking took too long
+        var outOfTime = false, timedOut = false;
+        // Gives a run its usual limit, or whatever is left of the budget if that's less
+        var budget = function(options) {
+            var remaining = deadline - Date.now();
+            if (remaining <= 0) {
+                outOfTime = true;
+                return false;
+            }
+            options.timeout = limit === undefined ? remaining : Math.min(limit, remaining);
+            return true;
+        };
+        // Whether a run was stopped for taking too long, and whether that was only the budget's fault
+        var checkTimeLimit = function(exception, options) {
+            if (exception === Sk.builtin.none.none$ || exception.tp$name != 'TimeLimitError') {
+                return false;
+            }
+            timedOut = true;
+            if (limit === undefined || options.timeout < limit) {
+                outOfTime = true;
+            }
+            return true;
+        };
+        // Each run gets its own copy of the arguments, in case a function changes them
+        var makeArguments = function(values) {
+            return values.map(function(value, index) {
+                return generatedToPy(specs[index], value);
+            });
+        };
+        // Runs both functions on the arguments, and describes how they disagree (or null)
+        var compare = function(values) {
+            if (!budget(referenceOptions)) {
+                return null;
+            }
+            return Sk.misceval.chain(runSandboxed(referenceOptions, referenceCall(makeArguments(values))), function(expected) {
+                // Arguments that the reference can't handle aren't a fair test
+                var referenceException = Sk.abstr.gattr(expected, 'exception');
+                if (referenceException !== Sk.builtin.none.none$) {
+                    checkTimeLimit(referenceException, referenceOptions);
+                    return null;
+                }
+                if (!budget(studentOptions)) {
+                    return null;
+                }
+                return Sk.misceval.chain(runSandboxed(studentOptions, callModuleFunction(name, makeArguments(values))), function(actual) {
+                    var exception = Sk.abstr.gattr(actual, 'exception');
+                    var tooSlow = checkTimeLimit(exception, studentOptions);
+                    if (outOfTime) {
+                        // Cut short by the budget, so it isn't the student's fault
+                        return null;
+                    }
+                    var expectedValue = Sk.abstr.gattr(expected, 'value'),
+                        actualValue = Sk.abstr.gattr(actual, 'value'),
+                        expectedOutput = Sk.ffi.remapToJs(Sk.abstr.gattr(expected, 'output')),
+                        actualOutput = Sk.ffi.remapToJs(Sk.abstr.gattr(actual, 'output'));
+                    if (exception === Sk.builtin.none.none$ &&
+                        testValuesMatch(Sk.ffi.remapToJs(expectedValue), Sk.ffi.remapToJs(actualValue), tolerance) &&
+                        expectedOutput.join('\n') == actualOutput.join('\n')) {
+                        return null;
+                    }
+                    return {'values': values,
+                            'expected': expectedValue, 'actual': actualValue,
+                            'expected_output': expectedOutput, 'output': actualOutput,
+                            'timed_out': tooSlow,
+                            'error': exception === Sk.builtin.none.none$ ? null : new Sk.builtin.str(exception).v};
+                });
+            });
+        };
+        // Tries each candidate in turn, until one of them still fails
+        var trials = 0;
+        var firstFailure = function(candidates) {
+            if (!candidates.length || trials >= MAX_SHRINK_TRIALS || timedOut || outOfTime) {
+                return null;
+            }
+            trials += 1;
+            return Sk.misceval.chain(compare(candidates[0]), function(failure) {
+                return failure || firstFailure(candidates.slice(1));
+            });
+        };
+        var shrink = function(failure) {
+            // Smaller arguments would probably be just as slow
+            if (failure.timed_out) {
+                return failure;
+            }
+            var candidates = [];
+            failure.values.forEach(function(value, index) {
+                shrinkValue(specs[index], value).forEach(function(smaller) {
+                    var values = failure.values.slice();
+                    values[index] = smaller;
+                    candidates.push(values);
+                });
+            });
+            return Sk.misceval.chain(firstFailure(candidates), function(smaller) {
+                return smaller ? shrink(smaller) : failure;
+            });
+        };
+        var random = seededRandom(seed);
+        var tested = 0;
+        var testNext = function() {
+            if (tested >= count || outOfTime) {
+                return Sk.builtin.none.none$;
+            }
+            tested += 1;
+            var values = specs.map(function(spec) { return generateValue(spec, random); });
+            return Sk.misceval.chain(compare(values), function(failure) {
+                if (failure === null) {
+                    return testNext();
+                }
+                timedOut = false;
+                return Sk.misceval.chain(shrink(failure), function(smallest) {
+                    var fields = {
+                        'args': new Sk.builtin.list(makeArguments(smallest.values)),
+                        'expected': smallest.expected,
+                        'actual': smallest.actual,
+                        'expected_output': Sk.ffi.remapToPy(smallest.expected_output),
+                        'output': Sk.ffi.remapToPy(smallest.output),
+                        'error': smallest.error === null ? Sk.builtin.none.none$ : Sk.ffi.remapToPy(smallest.error),
+                        'seed': Sk.ffi.remapToPy(seed),
+                        'tests': Sk.ffi.remapToPy(tested)
+                    };
+                    var items = [];
+                    for (var key in fields) {
+                        items.push(Sk.ffi.remapToPy(key), fields[key]);
+                    }
+                    return new Sk.builtin.dict(items);
+                });
+            });
+        };
+        return testNext();
+    };
+    random_test.co_varnames = ['name', 'generators', 'count', 'seed', 'reference', 'tolerance', 'timeout'];
+    mod.random_test = new Sk.builtin.func(random_test);
+
+    /**
+     * Runs the answer program in a sandbox, with the same input that the
+     * student gave, and remembers what it printed, plotted, and defined in
+     * the answer report. It is only run once for each run of the student's
+     * code.
+     *
+     * @returns {Object} The answer report.
+     * @throws {RuntimeError} If there is no answer program, or it raised an error.
+     */
+    function runAnswer() {
+        var report = Sk.executionReports['answer'];
+        if (report.module !== undefined) {
+            return report;
+        }
+        var code = Sk.executionReports['instructor'].answer || '';
+        if (!code.trim()) {
+            throw new Sk.builtin.RuntimeError("There is no answer program to compare with.");
+        }
+        var options = {'inputs': Sk.executionReports['student'].inputs || [], 'steps': null,
+                       'timeout': undefined, 'code': code, 'returnModule': true};
+        return Sk.misceval.chain(runSandboxed(options), function(result) {
+            var exception = Sk.abstr.gattr(result, 'exception');
+            if (exception !== Sk.builtin.none.none$) {
+                throw new Sk.builtin.RuntimeError("The answer program raised an error: "+
+                                                  new Sk.builtin.str(exception).v);
+            }
+            report.module = Sk.abstr.gattr(result, 'value');
+            report.output = Sk.ffi.remapToJs(Sk.abstr.gattr(result, 'output'));
+            report.plots = Sk.ffi.remapToJs(Sk.abstr.gattr(result, 'plots'));
+            report.diffs = [];
+            return report;
+        });
+    }
+
+    /**
+     * Splits the student's output into what was printed and what was plotted.
+     *
+     * @returns {Object} The printed lines and the plots' data, or null if the student's code failed.
+     */
+    function studentOutput() {
+        var student = Sk.executionReports['student'];
+        if (!student.success) {
+            return null;
+        }
+        var printed = [], plots = [];
+        student['output']().forEach(function(item) {
+            if (typeof item == 'string') {
+                printed.push(item);
+            } else {
+                plots.push(item);
+            }
+        });
+        return {'printed': printed, 'plots': plots};
+    }
+
+    /**
+     * Remembers how the student's run differs from the answer program's, so
+     * that the feedback can show them side by side.
+     */
+    function addAnswerDiff(report, title, expected, actual) {
+        var known = report.diffs.some(function(diff) { return diff.title == title; });
+        if (!known) {
+            report.diffs.push({'title': title, 'expected': expected, 'actual': actual});
+        }
+        return Sk.builtin.bool.false$;
+    }
+
+    /**
+     * This function is called by instructors to check that the student's
+     * code printed the same lines as the answer program.
+     */
+    mod.output_matches_answer = new Sk.builtin.func(function() {
+        Sk.builtin.pyCheckArgs("output_matches_answer", arguments, 0, 0);
+        return Sk.misceval.chain(runAnswer(), function(report) {
+            var student = studentOutput();
+            if (student === null) {
+                return Sk.builtin.bool.false$;
+            }
+            if (student.printed.join('\n') == report.output.join('\n')) {
+                return Sk.builtin.bool.true$;
+            }
+            return addAnswerDiff(report, "Printed Output", report.output, student.printed);
+        });
+    });
+
+    /**
+     * This function is called by instructors to check that the student's
+     * code made the same plots as the answer program.
+     */
+    mod.plots_match_answer = new Sk.builtin.func(function() {
+        Sk.builtin.pyCheckArgs("plots_match_answer", arguments, 0, 0);
+        return Sk.misceval.chain(runAnswer(), function(report) {
+            var student = studentOutput();
+            if (student === null) {
+                return Sk.builtin.bool.false$;
+            }
+            if (testValuesMatch(report.plots, student.plots, TEST_TOLERANCE)) {
+                return Sk.builtin.bool.true$;
+            }
+            var describe = function(plots) {
+                return plots.map(function(plot) { return JSON.stringify(plot); });
+            };
+            return addAnswerDiff(report, "Plots", describe(report.plots), describe(student.plots));
+        });
+    });
+
+    /**
+     * This function is called by instructors to check that one of the
+     * student's variables ends up with the same value as in the answer
+     * program.
+     */
+    var variable_matches_answer = function(name, tolerance) {
+        Sk.builtin.pyCheckArgs("variable_matches_answer", arguments, 1, 2);
+        Sk.builtin.pyCheckType("name", "string", Sk.builtin.checkString(name));
+        name = Sk.ffi.remapToJs(name);
+        tolerance = numberArgument("tolerance", tolerance, TEST_TOLERANCE, false);
+        return Sk.misceval.chain(runAnswer(), function(report) {
+            var expected = report.module.$d[name];
+            if (expected === undefined) {
+                throw new Sk.builtin.NameError("The answer program has no variable named '"+name+"'");
+            }
+            var student = Sk.executionReports['student'];
+            if (!student.success) {
+                return Sk.builtin.bool.false$;
+            }
+            var actual = student.module.$d[name];
+            if (actual !== undefined &&
+                testValuesMatch(Sk.ffi.remapToJs(expected), Sk.ffi.remapToJs(actual), tolerance)) {
+                return Sk.builtin.bool.true$;
+            }
+            return addAnswerDiff(report, "The variable "+name,
+                                 [name+" = "+Sk.misceval.objectRepr(expected).v],
+                                 [actual === undefined ? name+" is not defined" :
+                                  name+" = "+Sk.misceval.objectRepr(actual).v]);
+        });
+    };
+    variable_matches_answer.co_varnames = ['name', 'tolerance'];
+    mod.variable_matches_answer = new Sk.builtin.func(variable_matches_answer);
+
     /**
      * This function is called by instructors to get the students' code as a string.
     **/
@@ -316,6 +1333,29 @@ var $sk_mod_instructor = function(name) {
         return Sk.ffi.remapToPy(Sk.executionReports['verifier'].code);
     });
 
+    /**
+     * This function is called by instructors to get the English explanation
+     * of a line of code (by default, the students' code).
+    **/
+    mod.explain_line = new Sk.builtin.func(function(line, code) {
+        Sk.builtin.pyCheckArgs("explain_line", arguments, 1, 2);
+        Sk.builtin.pyCheckType("line", "integer", Sk.builtin.checkInt(line));
+        if (code === undefined || code === Sk.builtin.none.none$) {
+            code = Sk.executionReports['verifier'].code;
+        } else {
+            Sk.builtin.pyCheckType("code", "string", Sk.builtin.checkString(code));
+            code = Sk.ffi.remapToJs(code);
+        }
+        var explanation;
+        try {
+            explanation = new PythonToEnglish().explainLine(code, Sk.ffi.remapToJs(line));
+        } catch (e) {
+            // Code that can't be parsed can't be explained
+            return Sk.builtin.none.none$;
+        }
+        return explanation === null ? Sk.builtin.none.none$ : Sk.ffi.remapToPy(explanation);
+    });
+
     /**
      * This function is called by instructors to construct the python version of the AST
     **/
@@ -416,6 +1456,244 @@ var $sk_mod_instructor = function(name) {
         }
         return Sk.misceval.callsimOrSuspend(mod.AstNode, currentId);
     }
+
+    /**
+     * Turns a selector into the list of alternatives (separated by commas),
+     * each of which is a list of steps. A step has a node type (or '*'), the
+     * conditions on its attributes, and how it is related to the step
+     * before it: ' ' (a descendant), '>' (a child), '+' (the next sibling),
+     * or '~' (a later sibling). For example, 'For > If Call[func.attr=append]'
+     * is a Call whose func's attr is "append", somewhere inside an If that
+     * is directly in a For.
+     *
+     * @param {String} query - The selector.
+     * @returns {Array.<Array.<Object>>} The alternatives.
+     * @throws {ValueError} If the selector can't be understood.
+     */
+    function parseSelector(query) {
+        var text = query.trim(), position = 0;
+        var alternatives = [], steps = [], combinator = null;
+        var fail = function(problem) {
+            throw new Sk.builtin.ValueError("The selector \""+query+"\" "+problem+
+                                            " (at \""+text.slice(position)+"\")");
+        };
+        var read = function(pattern) {
+            var match = pattern.exec(text.slice(position));
+            if (match) {
+                position += match[0].length;
+            }
+            return match;
+        };
+        while (true) {
+            var step = {'combinator': combinator, 'type': '*', 'conditions': []};
+            var type = read(/^(\*|[A-Za-z_]\w*)/);
+            if (type) {
+                step.type = type[1];
+            }
+            var condition;
+            while ((condition = read(/^\[\s*([A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*)\s*(?:(\^=|\$=|\*=|!=|=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+))\s*)?\]/))) {
+                step.conditions.push({
+                    'path': condition[1].split('.'),
+                    'operator': condition[2] || null,
+                    'value': condition[3] !== undefined ? condition[3] :
+                             condition[4] !== undefined ? condition[4] : condition[5]
+                });
+            }
+            if (!type && !step.conditions.length) {
+                fail(text.slice(position) ? "needs a node type or [attribute] here" : "ends too soon");
+            }
+            steps.push(step);
+            if (position >= text.length) {
+                alternatives.push(steps);
+                return alternatives;
+            }
+            var separator = read(/^\s*([>+~,])\s*/) || read(/^\s+/);
+            if (!separator) {
+                fail("has something unexpected");
+            }
+            combinator = separator[1] || ' ';
+            if (combinator == ',') {
+                alternatives.push(steps);
+                steps = [];
+                combinator = null;
+            }
+        }
+    }
+
+    /**
+     * Finds the values of an attribute path (like "func.attr") of a node, as
+     * strings. A path through a list (like "targets.id") gives a value for
+     * each of its elements. Nodes and operators are given by their type.
+     */
+    function selectorValues(node, path) {
+        var values = [node];
+        path.forEach(function(key) {
+            var next = [];
+            if (key == 'ast_name') {
+                key = '_astname';
+            }
+            values.forEach(function(value) {
+                if (value === null || value === undefined || !isAstNode(value) || !(key in value)) {
+                    return;
+                }
+                var field = value[key];
+                if (field !== null && field !== undefined && field.constructor === Array) {
+                    next = next.concat(field);
+                } else {
+                    next.push(field);
+                }
+            });
+            values = next;
+        });
+        return values.filter(function(value) {
+            return value !== null && value !== undefined;
+        }).map(function(value) {
+            if (isAstNode(value)) {
+                return value._astname;
+            } else if (typeof value == 'function' && value.prototype._astname) {
+                return value.prototype._astname;
+            } else if (isSkBuiltin(value)) {
+                return String(Sk.ffi.remapToJs(value));
+            }
+            return String(value);
+        });
+    }
+
+    /**
+     * Whether a node has a step's type and meets all of its conditions.
+     */
+    function matchesStep(id, step) {
+        var node = flatTree[id];
+        if (step.type != '*' && node._astname != step.type) {
+            return false;
+        }
+        return step.conditions.every(function(condition) {
+            var values = selectorValues(node, condition.path);
+            var expected = condition.value;
+            switch (condition.operator) {
+                case null: return values.some(function(value) { return value !== '' && value != 'None'; });
+                case '=': return values.indexOf(expected) != -1;
+                case '!=': return values.indexOf(expected) == -1;
+                case '^=': return values.some(function(value) { return value.indexOf(expected) == 0; });
+                case '$=': return values.some(function(value) {
+                    return value.length >= expected.length &&
+                           value.lastIndexOf(expected) == value.length - expected.length;
+                });
+                case '*=': return values.some(function(value) { return value.indexOf(expected) != -1; });
+            }
+        });
+    }
+
+    /**
+     * Whether a node matches the steps of a selector up to (and including)
+     * the given one, checking the steps from right to left.
+     */
+    function matchesSteps(id, steps, index) {
+        if (!matchesStep(id, steps[index])) {
+            return false;
+        }
+        if (index == 0) {
+            return true;
+        }
+        var related = [];
+        switch (steps[index].combinator) {
+            case ' ': related = getAncestors(id); break;
+            case '>': related = flatParents[id] === null ? [] : [flatParents[id]]; break;
+            case '+': case '~':
+                var siblings = getSiblings(id);
+                var before = siblings.slice(0, siblings.indexOf(id));
+                related = steps[index].combinator == '+' ? before.slice(-1) : before;
+                break;
+        }
+        return related.some(function(other) {
+            return matchesSteps(other, steps, index-1);
+        });
+    }
+
+    /**
+     * Whether a node matches a parsed selector (any of its alternatives).
+     */
+    function matchesSelector(id, alternatives) {
+        return alternatives.some(function(steps) {
+            return matchesSteps(id, steps, steps.length-1);
+        });
+    }
+
+    /**
+     * @returns {Array.<Number>} The ids of a node's ancestors, nearest first.
+     */
+    function getAncestors(id) {
+        var ancestors = [];
+        for (var parent = flatParents[id]; parent !== null; parent = flatParents[parent]) {
+            ancestors.push(parent);
+        }
+        return ancestors;
+    }
+
+    /**
+     * @returns {Array.<Number>} The ids of a node's children, in order.
+     */
+    function getChildren(id) {
+        var children = [];
+        for (var child = id+1; child < flatEnds[id]; child = flatEnds[child]) {
+            children.push(child);
+        }
+        return children;
+    }
+
+    /**
+     * @returns {Array.<Number>} The ids of the nodes in the same list as the
+     *                           node (like the body of a loop), including
+     *                           itself, in order. A node that isn't in a list
+     *                           is its only sibling.
+     */
+    function getSiblings(id) {
+        var parent = flatParents[id];
+        if (parent === null) {
+            return [id];
+        }
+        var node = flatTree[id];
+        var fields = iter_fields(flatTree[parent]);
+        for (var i = 0; i < fields.length; i++) {
+            var field = fields[i][1];
+            if (field !== null && field.constructor === Array && field.indexOf(node) != -1) {
+                return getChildren(parent).filter(function(child) {
+                    return field.indexOf(flatTree[child]) != -1;
+                });
+            }
+        }
+        return [id];
+    }
+
+    /**
+     * @returns {Number} The first line of a node, or of its nearest ancestor
+     *                   that has one (some nodes, like arguments, don't).
+     */
+    function getLine(id) {
+        for (; id !== null; id = flatParents[id]) {
+            if (flatTree[id].lineno !== undefined) {
+                return flatTree[id].lineno;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @returns {Sk.builtin.list} The AstNodes with the given ids.
+     */
+    function makeAstNodes(ids) {
+        return new Sk.builtin.list(ids.map(function(id) {
+            return Sk.misceval.callsimOrSuspend(mod.AstNode, id);
+        }));
+    }
+
+    /**
+     * Parses a selector given by an instructor (see parseSelector).
+     */
+    function checkSelector(query) {
+        Sk.builtin.pyCheckType("query", "string", Sk.builtin.checkString(query));
+        return parseSelector(Sk.ffi.remapToJs(query));
+    }
     
     /**
      * TODO: Make this a subclass of AstNode that can be returned when a user
@@ -728,6 +2006,25 @@ var $sk_mod_instructor = function(name) {
             if (key == "next_tree"){
                 return getNextTree(self);
             }
+            switch (key) {
+                case "parent":
+                    var parent = flatParents[self.id];
+                    return parent === null ? Sk.builtin.none.none$ :
+                           Sk.misceval.callsimOrSuspend(mod.AstNode, parent);
+                case "ancestors":
+                    return makeAstNodes(getAncestors(self.id));
+                case "children":
+                    return makeAstNodes(getChildren(self.id));
+                case "siblings":
+                    return makeAstNodes(getSiblings(self.id).filter(function(id) { return id != self.id; }));
+                case "previous_sibling": case "next_sibling":
+                    var siblings = getSiblings(self.id);
+                    var sibling = siblings[siblings.indexOf(self.id) + (key == "next_sibling" ? 1 : -1)];
+                    return sibling === undefined ? Sk.builtin.none.none$ :
+                           Sk.misceval.callsimOrSuspend(mod.AstNode, sibling);
+                case "line":
+                    return Sk.ffi.remapToPy(getLine(self.id));
+            }
             if (key == "ast_name"){
                 key = "_astname";
             }
@@ -870,6 +2167,83 @@ var $sk_mod_instructor = function(name) {
             //Don't use Sk.ffi because the objects in the array are already python objects
             return new Sk.builtin.list(items);
         });
+
+        /**
+         * Finds the nodes in this node's subtree (including itself) that match
+         * a CSS-like selector (see parseSelector), like 'For > If Call[func.attr=append]',
+         * in the order they appear in the code. Only the nodes that start on
+         * the lines from first_line to last_line are included, if they are given.
+         * @param {Sk.builtin.str} query - the selector
+         * @param {Sk.builtin.int_} first_line - (Optional) the first line to look on
+         * @param {Sk.builtin.int_} last_line - (Optional) the last line to look on
+        **/
+        var select = function(self, query, first_line, last_line) {
+            Sk.builtin.pyCheckArgs("select", arguments, 2, 4);
+            var selector = checkSelector(query);
+            var first = -Infinity, last = Infinity;
+            if (first_line !== undefined && first_line !== Sk.builtin.none.none$) {
+                Sk.builtin.pyCheckType("first_line", "integer", Sk.builtin.checkInt(first_line));
+                first = Sk.ffi.remapToJs(first_line);
+            }
+            if (last_line !== undefined && last_line !== Sk.builtin.none.none$) {
+                Sk.builtin.pyCheckType("last_line", "integer", Sk.builtin.checkInt(last_line));
+                last = Sk.ffi.remapToJs(last_line);
+            }
+            var ids = [];
+            for (var id = self.id; id < flatEnds[self.id]; id++) {
+                var line = getLine(id);
+                if (line !== null && (line < first || line > last)) {
+                    continue;
+                }
+                if (matchesSelector(id, selector)) {
+                    ids.push(id);
+                }
+            }
+            return makeAstNodes(ids);
+        };
+        select.co_varnames = ['self', 'query', 'first_line', 'last_line'];
+        $loc.select = new Sk.builtin.func(select);
+
+        /**
+         * Like select, but gives only the first node that matches, or None.
+         * @param {Sk.builtin.str} query - the selector
+        **/
+        $loc.select_one = new Sk.builtin.func(function(self, query) {
+            Sk.builtin.pyCheckArgs("select_one", arguments, 2, 2);
+            var selector = checkSelector(query);
+            for (var id = self.id; id < flatEnds[self.id]; id++) {
+                if (matchesSelector(id, selector)) {
+                    return Sk.misceval.callsimOrSuspend(mod.AstNode, id);
+                }
+            }
+            return Sk.builtin.none.none$;
+        });
+
+        /**
+         * Whether this node matches a selector (see select).
+         * @param {Sk.builtin.str} query - the selector
+        **/
+        $loc.matches = new Sk.builtin.func(function(self, query) {
+            Sk.builtin.pyCheckArgs("matches", arguments, 2, 2);
+            return Sk.ffi.remapToPy(matchesSelector(self.id, checkSelector(query)));
+        });
+
+        /**
+         * Finds the nearest ancestor of this node that matches a selector
+         * (e.g., ast.ancestor("For") for the loop that a node is in), or None.
+         * @param {Sk.builtin.str} query - the selector
+        **/
+        $loc.ancestor = new Sk.builtin.func(function(self, query) {
+            Sk.builtin.pyCheckArgs("ancestor", arguments, 2, 2);
+            var selector = checkSelector(query);
+            var ancestors = getAncestors(self.id);
+            for (var i = 0; i < ancestors.length; i++) {
+                if (matchesSelector(ancestors[i], selector)) {
+                    return Sk.misceval.callsimOrSuspend(mod.AstNode, ancestors[i]);
+                }
+            }
+            return Sk.builtin.none.none$;
+        });
     });
     return mod;
 }
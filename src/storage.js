@@ -78,6 +78,6 @@ LocalStorageWrapper.prototype.has = function(key) {
  * @param {Integer} server_time - The server's time as an epoch (in milliseconds)
  */
 LocalStorageWrapper.prototype.is_new = function(key, server_time) {
-    var stored_time = localStorage.getItem(this.namespace+"_"+key+"_timestamp");
+    var stored_time = parseInt(localStorage.getItem(this.namespace+"_"+key+"_timestamp"), 10);
     return (server_time >= stored_time+5000);
 };
\ No newline at end of file
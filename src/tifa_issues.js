@@ -0,0 +1,290 @@
+/**
+ * The kinds of issue that the analyzer (TIFA) can report. Each issue has an id
+ * (the name TIFA reports it under), a title and a message template for the
+ * student, a priority, and whether it is shown by default.
+ *
+ * Message templates can refer to the details of an occurrence with braces, such
+ * as {name} and {line}. An occurrence missing one of the details its template
+ * needs is skipped.
+ *
+ * @constructor
+ * @this {TifaIssueRegistry}
+ */
+function TifaIssueRegistry() {
+    this.issues = {};
+    // The ids, in the order they were first registered
+    this.order = [];
+}
+
+TifaIssueRegistry.prototype.PRIORITIES = ['high', 'medium', 'low'];
+
+/**
+ * Makes a kind of issue, without adding it to the registry.
+ *
+ * @param {String} id - The name the issue is reported under.
+ * @param {Object} options - Any of the title, message (template), priority
+ *                           ("high", "medium", or "low"), and enabled.
+ * @returns {Object} The issue.
+ */
+TifaIssueRegistry.prototype.makeIssue = function(id, options) {
+    options = options || {};
+    var priority = options.priority || 'medium';
+    if (!arrayContains(priority, this.PRIORITIES)) {
+        throw new Error("Unknown priority for issue '"+id+"': "+priority);
+    }
+    return {
+        'id': id,
+        'title': options.title || id,
+        'message': options.message || '',
+        'priority': priority,
+        'enabled': options.enabled !== false
+    };
+}
+
+/**
+ * Adds a kind of issue, or replaces the one with the same id.
+ *
+ * @param {String} id - The name the issue is reported under.
+ * @param {Object} options - As in makeIssue.
+ * @returns {Object} The issue.
+ */
+TifaIssueRegistry.prototype.register = function(id, options) {
+    var issue = this.makeIssue(id, options);
+    if (!(id in this.issues)) {
+        this.order.push(id);
+    }
+    this.issues[id] = issue;
+    return issue;
+}
+
+/**
+ * @param {String} id - The name the issue is reported under.
+ * @returns {Boolean} Whether there is a kind of issue with this id.
+ */
+TifaIssueRegistry.prototype.has = function(id) {
+    return id in this.issues;
+}
+
+/**
+ * @param {String} id - The name the issue is reported under.
+ * @returns {Object|undefined} The issue with this id.
+ */
+TifaIssueRegistry.prototype.get = function(id) {
+    return this.issues[id];
+}
+
+/**
+ * @returns {Array.<String>} The ids of every kind of issue.
+ */
+TifaIssueRegistry.prototype.ids = function() {
+    return this.order.slice();
+}
+
+/**
+ * Applies an assignment's settings to the issues. The settings are a list of
+ * changes, each with an id and any of enabled, title, message, and priority
+ * to override. The issues named in the settings come first, in the order they
+ * are listed; the rest follow, most important first.
+ *
+ * @param {Array.<Object>} settings - The assignment's changes to the issues.
+ * @param {Object} extra - Issues that only apply this time (e.g., the ones that the
+ *                         instructor code registered while it ran), mapped by their
+ *                         ids. They replace registered issues with the same id. Optional.
+ * @returns {Array.<Object>} Copies of the issues, in the order they should be shown.
+ */
+TifaIssueRegistry.prototype.configure = function(settings, extra) {
+    var issues = {}, order = this.order.slice(), id;
+    for (id in this.issues) {
+        issues[id] = this.issues[id];
+    }
+    for (id in extra || {}) {
+        if (!(id in issues)) {
+            order.push(id);
+        }
+        issues[id] = extra[id];
+    }
+    var copy = function(id) {
+        var issue = {};
+        for (var field in issues[id]) {
+            issue[field] = issues[id][field];
+        }
+        return issue;
+    };
+    var listed = [], seen = {};
+    (settings || []).forEach(function(change) {
+        if (!(change.id in issues) || change.id in seen) {
+            return;
+        }
+        seen[change.id] = true;
+        var issue = copy(change.id);
+        ['title', 'message', 'priority', 'enabled'].forEach(function(field) {
+            if (change[field] !== undefined && change[field] !== null) {
+                issue[field] = change[field];
+            }
+        });
+        listed.push(issue);
+    });
+    var PRIORITIES = this.PRIORITIES;
+    var rest = order.filter(function(id) {
+        return !(id in seen);
+    }).map(copy);
+    // Sort by priority, keeping the registration order within a priority
+    rest = PRIORITIES.reduce(function(sorted, priority) {
+        return sorted.concat(rest.filter(function(issue) {
+            return issue.priority == priority;
+        }));
+    }, []);
+    return listed.concat(rest);
+}
+
+/**
+ * Fills in a message template with the details of an occurrence.
+ *
+ * @param {String} template - The template, with details named in braces (e.g., "{name}").
+ * @param {Object} fields - The details of the occurrence.
+ * @returns {String|null} The message, or null if a detail was missing.
+ */
+TifaIssueRegistry.prototype.fill = function(template, fields) {
+    var missing = false;
+    var text = template.replace(/\{(\w+)\}/g, function(match, field) {
+        if (fields[field] === undefined || fields[field] === null) {
+            missing = true;
+            return match;
+        }
+        return fields[field];
+    });
+    return missing ? null : text;
+}
+
+/**
+ * The issues known to every instance of BlockPy. Instructors can add their own
+ * for a single run with register_issue in the instructor module.
+ */
+Tifa.ISSUES = new TifaIssueRegistry();
+Tifa.ISSUES.register("Parser Failure", {
+    'title': "Parser Failure",
+    'message': "The analyzer could not read your program.",
+    'enabled': false
+});
+Tifa.ISSUES.register("Action after return", {
+    'title': "Action after return",
+    'message': "You performed an action after already returning from a function, on line {line}. You can only return on a path once."
+});
+Tifa.ISSUES.register("Return outside function", {
+    'title': "Return outside function",
+    'message': "You attempted to return outside of a function on line {line}. But you can only return from within a function."
+});
+Tifa.ISSUES.register("Write out of scope", {
+    'title': "Write out of scope",
+    'message': "You attempted to write a variable from a higher scope (outside the function) on line {line}. You should only use variables inside the function they were declared in.",
+    'enabled': false
+});
+Tifa.ISSUES.register("Read out of scope", {
+    'title': "Read out of scope",
+    'message': "You attempted to read a variable from a different scope on line {line}. You should only use variables inside the function they were declared in."
+});
+Tifa.ISSUES.register("Unconnected blocks", {
+    'title': "Unconnected blocks",
+    'message': "It looks like you have unconnected blocks on line {line}. Before you run your program, you must make sure that all of your blocks are connected and that there are no unfilled holes."
+});
+Tifa.ISSUES.register("Iteration variable is iteration list", {
+    'title': "Iteration Problem",
+    'message': "The variable <code>{name}</code> was iterated on line {line}, but you used the same variable as the iteration variable. You should choose a different variable name for the iteration variable. Usually, the iteration variable is the singular form of the iteration list (e.g., <code>for dog in dogs:</code>)."
+});
+Tifa.ISSUES.register("Undefined variables", {
+    'title': "Initialization Problem",
+    'message': "The variable <code>{name}</code> was used on line {line}, but it was not given a value on a previous line. You cannot use a variable until it has been given a value."
+});
+Tifa.ISSUES.register("Possibly undefined variables", {
+    'title': "Initialization Problem",
+    'message': "The variable <code>{name}</code> was used on line {line}, but it was possibly not given a value on a previous line. You cannot use a variable until it has been given a value. Check to make sure that this variable was declared in all of the branches of your decision."
+});
+Tifa.ISSUES.register("Unread variables", {
+    'title': "Unused Variable",
+    'message': "The {kind} <code>{name}</code> was given a {kind_body}, but was never used after that."
+});
+Tifa.ISSUES.register("Overwritten variables", {
+    'title': "Overwritten Variable",
+    'message': "The variable <code>{name}</code> was given a value, but <code>{name}</code> was changed on line {line} before it was used. One of the times that you gave <code>{name}</code> a value was incorrect."
+});
+Tifa.ISSUES.register("Empty iterations", {
+    'title': "Iterating over empty list",
+    'message': "The variable <code>{name}</code> was set as an empty list, and then you attempted to use it in an iteration on line {line}. You should only iterate over non-empty lists."
+});
+Tifa.ISSUES.register("Non-list iterations", {
+    'title': "Iterating over non-list",
+    'message': "The variable <code>{name}</code> is not a list, but you used it in the iteration on line {line}. You should only iterate over sequences like lists."
+});
+Tifa.ISSUES.register("Incompatible types", {
+    'title': "Incompatible types",
+    'message': "You used {operation} operation with {left} and {right} on line {line}. But you can't do that with that operator. Make sure both sides of the operator are the right type."
+});
+Tifa.ISSUES.register("Empty Body", {
+    'title': "Empty Body",
+    'message': "The body on line {line} is empty. You should put some statements inside of it.",
+    'enabled': false
+});
+Tifa.ISSUES.register("Malformed Conditional", {
+    'title': "Malformed Conditional",
+    'message': "The decision on line {line} has an empty body or an empty else. Make sure that every branch of the decision does something.",
+    'enabled': false
+});
+Tifa.ISSUES.register("Unnecessary Pass", {
+    'title': "Unnecessary Pass",
+    'message': "You used <code>pass</code> on line {line}, but it is not needed there.",
+    'enabled': false
+});
+Tifa.ISSUES.register("Append to non-list", {
+    'title': "Append to non-list",
+    'message': "You attempted to append to <code>{name}</code> on line {line}, but it is {type}, not a list.",
+    'enabled': false
+});
+Tifa.ISSUES.register("Used iteration list", {
+    'title': "Used iteration list",
+    'message': "You used the list <code>{name}</code> inside of the iteration over it on line {line}. You probably meant to use the iteration variable instead.",
+    'enabled': false
+});
+Tifa.ISSUES.register("Unused iteration variable", {
+    'title': "Unused iteration variable",
+    'message': "The iteration variable <code>{name}</code> on line {line} was never used inside the iteration.",
+    'enabled': false
+});
+Tifa.ISSUES.register("Type changes", {
+    'title': "Type changes",
+    'message': "The variable <code>{name}</code> changed from {old} to {new} on line {line}. You should keep a variable the same type.",
+    'enabled': false
+});
+Tifa.ISSUES.register("Unknown functions", {
+    'title': "Unknown function",
+    'message': "You called the function <code>{name}</code> on line {line}, but it was never defined.",
+    'enabled': false
+});
+Tifa.ISSUES.register("Not a function", {
+    'title': "Not a function",
+    'message': "You attempted to call something that is not a function on line {line}.",
+    'enabled': false
+});
+Tifa.ISSUES.register("Aliased built-in", {
+    'title': "Aliased built-in",
+    'message': "You gave the built-in name <code>{name}</code> a new value on line {line}. You should pick a different name, so that the built-in still works.",
+    'enabled': false
+});
+Tifa.ISSUES.register("Method not in Type", {
+    'title': "Method not in Type",
+    'message': "You used the method <code>{name}</code> on line {line}, but that type does not have that method.",
+    'enabled': false
+});
+Tifa.ISSUES.register("Submodule not found", {
+    'title': "Submodule not found",
+    'message': "The submodule <code>{name}</code> that you imported on line {line} could not be found.",
+    'enabled': false
+});
+Tifa.ISSUES.register("Module not found", {
+    'title': "Module not found",
+    'message': "The module <code>{name}</code> that you imported on line {line} could not be found.",
+    'enabled': false
+});
+
+if (typeof exports !== 'undefined') {
+    exports.TifaIssueRegistry = TifaIssueRegistry;
+}
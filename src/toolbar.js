@@ -33,20 +33,34 @@ BlockPyToolbar.prototype.activateToolbar = function() {
         main.components.server.logEvent('editor', 'run')
         main.components.engine.on_run();
     });
+    this.tag.find('.blockpy-debug').click(function() {
+        main.components.server.logEvent('editor', 'debug')
+        main.components['debugger'].start();
+    });
+    this.tag.find('.blockpy-stop').click(function() {
+        main.components.server.logEvent('editor', 'stop')
+        main.components.engine.stopStudentCode();
+    });
     this.tags.mode_set_text.click(function() {
         main.components.server.logEvent('editor', 'text')
         main.model.settings.editor("Text");
     });
     this.tag.find('.blockpy-toolbar-reset').click(function() {
-        main.model.programs['__main__'](main.model.programs['starting_code']());
-        //main.components.editor.updateBlocks();
-        main.components.server.logEvent('editor', 'reset');
         if (main.model.assignment.parsons()) {
-            main.components.editor.blockly.shuffle();
+            main.components.parsons.start();
+        } else {
+            main.model.layouts['__main__']({});
+            main.model.programs['__main__'](main.model.programs['starting_code']());
         }
+        //main.components.editor.updateBlocks();
+        main.components.server.logEvent('editor', 'reset');
+    });
+    this.tag.find('.blockpy-mode-set-parsons').click(function() {
+        main.components.server.logEvent('editor', 'parsons')
+        main.model.settings.editor("Parsons");
     });
     this.tag.find('.blockpy-mode-set-blocks').click(function(event) {
-        if (main.model.areBlocksUpdating()) {
+        if (main.model.areBlocksUpdating() && main.components.editor.confirmRoundTrip("Blocks")) {
             main.components.server.logEvent('editor', 'blocks')
             main.model.settings.editor("Blocks");
         } else {
@@ -59,7 +73,7 @@ BlockPyToolbar.prototype.activateToolbar = function() {
         main.components.server.logEvent('editor', 'instructor')
     });*/
     this.tag.find('.blockpy-mode-set-split').click(function(event) {
-        if (main.model.areBlocksUpdating()) {
+        if (main.model.areBlocksUpdating() && main.components.editor.confirmRoundTrip("Split")) {
             main.model.settings.editor("Split");
             main.components.server.logEvent('editor', 'split')
         } else {
@@ -0,0 +1,240 @@
+/**
+ * A designer for the assignment's custom categories of blocks, shown in the
+ * instructor's settings. Every registered type of block is listed, and can be
+ * dragged into a category; blocks can also be moved between categories or
+ * reordered. Any change is saved into the assignment's modules right away, so
+ * both the editor's toolbox and the designer's own preview stay up to date.
+ *
+ * @constructor
+ * @this {BlockPyToolboxDesigner}
+ * @param {Object} main - The main BlockPy instance
+ * @param {HTMLElement} tag - The HTML object this is attached to.
+ */
+function BlockPyToolboxDesigner(main, tag) {
+    this.main = main;
+    this.tag = tag;
+
+    this.paletteTag = tag.find('.blockpy-toolbox-designer-blocks');
+    this.filterTag = tag.find('.blockpy-toolbox-designer-filter');
+    this.categoriesTag = tag.find('.blockpy-toolbox-designer-categories');
+    this.previewTag = tag.find('.blockpy-toolbox-designer-preview');
+    // The Blockly workspace that previews the categories, once it is shown
+    this.preview = null;
+    // Whether the categories are being changed from the designer
+    this.silenceModel = false;
+
+    var designer = this;
+    this.filterTag.on('input', function() {
+        designer.filterPalette();
+    });
+    tag.find('.blockpy-toolbox-designer-add').click(function() {
+        var categories = designer.main.model.toolboxCategories();
+        categories.push({'name': 'Category '+(categories.length+1),
+                         'color': designer.DEFAULT_COLOR,
+                         'blocks': []});
+        designer.main.model.toolboxCategories(categories);
+    });
+    this.categoriesTag.on('click', '.blockpy-toolbox-designer-remove-category', function() {
+        $(this).closest('.blockpy-toolbox-designer-category').remove();
+        designer.updateCategories();
+    });
+    this.categoriesTag.on('click', '.blockpy-toolbox-designer-remove-block', function() {
+        $(this).closest('.blockpy-toolbox-designer-block').remove();
+        designer.updateCategories();
+    });
+    this.categoriesTag.on('change', 'input', function() {
+        designer.updateCategories();
+    });
+
+    this.main.model.assignment.modules.subscribe(function() {
+        if (!designer.silenceModel) {
+            designer.render();
+        }
+    });
+    // Blocks for datasets may have been loaded since the designer was last opened
+    tag.closest('.modal').on('shown.bs.modal', function() {
+        designer.renderPalette();
+        designer.render();
+    });
+    this.renderPalette();
+    this.render();
+}
+
+BlockPyToolboxDesigner.prototype.DEFAULT_COLOR = 210;
+
+/**
+ * @returns {Array.<String>} The type of every block that can be put in a toolbox, sorted.
+ */
+BlockPyToolboxDesigner.prototype.getBlockTypes = function() {
+    return Object.keys(Blockly.Blocks).filter(function(type) {
+        var definition = Blockly.Blocks[type];
+        return definition && typeof definition.init == 'function';
+    }).sort();
+}
+
+/**
+ * Creates the element for a block in the palette or in a category.
+ *
+ * @param {String|Object} block - The block's type, or its type and the values of its fields.
+ * @param {Boolean} removable - Whether the block can be removed (i.e., it is in a category).
+ * @returns {HTMLElement} The block's element.
+ */
+BlockPyToolboxDesigner.prototype.createBlock = function(block, removable) {
+    if (typeof block == 'string') {
+        block = {'type': block};
+    }
+    var element = $("<li class='blockpy-toolbox-designer-block'></li>");
+    element.attr('data-type', block.type);
+    element.text(block.type);
+    if (block.fields) {
+        element.attr('data-fields', JSON.stringify(block.fields));
+        element.attr('title', JSON.stringify(block.fields));
+        element.append(" <span class='glyphicon glyphicon-pencil'></span>");
+    }
+    if (removable) {
+        element.append(" <span class='blockpy-toolbox-designer-remove-block glyphicon glyphicon-remove'></span>");
+    }
+    return element;
+}
+
+/**
+ * Lists every type of block in the palette, ready to be dragged into a category.
+ */
+BlockPyToolboxDesigner.prototype.renderPalette = function() {
+    var designer = this;
+    this.paletteTag.empty();
+    this.getBlockTypes().forEach(function(type) {
+        designer.paletteTag.append(designer.createBlock(type, false));
+    });
+    this.paletteTag.find('.blockpy-toolbox-designer-block').draggable({
+        'connectToSortable': this.categoriesTag.find('.blockpy-toolbox-designer-category-blocks'),
+        'helper': 'clone',
+        'revert': 'invalid'
+    });
+    this.filterPalette();
+}
+
+/**
+ * Hides the blocks in the palette whose types don't contain the filter's text.
+ */
+BlockPyToolboxDesigner.prototype.filterPalette = function() {
+    var text = this.filterTag.val().toLowerCase();
+    this.paletteTag.find('.blockpy-toolbox-designer-block').each(function() {
+        $(this).toggle($(this).attr('data-type').toLowerCase().indexOf(text) != -1);
+    });
+}
+
+/**
+ * Shows the assignment's custom categories, each with its name, color, and blocks.
+ */
+BlockPyToolboxDesigner.prototype.render = function() {
+    var designer = this;
+    this.categoriesTag.empty();
+    this.main.model.toolboxCategories().forEach(function(category) {
+        var element = $("<div class='blockpy-toolbox-designer-category'>"+
+                            "<input type='text' class='form-control input-sm blockpy-toolbox-designer-name'>"+
+                            "<input type='text' class='form-control input-sm blockpy-toolbox-designer-color' "+
+                                   "title='A hue (0 to 360) or a color like #888888'>"+
+                            "<button type='button' class='btn btn-sm btn-danger blockpy-toolbox-designer-remove-category'>"+
+                                "<span class='glyphicon glyphicon-remove'></span></button>"+
+                            "<ul class='blockpy-toolbox-designer-category-blocks'></ul>"+
+                        "</div>");
+        element.find('.blockpy-toolbox-designer-name').val(category.name || '');
+        element.find('.blockpy-toolbox-designer-color').val(category.color === undefined ?
+                                                           '' : category.color);
+        var blocks = element.find('.blockpy-toolbox-designer-category-blocks');
+        (category.blocks || []).forEach(function(block) {
+            blocks.append(designer.createBlock(block, true));
+        });
+        designer.categoriesTag.append(element);
+    });
+    this.categoriesTag.find('.blockpy-toolbox-designer-category-blocks').sortable({
+        'connectWith': '.blockpy-toolbox-designer-category-blocks',
+        'placeholder': 'blockpy-toolbox-designer-placeholder',
+        'update': function() {
+            designer.updateCategories();
+        }
+    });
+    // The palette can only drop blocks into the categories that it was connected to
+    this.paletteTag.find('.blockpy-toolbox-designer-block').draggable('option', 'connectToSortable',
+        this.categoriesTag.find('.blockpy-toolbox-designer-category-blocks'));
+    this.renderPreview();
+}
+
+/**
+ * Shows the categories in a small Blockly workspace, the same way that they
+ * will look in the editor's toolbox. The preview can only be made while the
+ * designer is visible.
+ */
+BlockPyToolboxDesigner.prototype.renderPreview = function() {
+    if (this.preview) {
+        this.preview.dispose();
+        this.preview = null;
+    }
+    this.previewTag.empty();
+    var categories = this.main.model.toolboxCategories();
+    if (!categories.length || !this.previewTag.is(':visible')) {
+        return;
+    }
+    var editor = this.main.components.editor;
+    var xml = '<xml>'+categories.map(function(category) {
+        return editor.createCategoryXml(category);
+    }).join('')+'</xml>';
+    try {
+        this.preview = Blockly.inject(this.previewTag[0], {
+            'path': this.main.model.constants.blocklyPath,
+            'scrollbars': false,
+            'trashcan': false,
+            'zoom': {'enabled': false},
+            'comments': false,
+            'toolbox': xml
+        });
+    } catch (e) {
+        // An unknown type of block can't be previewed, but still shouldn't stop the designer
+        console.error(e);
+        this.previewTag.empty();
+    }
+}
+
+/**
+ * Reads the categories back out of the designer, and saves them in the
+ * assignment's modules.
+ */
+BlockPyToolboxDesigner.prototype.updateCategories = function() {
+    var categories = [];
+    this.categoriesTag.find('.blockpy-toolbox-designer-category').each(function() {
+        var category = {
+            'name': $(this).find('.blockpy-toolbox-designer-name').val(),
+            'blocks': []
+        };
+        var color = $(this).find('.blockpy-toolbox-designer-color').val().trim();
+        if (color) {
+            category.color = isNaN(color) ? color : parseFloat(color);
+        }
+        $(this).find('.blockpy-toolbox-designer-block').each(function() {
+            var fields = $(this).attr('data-fields');
+            if (fields) {
+                category.blocks.push({'type': $(this).attr('data-type'),
+                                      'fields': JSON.parse(fields)});
+            } else {
+                category.blocks.push($(this).attr('data-type'));
+            }
+        });
+        categories.push(category);
+    });
+    // Blocks dragged in from the palette need to be able to be removed again
+    this.categoriesTag.find('.blockpy-toolbox-designer-block').each(function() {
+        if (!$(this).find('.blockpy-toolbox-designer-remove-block').length) {
+            $(this).removeClass('ui-draggable ui-draggable-handle').removeAttr('style');
+            $(this).append(" <span class='blockpy-toolbox-designer-remove-block glyphicon glyphicon-remove'></span>");
+        }
+    });
+    this.silenceModel = true;
+    this.main.model.toolboxCategories(categories);
+    this.silenceModel = false;
+    this.renderPreview();
+}
+
+if (typeof exports !== 'undefined') {
+    exports.BlockPyToolboxDesigner = BlockPyToolboxDesigner;
+}
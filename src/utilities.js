@@ -88,6 +88,22 @@ function randomInteger(min,max) {
     return Math.floor(Math.random()*(max-min+1)+min);
 }
 
+/**
+ * Shuffles an array in place (Fisher-Yates).
+ * 
+ * @param {Array} array - The array to shuffle.
+ * @returns {Array} The same array.
+ */
+function shuffleArray(array) {
+    for (var i = array.length-1; i > 0; i--) {
+        var j = randomInteger(0, i);
+        var temp = array[i];
+        array[i] = array[j];
+        array[j] = temp;
+    }
+    return array;
+}
+
 /**
  * Encodes some text so that it can be safely written into an HTML box.
  * This includes replacing special HTML characters (&, <, >, etc.).
@@ -103,6 +119,62 @@ function encodeHTML(str) {
               .replace(/'/g, '&apos;');
 }
 
+/**
+ * The most lines of each list that diffLines compares. Comparing takes time
+ * and memory for every pair of lines, so long outputs are cut off.
+ */
+var DIFF_LINE_LIMIT = 500;
+
+/**
+ * Compares two lists of lines, finding the lines that would be removed and
+ * added (around their longest common subsequence). Only the first
+ * DIFF_LINE_LIMIT lines of each list are compared.
+ *
+ * @param {Array.<String>} before - The original lines.
+ * @param {Array.<String>} after - The new lines.
+ * @returns {Array.<Object>} Each line, with a kind of ' ' (kept), '-' (removed), or
+ *                           '+' (added). If lines were cut off, the last one has a
+ *                           kind of '...' and says how many.
+ */
+function diffLines(before, after) {
+    var skipped = Math.max(before.length, after.length) - DIFF_LINE_LIMIT;
+    before = before.slice(0, DIFF_LINE_LIMIT);
+    after = after.slice(0, DIFF_LINE_LIMIT);
+    // Longest common subsequence, from the end
+    var lengths = [], i, j;
+    for (i = 0; i <= before.length; i++) {
+        lengths.push([]);
+        for (j = 0; j <= after.length; j++) {
+            lengths[i].push(0);
+        }
+    }
+    for (i = before.length-1; i >= 0; i--) {
+        for (j = after.length-1; j >= 0; j--) {
+            lengths[i][j] = before[i] == after[j] ?
+                            lengths[i+1][j+1] + 1 :
+                            Math.max(lengths[i+1][j], lengths[i][j+1]);
+        }
+    }
+    var diff = [];
+    i = 0, j = 0;
+    while (i < before.length || j < after.length) {
+        if (i < before.length && j < after.length && before[i] == after[j]) {
+            diff.push({'kind': ' ', 'text': before[i]});
+            i++, j++;
+        } else if (j >= after.length || (i < before.length && lengths[i+1][j] >= lengths[i][j+1])) {
+            diff.push({'kind': '-', 'text': before[i]});
+            i++;
+        } else {
+            diff.push({'kind': '+', 'text': after[j]});
+            j++;
+        }
+    }
+    if (skipped > 0) {
+        diff.push({'kind': '...', 'text': "\u2026 "+skipped+(skipped == 1 ? " more line" : " more lines")});
+    }
+    return diff;
+}
+
 /**
  * Shuffle the blocks in the workspace
  */
@@ -0,0 +1,193 @@
+/**
+ * The code that runs the student's program inside of a Web Worker. This function
+ * is never called on the page; instead, its source is bundled into the worker
+ * (see BlockPyEngine.prototype.createWorker), after Skulpt has been loaded.
+ *
+ * Messages sent to the page:
+ *  {type: 'print', text}       - Skulpt printed some text.
+ *  {type: 'plot', value}       - A plot was drawn; the value is its data.
+ *  {type: 'step', ...}         - A statement was executed (see BlockPyEngine.recordStep);
+ *                                includes the call stack and heap.
+ *  {type: 'request', id, kind, argument} - Asks the page for an 'input' or a 'url'.
+ *  {type: 'success', globals, unsent} - The program finished; globals is a JSON-friendly
+ *                                version of the module's variables, and unsent names
+ *                                the variables whose values can't be sent that way.
+ *  {type: 'failure', error}    - The program crashed; the error is serialized.
+ *
+ * Messages received from the page:
+ *  {type: 'run', code, files, execLimit} - Run the given code.
+ *  {type: 'reply', id, value, error}     - Answers an earlier request.
+ *
+ * @param {Object} self - The worker's global scope.
+ * @param {Object} tracer - Provides parseGlobals, parseValue, previewValue, parseStack, parseReference, and parseItem,
+ *                          borrowed from the BlockPyEngine.
+ */
+var $blockpy_worker = function(self, tracer) {
+    var openedFiles = {};
+    var frames = [];
+    var pendingRequests = {};
+    var nextRequestId = 0;
+
+    // Ask the page for something, and wait for the reply
+    var request = function(kind, argument) {
+        var id = nextRequestId++;
+        self.postMessage({'type': 'request', 'id': id, 'kind': kind, 'argument': argument});
+        return new Promise(function(resolve, reject) {
+            pendingRequests[id] = {'resolve': resolve, 'reject': reject};
+        });
+    };
+
+    // Only plain data can be sent between the worker and the page
+    var cleanProperties = function(properties) {
+        return properties.map(function(property) {
+            return {'name': property.name,
+                    'type': String(property.type),
+                    'value': String(property.value),
+                    'ref': property.ref};
+        });
+    };
+    var cleanGlobals = function(globals) {
+        return {
+            'properties': cleanProperties(globals.properties),
+            'modules': globals.modules
+        };
+    };
+    // Whether the value comes out the same on the page after being sent as JSON
+    var isPlainValue = function(value) {
+        switch (value.constructor) {
+            case Sk.builtin.none: case Sk.builtin.bool: case Sk.builtin.str:
+            case Sk.builtin.int_: case Sk.builtin.float_: case Sk.builtin.nmber:
+                return true;
+            case Sk.builtin.list:
+                return value.v.every(isPlainValue);
+            case Sk.builtin.dict:
+                var iterator = Sk.abstr.iter(value);
+                for (var key = iterator.tp$iternext(); key !== undefined; key = iterator.tp$iternext()) {
+                    if (key.constructor !== Sk.builtin.str || !isPlainValue(value.mp$subscript(key))) {
+                        return false;
+                    }
+                }
+                return true;
+            default:
+                return false;
+        }
+    };
+    var serializeValue = function(value) {
+        try {
+            return JSON.parse(JSON.stringify(Sk.ffi.remapToJs(value)));
+        } catch (e) {
+            return undefined;
+        }
+    };
+    var serializeError = function(error) {
+        if (error.tp$name === undefined) {
+            return {'name': 'ExternalError', 'message': String(error), 'traceback': []};
+        }
+        return {
+            'name': error.tp$name,
+            'message': error.args && error.args.v.length ?
+                       Sk.ffi.remapToJs(error.args.v[0]) : '',
+            'traceback': error.traceback || []
+        };
+    };
+
+    Sk.python3 = true;
+    Sk.inputfunTakesPrompt = true;
+    Sk.configure({
+        output: function(text) {
+            self.postMessage({'type': 'print', 'text': text});
+        },
+        read: function(filename) {
+            if (Sk.builtinFiles === undefined ||
+                Sk.builtinFiles["files"][filename] === undefined) {
+                throw "File not found: '" + filename + "'";
+            }
+            return Sk.builtinFiles["files"][filename];
+        }
+    });
+    Sk.inBrowser = function(name) {
+        if (name in openedFiles) {
+            return openedFiles[name];
+        } else {
+            throw new Sk.builtin.IOError("[Errno 2] No such file or directory: '" + name + "'");
+        }
+    };
+    Sk.requestsGet = function(url) {
+        return request('url', url).then(function(contents) {
+            openedFiles[url] = contents;
+            return contents;
+        }, function(message) {
+            throw new Sk.builtin.IOError(message);
+        });
+    };
+    Sk.inputfun = function(promptMessage) {
+        return request('input', promptMessage);
+    };
+    Sk.console = {
+        'printHtml': function(chart, value) {
+            self.postMessage({'type': 'plot', 'value': JSON.parse(JSON.stringify(value))});
+        },
+        'width': 500,
+        'height': 500,
+        'pngMode': false,
+        'skipDrawing': true,
+        'container': null
+    };
+    Sk.afterSingleExecution = function(variables, lineNumber, columnNumber, filename, frame) {
+        if (filename == '__main__.py') {
+            var heap = {};
+            var globals = tracer.parseGlobals(variables, heap);
+            var message = cleanGlobals(globals);
+            message['heap'] = heap;
+            message['stack'] = tracer.parseStack(frames, frame, lineNumber, globals, heap).map(function(stackFrame) {
+                return {'name': stackFrame.name,
+                        'line': stackFrame.line,
+                        'properties': cleanProperties(stackFrame.properties)};
+            });
+            message['type'] = 'step';
+            message['line'] = lineNumber;
+            message['column'] = columnNumber;
+            message['filename'] = filename;
+            self.postMessage(message);
+        }
+    };
+
+    self.onmessage = function(event) {
+        var message = event.data;
+        if (message.type == 'reply') {
+            var pending = pendingRequests[message.id];
+            delete pendingRequests[message.id];
+            if (message.error !== undefined) {
+                pending.reject(message.error);
+            } else {
+                pending.resolve(message.value);
+            }
+        } else if (message.type == 'run') {
+            openedFiles = message.files;
+            frames = [];
+            Sk.execLimit = message.execLimit;
+            Sk.execLimitFunction = function() { return message.execLimit; };
+            Sk.misceval.asyncToPromise(function() {
+                return Sk.importMainWithBody('__main__', false, message.code, true);
+            }).then(function(module) {
+                Sk.afterSingleExecution(module.$d, -1, 0, '__main__.py');
+                var globals = {}, unsent = [];
+                for (var name in module.$d) {
+                    var value = module.$d[name];
+                    if (name.indexOf('__') === 0 || value instanceof Sk.builtin.module) {
+                        continue;
+                    }
+                    var serialized = isPlainValue(value) ? serializeValue(value) : undefined;
+                    if (serialized === undefined) {
+                        unsent.push(name);
+                    } else {
+                        globals[name] = serialized;
+                    }
+                }
+                self.postMessage({'type': 'success', 'globals': globals, 'unsent': unsent});
+            }, function(error) {
+                self.postMessage({'type': 'failure', 'error': serializeError(error)});
+            });
+        }
+    };
+};